@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {Base64} from "@openzeppelin/contracts/utils/Base64.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {IBadgeNFT} from "./IBadgeNFT.sol";
+
+/**
+ * @title Death of Pengu Marketplace Badges
+ * @notice Soulbound ERC-721 mirror of the badges earned in the Marketplace.
+ *         One token per user per badge, minted only by the Marketplace and
+ *         never transferable. Metadata is generated fully on-chain.
+ */
+contract BadgeNFT is ERC721, IBadgeNFT {
+    using Strings for uint256;
+    using Strings for address;
+
+    address public immutable minter; // Marketplace proxy
+    mapping(uint256 => uint256) public earnedAt; // tokenId => timestamp (0 = unknown)
+
+    constructor(address _minter) ERC721("DOP Marketplace Badge", "DOPBADGE") {
+        require(_minter != address(0), "zero");
+        minter = _minter;
+    }
+
+    modifier onlyMinter() {
+        require(msg.sender == minter, "minter");
+        _;
+    }
+
+    // Token id encodes holder and badge so each pair exists at most once
+    function tokenIdFor(
+        address user,
+        uint8 badge
+    ) public pure returns (uint256) {
+        return (uint256(uint160(user)) << 8) | badge;
+    }
+
+    function hasBadge(address user, uint8 badge) external view returns (bool) {
+        return _ownerOf(tokenIdFor(user, badge)) != address(0);
+    }
+
+    // Idempotent: returns the existing id if the badge was already minted.
+    // earnedTime is 0 for badges backfilled without a known award time.
+    function mint(
+        address to,
+        uint8 badge,
+        uint256 earnedTime
+    ) external onlyMinter returns (uint256 tokenId) {
+        tokenId = tokenIdFor(to, badge);
+        if (_ownerOf(tokenId) != address(0)) return tokenId;
+        if (earnedTime != 0) earnedAt[tokenId] = earnedTime;
+        _mint(to, tokenId); // no receiver callback: badges cannot be refused or reenter
+    }
+
+    // Called when a badge is revoked; no-op if it was never minted
+    function burn(address from, uint8 badge) external onlyMinter {
+        uint256 tokenId = tokenIdFor(from, badge);
+        if (_ownerOf(tokenId) == address(0)) return;
+        delete earnedAt[tokenId];
+        _burn(tokenId);
+    }
+
+    // Soulbound: only mint (from == 0) and burn (to == 0) move tokens
+    function _update(
+        address to,
+        uint256 tokenId,
+        address auth
+    ) internal override returns (address from) {
+        from = _ownerOf(tokenId);
+        require(from == address(0) || to == address(0), "soulbound");
+        return super._update(to, tokenId, auth);
+    }
+
+    function approve(address, uint256) public pure override {
+        revert("soulbound");
+    }
+
+    function setApprovalForAll(address, bool) public pure override {
+        revert("soulbound");
+    }
+
+    function badgeName(uint8 badge) public pure returns (string memory) {
+        if (badge == 0) return "Rookie";
+        if (badge == 1) return "Experienced";
+        if (badge == 2) return "Expert";
+        if (badge == 3) return "Master";
+        if (badge == 4) return "Reliable";
+        if (badge == 5) return "Mediator";
+        return string.concat("Badge #", uint256(badge).toString());
+    }
+
+    // Left out when the award time is unknown rather than showing 1970
+    function _earnedAttribute(
+        uint256 time
+    ) internal pure returns (string memory) {
+        if (time == 0) return "";
+        return
+            string.concat(
+                ',{"display_type":"date","trait_type":"Earned","value":',
+                time.toString(),
+                "}"
+            );
+    }
+
+    function tokenURI(
+        uint256 tokenId
+    ) public view override returns (string memory) {
+        address holder = _requireOwned(tokenId);
+        string memory name = badgeName(uint8(tokenId));
+        string memory svg = string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 320 320">',
+            '<rect width="320" height="320" rx="24" fill="#111827"/>',
+            '<circle cx="160" cy="136" r="72" fill="none" stroke="#f59e0b" stroke-width="10"/>',
+            '<text x="160" y="260" font-family="sans-serif" font-size="32" fill="#f9fafb" text-anchor="middle">',
+            name,
+            "</text></svg>"
+        );
+        string memory json = string.concat(
+            '{"name":"DOP Marketplace ',
+            name,
+            '","description":"Soulbound badge earned on the Death of Pengu Marketplace.",',
+            '"image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(svg)),
+            '","attributes":[{"trait_type":"Badge","value":"',
+            name,
+            '"},{"trait_type":"Holder","value":"',
+            holder.toHexString(),
+            '"}',
+            _earnedAttribute(earnedAt[tokenId]),
+            "]}"
+        );
+        return
+            string.concat(
+                "data:application/json;base64,",
+                Base64.encode(bytes(json))
+            );
+    }
+}
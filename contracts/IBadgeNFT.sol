@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+interface IBadgeNFT {
+    function mint(
+        address to,
+        uint8 badge,
+        uint256 earnedTime
+    ) external returns (uint256 tokenId);
+
+    function burn(address from, uint8 badge) external;
+
+    function hasBadge(address user, uint8 badge) external view returns (bool);
+
+    function earnedAt(uint256 tokenId) external view returns (uint256);
+
+    function tokenIdFor(
+        address user,
+        uint8 badge
+    ) external pure returns (uint256);
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title ISwapAdapter
+ * @notice DEX-agnostic swap entry point used by the Marketplace buyback.
+ *         Adapters pull `amountIn` of `tokenIn` from the caller (or take
+ *         msg.value for native ETH), route it over their configured path
+ *         and send `tokenOut` to `to`.
+ */
+interface ISwapAdapter {
+    function swapExactETHForTokens(
+        address tokenOut,
+        uint256 minOut,
+        address to
+    ) external payable returns (uint256 amountOut);
+
+    function swapExactTokensForTokens(
+        address tokenIn,
+        uint256 amountIn,
+        address tokenOut,
+        uint256 minOut,
+        address to
+    ) external returns (uint256 amountOut);
+}
@@ -6,9 +6,16 @@ import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/U
 import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import {EIP712Upgradeable} from "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {IERC1271} from "@openzeppelin/contracts/interfaces/IERC1271.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
 import {IDOPToken} from "./IDOPToken.sol";
+import {ISwapAdapter} from "./ISwapAdapter.sol";
+import {IBadgeNFT} from "./IBadgeNFT.sol";
 
 // Minimal UniswapV2-like router interface for buyback
 interface IUniRouter {
@@ -28,6 +35,15 @@ interface IUniRouter {
     ) external;
 }
 
+// Price oracle (TWAP or feed) used to floor buyback output
+interface IPriceOracle {
+    function consult(
+        address tokenIn,
+        uint256 amountIn,
+        address tokenOut
+    ) external view returns (uint256 amountOut);
+}
+
 /**
  * @title Upgradeable Death of Pengu Marketplace
  * @notice UUPS upgradeable version with improved role separation and simplified GIG acceptance logic.
@@ -37,9 +53,12 @@ contract MarketplaceUpgradeable is
     UUPSUpgradeable,
     OwnableUpgradeable,
     PausableUpgradeable,
-    ReentrancyGuardUpgradeable
+    ReentrancyGuardUpgradeable,
+    EIP712Upgradeable
 {
     using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
 
     enum ListingType {
         BRIEF,
@@ -59,6 +78,11 @@ contract MarketplaceUpgradeable is
         SPLIT,
         PAY_PROVIDER
     }
+    enum FeeRouting {
+        BUYBACK_BURN, // whole fee bought back and burned
+        TREASURY, // whole fee to treasury
+        BURN_SPLIT // burnSplitBps bought back and burned, rest to treasury
+    }
 
     struct Listing {
         uint256 id;
@@ -69,6 +93,57 @@ contract MarketplaceUpgradeable is
         bool active;
         uint256 boostExpiry;
         uint256 category;
+        // Added (upgrade): optional fixed-price terms (price 0 = offers only)
+        uint256 price;
+        address paymentToken;
+        uint256 expiresAt; // 0 = never expires
+        uint256 maxConcurrentOrders; // 0 = unlimited
+        uint256 activeOrders; // escrows currently open on this listing
+    }
+    // New: getListingsDescendingFiltered criteria
+    struct ListingFilter {
+        bool onlyActive; // also skips expired listings
+        bool onlyBoosted;
+        bool filterByType;
+        ListingType listingType;
+        bool filterByPrice; // only fixed-price listings within [minPrice, maxPrice]
+        address paymentToken;
+        uint256 minPrice;
+        uint256 maxPrice; // 0 = no upper bound
+        bool filterByCategory;
+        uint256 category;
+        bool includeSubcategories; // also match descendants of `category`
+    }
+    // New: Owner-managed listing categories (ids start at 0)
+    struct Category {
+        string name;
+        bool hasParent;
+        uint256 parentId;
+        bool active; // inactive categories reject new listings
+    }
+    // New: Canonical skills referenced by id from profiles and listings
+    struct Skill {
+        string name;
+        uint256 categoryId;
+        bool active; // inactive skills cannot be newly attached
+    }
+    // New: One step of an offer negotiation (terms proposed by `author`)
+    struct NegotiationEntry {
+        address author;
+        uint256 amount;
+        address paymentToken;
+        uint256 deliveryPeriod;
+        uint256 reviewWindow;
+        string cid; // optional IPFS message
+        uint256 createdAt;
+    }
+    // New: Off-chain offer signed by its proposer as EIP-712 typed data
+    struct SignedOffer {
+        uint256 listingId;
+        uint256 amount;
+        address paymentToken;
+        uint256 expiry;
+        uint256 nonce;
     }
     struct Offer {
         uint256 id;
@@ -79,6 +154,9 @@ contract MarketplaceUpgradeable is
         uint256 createdAt;
         bool accepted;
         bool cancelled;
+        // Added (upgrade): timeline terms, both relative to escrow start (0 = none)
+        uint256 deliveryPeriod;
+        uint256 reviewWindow;
     }
     struct Escrow {
         uint256 offerId;
@@ -91,6 +169,56 @@ contract MarketplaceUpgradeable is
         bool clientValidated;
         bool providerValidated;
         DisputeOutcome disputeOutcome;
+        // Added (upgrade): milestone bookkeeping (all zero for single-payment escrows)
+        uint256 milestoneCount;
+        uint256 milestonesClosed;
+        uint256 releasedAmount; // sum of settled milestone amounts
+        uint256 disputedMilestone; // index of the milestone under dispute
+    }
+    // New: Escrow timeline (kept apart from Escrow to keep its getter small)
+    struct EscrowTimeline {
+        uint256 deliveryDeadline; // 0 = no deadline
+        uint256 reviewWindow; // 0 = no auto-release
+        uint256 providerValidatedAt;
+    }
+    // New: Milestones (staged payouts within a single escrow)
+    struct Milestone {
+        uint256 amount;
+        uint256 feeAmount;
+        EscrowStatus status;
+        bool clientValidated;
+        bool providerValidated;
+        DisputeOutcome disputeOutcome;
+        uint256 providerValidatedAt;
+    }
+    // New: Mutual cancellation proposal (provider share in bps of the unsettled amount)
+    struct CancelProposal {
+        address proposedBy;
+        uint256 providerShareBps;
+        uint256 proposedAt;
+    }
+    // New: Staked arbitrators and dispute panels
+    struct Arbitrator {
+        uint256 stake; // DOP staked
+        uint256 index; // 1-based position in the registry, 0 = not registered
+        uint256 activePanels;
+        uint256 majorityVotes;
+        uint256 missedVotes;
+    }
+    struct Panel {
+        address[] members;
+        DisputeOutcome[] votes; // aligned with members, NONE = not voted
+        uint256 deadline;
+        bool active;
+    }
+    // New: Payment token allowlist entry
+    struct PaymentTokenConfig {
+        bool allowed;
+        bool useCustomFee; // false = legacy feeDop / feeUsdLike tier
+        uint256 feeBps;
+        uint256 minAmount; // minimum offer amount
+        FeeRouting routing;
+        uint256 burnSplitBps; // BURN_SPLIT only
     }
     struct Reputation {
         uint64 completedMissions;
@@ -133,6 +261,66 @@ contract MarketplaceUpgradeable is
         string reviewURI; // optional IPFS/Arweave URI
         uint256 timestamp;
     }
+    // New: History still to move to a migrated profile (records copied so far)
+    struct ProfileMigration {
+        address from;
+        uint256 missionsMoved;
+        uint256 badgesMoved;
+        uint256 reviewsMoved;
+    }
+    // New: Review metadata kept beside Review (array element layout is frozen)
+    struct ReviewExtra {
+        uint256 indexPlusOne; // position in reviewsReceived[reviewee] + 1
+        uint256 weight; // job value in normalized units at review time
+        bool hidden;
+        string replyURI; // reviewee's single public reply
+        address reviewee; // set when the reviewee's profile migrates (0 = escrow party)
+    }
+
+    // Mission counts for the tier badges and the RELIABLE rule
+    struct BadgeThresholds {
+        uint64 rookie;
+        uint64 experienced;
+        uint64 expert;
+        uint64 master;
+        uint64 reliableMinMissions;
+        uint16 reliableRateBps; // min share of undisputed missions
+    }
+
+    // New: Typed claims issued by verifiers against a profile
+    struct Attestation {
+        uint256 id;
+        address subject;
+        address verifier;
+        VerifierRole role; // role the verifier held when issuing
+        bytes32 attestationType; // e.g. keccak256("KYC_BASIC")
+        uint64 issuedAt;
+        uint64 expiresAt; // 0 = no expiry
+        bool revoked;
+        string evidenceCID;
+    }
+
+    // New: Team / agency profiles
+    struct TeamShare {
+        address member;
+        uint256 bps; // share of the provider payout
+    }
+
+    struct Team {
+        address lead; // acts as the escrow provider for the team
+        string name;
+        string metadataURI;
+        TeamShare[] members;
+    }
+
+    struct VerificationRequest {
+        address user;
+        VerifierRole role; // verifiers of this role see the request
+        string evidenceCID;
+        uint64 createdAt;
+        bool open;
+        uint256 queueIndex; // position in the role's pending queue
+    }
 
     // New: Disputes metadata
     struct Appeal {
@@ -155,6 +343,13 @@ contract MarketplaceUpgradeable is
         KOL
     }
 
+    enum VerifierRole {
+        NONE,
+        KYC_PROVIDER,
+        SKILL_ASSESSOR,
+        COMMUNITY_MODERATOR
+    }
+
     enum Badge {
         ROOKIE, // 1-5 missions
         EXPERIENCED, // 6-20 missions
@@ -168,6 +363,21 @@ contract MarketplaceUpgradeable is
     uint256 public feeUsdLike; // 20% default
     uint256 public feeDop; // 10% default
     uint256 public constant BURN_SPLIT_BPS = 5_000; // 50%
+    uint256 public constant DEFAULT_SPLIT_BPS = 5_000; // SPLIT outcome default: 50/50
+    uint256 public constant MAX_MILESTONES = 20;
+    uint256 public constant MAX_PERIOD = 365 days;
+    uint256 public constant MIN_REVIEW_WINDOW = 1 days;
+    uint256 public constant WEIGHT_PRECISION = 1e18;
+    uint256 public constant MAX_TEAM_MEMBERS = 10;
+    uint256 public constant MAX_SKILLS_PER_ENTRY = 20;
+    uint256 public constant LEGACY_CATEGORY_COUNT = 4; // ids 0-3 accepted before the registry is used
+    uint256 public constant DEFAULT_PUSH_GAS = 100_000; // gas forwarded with ETH pushes until the owner sets one
+    string private constant EIP712_NAME = "DOP Marketplace";
+    string private constant EIP712_VERSION = "1";
+    bytes32 public constant SIGNED_OFFER_TYPEHASH =
+        keccak256(
+            "SignedOffer(uint256 listingId,uint256 amount,address paymentToken,uint256 expiry,uint256 nonce)"
+        );
     uint256 public boostPriceDOP; // 1000 DOP default
     uint256 public boostDuration; // 7 days default
     // New: Profile boosting params
@@ -179,7 +389,7 @@ contract MarketplaceUpgradeable is
     IERC20 public usdcToken; // optional
 
     // DEX integration for buyback functionality
-    address public dexRouter;
+    address public dexRouter; // UniswapV2-like router, used when no swapAdapter is set
     address public weth;
 
     uint256 private _listingIdCounter;
@@ -205,7 +415,106 @@ contract MarketplaceUpgradeable is
     uint256[] private _disputeLog; // append-only log of offerIds when disputes are opened
     // Username uniqueness index (case-insensitive lowercase key)
     mapping(bytes32 => address) private _usernameOwner; // keccak256(lowercase username) => owner
+    // Milestones: planned amounts per offer, live state per escrow
+    mapping(uint256 => uint256[]) private _offerMilestones; // offerId => milestone amounts
+    mapping(uint256 => Milestone[]) private _escrowMilestones; // offerId => milestones
+    mapping(uint256 => EscrowTimeline) public escrowTimelines; // offerId => timeline
+    // Mutual cancellation
+    mapping(uint256 => CancelProposal) public cancelProposals; // offerId => pending proposal
+    uint256 public cancelFeeBps; // share of the pro-rata fee charged on cancellation (0 = none)
+    // Arbitration: staked registry and per-dispute panels
+    uint256 public arbitratorMinStake; // DOP required to sit on panels
+    uint256 public panelSize; // odd number of panelists per dispute, 0 = panels disabled
+    uint256 public votingPeriod;
+    uint256 public arbitratorRewardBps; // share of the escrow fee paid to the majority
+    uint256 public arbitratorSlashBps; // share of stake slashed for a missed vote
+    uint256 public mediatorThreshold; // majority votes needed for the MEDIATOR badge
+    address[] private _arbitratorList;
+    mapping(address => Arbitrator) public arbitrators;
+    mapping(uint256 => Panel) private _panels; // offerId => panel of the current dispute
+    // Payment token allowlist (address(0) = native ETH)
+    mapping(address => PaymentTokenConfig) public paymentTokens;
+    address[] private _paymentTokenList; // every token ever configured
+    mapping(address => bool) private _paymentTokenListed;
+    // Deferred buyback: fee portions awaiting a keeper swap (address(0) = ETH)
+    mapping(address => uint256) public pendingBuyback;
+    mapping(address => bool) public buybackKeepers;
+    address public buybackOracle; // optional; zero = keeper-supplied minOut only
+    uint256 public maxBuybackSlippageBps;
+    // Pull payments: failed pushes are credited here (user => token => amount, address(0) = ETH)
+    mapping(address => mapping(address => uint256)) public claimable;
+    // Counter-offer chain per offer; the last entry holds the standing terms
+    mapping(uint256 => NegotiationEntry[]) private _negotiations;
+    // Client deposits locked behind GIG offers (offerId => amount in the offer token)
+    mapping(uint256 => uint256) public offerDeposits;
+    // Signed offers: proposer => nonce => used or cancelled
+    mapping(address => mapping(uint256 => bool)) public signedOfferNonceUsed;
+    // Reputation: normalized units per token unit (x WEIGHT_PRECISION); 0 = not counted
+    mapping(address => uint256) public reputationWeights;
+    uint256 public ratingHalfLife; // age at which a review counts half
+    mapping(uint256 => mapping(address => ReviewExtra)) private _reviewExtras; // offerId => reviewer
+    address public badgeNFT; // soulbound ERC-721 mirror of userBadges (zero = disabled)
+    BadgeThresholds private _badgeThresholds; // all zero = defaults
+    // Profile verification: verifier roles, attestations and the request queue
+    mapping(address => VerifierRole) public verifierRoles;
+    uint256 public nextAttestationId;
+    mapping(uint256 => Attestation) public attestations;
+    mapping(address => uint256[]) private _profileAttestations; // subject => attestation ids
+    uint256 public nextVerificationRequestId;
+    mapping(uint256 => VerificationRequest) public verificationRequests;
+    mapping(VerifierRole => uint256[]) private _pendingVerifications; // role => open request ids
+    mapping(address => mapping(VerifierRole => uint256)) public openVerificationRequest; // user => role => id (0 = none)
+    // Teams: members opt in; the split is snapshotted when an escrow starts
+    uint256 public nextTeamId;
+    mapping(uint256 => Team) private _teams;
+    mapping(uint256 => mapping(address => bool)) public teamMemberAccepted;
+    mapping(uint256 => uint256) public listingTeam; // GIG listingId => teamId
+    mapping(uint256 => uint256) public offerTeam; // BRIEF offerId => teamId
+    mapping(uint256 => uint256) public escrowTeam; // offerId => teamId at escrow start
+    mapping(uint256 => TeamShare[]) private _escrowSplits; // offerId => split snapshot
+    // Username moderation and profile migration
+    mapping(bytes32 => bool) private _usernameReserved; // username key => reserved
+    mapping(bytes32 => address) private _usernameReservedFor; // only address allowed to claim (0 = none)
+    mapping(address => address) public pendingProfileMigration; // old => proposed new address
+    mapping(address => address) public profileMigratedTo; // old => new, set once migrated
+    // Category and skill registries
+    mapping(uint256 => Category) public categories;
+    uint256 public categoryCount; // 0 = registry unused, legacy ids accepted
+    mapping(uint256 => Skill) public skillRegistry;
+    uint256 public skillCount;
+    mapping(bytes32 => uint256) private _skillIdPlusOne; // lowercase name hash => id + 1
+    mapping(address => EnumerableSet.UintSet) private _profileSkillIds;
+    mapping(uint256 => EnumerableSet.AddressSet) private _skillProviders;
+    mapping(uint256 => EnumerableSet.UintSet) private _listingSkillIds;
+    mapping(uint256 => EnumerableSet.UintSet) private _skillListings;
+    // Milestone disputes keep their own record (offerId => milestone index => dispute)
+    mapping(uint256 => mapping(uint256 => DisputeData)) private _milestoneDisputes;
+    // Per-token funds (from the treasury) that pay panels when the client is
+    // refunded and no platform fee is collected
+    mapping(address => uint256) public arbitrationReserve;
+    // Accounts allowed (besides the owner) to draw dispute panels
+    mapping(address => bool) public panelKeepers;
+    // Open escrows per client, provider and team member, for escrows started
+    // after this counter was added (see acceptProfileMigration)
+    mapping(address => uint256) public openEscrowCount;
+    mapping(uint256 => bool) private _escrowCounted; // offerId => counted in openEscrowCount
+    mapping(address => ProfileMigration) private _incomingMigrations; // new address => history still moving
+    // ISwapAdapter for buybacks (see contracts/adapters); takes precedence over dexRouter
+    address public swapAdapter;
+    // Gas forwarded with ETH pushes (0 = DEFAULT_PUSH_GAS); receivers needing more are credited
+    uint256 public pushGasLimit;
 
+    event CategoryAdded(
+        uint256 indexed id,
+        string name,
+        bool hasParent,
+        uint256 parentId
+    );
+    event CategoryUpdated(uint256 indexed id, string name, bool active);
+    event SkillAdded(uint256 indexed id, string name, uint256 categoryId);
+    event SkillUpdated(uint256 indexed id, bool active);
+    event ProfileSkillsUpdated(address indexed user, uint256[] skillIds);
+    event ListingSkillsUpdated(uint256 indexed listingId, uint256[] skillIds);
     event ListingCreated(
         uint256 indexed id,
         ListingType listingType,
@@ -214,6 +523,13 @@ contract MarketplaceUpgradeable is
         string metadataURI
     );
     event ListingStatus(uint256 indexed id, bool active);
+    event ListingTermsUpdated(
+        uint256 indexed id,
+        uint256 price,
+        address paymentToken,
+        uint256 expiresAt,
+        uint256 maxConcurrentOrders
+    );
     event BoostPurchased(
         uint256 indexed id,
         address indexed buyer,
@@ -229,6 +545,15 @@ contract MarketplaceUpgradeable is
         address paymentToken
     );
     event OfferAccepted(uint256 indexed id, address client, address provider);
+    event OfferCountered(
+        uint256 indexed id,
+        address indexed author,
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow,
+        string cid
+    );
     event EscrowStarted(
         uint256 indexed offerId,
         address client,
@@ -249,6 +574,47 @@ contract MarketplaceUpgradeable is
         uint256 feeAmount
     );
     event DisputeOpened(uint256 indexed offerId);
+    // New: Milestone events
+    event MilestonesProposed(uint256 indexed offerId, uint256[] amounts);
+    event MilestoneValidated(
+        uint256 indexed offerId,
+        uint256 indexed index,
+        address indexed by,
+        bool clientValidated,
+        bool providerValidated
+    );
+    event MilestoneReleased(
+        uint256 indexed offerId,
+        uint256 indexed index,
+        uint256 providerPayout,
+        uint256 feeAmount
+    );
+    event MilestoneDisputed(uint256 indexed offerId, uint256 indexed index);
+    // New: Timeout events
+    event EscrowAutoReleased(uint256 indexed offerId, address indexed by);
+    event MilestoneAutoReleased(
+        uint256 indexed offerId,
+        uint256 indexed index,
+        address indexed by
+    );
+    // New: Mutual cancellation events
+    event CancellationProposed(
+        uint256 indexed offerId,
+        address indexed by,
+        uint256 providerShareBps
+    );
+    event CancellationWithdrawn(uint256 indexed offerId, address indexed by);
+    event EscrowCancelled(
+        uint256 indexed offerId,
+        uint256 providerAmount,
+        uint256 clientAmount,
+        uint256 feeAmount
+    );
+    event EscrowReclaimed(
+        uint256 indexed offerId,
+        address indexed client,
+        uint256 refundAmount
+    );
     event DisputeResolved(
         uint256 indexed offerId,
         DisputeOutcome outcome,
@@ -266,20 +632,85 @@ contract MarketplaceUpgradeable is
         string cid,
         address indexed appealedBy
     );
+    // New: Arbitration events
+    event ArbitratorStaked(address indexed arbitrator, uint256 amount, uint256 stake);
+    event ArbitratorUnregistered(address indexed arbitrator, uint256 stakeReturned);
+    event ArbitratorSlashed(
+        address indexed arbitrator,
+        uint256 indexed offerId,
+        uint256 amount
+    );
+    event ArbitratorRewarded(
+        address indexed arbitrator,
+        uint256 indexed offerId,
+        uint256 amount
+    );
+    event PanelAssigned(
+        uint256 indexed offerId,
+        address[] members,
+        uint256 deadline
+    );
+    event PanelVoteCast(
+        uint256 indexed offerId,
+        address indexed arbitrator,
+        DisputeOutcome outcome
+    );
+    event PanelFinalized(
+        uint256 indexed offerId,
+        DisputeOutcome outcome,
+        uint256 votesCast
+    );
+    event ArbitrationReserveFunded(
+        address indexed token,
+        address indexed from,
+        uint256 amount
+    );
+    event ArbitrationReserveWithdrawn(address indexed token, uint256 amount);
+    event PanelKeeperUpdated(address indexed keeper, bool allowed);
     event ProfileCreated(address indexed user, UserType userType);
     event ProfileUpdated(address indexed user);
     event BadgeEarned(address indexed user, Badge badge);
+    event BadgeRevoked(address indexed user, Badge badge);
+    event BadgeNFTUpdated(address indexed oldNFT, address indexed newNFT);
+    event BadgeThresholdsUpdated(
+        uint64 rookie,
+        uint64 experienced,
+        uint64 expert,
+        uint64 master,
+        uint64 reliableMinMissions,
+        uint16 reliableRateBps
+    );
     event BuybackAndBurn(
         address indexed token,
         uint256 usdAmount,
         uint256 dopBurned
     );
+    event BuybackAccrued(address indexed token, uint256 amount);
+    event BuybackSwept(address indexed token, uint256 amount);
+    event BuybackKeeperUpdated(address indexed keeper, bool allowed);
+    event BuybackOracleUpdated(address indexed oracle, uint256 maxSlippageBps);
+    event PaymentCredited(
+        address indexed user,
+        address indexed token,
+        uint256 amount
+    );
+    event Withdrawn(
+        address indexed user,
+        address indexed token,
+        address to,
+        uint256 amount
+    );
+    event PushGasLimitUpdated(uint256 gasLimit);
     // New: Offer cancellation
     event OfferCancelled(
         uint256 indexed id,
         uint256 indexed listingId,
         address indexed proposer
     );
+    event OfferRejected(uint256 indexed id, uint256 indexed listingId);
+    event SignedOfferNonceCancelled(address indexed signer, uint256 nonce);
+    event OfferFunded(uint256 indexed id, uint256 amount);
+    event OfferDepositRefunded(uint256 indexed id, uint256 amount);
     // New: Review submitted
     event ReviewSubmitted(
         uint256 indexed offerId,
@@ -288,6 +719,18 @@ contract MarketplaceUpgradeable is
         uint8 rating,
         string reviewURI
     );
+    event ReviewReplied(
+        uint256 indexed offerId,
+        address indexed reviewer,
+        string replyURI
+    );
+    event ReviewHidden(
+        uint256 indexed offerId,
+        address indexed reviewer,
+        bool hidden,
+        address by
+    );
+    event ReputationWeightUpdated(address indexed token, uint256 weight);
     // New: Profile boost purchased
     event ProfileBoostPurchased(
         address indexed user,
@@ -297,6 +740,14 @@ contract MarketplaceUpgradeable is
     );
     // Admin: token config updates
     event TokensUpdated(address indexed dopToken, address indexed usdcToken);
+    event PaymentTokenConfigured(
+        address indexed token,
+        bool allowed,
+        uint256 feeBps,
+        uint256 minAmount,
+        FeeRouting routing,
+        uint256 burnSplitBps
+    );
     // Usernames & profile picture events
     event UsernameRegistered(address indexed user, string username);
     event UsernameChanged(
@@ -305,6 +756,65 @@ contract MarketplaceUpgradeable is
         string newUsername
     );
     event ProfilePicUpdated(address indexed user, string newCid);
+    event UsernameReleased(address indexed user, string username);
+    event UsernameReserved(string username, address indexed allowedHolder);
+    event UsernameUnreserved(string username);
+    event UsernameReclaimed(
+        address indexed previousHolder,
+        string username,
+        string reasonCID
+    );
+    event ProfileMigrationProposed(address indexed from, address indexed to);
+    event ProfileMigrated(address indexed from, address indexed to);
+    event ProfileMigrationProgress(
+        address indexed from,
+        address indexed to,
+        bool done
+    );
+    // Verification events
+    event ProfileVerificationUpdated(address indexed user, bool verified);
+    event VerifierUpdated(address indexed verifier, VerifierRole role);
+    event AttestationIssued(
+        uint256 indexed id,
+        address indexed subject,
+        address indexed verifier,
+        VerifierRole role,
+        bytes32 attestationType,
+        uint64 expiresAt,
+        string evidenceCID
+    );
+    event AttestationRevoked(
+        uint256 indexed id,
+        address indexed by,
+        string reasonCID
+    );
+    event VerificationRequested(
+        uint256 indexed requestId,
+        address indexed user,
+        VerifierRole role,
+        string evidenceCID
+    );
+    event VerificationRequestClosed(
+        uint256 indexed requestId,
+        address indexed by,
+        bool approved
+    );
+
+    // Team events
+    event TeamCreated(uint256 indexed teamId, address indexed lead, string name);
+    event TeamMembersUpdated(
+        uint256 indexed teamId,
+        address[] members,
+        uint256[] sharesBps
+    );
+    event TeamLeadTransferred(uint256 indexed teamId, address indexed newLead);
+    event TeamMembershipChanged(
+        uint256 indexed teamId,
+        address indexed member,
+        bool joined
+    );
+    event ListingTeamSet(uint256 indexed listingId, uint256 indexed teamId);
+    event OfferTeamSet(uint256 indexed offerId, uint256 indexed teamId);
 
     modifier onlyParticipant(uint256 offerId) {
         Escrow storage e = escrows[offerId];
@@ -322,6 +832,7 @@ contract MarketplaceUpgradeable is
         __UUPSUpgradeable_init();
         __Pausable_init();
         __ReentrancyGuard_init();
+        __EIP712_init(EIP712_NAME, EIP712_VERSION);
         dopToken = IDOPToken(_dop);
         usdcToken = IERC20(_usdc);
         treasury = _treasury;
@@ -332,6 +843,59 @@ contract MarketplaceUpgradeable is
         // Defaults for profile boosting
         profileBoostPriceDOP = boostPriceDOP;
         profileBoostDuration = boostDuration;
+        // Defaults for dispute panels
+        arbitratorMinStake = 10_000 ether;
+        panelSize = 3;
+        votingPeriod = 3 days;
+        arbitratorRewardBps = 1_000; // 10% of the escrow fee
+        arbitratorSlashBps = 1_000; // 10% of stake
+        mediatorThreshold = 10;
+        ratingHalfLife = 180 days;
+        _badgeThresholds = BadgeThresholds(1, 6, 21, 51, 10, 9_500);
+        maxBuybackSlippageBps = 300; // 3% below oracle quote
+        _addLegacyCategories();
+        // Default payment tokens: native ETH, DOP and the optional stable
+        _setPaymentToken(address(0), true, false, 0, 0, FeeRouting.BURN_SPLIT, BURN_SPLIT_BPS);
+        _setPaymentToken(_dop, true, false, 0, 0, FeeRouting.BURN_SPLIT, BURN_SPLIT_BPS);
+        if (_usdc != address(0))
+            _setPaymentToken(_usdc, true, false, 0, 0, FeeRouting.BURN_SPLIT, BURN_SPLIT_BPS);
+    }
+
+    // New: Sets the EIP-712 domain on proxies deployed before signed offers existed
+    function initializeEIP712() external reinitializer(2) onlyOwner {
+        __EIP712_init(EIP712_NAME, EIP712_VERSION);
+    }
+
+    // New: Seeds the payment token allowlist (ETH, DOP and the optional stable, as in
+    // initialize) on proxies upgraded from before it existed; until then every offer
+    // and escrow start reverts with "token". Also sets the EIP-712 domain when
+    // initializeEIP712 was skipped, since version 2 cannot be initialized afterwards.
+    function initializePaymentTokens() external reinitializer(3) onlyOwner {
+        _seedPaymentTokens();
+    }
+
+    // New: Seeds the legacy categories 0-3 (as in initialize) on proxies upgraded from
+    // before the registry existed, so the first addCategory cannot take id 0 and close
+    // ids 1-3 to new listings. Proxies that never ran initializePaymentTokens get its
+    // seeding here as well, since version 3 cannot be initialized after version 4.
+    function initializeCategories() external reinitializer(4) onlyOwner {
+        if (_paymentTokenList.length == 0) _seedPaymentTokens();
+        if (categoryCount == 0) _addLegacyCategories();
+    }
+
+    function _seedPaymentTokens() internal {
+        if (bytes(_EIP712Name()).length == 0)
+            __EIP712_init(EIP712_NAME, EIP712_VERSION);
+        address[3] memory core = [
+            address(0),
+            address(dopToken),
+            address(usdcToken)
+        ];
+        for (uint256 i = 0; i < core.length; i++) {
+            if (i == 2 && core[i] == address(0)) break;
+            if (!_paymentTokenListed[core[i]])
+                _setPaymentToken(core[i], true, false, 0, 0, FeeRouting.BURN_SPLIT, BURN_SPLIT_BPS);
+        }
     }
 
     function _authorizeUpgrade(address) internal override onlyOwner {}
@@ -344,70 +908,101 @@ contract MarketplaceUpgradeable is
         treasAmt = amount - burnAmt;
     }
 
+    // Burn / treasury split of a fee according to the token's routing
+    function _feeSplit(
+        address token,
+        uint256 amount
+    ) internal view returns (uint256 burnAmt, uint256 treasAmt) {
+        if (!_paymentTokenListed[token]) return _computeSplit(amount);
+        PaymentTokenConfig storage cfg = paymentTokens[token];
+        if (cfg.routing == FeeRouting.BUYBACK_BURN) burnAmt = amount;
+        else if (cfg.routing == FeeRouting.BURN_SPLIT)
+            burnAmt = (amount * cfg.burnSplitBps) / FEE_DENOMINATOR;
+        treasAmt = amount - burnAmt;
+    }
+
     function _processDopFee(uint256 feeAmount) internal {
         if (feeAmount == 0) return;
-        (uint256 burnAmt, uint256 treasAmt) = _computeSplit(feeAmount);
-        dopToken.burn(burnAmt);
-        IERC20(address(dopToken)).safeTransfer(treasury, treasAmt);
+        (uint256 burnAmt, uint256 treasAmt) = _feeSplit(
+            address(dopToken),
+            feeAmount
+        );
+        if (burnAmt > 0) dopToken.burn(burnAmt);
+        _pay(address(dopToken), treasury, treasAmt);
+    }
+
+    // New: Buyback helpers (executed later by a keeper, see executeBuyback)
+    function _accrueBuyback(address token, uint256 amount) internal {
+        pendingBuyback[token] += amount;
+        emit BuybackAccrued(token, amount);
     }
 
-    // New: Buyback helpers
     function _buyDopAndBurnFromETH(
-        uint256 ethAmount
+        uint256 ethAmount,
+        uint256 minOut
     ) internal returns (uint256 dopBurned) {
-        if (ethAmount == 0) return 0;
-        if (dexRouter == address(0) || weth == address(0)) {
-            // Fallback: remit to treasury
-            (bool ok, ) = payable(treasury).call{value: ethAmount}("");
-            require(ok, "treasury");
-            emit BuybackAndBurn(address(0), ethAmount, 0);
-            return 0;
-        }
-
-        address[] memory path = new address[](2);
-        path[0] = weth;
-        path[1] = address(dopToken);
         uint256 beforeBal = IERC20(address(dopToken)).balanceOf(address(this));
-
-        try
-            IUniRouter(dexRouter)
-                .swapExactETHForTokensSupportingFeeOnTransferTokens{
-                value: ethAmount
-            }(0, path, address(this), block.timestamp)
-        {
-            uint256 afterBal = IERC20(address(dopToken)).balanceOf(
-                address(this)
-            );
-            dopBurned = afterBal - beforeBal;
-            if (dopBurned > 0) {
-                dopToken.burn(dopBurned);
-            }
-            emit BuybackAndBurn(address(0), ethAmount, dopBurned);
-        } catch {
-            // Swap failed (likely no liquidity), fallback to treasury
-            (bool ok, ) = payable(treasury).call{value: ethAmount}("");
-            require(ok, "treasury");
-            emit BuybackAndBurn(address(0), ethAmount, 0);
-            return 0;
-        }
+        _swapForDop(address(0), ethAmount, minOut);
+        dopBurned =
+            IERC20(address(dopToken)).balanceOf(address(this)) -
+            beforeBal;
+        require(dopBurned >= minOut, "slippage");
+        if (dopBurned > 0) dopToken.burn(dopBurned);
+        emit BuybackAndBurn(address(0), ethAmount, dopBurned);
     }
 
     function _buyDopAndBurnFromToken(
         address token,
-        uint256 amount
+        uint256 amount,
+        uint256 minOut
     ) internal returns (uint256 dopBurned) {
-        if (amount == 0) return 0;
-        if (dexRouter == address(0)) {
-            // Fallback: remit to treasury
-            IERC20(token).safeTransfer(treasury, amount);
-            emit BuybackAndBurn(token, amount, 0);
-            return 0;
-        }
+        uint256 beforeBal = IERC20(address(dopToken)).balanceOf(address(this));
+        _swapForDop(token, amount, minOut);
+        dopBurned =
+            IERC20(address(dopToken)).balanceOf(address(this)) -
+            beforeBal;
+        require(dopBurned >= minOut, "slippage");
+        if (dopBurned > 0) dopToken.burn(dopBurned);
+        emit BuybackAndBurn(token, amount, dopBurned);
+    }
 
-        // Approve router
-        IERC20(token).approve(dexRouter, 0);
-        IERC20(token).approve(dexRouter, amount);
+    // Swaps `amount` of `token` (address(0) = ETH) into DOP held by this contract.
+    // The adapter routes over its configured path; without one, the V2 router
+    // swaps directly or through WETH as before adapters existed.
+    function _swapForDop(address token, uint256 amount, uint256 minOut) internal {
+        address adapter = swapAdapter;
+        if (adapter != address(0)) {
+            if (token == address(0)) {
+                ISwapAdapter(adapter).swapExactETHForTokens{value: amount}(
+                    address(dopToken),
+                    minOut,
+                    address(this)
+                );
+                return;
+            }
+            // Adapter pulls the input
+            IERC20(token).forceApprove(adapter, amount);
+            ISwapAdapter(adapter).swapExactTokensForTokens(
+                token,
+                amount,
+                address(dopToken),
+                minOut,
+                address(this)
+            );
+            IERC20(token).forceApprove(adapter, 0);
+            return;
+        }
         address[] memory path;
+        if (token == address(0)) {
+            require(weth != address(0), "weth");
+            path = new address[](2);
+            path[0] = weth;
+            path[1] = address(dopToken);
+            IUniRouter(dexRouter).swapExactETHForTokensSupportingFeeOnTransferTokens{
+                value: amount
+            }(minOut, path, address(this), block.timestamp);
+            return;
+        }
         if (weth != address(0) && token != weth) {
             path = new address[](3);
             path[0] = token;
@@ -418,33 +1013,53 @@ contract MarketplaceUpgradeable is
             path[0] = token;
             path[1] = address(dopToken);
         }
+        IERC20(token).forceApprove(dexRouter, amount);
+        IUniRouter(dexRouter).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+            amount,
+            minOut,
+            path,
+            address(this),
+            block.timestamp
+        );
+        IERC20(token).forceApprove(dexRouter, 0);
+    }
 
-        uint256 beforeBal = IERC20(address(dopToken)).balanceOf(address(this));
-
-        try
-            IUniRouter(dexRouter)
-                .swapExactTokensForTokensSupportingFeeOnTransferTokens(
-                    amount,
-                    0,
-                    path,
-                    address(this),
-                    block.timestamp
-                )
-        {
-            uint256 afterBal = IERC20(address(dopToken)).balanceOf(
-                address(this)
+    // New: Keeper/owner swaps accrued fees into DOP and burns it.
+    // minOut is floored by the oracle quote minus maxBuybackSlippageBps when an oracle is set.
+    function executeBuyback(
+        address token,
+        uint256 amountIn,
+        uint256 minOut
+    ) external nonReentrant returns (uint256 dopBurned) {
+        require(buybackKeepers[msg.sender] || msg.sender == owner(), "auth");
+        require(amountIn > 0 && amountIn <= pendingBuyback[token], "amt");
+        require(swapAdapter != address(0) || dexRouter != address(0), "router");
+        if (buybackOracle != address(0)) {
+            uint256 quoted = IPriceOracle(buybackOracle).consult(
+                token == address(0) ? weth : token,
+                amountIn,
+                address(dopToken)
             );
-            dopBurned = afterBal - beforeBal;
-            if (dopBurned > 0) {
-                dopToken.burn(dopBurned);
-            }
-            emit BuybackAndBurn(token, amount, dopBurned);
-        } catch {
-            // Swap failed (likely no liquidity), fallback to treasury
-            IERC20(token).safeTransfer(treasury, amount);
-            emit BuybackAndBurn(token, amount, 0);
-            return 0;
+            uint256 floor = (quoted * (FEE_DENOMINATOR - maxBuybackSlippageBps)) /
+                FEE_DENOMINATOR;
+            if (minOut < floor) minOut = floor;
         }
+        require(minOut > 0, "minOut");
+        pendingBuyback[token] -= amountIn;
+        dopBurned = token == address(0)
+            ? _buyDopAndBurnFromETH(amountIn, minOut)
+            : _buyDopAndBurnFromToken(token, amountIn, minOut);
+    }
+
+    // New: Owner escape hatch for accruals that cannot be swapped (no liquidity)
+    function sweepBuybackToTreasury(
+        address token,
+        uint256 amount
+    ) external onlyOwner nonReentrant {
+        require(amount > 0 && amount <= pendingBuyback[token], "amt");
+        pendingBuyback[token] -= amount;
+        _pay(token, treasury, amount);
+        emit BuybackSwept(token, amount);
     }
 
     // Profile Management
@@ -457,6 +1072,7 @@ contract MarketplaceUpgradeable is
         string calldata profilePicCID
     ) external {
         require(profiles[msg.sender].joinedAt == 0, "Profile exists");
+        require(profileMigratedTo[msg.sender] == address(0), "migrated");
         _setUsernameInternal(msg.sender, "", username); // claim username (must be unique)
 
         UserProfile storage profile = profiles[msg.sender];
@@ -571,6 +1187,10 @@ contract MarketplaceUpgradeable is
         require(bytes(newUsername).length > 0, "uname-empty");
         bytes32 key = _usernameKey(newUsername);
         require(_usernameOwner[key] == address(0), "uname-taken");
+        require(
+            !_usernameReserved[key] || _usernameReservedFor[key] == user,
+            "uname-reserved"
+        );
         if (bytes(oldUsername).length > 0) {
             bytes32 oldKey = _usernameKey(oldUsername);
             _usernameOwner[oldKey] = address(0);
@@ -578,122 +1198,1048 @@ contract MarketplaceUpgradeable is
         _usernameOwner[key] = user;
     }
 
-    function verifyProfile(address user) external onlyOwner {
-        require(profiles[user].joinedAt != 0, "No profile");
-        profiles[user].isVerified = true;
+    // Give up the current username; a new one can be set later
+    function releaseUsername() external {
+        string memory name = profiles[msg.sender].username;
+        require(bytes(name).length > 0, "uname-empty");
+        _usernameOwner[_usernameKey(name)] = address(0);
+        profiles[msg.sender].username = "";
+        emit UsernameReleased(msg.sender, name);
     }
 
-    // Mission History & Badge System
-    function getMissionHistory(
-        address user
-    ) external view returns (Mission[] memory) {
-        return userMissions[user];
+    // New: Owner-managed reserved names; `allowedHolder` (or nobody) may claim
+    function reserveUsername(
+        string calldata username,
+        address allowedHolder
+    ) external onlyOwner {
+        bytes32 key = _usernameKey(username);
+        _usernameReserved[key] = true;
+        _usernameReservedFor[key] = allowedHolder;
+        emit UsernameReserved(username, allowedHolder);
     }
 
-    function getUserBadges(
-        address user
-    ) external view returns (Badge[] memory) {
-        return userBadges[user];
+    function unreserveUsername(string calldata username) external onlyOwner {
+        bytes32 key = _usernameKey(username);
+        require(_usernameReserved[key], "state");
+        delete _usernameReserved[key];
+        delete _usernameReservedFor[key];
+        emit UsernameUnreserved(username);
     }
 
-    function _hasBadge(address user, Badge badge) internal view returns (bool) {
-        Badge[] memory badges = userBadges[user];
-        for (uint i = 0; i < badges.length; i++) {
-            if (badges[i] == badge) return true;
-        }
-        return false;
+    // Moderated reclaim of a squatted or impersonating name; the name stays
+    // reserved (for nobody) until the owner reassigns or unreserves it
+    function reclaimUsername(
+        string calldata username,
+        string calldata reasonCID
+    ) external onlyOwner {
+        bytes32 key = _usernameKey(username);
+        address holder = _usernameOwner[key];
+        require(holder != address(0), "none");
+        string memory held = profiles[holder].username;
+        _usernameOwner[key] = address(0);
+        profiles[holder].username = "";
+        _usernameReserved[key] = true;
+        delete _usernameReservedFor[key];
+        emit UsernameReclaimed(holder, held, reasonCID);
+        emit UsernameReserved(held, address(0));
     }
 
-    function _updateBadges(address user) internal {
-        uint256 missionCount = userMissions[user].length;
-        Badge[] storage badges = userBadges[user];
+    function getUsernameReservation(
+        string calldata username
+    ) external view returns (bool reserved, address allowedHolder) {
+        bytes32 key = _usernameKey(username);
+        return (_usernameReserved[key], _usernameReservedFor[key]);
+    }
 
-        // Award mission count badges
-        if (missionCount >= 51 && !_hasBadge(user, Badge.MASTER)) {
-            badges.push(Badge.MASTER);
-            emit BadgeEarned(user, Badge.MASTER);
-        } else if (missionCount >= 21 && !_hasBadge(user, Badge.EXPERT)) {
-            badges.push(Badge.EXPERT);
-            emit BadgeEarned(user, Badge.EXPERT);
-        } else if (missionCount >= 6 && !_hasBadge(user, Badge.EXPERIENCED)) {
-            badges.push(Badge.EXPERIENCED);
-            emit BadgeEarned(user, Badge.EXPERIENCED);
-        } else if (missionCount >= 1 && !_hasBadge(user, Badge.ROOKIE)) {
-            badges.push(Badge.ROOKIE);
-            emit BadgeEarned(user, Badge.ROOKIE);
-        }
-
-        // Award reliability badge (95%+ completion rate)
-        if (missionCount >= 10) {
-            uint256 disputed = 0;
-            for (uint i = 0; i < userMissions[user].length; i++) {
-                if (userMissions[user][i].wasDisputed) disputed++;
-            }
-            uint256 reliabilityRate = ((missionCount - disputed) * 100) /
-                missionCount;
-            if (reliabilityRate >= 95 && !_hasBadge(user, Badge.RELIABLE)) {
-                badges.push(Badge.RELIABLE);
-                emit BadgeEarned(user, Badge.RELIABLE);
-            }
+    // New: Two-step profile migration to a fresh address (e.g. after a key
+    // compromise). Proposing address(0) cancels.
+    function proposeProfileMigration(address to) external {
+        require(profiles[msg.sender].joinedAt != 0, "No profile");
+        require(to != msg.sender, "self");
+        pendingProfileMigration[msg.sender] = to;
+        emit ProfileMigrationProposed(msg.sender, to);
+    }
+
+    // Moves profile, username, reputation and skills, then up to `maxRecords`
+    // missions, badges and received reviews; continueProfileMigration moves the
+    // rest. The old address must have no open escrows and cannot start new ones.
+    // Listings, balances and attestations stay behind.
+    function acceptProfileMigration(
+        address from,
+        uint256 maxRecords
+    ) external nonReentrant returns (bool done) {
+        address to = msg.sender;
+        require(pendingProfileMigration[from] == to, "auth");
+        require(
+            profiles[to].joinedAt == 0 &&
+                profileMigratedTo[to] == address(0) &&
+                userMissions[to].length == 0 &&
+                reviewsReceived[to].length == 0 &&
+                userBadges[to].length == 0,
+            "fresh"
+        );
+        require(openEscrowCount[from] == 0, "escrows");
+        require(_incomingMigrations[from].from == address(0), "migrating");
+        delete pendingProfileMigration[from];
+        profileMigratedTo[from] = to;
+
+        profiles[to] = profiles[from];
+        delete profiles[from];
+        string memory name = profiles[to].username;
+        if (bytes(name).length > 0) _usernameOwner[_usernameKey(name)] = to;
+
+        reputations[to] = reputations[from];
+        delete reputations[from];
+        profileBoostExpiry[to] = profileBoostExpiry[from];
+        delete profileBoostExpiry[from];
+
+        // At most MAX_SKILLS_PER_ENTRY
+        EnumerableSet.UintSet storage skillIds = _profileSkillIds[from];
+        while (skillIds.length() > 0) {
+            uint256 skillId = skillIds.at(skillIds.length() - 1);
+            skillIds.remove(skillId);
+            _skillProviders[skillId].remove(from);
+            _profileSkillIds[to].add(skillId);
+            _skillProviders[skillId].add(to);
         }
+
+        _incomingMigrations[to].from = from;
+        emit ProfileMigrated(from, to);
+        done = _moveProfileHistory(to, maxRecords);
     }
 
-    // Enhanced fee processing with buyback mechanism
-    function _processUsdFee(uint256 feeAmount, address token) internal {
-        if (feeAmount == 0) return;
-        (uint256 burnAmount, uint256 treasuryAmount) = _computeSplit(feeAmount);
+    // New: Moves the next `maxRecords` history records of a migration; anyone may call
+    function continueProfileMigration(
+        address to,
+        uint256 maxRecords
+    ) external nonReentrant returns (bool done) {
+        require(_incomingMigrations[to].from != address(0), "migration");
+        done = _moveProfileHistory(to, maxRecords);
+    }
 
-        // Send treasury portion
-        IERC20(token).safeTransfer(treasury, treasuryAmount);
+    function getProfileMigration(
+        address to
+    ) external view returns (ProfileMigration memory) {
+        return _incomingMigrations[to];
+    }
 
-        // Buy DOP and burn from remaining tokens
-        if (burnAmount > 0) {
-            _buyDopAndBurnFromToken(token, burnAmount);
+    // Copies missions, badges and reviews oldest first, then clears the old
+    // address's copies newest first; each copy or clear counts as one record
+    function _moveProfileHistory(
+        address to,
+        uint256 maxRecords
+    ) internal returns (bool done) {
+        require(maxRecords > 0, "batch");
+        ProfileMigration storage m = _incomingMigrations[to];
+        address from = m.from;
+        uint256 budget = maxRecords;
+        Mission[] storage missions = userMissions[from];
+        Badge[] storage badges = userBadges[from];
+        Review[] storage reviews = reviewsReceived[from];
+        for (; budget > 0 && m.missionsMoved < missions.length; budget--) {
+            userMissions[to].push(missions[m.missionsMoved++]);
         }
+        for (; budget > 0 && m.badgesMoved < badges.length; budget--) {
+            _moveBadge(from, to, badges[m.badgesMoved++]);
+        }
+        for (; budget > 0 && m.reviewsMoved < reviews.length; budget--) {
+            _moveReview(to, reviews[m.reviewsMoved++]);
+        }
+        for (; budget > 0 && m.missionsMoved >= missions.length && missions.length > 0; budget--) {
+            missions.pop();
+        }
+        for (; budget > 0 && m.badgesMoved >= badges.length && badges.length > 0; budget--) {
+            badges.pop();
+        }
+        for (; budget > 0 && m.reviewsMoved >= reviews.length && reviews.length > 0; budget--) {
+            reviews.pop();
+        }
+        done = missions.length == 0 && badges.length == 0 && reviews.length == 0;
+        if (done) delete _incomingMigrations[to];
+        emit ProfileMigrationProgress(from, to, done);
     }
 
-    // Listings
-    function createListing(
-        ListingType listingType,
-        uint256 category,
-        string calldata metadataURI
-    ) external whenNotPaused returns (uint256 id) {
-        require(category <= 3, "cat");
-        id = ++_listingIdCounter;
-        listings[id] = Listing(
-            id,
-            listingType,
-            msg.sender,
-            metadataURI,
-            block.timestamp,
-            true,
-            0,
-            category
-        );
-        // index creator -> listings
-        _listingsByCreator[msg.sender].push(id);
-        emit ListingCreated(id, listingType, msg.sender, category, metadataURI);
+    // The new address may have earned the badge itself while the migration ran
+    function _moveBadge(address from, address to, Badge badge) internal {
+        bool held = _hasBadge(to, badge);
+        if (!held) userBadges[to].push(badge);
+        if (badgeNFT == address(0)) return;
+        // The migrated token keeps the original award time
+        IBadgeNFT nft = IBadgeNFT(badgeNFT);
+        uint256 earned = nft.earnedAt(nft.tokenIdFor(from, uint8(badge)));
+        nft.burn(from, uint8(badge));
+        if (!held) nft.mint(to, uint8(badge), earned);
     }
 
-    function setListingActive(uint256 listingId, bool active) external {
-        Listing storage l = listings[listingId];
-        require(l.creator == msg.sender || msg.sender == owner(), "auth");
-        l.active = active;
-        emit ListingStatus(listingId, active);
+    function _moveReview(address to, Review storage r) internal {
+        Review[] storage list = reviewsReceived[to];
+        list.push(r);
+        list[list.length - 1].reviewee = to;
+        ReviewExtra storage x = _reviewExtras[r.offerId][r.reviewer];
+        x.indexPlusOne = list.length;
+        x.reviewee = to;
     }
 
-    // Boost
-    function buyBoost(
-        uint256 listingId,
-        uint256 dopAmount
-    ) external nonReentrant whenNotPaused {
-        Listing storage l = listings[listingId];
-        require(l.id != 0 && l.active, "listing");
+    // Follows profile migrations to the address now holding the profile
+    function _currentHolder(address user) internal view returns (address) {
+        while (profileMigratedTo[user] != address(0)) user = profileMigratedTo[user];
+        return user;
+    }
+
+    function verifyProfile(address user) external onlyOwner {
+        require(profiles[user].joinedAt != 0, "No profile");
+        profiles[user].isVerified = true;
+        emit ProfileVerificationUpdated(user, true);
+    }
+
+    function unverifyProfile(address user) external onlyOwner {
+        require(profiles[user].isVerified, "state");
+        profiles[user].isVerified = false;
+        emit ProfileVerificationUpdated(user, false);
+    }
+
+    // New: Verification requests, queued per verifier role
+    function requestVerification(
+        VerifierRole role,
+        string calldata evidenceCID
+    ) external whenNotPaused returns (uint256 requestId) {
+        require(profiles[msg.sender].joinedAt != 0, "No profile");
+        require(role != VerifierRole.NONE, "role");
+        require(openVerificationRequest[msg.sender][role] == 0, "pending");
+        requestId = ++nextVerificationRequestId;
+        verificationRequests[requestId] = VerificationRequest({
+            user: msg.sender,
+            role: role,
+            evidenceCID: evidenceCID,
+            createdAt: uint64(block.timestamp),
+            open: true,
+            queueIndex: _pendingVerifications[role].length
+        });
+        _pendingVerifications[role].push(requestId);
+        openVerificationRequest[msg.sender][role] = requestId;
+        emit VerificationRequested(requestId, msg.sender, role, evidenceCID);
+    }
+
+    function cancelVerificationRequest(uint256 requestId) external {
+        VerificationRequest storage r = verificationRequests[requestId];
+        require(r.user == msg.sender, "auth");
+        require(r.open, "state");
+        _closeVerificationRequest(requestId, false);
+    }
+
+    // Verifier declines a request of its role without attesting
+    function rejectVerificationRequest(uint256 requestId) external {
+        VerificationRequest storage r = verificationRequests[requestId];
+        require(r.open, "state");
+        require(verifierRoles[msg.sender] == r.role, "verifier");
+        _closeVerificationRequest(requestId, false);
+    }
+
+    // Swap-and-pop removal from the role queue
+    function _closeVerificationRequest(uint256 requestId, bool approved) internal {
+        VerificationRequest storage r = verificationRequests[requestId];
+        uint256[] storage queue = _pendingVerifications[r.role];
+        uint256 last = queue[queue.length - 1];
+        queue[r.queueIndex] = last;
+        verificationRequests[last].queueIndex = r.queueIndex;
+        queue.pop();
+        r.open = false;
+        delete openVerificationRequest[r.user][r.role];
+        emit VerificationRequestClosed(requestId, msg.sender, approved);
+    }
+
+    // Attestations are issued under the caller's current role and close any
+    // open request of that role for the subject
+    function issueAttestation(
+        address subject,
+        bytes32 attestationType,
+        uint64 expiresAt,
+        string calldata evidenceCID
+    ) external whenNotPaused returns (uint256 id) {
+        VerifierRole role = verifierRoles[msg.sender];
+        require(role != VerifierRole.NONE, "verifier");
+        require(subject != msg.sender, "self");
+        require(profiles[subject].joinedAt != 0, "No profile");
+        require(attestationType != bytes32(0), "type");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "expiry");
+        id = ++nextAttestationId;
+        attestations[id] = Attestation({
+            id: id,
+            subject: subject,
+            verifier: msg.sender,
+            role: role,
+            attestationType: attestationType,
+            issuedAt: uint64(block.timestamp),
+            expiresAt: expiresAt,
+            revoked: false,
+            evidenceCID: evidenceCID
+        });
+        _profileAttestations[subject].push(id);
+        emit AttestationIssued(
+            id,
+            subject,
+            msg.sender,
+            role,
+            attestationType,
+            expiresAt,
+            evidenceCID
+        );
+        uint256 requestId = openVerificationRequest[subject][role];
+        if (requestId != 0) _closeVerificationRequest(requestId, true);
+    }
+
+    // Issuing verifier or owner
+    function revokeAttestation(uint256 id, string calldata reasonCID) external {
+        Attestation storage a = attestations[id];
+        require(a.id != 0, "none");
+        require(msg.sender == a.verifier || msg.sender == owner(), "auth");
+        require(!a.revoked, "state");
+        a.revoked = true;
+        emit AttestationRevoked(id, msg.sender, reasonCID);
+    }
+
+    // Active = not revoked, not expired and the verifier still holds the role
+    function isAttestationActive(uint256 id) public view returns (bool) {
+        Attestation storage a = attestations[id];
+        return
+            a.id != 0 &&
+            !a.revoked &&
+            (a.expiresAt == 0 || a.expiresAt > block.timestamp) &&
+            verifierRoles[a.verifier] == a.role;
+    }
+
+    // Active attestations of a profile (also the last value returned by getProfile)
+    function getAttestations(
+        address user
+    ) external view returns (Attestation[] memory) {
+        return _activeAttestations(user);
+    }
+
+    function _activeAttestations(
+        address user
+    ) internal view returns (Attestation[] memory out) {
+        uint256[] storage ids = _profileAttestations[user];
+        uint256 n = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (isAttestationActive(ids[i])) n++;
+        }
+        out = new Attestation[](n);
+        uint256 k = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (isAttestationActive(ids[i])) out[k++] = attestations[ids[i]];
+        }
+    }
+
+    // All attestation ids ever issued to a user, including inactive ones
+    function getAttestationIds(
+        address user
+    ) external view returns (uint256[] memory) {
+        return _profileAttestations[user];
+    }
+
+    function getPendingVerificationRequests(
+        VerifierRole role
+    ) external view returns (VerificationRequest[] memory out) {
+        uint256[] storage queue = _pendingVerifications[role];
+        out = new VerificationRequest[](queue.length);
+        for (uint256 i = 0; i < queue.length; i++) {
+            out[i] = verificationRequests[queue[i]];
+        }
+    }
+
+    // Teams
+    function createTeam(
+        string calldata name,
+        string calldata metadataURI,
+        address[] calldata members,
+        uint256[] calldata sharesBps
+    ) external whenNotPaused returns (uint256 teamId) {
+        require(bytes(name).length > 0, "name");
+        teamId = ++nextTeamId;
+        Team storage t = _teams[teamId];
+        t.lead = msg.sender;
+        t.name = name;
+        t.metadataURI = metadataURI;
+        emit TeamCreated(teamId, msg.sender, name);
+        _setTeamMembers(teamId, members, sharesBps);
+    }
+
+    // Replaces the member list and split; running escrows keep their snapshot
+    function setTeamMembers(
+        uint256 teamId,
+        address[] calldata members,
+        uint256[] calldata sharesBps
+    ) external {
+        require(_teams[teamId].lead == msg.sender, "auth");
+        _setTeamMembers(teamId, members, sharesBps);
+    }
+
+    function _setTeamMembers(
+        uint256 teamId,
+        address[] calldata members,
+        uint256[] calldata sharesBps
+    ) internal {
+        require(
+            members.length > 0 &&
+                members.length <= MAX_TEAM_MEMBERS &&
+                members.length == sharesBps.length,
+            "members"
+        );
+        Team storage t = _teams[teamId];
+        // Everyone opts in again to the new list and split; removed members
+        // must not count as accepted if they are added back later
+        for (uint256 i = 0; i < t.members.length; i++) {
+            delete teamMemberAccepted[teamId][t.members[i].member];
+        }
+        delete t.members;
+        uint256 total;
+        for (uint256 i = 0; i < members.length; i++) {
+            require(members[i] != address(0) && sharesBps[i] > 0, "member");
+            for (uint256 j = 0; j < i; j++) {
+                require(members[j] != members[i], "dup");
+            }
+            total += sharesBps[i];
+            t.members.push(TeamShare(members[i], sharesBps[i]));
+        }
+        require(total == FEE_DENOMINATOR, "split");
+        if (_isTeamMember(t, msg.sender)) teamMemberAccepted[teamId][msg.sender] = true;
+        emit TeamMembersUpdated(teamId, members, sharesBps);
+    }
+
+    function transferTeamLead(uint256 teamId, address newLead) external {
+        require(_teams[teamId].lead == msg.sender, "auth");
+        require(newLead != address(0), "zero");
+        _teams[teamId].lead = newLead;
+        emit TeamLeadTransferred(teamId, newLead);
+    }
+
+    // Members opt in before the team can take work in their name
+    function joinTeam(uint256 teamId) external {
+        require(_isTeamMember(_teams[teamId], msg.sender), "member");
+        teamMemberAccepted[teamId][msg.sender] = true;
+        emit TeamMembershipChanged(teamId, msg.sender, true);
+    }
+
+    // Blocks new team escrows until the lead updates the members
+    function leaveTeam(uint256 teamId) external {
+        require(teamMemberAccepted[teamId][msg.sender], "member");
+        teamMemberAccepted[teamId][msg.sender] = false;
+        emit TeamMembershipChanged(teamId, msg.sender, false);
+    }
+
+    function _isTeamMember(
+        Team storage t,
+        address user
+    ) internal view returns (bool) {
+        for (uint256 i = 0; i < t.members.length; i++) {
+            if (t.members[i].member == user) return true;
+        }
+        return false;
+    }
+
+    // True when every listed member has opted in
+    function isTeamReady(uint256 teamId) public view returns (bool) {
+        TeamShare[] storage members = _teams[teamId].members;
+        if (members.length == 0) return false;
+        for (uint256 i = 0; i < members.length; i++) {
+            if (!teamMemberAccepted[teamId][members[i].member]) return false;
+        }
+        return true;
+    }
+
+    function getTeam(
+        uint256 teamId
+    )
+        external
+        view
+        returns (
+            address lead,
+            string memory name,
+            string memory metadataURI,
+            TeamShare[] memory members,
+            bool ready
+        )
+    {
+        Team storage t = _teams[teamId];
+        return (t.lead, t.name, t.metadataURI, t.members, isTeamReady(teamId));
+    }
+
+    // GIG listings: every escrow on the listing is taken by the team (0 clears)
+    function setListingTeam(uint256 listingId, uint256 teamId) external {
+        Listing storage l = listings[listingId];
+        require(l.creator == msg.sender, "auth");
+        require(l.listingType == ListingType.GIG, "type");
+        require(teamId == 0 || _teams[teamId].lead == msg.sender, "team");
+        listingTeam[listingId] = teamId;
+        emit ListingTeamSet(listingId, teamId);
+    }
+
+    // BRIEF offers: the proposer works as the team if accepted (0 clears)
+    function setOfferTeam(uint256 offerId, uint256 teamId) external {
+        Offer storage ofr = offers[offerId];
+        require(ofr.proposer == msg.sender, "auth");
+        require(!ofr.accepted && !ofr.cancelled, "state");
+        require(
+            listings[ofr.listingId].listingType == ListingType.BRIEF,
+            "type"
+        );
+        require(teamId == 0 || _teams[teamId].lead == msg.sender, "team");
+        offerTeam[offerId] = teamId;
+        emit OfferTeamSet(offerId, teamId);
+    }
+
+    function getEscrowSplit(
+        uint256 offerId
+    ) external view returns (TeamShare[] memory) {
+        return _escrowSplits[offerId];
+    }
+
+    // Snapshots the team split of the offer's listing or offer, if any
+    function _snapshotTeam(
+        Offer storage ofr,
+        Listing storage l,
+        address client,
+        address provider
+    ) internal {
+        uint256 teamId = l.listingType == ListingType.GIG
+            ? listingTeam[ofr.listingId]
+            : offerTeam[ofr.id];
+        if (teamId == 0) return;
+        Team storage t = _teams[teamId];
+        // A link only holds while its creator leads the team: after
+        // transferTeamLead the former lead's listings and offers run solo
+        if (t.lead != provider) return;
+        require(isTeamReady(teamId), "team");
+        escrowTeam[ofr.id] = teamId;
+        TeamShare[] storage split = _escrowSplits[ofr.id];
+        for (uint256 i = 0; i < t.members.length; i++) {
+            require(t.members[i].member != client, "member");
+            require(profileMigratedTo[t.members[i].member] == address(0), "migrated");
+            split.push(t.members[i]);
+        }
+    }
+
+    // Categories & Skills
+    function addCategory(
+        string calldata name,
+        bool hasParent,
+        uint256 parentId
+    ) external onlyOwner returns (uint256 id) {
+        id = _addCategory(name, hasParent, parentId);
+    }
+
+    // Default categories keep the legacy ids 0-3
+    function _addLegacyCategories() internal {
+        _addCategory("Projects", false, 0);
+        _addCategory("Development", false, 0);
+        _addCategory("Art", false, 0);
+        _addCategory("KOL", false, 0);
+    }
+
+    // Parents always have lower ids, so the tree cannot contain cycles
+    function _addCategory(
+        string memory name,
+        bool hasParent,
+        uint256 parentId
+    ) internal returns (uint256 id) {
+        require(bytes(name).length > 0, "name");
+        id = categoryCount++;
+        require(!hasParent || parentId < id, "parent");
+        categories[id] = Category(name, hasParent, hasParent ? parentId : 0, true);
+        emit CategoryAdded(id, name, hasParent, parentId);
+    }
+
+    function updateCategory(
+        uint256 id,
+        string calldata name,
+        bool active
+    ) external onlyOwner {
+        require(id < categoryCount, "cat");
+        require(bytes(name).length > 0, "name");
+        categories[id].name = name;
+        categories[id].active = active;
+        emit CategoryUpdated(id, name, active);
+    }
+
+    // Proxies upgraded before the registry existed keep the legacy range
+    function isCategoryOpen(uint256 id) public view returns (bool) {
+        if (categoryCount == 0) return id < LEGACY_CATEGORY_COUNT;
+        return id < categoryCount && categories[id].active;
+    }
+
+    // Walks up the parent chain when subcategories are included
+    function _inCategory(
+        uint256 id,
+        uint256 target,
+        bool includeSubcategories
+    ) internal view returns (bool) {
+        if (id == target) return true;
+        if (!includeSubcategories) return false;
+        while (id < categoryCount && categories[id].hasParent) {
+            id = categories[id].parentId;
+            if (id == target) return true;
+        }
+        return false;
+    }
+
+    function getCategories() external view returns (Category[] memory out) {
+        out = new Category[](categoryCount);
+        for (uint256 i = 0; i < categoryCount; i++) out[i] = categories[i];
+    }
+
+    function addSkill(
+        string calldata name,
+        uint256 categoryId
+    ) external onlyOwner returns (uint256 id) {
+        require(bytes(name).length > 0, "name");
+        require(categoryId < categoryCount, "cat");
+        bytes32 key = _skillKey(name);
+        require(_skillIdPlusOne[key] == 0, "dup");
+        id = skillCount++;
+        skillRegistry[id] = Skill(name, categoryId, true);
+        _skillIdPlusOne[key] = id + 1;
+        emit SkillAdded(id, name, categoryId);
+    }
+
+    function setSkillActive(uint256 id, bool active) external onlyOwner {
+        require(id < skillCount, "skill");
+        skillRegistry[id].active = active;
+        emit SkillUpdated(id, active);
+    }
+
+    // Case-insensitive lookup; reverts if the name is not registered
+    function skillIdByName(string calldata name) external view returns (uint256) {
+        uint256 idPlusOne = _skillIdPlusOne[_skillKey(name)];
+        require(idPlusOne != 0, "skill");
+        return idPlusOne - 1;
+    }
+
+    function _skillKey(string memory name) internal pure returns (bytes32) {
+        bytes memory b = bytes(name);
+        for (uint256 i = 0; i < b.length; i++) {
+            if (b[i] >= 0x41 && b[i] <= 0x5A) b[i] = bytes1(uint8(b[i]) + 32);
+        }
+        return keccak256(b);
+    }
+
+    function getSkills() external view returns (Skill[] memory out) {
+        out = new Skill[](skillCount);
+        for (uint256 i = 0; i < skillCount; i++) out[i] = skillRegistry[i];
+    }
+
+    // Replaces the caller's registered skills (free-text profile skills stay as-is)
+    function setProfileSkills(uint256[] calldata skillIds) external {
+        require(profiles[msg.sender].joinedAt != 0, "No profile");
+        EnumerableSet.UintSet storage current = _profileSkillIds[msg.sender];
+        while (current.length() > 0) {
+            uint256 old = current.at(current.length() - 1);
+            current.remove(old);
+            _skillProviders[old].remove(msg.sender);
+        }
+        require(skillIds.length <= MAX_SKILLS_PER_ENTRY, "skills");
+        for (uint256 i = 0; i < skillIds.length; i++) {
+            _requireSkillOpen(skillIds[i]);
+            require(current.add(skillIds[i]), "dup");
+            _skillProviders[skillIds[i]].add(msg.sender);
+        }
+        emit ProfileSkillsUpdated(msg.sender, skillIds);
+    }
+
+    function setListingSkills(
+        uint256 listingId,
+        uint256[] calldata skillIds
+    ) external {
+        require(listings[listingId].creator == msg.sender, "auth");
+        EnumerableSet.UintSet storage current = _listingSkillIds[listingId];
+        while (current.length() > 0) {
+            uint256 old = current.at(current.length() - 1);
+            current.remove(old);
+            _skillListings[old].remove(listingId);
+        }
+        require(skillIds.length <= MAX_SKILLS_PER_ENTRY, "skills");
+        for (uint256 i = 0; i < skillIds.length; i++) {
+            _requireSkillOpen(skillIds[i]);
+            require(current.add(skillIds[i]), "dup");
+            _skillListings[skillIds[i]].add(listingId);
+        }
+        emit ListingSkillsUpdated(listingId, skillIds);
+    }
+
+    function _requireSkillOpen(uint256 id) internal view {
+        require(id < skillCount && skillRegistry[id].active, "skill");
+    }
+
+    function getProfileSkillIds(
+        address user
+    ) external view returns (uint256[] memory) {
+        return _profileSkillIds[user].values();
+    }
+
+    function getListingSkillIds(
+        uint256 listingId
+    ) external view returns (uint256[] memory) {
+        return _listingSkillIds[listingId].values();
+    }
+
+    // Paged in insertion order (removals may reorder)
+    function getListingsBySkill(
+        uint256 skillId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (Listing[] memory page, uint256 total) {
+        EnumerableSet.UintSet storage set = _skillListings[skillId];
+        total = set.length();
+        uint256 n = offset >= total ? 0 : total - offset;
+        if (n > limit) n = limit;
+        page = new Listing[](n);
+        for (uint256 i = 0; i < n; i++) page[i] = listings[set.at(offset + i)];
+    }
+
+    function getProvidersBySkill(
+        uint256 skillId,
+        uint256 offset,
+        uint256 limit
+    )
+        external
+        view
+        returns (
+            address[] memory providers,
+            UserProfile[] memory profilesPage,
+            uint256 total
+        )
+    {
+        EnumerableSet.AddressSet storage set = _skillProviders[skillId];
+        total = set.length();
+        uint256 n = offset >= total ? 0 : total - offset;
+        if (n > limit) n = limit;
+        providers = new address[](n);
+        profilesPage = new UserProfile[](n);
+        for (uint256 i = 0; i < n; i++) {
+            providers[i] = set.at(offset + i);
+            profilesPage[i] = profiles[providers[i]];
+        }
+    }
+
+    // Mission History & Badge System
+    function getMissionHistory(
+        address user
+    ) external view returns (Mission[] memory) {
+        return userMissions[user];
+    }
+
+    function getUserBadges(
+        address user
+    ) external view returns (Badge[] memory) {
+        return userBadges[user];
+    }
+
+    function _hasBadge(address user, Badge badge) internal view returns (bool) {
+        Badge[] memory badges = userBadges[user];
+        for (uint i = 0; i < badges.length; i++) {
+            if (badges[i] == badge) return true;
+        }
+        return false;
+    }
+
+    function badgeThresholds() public view returns (BadgeThresholds memory t) {
+        t = _badgeThresholds;
+        // Unset on proxies upgraded from earlier versions
+        if (t.rookie == 0) t = BadgeThresholds(1, 6, 21, 51, 10, 9_500);
+    }
+
+    // Counters come from reputations, so the cost does not grow with history
+    function _updateBadges(address user) internal {
+        // Badges of a migrated profile live (or are moving) at the new address
+        if (profileMigratedTo[user] != address(0)) return;
+        BadgeThresholds memory t = badgeThresholds();
+        Reputation memory rep = reputations[user];
+        uint256 missionCount = uint256(rep.completedMissions) +
+            rep.disputedMissions;
+
+        // Award every mission count tier reached, lowest first
+        if (missionCount >= t.rookie) _awardBadge(user, Badge.ROOKIE);
+        if (missionCount >= t.experienced) _awardBadge(user, Badge.EXPERIENCED);
+        if (missionCount >= t.expert) _awardBadge(user, Badge.EXPERT);
+        if (missionCount >= t.master) _awardBadge(user, Badge.MASTER);
+
+        // Reliability badge follows the current undisputed rate both ways
+        bool reliable = missionCount > 0 &&
+            missionCount >= t.reliableMinMissions &&
+            (uint256(rep.completedMissions) * 10_000) / missionCount >=
+            t.reliableRateBps;
+        if (reliable) _awardBadge(user, Badge.RELIABLE);
+        else _revokeBadge(user, Badge.RELIABLE);
+    }
+
+    // Records a badge once and mirrors it as a soulbound NFT
+    function _awardBadge(address user, Badge badge) internal {
+        if (_hasBadge(user, badge)) return;
+        userBadges[user].push(badge);
+        emit BadgeEarned(user, badge);
+        if (badgeNFT != address(0))
+            IBadgeNFT(badgeNFT).mint(user, uint8(badge), block.timestamp);
+    }
+
+    // Removes a badge (keeping the order of the rest) and burns its NFT
+    function _revokeBadge(address user, Badge badge) internal {
+        Badge[] storage badges = userBadges[user];
+        for (uint256 i = 0; i < badges.length; i++) {
+            if (badges[i] != badge) continue;
+            for (uint256 j = i + 1; j < badges.length; j++) {
+                badges[j - 1] = badges[j];
+            }
+            badges.pop();
+            emit BadgeRevoked(user, badge);
+            if (badgeNFT != address(0)) IBadgeNFT(badgeNFT).burn(user, uint8(badge));
+            return;
+        }
+    }
+
+    // Re-evaluates badges against the current thresholds and counters
+    function refreshBadges(address[] calldata users) external whenNotPaused {
+        for (uint256 i = 0; i < users.length; i++) _updateBadges(users[i]);
+    }
+
+    // New: Mint NFTs for badges earned before the NFT existed, and award tiers
+    // the old single-tier logic skipped. Only mints what users already earned.
+    // Badges do not record when they were earned, so backfilled tokens carry no
+    // award time; tiers awarded by this call are stamped now.
+    function backfillBadges(address[] calldata users) external whenNotPaused {
+        require(badgeNFT != address(0), "nft");
+        for (uint256 i = 0; i < users.length; i++) {
+            _updateBadges(users[i]);
+            Badge[] storage badges = userBadges[users[i]];
+            for (uint256 j = 0; j < badges.length; j++) {
+                IBadgeNFT(badgeNFT).mint(users[i], uint8(badges[j]), 0);
+            }
+        }
+    }
+
+    // Enhanced fee processing with buyback mechanism
+    function _processUsdFee(uint256 feeAmount, address token) internal {
+        if (feeAmount == 0) return;
+        (uint256 burnAmount, uint256 treasuryAmount) = _feeSplit(
+            token,
+            feeAmount
+        );
+
+        // Send treasury portion
+        _pay(token, treasury, treasuryAmount);
+
+        // Buyback portion waits for executeBuyback
+        if (burnAmount > 0) {
+            _accrueBuyback(token, burnAmount);
+        }
+    }
+
+    function _processEthFee(uint256 feeAmount) internal {
+        if (feeAmount == 0) return;
+        (uint256 burnAmt, uint256 treasAmt) = _feeSplit(address(0), feeAmount);
+        _pay(address(0), treasury, treasAmt);
+        if (burnAmt > 0) {
+            _accrueBuyback(address(0), burnAmt);
+        }
+    }
+
+    function _processFee(address token, uint256 feeAmount) internal {
+        if (feeAmount == 0) return;
+        if (token == address(0)) _processEthFee(feeAmount);
+        else if (token == address(dopToken)) _processDopFee(feeAmount);
+        else _processUsdFee(feeAmount, token);
+    }
+
+    // Push first; a rejecting receiver or blacklisting token credits `claimable` instead
+    function _pay(address token, address to, uint256 amount) internal {
+        if (amount == 0) return;
+        if (!_tryPush(token, to, amount)) {
+            claimable[to][token] += amount;
+            emit PaymentCredited(to, token, amount);
+        }
+    }
+
+    function _tryPush(
+        address token,
+        address to,
+        uint256 amount
+    ) internal returns (bool) {
+        if (token == address(0)) {
+            // Capped so a receiver burning gas cannot block the escrow
+            uint256 gasLimit = pushGasLimit == 0 ? DEFAULT_PUSH_GAS : pushGasLimit;
+            (bool ok, ) = payable(to).call{value: amount, gas: gasLimit}("");
+            return ok;
+        }
+        (bool success, bytes memory data) = token.call(
+            abi.encodeCall(IERC20.transfer, (to, amount))
+        );
+        if (!success) return false;
+        if (data.length == 0) return token.code.length > 0;
+        return data.length >= 32 && abi.decode(data, (bool));
+    }
+
+    // New: Withdraw credited balance (to another address if the account cannot receive)
+    function withdraw(address token) external {
+        withdrawTo(token, msg.sender);
+    }
+
+    function withdrawTo(address token, address to) public nonReentrant {
+        require(to != address(0), "zero");
+        uint256 amount = claimable[msg.sender][token];
+        require(amount > 0, "none");
+        claimable[msg.sender][token] = 0;
+        if (token == address(0)) {
+            (bool ok, ) = payable(to).call{value: amount}("");
+            require(ok, "pay");
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+        emit Withdrawn(msg.sender, token, to, amount);
+    }
+
+    // Pays out escrowed funds of `e` and processes the fee portion
+    function _releaseFunds(
+        Escrow storage e,
+        uint256 providerAmount,
+        uint256 clientAmount,
+        uint256 feeAmount
+    ) internal {
+        _payProvider(e, providerAmount);
+        _pay(e.paymentToken, e.client, clientAmount);
+        _processFee(e.paymentToken, feeAmount);
+    }
+
+    // Team escrows fan the provider payout out by the snapshotted split;
+    // the last member receives the rounding remainder
+    function _payProvider(Escrow storage e, uint256 amount) internal {
+        TeamShare[] storage split = _escrowSplits[e.offerId];
+        if (split.length == 0) {
+            _pay(e.paymentToken, e.provider, amount);
+            return;
+        }
+        uint256 paid;
+        for (uint256 i = 0; i + 1 < split.length; i++) {
+            uint256 share = (amount * split[i].bps) / FEE_DENOMINATOR;
+            paid += share;
+            _pay(e.paymentToken, split[i].member, share);
+        }
+        _pay(e.paymentToken, split[split.length - 1].member, amount - paid);
+    }
+
+    // Listings
+    function createListing(
+        ListingType listingType,
+        uint256 category,
+        string calldata metadataURI
+    ) external whenNotPaused returns (uint256 id) {
+        id = _createListing(listingType, category, metadataURI);
+    }
+
+    // New: Listing with a fixed price, expiry and order cap (see buyNow)
+    function createListingWithTerms(
+        ListingType listingType,
+        uint256 category,
+        string calldata metadataURI,
+        uint256 price,
+        address paymentToken,
+        uint256 expiresAt,
+        uint256 maxConcurrentOrders
+    ) external whenNotPaused returns (uint256 id) {
+        id = _createListing(listingType, category, metadataURI);
+        _setListingTerms(
+            listings[id],
+            price,
+            paymentToken,
+            expiresAt,
+            maxConcurrentOrders
+        );
+    }
+
+    function _createListing(
+        ListingType listingType,
+        uint256 category,
+        string calldata metadataURI
+    ) internal returns (uint256 id) {
+        require(isCategoryOpen(category), "cat");
+        id = ++_listingIdCounter;
+        Listing storage l = listings[id];
+        l.id = id;
+        l.listingType = listingType;
+        l.creator = msg.sender;
+        l.metadataURI = metadataURI;
+        l.createdAt = block.timestamp;
+        l.active = true;
+        l.category = category;
+        // index creator -> listings
+        _listingsByCreator[msg.sender].push(id);
+        emit ListingCreated(id, listingType, msg.sender, category, metadataURI);
+    }
+
+    function setListingTerms(
+        uint256 listingId,
+        uint256 price,
+        address paymentToken,
+        uint256 expiresAt,
+        uint256 maxConcurrentOrders
+    ) external whenNotPaused {
+        Listing storage l = listings[listingId];
+        require(l.id != 0 && l.creator == msg.sender, "auth");
+        _setListingTerms(l, price, paymentToken, expiresAt, maxConcurrentOrders);
+    }
+
+    function _setListingTerms(
+        Listing storage l,
+        uint256 price,
+        address paymentToken,
+        uint256 expiresAt,
+        uint256 maxConcurrentOrders
+    ) internal {
+        if (price > 0) {
+            PaymentTokenConfig storage cfg = paymentTokens[paymentToken];
+            require(cfg.allowed, "token");
+            require(price >= cfg.minAmount, "min");
+        }
+        require(expiresAt == 0 || expiresAt > block.timestamp, "expiry");
+        l.price = price;
+        l.paymentToken = paymentToken;
+        l.expiresAt = expiresAt;
+        l.maxConcurrentOrders = maxConcurrentOrders;
+        emit ListingTermsUpdated(
+            l.id,
+            price,
+            paymentToken,
+            expiresAt,
+            maxConcurrentOrders
+        );
+    }
+
+    function _listingOpen(Listing storage l) internal view returns (bool) {
+        return
+            l.id != 0 &&
+            l.active &&
+            (l.expiresAt == 0 || block.timestamp < l.expiresAt);
+    }
+
+    function setListingActive(uint256 listingId, bool active) external {
+        Listing storage l = listings[listingId];
+        require(l.creator == msg.sender || msg.sender == owner(), "auth");
+        l.active = active;
+        emit ListingStatus(listingId, active);
+    }
+
+    // Boost
+    function buyBoost(
+        uint256 listingId,
+        uint256 dopAmount
+    ) external nonReentrant whenNotPaused {
+        Listing storage l = listings[listingId];
+        require(l.id != 0 && l.active, "listing");
         require(l.creator == msg.sender, "owner");
         require(dopAmount >= boostPriceDOP, "price");
         dopToken.transferFrom(msg.sender, address(this), dopAmount);
-        (uint256 burnAmt, uint256 treasAmt) = _computeSplit(dopAmount);
-        dopToken.burn(burnAmt);
+        (uint256 burnAmt, uint256 treasAmt) = _feeSplit(
+            address(dopToken),
+            dopAmount
+        );
+        if (burnAmt > 0) dopToken.burn(burnAmt);
         dopToken.transfer(treasury, treasAmt);
         uint256 base = l.boostExpiry > block.timestamp
             ? l.boostExpiry
@@ -715,8 +2261,11 @@ contract MarketplaceUpgradeable is
         require(profiles[msg.sender].joinedAt != 0, "No profile");
         require(dopAmount >= profileBoostPriceDOP, "price");
         dopToken.transferFrom(msg.sender, address(this), dopAmount);
-        (uint256 burnAmt, uint256 treasAmt) = _computeSplit(dopAmount);
-        dopToken.burn(burnAmt);
+        (uint256 burnAmt, uint256 treasAmt) = _feeSplit(
+            address(dopToken),
+            dopAmount
+        );
+        if (burnAmt > 0) dopToken.burn(burnAmt);
         dopToken.transfer(treasury, treasAmt);
         uint256 base = profileBoostExpiry[msg.sender] > block.timestamp
             ? profileBoostExpiry[msg.sender]
@@ -736,59 +2285,401 @@ contract MarketplaceUpgradeable is
         uint256 amount,
         address paymentToken
     ) external whenNotPaused returns (uint256 id) {
+        id = _createOffer(listingId, amount, paymentToken, 0, 0);
+    }
+
+    // New: Offer with a delivery deadline and a client review window
+    function makeOfferWithDeadline(
+        uint256 listingId,
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow
+    ) external whenNotPaused returns (uint256 id) {
+        id = _createOffer(
+            listingId,
+            amount,
+            paymentToken,
+            deliveryPeriod,
+            reviewWindow
+        );
+    }
+
+    // New: GIG offer whose funds are locked up front; acceptance needs no client action
+    function makeFundedOffer(
+        uint256 listingId,
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow
+    ) external payable nonReentrant whenNotPaused returns (uint256 id) {
+        id = _createOffer(
+            listingId,
+            amount,
+            paymentToken,
+            deliveryPeriod,
+            reviewWindow
+        );
+        _fundOffer(offers[id]);
+    }
+
+    // New: Lock the deposit of an existing GIG offer (e.g. after a counter refunded it)
+    function fundOffer(
+        uint256 offerId
+    ) external payable nonReentrant whenNotPaused {
+        Offer storage ofr = offers[offerId];
+        require(ofr.id != 0 && !ofr.cancelled && !ofr.accepted, "offer");
+        require(msg.sender == ofr.proposer, "auth");
+        _fundOffer(ofr);
+    }
+
+    function _fundOffer(Offer storage ofr) internal {
+        require(
+            listings[ofr.listingId].listingType == ListingType.GIG,
+            "type"
+        );
+        require(offerDeposits[ofr.id] == 0, "funded");
+        if (ofr.paymentToken == address(0))
+            require(msg.value == ofr.amount, "value");
+        else {
+            require(msg.value == 0, "value");
+            IERC20(ofr.paymentToken).safeTransferFrom(
+                msg.sender,
+                address(this),
+                ofr.amount
+            );
+        }
+        offerDeposits[ofr.id] = ofr.amount;
+        emit OfferFunded(ofr.id, ofr.amount);
+    }
+
+    function _refundOfferDeposit(Offer storage ofr) internal {
+        uint256 deposit = offerDeposits[ofr.id];
+        if (deposit == 0) return;
+        offerDeposits[ofr.id] = 0;
+        _pay(ofr.paymentToken, ofr.proposer, deposit);
+        emit OfferDepositRefunded(ofr.id, deposit);
+    }
+
+    // New: Offer paid out in stages; the offer amount is the sum of milestones
+    function makeMilestoneOffer(
+        uint256 listingId,
+        address paymentToken,
+        uint256[] calldata milestoneAmounts,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow
+    ) external whenNotPaused returns (uint256 id) {
+        uint256 n = milestoneAmounts.length;
+        require(n > 0 && n <= MAX_MILESTONES, "milestones");
+        uint256 total;
+        for (uint256 i = 0; i < n; i++) {
+            require(milestoneAmounts[i] > 0, "amt");
+            total += milestoneAmounts[i];
+        }
+        id = _createOffer(
+            listingId,
+            total,
+            paymentToken,
+            deliveryPeriod,
+            reviewWindow
+        );
+        _offerMilestones[id] = milestoneAmounts;
+        emit MilestonesProposed(id, milestoneAmounts);
+    }
+
+    function _createOffer(
+        uint256 listingId,
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow
+    ) internal returns (uint256 id) {
+        id = _createOfferFor(
+            msg.sender,
+            listingId,
+            amount,
+            paymentToken,
+            deliveryPeriod,
+            reviewWindow
+        );
+    }
+
+    function _createOfferFor(
+        address proposer,
+        uint256 listingId,
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow
+    ) internal returns (uint256 id) {
         Listing storage l = listings[listingId];
-        require(l.id != 0 && l.active, "listing");
-        require(amount > 0, "amt");
+        require(_listingOpen(l), "listing");
+        _checkOfferTerms(amount, paymentToken, deliveryPeriod, reviewWindow);
         id = ++_offerIdCounter;
         offers[id] = Offer(
             id,
             listingId,
-            msg.sender,
+            proposer,
             amount,
             paymentToken,
             block.timestamp,
             false,
-            false
+            false,
+            deliveryPeriod,
+            reviewWindow
         );
-        emit OfferMade(id, listingId, msg.sender, amount, paymentToken);
+        emit OfferMade(id, listingId, proposer, amount, paymentToken);
         // index listing -> offers
         _offersByListing[listingId].push(id);
     }
 
+    function _checkOfferTerms(
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow
+    ) internal view {
+        require(amount > 0, "amt");
+        PaymentTokenConfig storage cfg = paymentTokens[paymentToken];
+        require(cfg.allowed, "token");
+        require(amount >= cfg.minAmount, "min");
+        require(
+            deliveryPeriod <= MAX_PERIOD &&
+                reviewWindow <= MAX_PERIOD &&
+                (reviewWindow == 0 || reviewWindow >= MIN_REVIEW_WINDOW),
+            "period"
+        );
+    }
+
     function acceptOffer(
         uint256 offerId
     ) external payable nonReentrant whenNotPaused {
         Offer storage ofr = offers[offerId];
         Listing storage l = listings[ofr.listingId];
         require(ofr.id != 0 && !ofr.cancelled && !ofr.accepted, "offer");
-        require(l.id != 0 && l.active, "listing");
+        require(_listingOpen(l), "listing");
+        require(
+            msg.sender == l.creator,
+            l.listingType == ListingType.BRIEF ? "client" : "prov"
+        );
+        // A pending counter from the creator must be answered by the proposer
+        require(_termsAuthor(ofr) == ofr.proposer, "countered");
+        _acceptTerms(ofr, l);
+    }
+
+    function _acceptTerms(Offer storage ofr, Listing storage l) internal {
         address client;
         address provider;
         if (l.listingType == ListingType.BRIEF) {
-            require(msg.sender == l.creator, "client");
             // Prevent client accepting their own offer to self-escrow
             require(ofr.proposer != l.creator, "self");
             client = l.creator;
             provider = ofr.proposer;
         } else {
-            require(msg.sender == l.creator, "prov");
             provider = l.creator;
             require(ofr.proposer != provider, "self");
             client = ofr.proposer;
         }
         ofr.accepted = true;
-        emit OfferAccepted(offerId, client, provider);
+        emit OfferAccepted(ofr.id, client, provider);
         _startEscrow(ofr, client, provider);
     }
 
+    // Whoever proposed the standing terms of an offer
+    function _termsAuthor(Offer storage ofr) internal view returns (address) {
+        NegotiationEntry[] storage chain = _negotiations[ofr.id];
+        return chain.length == 0 ? ofr.proposer : chain[chain.length - 1].author;
+    }
+
+    // New: Counter the standing terms; listing creator and proposer take turns
+    function counterOffer(
+        uint256 offerId,
+        uint256 amount,
+        address paymentToken,
+        uint256 deliveryPeriod,
+        uint256 reviewWindow,
+        string calldata cid
+    ) external nonReentrant whenNotPaused {
+        Offer storage ofr = offers[offerId];
+        Listing storage l = listings[ofr.listingId];
+        require(ofr.id != 0 && !ofr.cancelled && !ofr.accepted, "offer");
+        require(_listingOpen(l), "listing");
+        require(msg.sender == l.creator || msg.sender == ofr.proposer, "auth");
+        require(msg.sender != _termsAuthor(ofr), "turn");
+        // Milestone amounts are fixed by the plan
+        require(_offerMilestones[offerId].length == 0, "milestones");
+        _checkOfferTerms(amount, paymentToken, deliveryPeriod, reviewWindow);
+        // Deposit was locked for the old terms; the client re-funds with fundOffer
+        _refundOfferDeposit(ofr);
+        ofr.amount = amount;
+        ofr.paymentToken = paymentToken;
+        ofr.deliveryPeriod = deliveryPeriod;
+        ofr.reviewWindow = reviewWindow;
+        _negotiations[offerId].push(
+            NegotiationEntry({
+                author: msg.sender,
+                amount: amount,
+                paymentToken: paymentToken,
+                deliveryPeriod: deliveryPeriod,
+                reviewWindow: reviewWindow,
+                cid: cid,
+                createdAt: block.timestamp
+            })
+        );
+        emit OfferCountered(
+            offerId,
+            msg.sender,
+            amount,
+            paymentToken,
+            deliveryPeriod,
+            reviewWindow,
+            cid
+        );
+    }
+
+    // New: Proposer accepts the creator's counter and escrow starts on those terms.
+    // Native-ETH escrows must be funded by the client, so a provider answers with a
+    // matching counter instead and the client accepts it with acceptOffer.
+    function acceptCounter(
+        uint256 offerId
+    ) external payable nonReentrant whenNotPaused {
+        Offer storage ofr = offers[offerId];
+        Listing storage l = listings[ofr.listingId];
+        require(ofr.id != 0 && !ofr.cancelled && !ofr.accepted, "offer");
+        require(_listingOpen(l), "listing");
+        require(msg.sender == ofr.proposer, "auth");
+        require(_termsAuthor(ofr) == l.creator, "turn");
+        require(
+            ofr.paymentToken != address(0) || l.listingType == ListingType.GIG,
+            "value"
+        );
+        _acceptTerms(ofr, l);
+    }
+
+    // New: Listing creator submits an offer signed off-chain by its proposer;
+    // the Offer is created and escrow starts in the same call
+    function acceptSignedOffer(
+        SignedOffer calldata so,
+        address signer,
+        bytes calldata signature
+    ) external payable nonReentrant whenNotPaused returns (uint256 offerId) {
+        require(block.timestamp <= so.expiry, "expired");
+        require(!signedOfferNonceUsed[signer][so.nonce], "nonce");
+        require(_isValidSignature(signer, hashSignedOffer(so), signature), "sig");
+        signedOfferNonceUsed[signer][so.nonce] = true;
+        Listing storage l = listings[so.listingId];
+        require(
+            msg.sender == l.creator,
+            l.listingType == ListingType.BRIEF ? "client" : "prov"
+        );
+        // The provider cannot fund a GIG client's ETH
+        require(
+            so.paymentToken != address(0) ||
+                l.listingType == ListingType.BRIEF,
+            "value"
+        );
+        offerId = _createOfferFor(
+            signer,
+            so.listingId,
+            so.amount,
+            so.paymentToken,
+            0,
+            0
+        );
+        _acceptTerms(offers[offerId], l);
+    }
+
+    // EOA signatures via ecrecover, smart accounts (native AA on Abstract) via ERC-1271
+    function _isValidSignature(
+        address signer,
+        bytes32 digest,
+        bytes calldata signature
+    ) internal view returns (bool) {
+        if (signer.code.length == 0) {
+            (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(
+                digest,
+                signature
+            );
+            return err == ECDSA.RecoverError.NoError && recovered == signer;
+        }
+        (bool ok, bytes memory data) = signer.staticcall(
+            abi.encodeCall(IERC1271.isValidSignature, (digest, signature))
+        );
+        return
+            ok &&
+            data.length >= 32 &&
+            abi.decode(data, (bytes32)) ==
+            bytes32(IERC1271.isValidSignature.selector);
+    }
+
+    // New: Invalidate signed offers before anyone submits them
+    function cancelSignedOfferNonces(uint256[] calldata nonces) external {
+        for (uint256 i = 0; i < nonces.length; i++) {
+            signedOfferNonceUsed[msg.sender][nonces[i]] = true;
+            emit SignedOfferNonceCancelled(msg.sender, nonces[i]);
+        }
+    }
+
+    // EIP-712 digest a proposer signs for `so`
+    function hashSignedOffer(
+        SignedOffer calldata so
+    ) public view returns (bytes32) {
+        return
+            _hashTypedDataV4(
+                keccak256(
+                    abi.encode(
+                        SIGNED_OFFER_TYPEHASH,
+                        so.listingId,
+                        so.amount,
+                        so.paymentToken,
+                        so.expiry,
+                        so.nonce
+                    )
+                )
+            );
+    }
+
+    // New: Buy a fixed-price GIG in one transaction; the escrow is funded immediately.
+    // expectedPrice and expectedToken guard against the provider changing the terms in the meantime.
+    function buyNow(
+        uint256 listingId,
+        uint256 expectedPrice,
+        address expectedToken
+    ) external payable nonReentrant whenNotPaused returns (uint256 offerId) {
+        Listing storage l = listings[listingId];
+        require(l.listingType == ListingType.GIG, "type");
+        require(l.price > 0 && l.price == expectedPrice, "price");
+        require(l.paymentToken == expectedToken, "token");
+        require(msg.sender != l.creator, "self");
+        offerId = _createOffer(listingId, l.price, l.paymentToken, 0, 0);
+        Offer storage ofr = offers[offerId];
+        ofr.accepted = true;
+        emit OfferAccepted(offerId, msg.sender, l.creator);
+        _startEscrow(ofr, msg.sender, l.creator);
+    }
+
     // New: Cancel an offer before it is accepted
-    function cancelOffer(uint256 offerId) external whenNotPaused {
+    function cancelOffer(
+        uint256 offerId
+    ) external nonReentrant whenNotPaused {
         Offer storage ofr = offers[offerId];
         require(ofr.id != 0, "offer");
         require(msg.sender == ofr.proposer, "auth");
         require(!ofr.cancelled && !ofr.accepted, "state");
         ofr.cancelled = true;
         emit OfferCancelled(offerId, ofr.listingId, ofr.proposer);
+        _refundOfferDeposit(ofr);
+    }
+
+    // New: Listing creator declines an offer; any locked deposit goes back
+    function rejectOffer(uint256 offerId) external nonReentrant whenNotPaused {
+        Offer storage ofr = offers[offerId];
+        require(ofr.id != 0, "offer");
+        require(msg.sender == listings[ofr.listingId].creator, "auth");
+        require(!ofr.cancelled && !ofr.accepted, "state");
+        ofr.cancelled = true;
+        emit OfferRejected(offerId, ofr.listingId);
+        _refundOfferDeposit(ofr);
     }
 
     function _startEscrow(
@@ -797,30 +2688,73 @@ contract MarketplaceUpgradeable is
         address provider
     ) internal {
         require(escrows[ofr.id].status == EscrowStatus.NONE, "escrow");
-        bool isDop = ofr.paymentToken == address(dopToken);
-        uint256 feeBps = isDop ? feeDop : feeUsdLike;
-        uint256 feeAmount = (ofr.amount * feeBps) / FEE_DENOMINATOR;
+        require(paymentTokens[ofr.paymentToken].allowed, "token");
+        require(
+            profileMigratedTo[client] == address(0) &&
+                profileMigratedTo[provider] == address(0),
+            "migrated"
+        );
+        Listing storage l = listings[ofr.listingId];
+        require(
+            l.maxConcurrentOrders == 0 ||
+                l.activeOrders < l.maxConcurrentOrders,
+            "full"
+        );
+        l.activeOrders += 1;
+        _snapshotTeam(ofr, l, client, provider);
+        _countOpenEscrow(ofr.id, client, provider);
+        uint256 feeBps = feeBpsFor(ofr.paymentToken);
+        uint256 feeAmount;
+        uint256[] storage plan = _offerMilestones[ofr.id];
+        if (plan.length == 0) {
+            feeAmount = (ofr.amount * feeBps) / FEE_DENOMINATOR;
+        } else {
+            // Fee is taken pro rata per milestone
+            Milestone[] storage ms = _escrowMilestones[ofr.id];
+            for (uint256 i = 0; i < plan.length; i++) {
+                uint256 mFee = (plan[i] * feeBps) / FEE_DENOMINATOR;
+                ms.push(
+                    Milestone({
+                        amount: plan[i],
+                        feeAmount: mFee,
+                        status: EscrowStatus.IN_PROGRESS,
+                        clientValidated: false,
+                        providerValidated: false,
+                        disputeOutcome: DisputeOutcome.NONE,
+                        providerValidatedAt: 0
+                    })
+                );
+                feeAmount += mFee;
+            }
+        }
         require(feeAmount < ofr.amount, "fee");
-        if (ofr.paymentToken == address(0))
+        if (offerDeposits[ofr.id] > 0) {
+            // Pre-funded offer: the locked deposit becomes the escrow
+            require(msg.value == 0, "value");
+            offerDeposits[ofr.id] = 0;
+        } else if (ofr.paymentToken == address(0))
             require(msg.value == ofr.amount, "value");
-        else
+        else {
+            require(msg.value == 0, "value");
             IERC20(ofr.paymentToken).safeTransferFrom(
                 client,
                 address(this),
                 ofr.amount
             );
-        escrows[ofr.id] = Escrow(
-            ofr.id,
-            client,
-            provider,
-            ofr.paymentToken,
-            ofr.amount,
-            feeAmount,
-            EscrowStatus.IN_PROGRESS,
-            false,
-            false,
-            DisputeOutcome.NONE
-        );
+        }
+        Escrow storage e = escrows[ofr.id];
+        e.offerId = ofr.id;
+        e.client = client;
+        e.provider = provider;
+        e.paymentToken = ofr.paymentToken;
+        e.amount = ofr.amount;
+        e.feeAmount = feeAmount;
+        e.status = EscrowStatus.IN_PROGRESS;
+        e.milestoneCount = plan.length;
+        EscrowTimeline storage t = escrowTimelines[ofr.id];
+        if (ofr.deliveryPeriod > 0)
+            t.deliveryDeadline = block.timestamp + ofr.deliveryPeriod;
+        t.reviewWindow = ofr.reviewWindow;
         emit EscrowStarted(
             ofr.id,
             client,
@@ -837,8 +2771,12 @@ contract MarketplaceUpgradeable is
     ) external nonReentrant onlyParticipant(offerId) {
         Escrow storage e = escrows[offerId];
         require(e.status == EscrowStatus.IN_PROGRESS, "status");
+        require(e.milestoneCount == 0, "milestones");
         if (msg.sender == e.client) e.clientValidated = true;
-        else e.providerValidated = true;
+        else if (!e.providerValidated) {
+            e.providerValidated = true;
+            escrowTimelines[offerId].providerValidatedAt = block.timestamp;
+        }
         emit MissionValidated(
             offerId,
             msg.sender,
@@ -850,42 +2788,279 @@ contract MarketplaceUpgradeable is
 
     function _completeEscrow(Escrow storage e) internal {
         e.status = EscrowStatus.COMPLETED;
+        _releaseOrderSlot(e);
         uint256 providerPayout = e.amount - e.feeAmount;
         uint256 feeAmount = e.feeAmount;
-        if (e.paymentToken == address(0)) {
-            (bool ok, ) = e.provider.call{value: providerPayout}("");
-            require(ok, "prov");
-            if (feeAmount > 0) {
-                (uint256 burnAmt, uint256 treasAmt) = _computeSplit(feeAmount);
-                if (treasAmt > 0) {
-                    (bool okT, ) = treasury.call{value: treasAmt}("");
-                    require(okT, "treasury");
-                }
-                if (burnAmt > 0) {
-                    _buyDopAndBurnFromETH(burnAmt);
-                }
+        _releaseFunds(e, providerPayout, 0, feeAmount);
+        _recordMission(e, false);
+        emit EscrowCompleted(e.offerId, providerPayout, feeAmount);
+    }
+
+    // New: Milestone validation; each milestone is released once both sides validate it
+    function validateMilestone(
+        uint256 offerId,
+        uint256 index
+    ) external nonReentrant onlyParticipant(offerId) {
+        Escrow storage e = escrows[offerId];
+        require(e.status == EscrowStatus.IN_PROGRESS, "status");
+        require(index < e.milestoneCount, "milestone");
+        Milestone storage m = _escrowMilestones[offerId][index];
+        require(m.status == EscrowStatus.IN_PROGRESS, "m-status");
+        if (msg.sender == e.client) m.clientValidated = true;
+        else if (!m.providerValidated) {
+            m.providerValidated = true;
+            m.providerValidatedAt = block.timestamp;
+        }
+        emit MilestoneValidated(
+            offerId,
+            index,
+            msg.sender,
+            m.clientValidated,
+            m.providerValidated
+        );
+        if (m.clientValidated && m.providerValidated)
+            _releaseMilestone(e, index);
+    }
+
+    function _releaseMilestone(Escrow storage e, uint256 index) internal {
+        Milestone storage m = _escrowMilestones[e.offerId][index];
+        m.status = EscrowStatus.COMPLETED;
+        uint256 providerPayout = m.amount - m.feeAmount;
+        e.releasedAmount += m.amount;
+        _releaseFunds(e, providerPayout, 0, m.feeAmount);
+        emit MilestoneReleased(e.offerId, index, providerPayout, m.feeAmount);
+        _closeMilestone(e);
+    }
+
+    // Frees the listing's concurrent-order slot once an escrow reaches a final state
+    function _releaseOrderSlot(Escrow storage e) internal {
+        Listing storage l = listings[offers[e.offerId].listingId];
+        if (l.activeOrders > 0) l.activeOrders -= 1;
+        if (_escrowCounted[e.offerId]) {
+            delete _escrowCounted[e.offerId];
+            openEscrowCount[e.client] -= 1;
+            openEscrowCount[e.provider] -= 1;
+            TeamShare[] storage split = _escrowSplits[e.offerId];
+            for (uint256 i = 0; i < split.length; i++) {
+                if (split[i].member != e.provider)
+                    openEscrowCount[split[i].member] -= 1;
+            }
+        }
+    }
+
+    // Every party of an open escrow counts it once, so migrations can wait for it
+    function _countOpenEscrow(
+        uint256 offerId,
+        address client,
+        address provider
+    ) internal {
+        _escrowCounted[offerId] = true;
+        openEscrowCount[client] += 1;
+        openEscrowCount[provider] += 1;
+        TeamShare[] storage split = _escrowSplits[offerId];
+        for (uint256 i = 0; i < split.length; i++) {
+            if (split[i].member != provider) openEscrowCount[split[i].member] += 1;
+        }
+    }
+
+    // Closes the escrow (and records the mission) once the last milestone is settled
+    function _closeMilestone(Escrow storage e) internal {
+        e.milestonesClosed += 1;
+        if (e.milestonesClosed < e.milestoneCount) return;
+        _releaseOrderSlot(e);
+        Milestone[] storage ms = _escrowMilestones[e.offerId];
+        bool disputed = false;
+        bool paid = false;
+        uint256 providerPayout;
+        uint256 feeAmount;
+        for (uint256 i = 0; i < ms.length; i++) {
+            if (ms[i].status == EscrowStatus.RESOLVED) disputed = true;
+            else if (ms[i].status == EscrowStatus.COMPLETED) {
+                paid = true;
+                providerPayout += ms[i].amount - ms[i].feeAmount;
+                feeAmount += ms[i].feeAmount;
             }
+        }
+        if (disputed) {
+            e.status = EscrowStatus.RESOLVED;
+            _recordMission(e, true);
+        } else if (paid) {
+            e.status = EscrowStatus.COMPLETED;
+            _recordMission(e, false);
+            emit EscrowCompleted(e.offerId, providerPayout, feeAmount);
         } else {
-            IERC20 token = IERC20(e.paymentToken);
-            token.safeTransfer(e.provider, providerPayout);
-            if (e.paymentToken == address(dopToken)) _processDopFee(feeAmount);
-            else if (feeAmount > 0) _processUsdFee(feeAmount, e.paymentToken);
+            // Every milestone was refunded: nothing was delivered
+            e.status = EscrowStatus.CANCELLED;
         }
+    }
 
-        // Record mission and update badges
-        userMissions[e.client].push(
-            Mission({
-                escrowId: e.offerId,
-                client: e.client,
-                provider: e.provider,
-                amount: e.amount,
-                token: e.paymentToken,
-                completedAt: block.timestamp,
-                wasDisputed: false
-            })
+    // New: Release funds once the client's review window has lapsed; callable by anyone
+    function releaseAfterReview(uint256 offerId) external nonReentrant {
+        Escrow storage e = escrows[offerId];
+        EscrowTimeline storage t = escrowTimelines[offerId];
+        require(e.status == EscrowStatus.IN_PROGRESS, "status");
+        require(t.reviewWindow > 0, "no-window");
+        if (e.milestoneCount == 0) {
+            require(
+                e.providerValidated &&
+                    block.timestamp >= t.providerValidatedAt + t.reviewWindow,
+                "review"
+            );
+            emit EscrowAutoReleased(offerId, msg.sender);
+            _completeEscrow(e);
+            return;
+        }
+        Milestone[] storage ms = _escrowMilestones[offerId];
+        bool released = false;
+        for (uint256 i = 0; i < ms.length; i++) {
+            if (
+                ms[i].status == EscrowStatus.IN_PROGRESS &&
+                ms[i].providerValidated &&
+                block.timestamp >= ms[i].providerValidatedAt + t.reviewWindow
+            ) {
+                released = true;
+                emit MilestoneAutoReleased(offerId, i, msg.sender);
+                _releaseMilestone(e, i);
+            }
+        }
+        require(released, "review");
+    }
+
+    // New: Client refund when the provider missed the delivery deadline
+    function reclaimAfterDeadline(uint256 offerId) external nonReentrant {
+        Escrow storage e = escrows[offerId];
+        EscrowTimeline storage t = escrowTimelines[offerId];
+        require(msg.sender == e.client, "auth");
+        require(e.status == EscrowStatus.IN_PROGRESS, "status");
+        require(
+            t.deliveryDeadline != 0 && block.timestamp > t.deliveryDeadline,
+            "deadline"
         );
+        uint256 refund;
+        if (e.milestoneCount == 0) {
+            // Validation after the deadline does not count as delivery
+            require(
+                !e.providerValidated ||
+                    t.providerValidatedAt > t.deliveryDeadline,
+                "delivered"
+            );
+            refund = e.amount;
+            e.status = EscrowStatus.CANCELLED;
+            _releaseOrderSlot(e);
+            _releaseFunds(e, 0, refund, 0);
+        } else {
+            Milestone[] storage ms = _escrowMilestones[offerId];
+            uint256 cancelled;
+            for (uint256 i = 0; i < ms.length; i++) {
+                Milestone storage m = ms[i];
+                if (
+                    m.status == EscrowStatus.IN_PROGRESS &&
+                    (!m.providerValidated ||
+                        m.providerValidatedAt > t.deliveryDeadline)
+                ) {
+                    m.status = EscrowStatus.CANCELLED;
+                    refund += m.amount;
+                    cancelled++;
+                }
+            }
+            require(refund > 0, "delivered");
+            e.releasedAmount += refund;
+            _releaseFunds(e, 0, refund, 0);
+            for (uint256 i = 0; i < cancelled; i++) _closeMilestone(e);
+        }
+        emit EscrowReclaimed(offerId, e.client, refund);
+    }
+
+    // New: Mutual cancellation (one participant proposes a split, the other accepts)
+    function proposeCancellation(
+        uint256 offerId,
+        uint256 providerShareBps
+    ) external onlyParticipant(offerId) {
+        require(escrows[offerId].status == EscrowStatus.IN_PROGRESS, "status");
+        require(providerShareBps <= FEE_DENOMINATOR, "bps");
+        cancelProposals[offerId] = CancelProposal({
+            proposedBy: msg.sender,
+            providerShareBps: providerShareBps,
+            proposedAt: block.timestamp
+        });
+        emit CancellationProposed(offerId, msg.sender, providerShareBps);
+    }
+
+    function withdrawCancellation(uint256 offerId) external {
+        require(cancelProposals[offerId].proposedBy == msg.sender, "auth");
+        delete cancelProposals[offerId];
+        emit CancellationWithdrawn(offerId, msg.sender);
+    }
+
+    // `providerShareBps` must echo the proposal so it cannot be swapped underneath
+    function acceptCancellation(
+        uint256 offerId,
+        uint256 providerShareBps
+    ) external nonReentrant onlyParticipant(offerId) {
+        Escrow storage e = escrows[offerId];
+        require(e.status == EscrowStatus.IN_PROGRESS, "status");
+        CancelProposal memory p = cancelProposals[offerId];
+        require(p.proposedBy != address(0), "no-proposal");
+        require(p.proposedBy != msg.sender, "self");
+        require(p.providerShareBps == providerShareBps, "terms");
+        delete cancelProposals[offerId];
+
+        uint256 remaining = e.amount;
+        uint256 remainingFee = e.feeAmount;
+        if (e.milestoneCount > 0) {
+            remaining = 0;
+            remainingFee = 0;
+            Milestone[] storage ms = _escrowMilestones[offerId];
+            for (uint256 i = 0; i < ms.length; i++) {
+                if (ms[i].status != EscrowStatus.IN_PROGRESS) continue;
+                ms[i].status = EscrowStatus.CANCELLED;
+                remaining += ms[i].amount;
+                remainingFee += ms[i].feeAmount;
+            }
+            e.milestonesClosed = e.milestoneCount;
+            e.releasedAmount += remaining;
+        }
+        e.status = EscrowStatus.CANCELLED;
+        _releaseOrderSlot(e);
 
-        userMissions[e.provider].push(
+        // Only the provider's share bears a (reduced) fee; the client refund is fee-free
+        uint256 providerGross = (remaining * providerShareBps) /
+            FEE_DENOMINATOR;
+        uint256 feeAmount = (((remainingFee * providerShareBps) /
+            FEE_DENOMINATOR) * cancelFeeBps) / FEE_DENOMINATOR;
+        uint256 providerAmount = providerGross - feeAmount;
+        uint256 clientAmount = remaining - providerGross;
+        _releaseFunds(e, providerAmount, clientAmount, feeAmount);
+        emit EscrowCancelled(offerId, providerAmount, clientAmount, feeAmount);
+    }
+
+    // Record mission for both parties and update badges & reputation;
+    // on team escrows every member of the split is credited as provider
+    function _recordMission(Escrow storage e, bool wasDisputed) internal {
+        // Reverts rather than truncating when a weight overflows the score
+        uint128 value = wasDisputed
+            ? 0
+            : SafeCast.toUint128(_normalizedValue(e.paymentToken, e.amount));
+        _creditMission(e.client, e, wasDisputed, value);
+        TeamShare[] storage split = _escrowSplits[e.offerId];
+        if (split.length == 0) {
+            _creditMission(e.provider, e, wasDisputed, value);
+        } else {
+            for (uint256 i = 0; i < split.length; i++) {
+                _creditMission(split[i].member, e, wasDisputed, value);
+            }
+        }
+    }
+
+    function _creditMission(
+        address user,
+        Escrow storage e,
+        bool wasDisputed,
+        uint128 value
+    ) internal {
+        // Escrows opened before openEscrowCount existed may outlive a migration
+        user = _currentHolder(user);
+        userMissions[user].push(
             Mission({
                 escrowId: e.offerId,
                 client: e.client,
@@ -893,18 +3068,18 @@ contract MarketplaceUpgradeable is
                 amount: e.amount,
                 token: e.paymentToken,
                 completedAt: block.timestamp,
-                wasDisputed: false
+                wasDisputed: wasDisputed
             })
         );
 
-        _updateBadges(e.client);
-        _updateBadges(e.provider);
+        if (wasDisputed) {
+            reputations[user].disputedMissions += 1;
+        } else {
+            reputations[user].completedMissions += 1;
+            reputations[user].score += value;
+        }
 
-        reputations[e.client].completedMissions += 1;
-        reputations[e.client].score += uint128(e.amount);
-        reputations[e.provider].completedMissions += 1;
-        reputations[e.provider].score += uint128(e.amount);
-        emit EscrowCompleted(e.offerId, providerPayout, feeAmount);
+        _updateBadges(user);
     }
 
     // Disputes
@@ -920,7 +3095,10 @@ contract MarketplaceUpgradeable is
         _disputeLog.push(offerId);
         emit DisputeOpened(offerId);
         if (recordCID) {
-            DisputeData storage d = _disputes[offerId];
+            // Each milestone dispute gets its own record, so earlier ones keep their history
+            DisputeData storage d = e.milestoneCount > 0
+                ? _milestoneDisputes[offerId][e.disputedMilestone]
+                : _disputes[offerId];
             d.metadataCID = cid;
             d.openedBy = msg.sender;
             d.openedAt = block.timestamp;
@@ -928,7 +3106,21 @@ contract MarketplaceUpgradeable is
         }
     }
 
+    // Record of the escrow's latest dispute. Milestone disputes opened before
+    // the per-milestone records existed are still read from _disputes.
+    function _currentDispute(
+        uint256 offerId
+    ) internal view returns (DisputeData storage) {
+        Escrow storage e = escrows[offerId];
+        if (e.milestoneCount > 0) {
+            DisputeData storage m = _milestoneDisputes[offerId][e.disputedMilestone];
+            if (m.openedBy != address(0)) return m;
+        }
+        return _disputes[offerId];
+    }
+
     function openDispute(uint256 offerId) external onlyParticipant(offerId) {
+        require(escrows[offerId].milestoneCount == 0, "milestones");
         _openDisputeInternal(offerId, "", false);
     }
 
@@ -936,10 +3128,27 @@ contract MarketplaceUpgradeable is
         uint256 offerId,
         string calldata cid
     ) external onlyParticipant(offerId) {
+        require(escrows[offerId].milestoneCount == 0, "milestones");
         require(bytes(cid).length > 0, "cid");
         _openDisputeInternal(offerId, cid, true);
     }
 
+    // New: Dispute a single milestone; the rest of the escrow is frozen until resolved
+    function openMilestoneDispute(
+        uint256 offerId,
+        uint256 index,
+        string calldata cid
+    ) external onlyParticipant(offerId) {
+        Escrow storage e = escrows[offerId];
+        require(index < e.milestoneCount, "milestone");
+        Milestone storage m = _escrowMilestones[offerId][index];
+        require(m.status == EscrowStatus.IN_PROGRESS, "m-status");
+        m.status = EscrowStatus.DISPUTED;
+        e.disputedMilestone = index;
+        _openDisputeInternal(offerId, cid, true);
+        emit MilestoneDisputed(offerId, index);
+    }
+
     function appealDispute(
         uint256 offerId,
         string calldata cid
@@ -948,99 +3157,252 @@ contract MarketplaceUpgradeable is
         require(e.status == EscrowStatus.DISPUTED, "status");
         require(bytes(cid).length > 0, "cid");
         // Only counterparty can appeal (not the party who opened)
-        address opener = _disputes[offerId].openedBy;
+        DisputeData storage d = _currentDispute(offerId);
+        address opener = d.openedBy;
         require(opener != address(0), "no-dispute");
         require(msg.sender != opener, "counterparty");
-        _disputes[offerId].appeals.push(
+        d.appeals.push(
             Appeal({by: msg.sender, cid: cid, timestamp: block.timestamp})
         );
         emit DisputeAppealed(offerId, cid, msg.sender);
     }
 
+    // Owner fallback when no panel is sitting on the dispute
     function resolveDispute(
         uint256 offerId,
         DisputeOutcome outcome
     ) external onlyOwner nonReentrant {
+        require(!_panels[offerId].active, "panel");
+        _resolveDispute(offerId, outcome, DEFAULT_SPLIT_BPS, 0);
+    }
+
+    // New: SPLIT resolution with an arbitrary provider share (bps of the post-fee amount)
+    function resolveDisputeSplit(
+        uint256 offerId,
+        uint256 providerShareBps
+    ) external onlyOwner nonReentrant {
+        require(!_panels[offerId].active, "panel");
+        require(providerShareBps <= FEE_DENOMINATOR, "bps");
+        _resolveDispute(offerId, DisputeOutcome.SPLIT, providerShareBps, 0);
+    }
+
+    // Executes the payout for `outcome`; `arbitrationFeeBps` of the escrow fee is
+    // withheld from the platform fee and returned to the caller. A refunded client
+    // gets the whole amount back, so that fee comes out of the arbitration reserve.
+    function _resolveDispute(
+        uint256 offerId,
+        DisputeOutcome outcome,
+        uint256 splitBps,
+        uint256 arbitrationFeeBps
+    ) internal returns (uint256 arbitrationFee) {
         Escrow storage e = escrows[offerId];
         require(e.status == EscrowStatus.DISPUTED, "status");
         require(outcome != DisputeOutcome.NONE, "outcome");
-        e.status = EscrowStatus.RESOLVED;
         e.disputeOutcome = outcome;
+        uint256 amount = e.amount;
+        uint256 feeAmount = e.feeAmount;
+        bool isMilestone = e.milestoneCount > 0;
+        if (isMilestone) {
+            // Milestone escrows only settle the disputed milestone
+            Milestone storage m = _escrowMilestones[offerId][
+                e.disputedMilestone
+            ];
+            amount = m.amount;
+            feeAmount = m.feeAmount;
+            m.status = EscrowStatus.RESOLVED;
+            m.disputeOutcome = outcome;
+            e.releasedAmount += amount;
+            e.status = EscrowStatus.IN_PROGRESS;
+        } else {
+            e.status = EscrowStatus.RESOLVED;
+            _releaseOrderSlot(e);
+        }
+        arbitrationFee = (feeAmount * arbitrationFeeBps) / FEE_DENOMINATOR;
         uint256 providerAmount;
         uint256 clientAmount;
-        uint256 feeAmount = e.feeAmount;
-        uint256 workAmount = e.amount - feeAmount;
+        uint256 workAmount = amount - feeAmount;
         if (outcome == DisputeOutcome.REFUND_CLIENT) {
-            clientAmount = e.amount;
+            clientAmount = amount;
             feeAmount = 0;
+            uint256 reserve = arbitrationReserve[e.paymentToken];
+            if (arbitrationFee > reserve) arbitrationFee = reserve;
+            arbitrationReserve[e.paymentToken] = reserve - arbitrationFee;
         } else if (outcome == DisputeOutcome.SPLIT) {
-            providerAmount = workAmount / 2;
-            clientAmount = e.amount - providerAmount - feeAmount;
+            providerAmount = (workAmount * splitBps) / FEE_DENOMINATOR;
+            clientAmount = amount - providerAmount - feeAmount;
+            feeAmount -= arbitrationFee;
         } else {
             providerAmount = workAmount;
+            feeAmount -= arbitrationFee;
         }
-        if (e.paymentToken == address(0)) {
-            if (providerAmount > 0) {
-                (bool ok, ) = e.provider.call{value: providerAmount}("");
-                require(ok, "prov");
-            }
-            if (clientAmount > 0) {
-                (bool ok2, ) = e.client.call{value: clientAmount}("");
-                require(ok2, "client");
-            }
-            if (feeAmount > 0) {
-                (uint256 burnAmt, uint256 treasAmt) = _computeSplit(feeAmount);
-                if (treasAmt > 0) {
-                    (bool ok3, ) = treasury.call{value: treasAmt}("");
-                    require(ok3, "treasury");
-                }
-                if (burnAmt > 0) {
-                    _buyDopAndBurnFromETH(burnAmt);
-                }
-            }
-        } else {
-            IERC20 token = IERC20(e.paymentToken);
-            if (providerAmount > 0)
-                token.safeTransfer(e.provider, providerAmount);
-            if (clientAmount > 0) token.safeTransfer(e.client, clientAmount);
-            if (feeAmount > 0) {
-                if (e.paymentToken == address(dopToken))
-                    _processDopFee(feeAmount);
-                else _processUsdFee(feeAmount, e.paymentToken);
-            }
-        }
+        _releaseFunds(e, providerAmount, clientAmount, feeAmount);
 
-        // Record disputed mission
-        userMissions[e.client].push(
-            Mission({
-                escrowId: offerId,
-                client: e.client,
-                provider: e.provider,
-                amount: e.amount,
-                token: e.paymentToken,
-                completedAt: block.timestamp,
-                wasDisputed: true
-            })
+        if (isMilestone) _closeMilestone(e);
+        else _recordMission(e, true); // Record disputed mission
+        emit DisputeResolved(offerId, outcome, providerAmount, clientAmount);
+    }
+
+    // New: Arbitrator registry (stake in DOP; topping up is allowed at any time)
+    function stakeArbitrator(uint256 amount) external nonReentrant whenNotPaused {
+        require(amount > 0, "amt");
+        Arbitrator storage a = arbitrators[msg.sender];
+        IERC20(address(dopToken)).safeTransferFrom(
+            msg.sender,
+            address(this),
+            amount
         );
+        a.stake += amount;
+        require(a.stake >= arbitratorMinStake, "stake");
+        if (a.index == 0) {
+            _arbitratorList.push(msg.sender);
+            a.index = _arbitratorList.length;
+        }
+        emit ArbitratorStaked(msg.sender, amount, a.stake);
+    }
 
-        userMissions[e.provider].push(
-            Mission({
-                escrowId: offerId,
-                client: e.client,
-                provider: e.provider,
-                amount: e.amount,
-                token: e.paymentToken,
-                completedAt: block.timestamp,
-                wasDisputed: true
-            })
+    function unregisterArbitrator() external nonReentrant {
+        Arbitrator storage a = arbitrators[msg.sender];
+        require(a.index != 0, "not-arbitrator");
+        require(a.activePanels == 0, "active");
+        // swap & pop
+        uint256 idx = a.index - 1;
+        address last = _arbitratorList[_arbitratorList.length - 1];
+        _arbitratorList[idx] = last;
+        arbitrators[last].index = idx + 1;
+        _arbitratorList.pop();
+        uint256 stake = a.stake;
+        a.index = 0;
+        a.stake = 0;
+        IERC20(address(dopToken)).safeTransfer(msg.sender, stake);
+        emit ArbitratorUnregistered(msg.sender, stake);
+    }
+
+    // New: Draw a pseudo-random panel for a disputed escrow. The seed is known to
+    // whoever sends the transaction, so only a panel keeper or the owner may draw,
+    // and never a party to the escrow.
+    function assignPanel(uint256 offerId) external whenNotPaused {
+        require(panelKeepers[msg.sender] || msg.sender == owner(), "auth");
+        Escrow storage e = escrows[offerId];
+        require(msg.sender != e.client && msg.sender != e.provider, "party");
+        require(e.status == EscrowStatus.DISPUTED, "status");
+        require(panelSize > 0, "panels-off");
+        Panel storage p = _panels[offerId];
+        require(!p.active, "panel");
+
+        // Eligible: registered, sufficiently staked and not a party to the escrow
+        address[] memory pool = new address[](_arbitratorList.length);
+        uint256 n = 0;
+        for (uint256 i = 0; i < _arbitratorList.length; i++) {
+            address cand = _arbitratorList[i];
+            if (
+                cand != e.client &&
+                cand != e.provider &&
+                arbitrators[cand].stake >= arbitratorMinStake
+            ) pool[n++] = cand;
+        }
+        require(n >= panelSize, "arbitrators");
+
+        delete p.members;
+        delete p.votes;
+        uint256 seed = uint256(
+            keccak256(
+                abi.encode(
+                    block.prevrandao,
+                    blockhash(block.number - 1),
+                    offerId,
+                    _disputeLog.length
+                )
+            )
         );
+        // Partial Fisher-Yates over the eligible pool
+        for (uint256 i = 0; i < panelSize; i++) {
+            uint256 j = i + (uint256(keccak256(abi.encode(seed, i))) % (n - i));
+            (pool[i], pool[j]) = (pool[j], pool[i]);
+            p.members.push(pool[i]);
+            p.votes.push(DisputeOutcome.NONE);
+            arbitrators[pool[i]].activePanels += 1;
+        }
+        p.deadline = block.timestamp + votingPeriod;
+        p.active = true;
+        emit PanelAssigned(offerId, p.members, p.deadline);
+    }
 
-        _updateBadges(e.client);
-        _updateBadges(e.provider);
+    function castVote(uint256 offerId, DisputeOutcome outcome) external {
+        Panel storage p = _panels[offerId];
+        require(p.active && block.timestamp <= p.deadline, "voting");
+        require(outcome != DisputeOutcome.NONE, "outcome");
+        uint256 i = _panelSeat(p, msg.sender);
+        require(p.votes[i] == DisputeOutcome.NONE, "voted");
+        p.votes[i] = outcome;
+        emit PanelVoteCast(offerId, msg.sender, outcome);
+    }
 
-        reputations[e.client].disputedMissions += 1;
-        reputations[e.provider].disputedMissions += 1;
-        emit DisputeResolved(offerId, outcome, providerAmount, clientAmount);
+    // Tally once every panelist voted or the deadline passed. A strict majority executes
+    // the payout; otherwise the dispute stays open for a new panel or the owner.
+    function finalizePanel(uint256 offerId) external nonReentrant {
+        Panel storage p = _panels[offerId];
+        require(p.active, "panel");
+        uint256 n = p.members.length;
+        uint256[4] memory tally;
+        uint256 votesCast;
+        for (uint256 i = 0; i < n; i++) {
+            if (p.votes[i] != DisputeOutcome.NONE) {
+                tally[uint8(p.votes[i])] += 1;
+                votesCast++;
+            }
+        }
+        require(votesCast == n || block.timestamp > p.deadline, "voting");
+        p.active = false;
+
+        DisputeOutcome outcome = DisputeOutcome.NONE;
+        for (uint8 o = 1; o < 4; o++) {
+            if (tally[o] * 2 > n) outcome = DisputeOutcome(o);
+        }
+        uint256 reward;
+        uint256 share;
+        if (outcome != DisputeOutcome.NONE) {
+            reward = _resolveDispute(
+                offerId,
+                outcome,
+                DEFAULT_SPLIT_BPS,
+                arbitratorRewardBps
+            );
+            share = reward / tally[uint8(outcome)];
+        }
+        address token = escrows[offerId].paymentToken;
+        for (uint256 i = 0; i < n; i++) {
+            address member = p.members[i];
+            Arbitrator storage a = arbitrators[member];
+            a.activePanels -= 1;
+            if (p.votes[i] == DisputeOutcome.NONE) {
+                a.missedVotes += 1;
+                uint256 slash = (a.stake * arbitratorSlashBps) /
+                    FEE_DENOMINATOR;
+                a.stake -= slash;
+                _pay(address(dopToken), treasury, slash);
+                emit ArbitratorSlashed(member, offerId, slash);
+            } else if (p.votes[i] == outcome) {
+                a.majorityVotes += 1;
+                reward -= share;
+                _pay(token, member, share);
+                emit ArbitratorRewarded(member, offerId, share);
+                if (a.majorityVotes >= mediatorThreshold)
+                    _awardBadge(member, Badge.MEDIATOR);
+            }
+        }
+        // Rounding dust goes to the treasury
+        _pay(token, treasury, reward);
+        emit PanelFinalized(offerId, outcome, votesCast);
+    }
+
+    function _panelSeat(
+        Panel storage p,
+        address member
+    ) internal view returns (uint256) {
+        for (uint256 i = 0; i < p.members.length; i++) {
+            if (p.members[i] == member) return i;
+        }
+        revert("panelist");
     }
 
     // New: Reviews API
@@ -1057,8 +3419,13 @@ contract MarketplaceUpgradeable is
             "status"
         );
         require(!hasReviewed[offerId][msg.sender], "done");
-        address reviewee = msg.sender == e.client ? e.provider : e.client;
+        address party = msg.sender == e.client ? e.provider : e.client;
+        address reviewee = _currentHolder(party);
         hasReviewed[offerId][msg.sender] = true;
+        ReviewExtra storage x = _reviewExtras[offerId][msg.sender];
+        if (reviewee != party) x.reviewee = reviewee;
+        x.indexPlusOne = reviewsReceived[reviewee].length + 1;
+        x.weight = _normalizedValue(e.paymentToken, e.amount);
         reviewsReceived[reviewee].push(
             Review({
                 offerId: offerId,
@@ -1074,10 +3441,116 @@ contract MarketplaceUpgradeable is
         emit ReviewSubmitted(offerId, msg.sender, reviewee, rating, reviewURI);
     }
 
+    // New: Reviewee posts one public reply to a review
+    function replyToReview(
+        uint256 offerId,
+        address reviewer,
+        string calldata replyURI
+    ) external whenNotPaused {
+        (Review storage r, ReviewExtra storage x) = _reviewOf(offerId, reviewer);
+        require(msg.sender == r.reviewee, "auth");
+        require(bytes(x.replyURI).length == 0, "replied");
+        require(bytes(replyURI).length > 0, "empty");
+        x.replyURI = replyURI;
+        emit ReviewReplied(offerId, reviewer, replyURI);
+    }
+
+    // New: Owner or a staked arbitrator hides (or restores) an abusive review
+    function setReviewHidden(
+        uint256 offerId,
+        address reviewer,
+        bool hidden
+    ) external {
+        require(
+            msg.sender == owner() || arbitrators[msg.sender].index != 0,
+            "auth"
+        );
+        (Review storage r, ReviewExtra storage x) = _reviewOf(offerId, reviewer);
+        require(msg.sender != r.reviewer && msg.sender != r.reviewee, "self");
+        require(x.hidden != hidden, "state");
+        x.hidden = hidden;
+        Reputation storage rep = reputations[r.reviewee];
+        if (hidden) {
+            rep.ratingsCount -= 1;
+            rep.ratingsSum -= r.rating;
+        } else {
+            rep.ratingsCount += 1;
+            rep.ratingsSum += r.rating;
+        }
+        emit ReviewHidden(offerId, reviewer, hidden, msg.sender);
+    }
+
+    function _reviewOf(
+        uint256 offerId,
+        address reviewer
+    ) internal returns (Review storage r, ReviewExtra storage x) {
+        require(hasReviewed[offerId][reviewer], "review");
+        Escrow storage e = escrows[offerId];
+        x = _reviewExtras[offerId][reviewer];
+        address reviewee = x.reviewee != address(0)
+            ? x.reviewee
+            : reviewer == e.client
+            ? e.provider
+            : e.client;
+        Review[] storage list = reviewsReceived[reviewee];
+        if (x.indexPlusOne == 0) {
+            // Reviews left before extras existed: locate once and remember
+            for (uint256 i = 0; i < list.length; i++) {
+                if (list[i].offerId == offerId && list[i].reviewer == reviewer) {
+                    x.indexPlusOne = i + 1;
+                    break;
+                }
+            }
+        }
+        r = list[x.indexPlusOne - 1];
+    }
+
+    function _normalizedValue(
+        address token,
+        uint256 amount
+    ) internal view returns (uint256) {
+        return (amount * reputationWeights[token]) / WEIGHT_PRECISION;
+    }
+
     function getReviews(address user) external view returns (Review[] memory) {
         return reviewsReceived[user];
     }
 
+    // New: Extras matching getReviews(user) entry by entry (weight, hidden, reply)
+    function getReviewExtras(
+        address user
+    ) external view returns (ReviewExtra[] memory extras) {
+        Review[] storage list = reviewsReceived[user];
+        extras = new ReviewExtra[](list.length);
+        for (uint256 i = 0; i < list.length; i++) {
+            extras[i] = _reviewExtras[list[i].offerId][list[i].reviewer];
+        }
+    }
+
+    // New: Average rating x100 weighted by job value and decayed by age
+    // (a review ratingHalfLife old counts half). Hidden reviews are skipped.
+    function getWeightedRating(
+        address user
+    ) external view returns (uint256 avgTimes100) {
+        Review[] storage list = reviewsReceived[user];
+        // Unset on proxies upgraded from earlier versions
+        uint256 halfLife = ratingHalfLife == 0 ? 180 days : ratingHalfLife;
+        uint256 weightSum;
+        uint256 ratingSum;
+        for (uint256 i = 0; i < list.length; i++) {
+            ReviewExtra storage x = _reviewExtras[list[i].offerId][
+                list[i].reviewer
+            ];
+            if (x.hidden) continue;
+            uint256 age = block.timestamp - list[i].timestamp;
+            uint256 w = (x.weight * halfLife) / (halfLife + age);
+            weightSum += w;
+            ratingSum += w * list[i].rating;
+        }
+        if (weightSum == 0) return 0;
+        avgTimes100 = (ratingSum * 100) / weightSum;
+    }
+
     function getAverageRating(
         address user
     ) external view returns (uint256 avgTimes100) {
@@ -1090,6 +3563,55 @@ contract MarketplaceUpgradeable is
     }
 
     // Admin
+    function setVerifier(address verifier, VerifierRole role) external onlyOwner {
+        require(verifier != address(0), "zero");
+        verifierRoles[verifier] = role;
+        emit VerifierUpdated(verifier, role);
+    }
+
+    function setBadgeNFT(address _badgeNFT) external onlyOwner {
+        emit BadgeNFTUpdated(badgeNFT, _badgeNFT);
+        badgeNFT = _badgeNFT;
+    }
+
+    // weight = normalized units per smallest token unit x WEIGHT_PRECISION
+    // (e.g. 1e30 makes 1 USDC with 6 decimals worth 1e18, i.e. one unit)
+    function setReputationWeight(
+        address token,
+        uint256 weight
+    ) external onlyOwner {
+        reputationWeights[token] = weight;
+        emit ReputationWeightUpdated(token, weight);
+    }
+
+    function setRatingHalfLife(uint256 halfLife) external onlyOwner {
+        require(halfLife > 0 && halfLife <= MAX_PERIOD * 5, "dur");
+        ratingHalfLife = halfLife;
+    }
+
+    // Applies to future badge updates; refreshBadges re-evaluates existing users
+    function setBadgeThresholds(
+        BadgeThresholds calldata t
+    ) external onlyOwner {
+        require(
+            t.rookie > 0 &&
+                t.rookie <= t.experienced &&
+                t.experienced <= t.expert &&
+                t.expert <= t.master,
+            "order"
+        );
+        require(t.reliableRateBps <= 10_000, "rate");
+        _badgeThresholds = t;
+        emit BadgeThresholdsUpdated(
+            t.rookie,
+            t.experienced,
+            t.expert,
+            t.master,
+            t.reliableMinMissions,
+            t.reliableRateBps
+        );
+    }
+
     function setFees(uint256 _feeUsdLike, uint256 _feeDop) external onlyOwner {
         require(_feeUsdLike <= 3_000 && _feeDop <= 2_000, "caps");
         feeUsdLike = _feeUsdLike;
@@ -1115,6 +3637,117 @@ contract MarketplaceUpgradeable is
         profileBoostDuration = _duration;
     }
 
+    // New: Fee charged on mutually cancelled escrows, as a share of the pro-rata fee
+    function setCancelFeeBps(uint256 _cancelFeeBps) external onlyOwner {
+        require(_cancelFeeBps <= FEE_DENOMINATOR, "caps");
+        cancelFeeBps = _cancelFeeBps;
+    }
+
+    // New: Gas forwarded with ETH pushes (0 restores DEFAULT_PUSH_GAS)
+    function setPushGasLimit(uint256 _gasLimit) external onlyOwner {
+        pushGasLimit = _gasLimit;
+        emit PushGasLimitUpdated(_gasLimit);
+    }
+
+    // New: Top up the arbitration reserve of `token` (address(0) = native ETH)
+    function fundArbitrationReserve(
+        address token,
+        uint256 amount
+    ) external payable nonReentrant {
+        require(amount > 0, "amt");
+        if (token == address(0)) {
+            require(msg.value == amount, "value");
+        } else {
+            require(msg.value == 0, "value");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+        arbitrationReserve[token] += amount;
+        emit ArbitrationReserveFunded(token, msg.sender, amount);
+    }
+
+    function withdrawArbitrationReserve(
+        address token,
+        uint256 amount
+    ) external onlyOwner nonReentrant {
+        require(amount <= arbitrationReserve[token], "amt");
+        arbitrationReserve[token] -= amount;
+        _pay(token, treasury, amount);
+        emit ArbitrationReserveWithdrawn(token, amount);
+    }
+
+    // New: Dispute panel parameters
+    function setArbitrationParams(
+        uint256 _minStake,
+        uint256 _panelSize,
+        uint256 _votingPeriod,
+        uint256 _rewardBps,
+        uint256 _slashBps,
+        uint256 _mediatorThreshold
+    ) external onlyOwner {
+        require(_panelSize == 0 || _panelSize % 2 == 1, "size");
+        require(_votingPeriod >= 1 hours && _votingPeriod <= 30 days, "dur");
+        require(_rewardBps <= 5_000 && _slashBps <= FEE_DENOMINATOR, "caps");
+        arbitratorMinStake = _minStake;
+        panelSize = _panelSize;
+        votingPeriod = _votingPeriod;
+        arbitratorRewardBps = _rewardBps;
+        arbitratorSlashBps = _slashBps;
+        mediatorThreshold = _mediatorThreshold;
+    }
+
+    // New: Payment token allowlist management (address(0) = native ETH)
+    function setPaymentToken(
+        address token,
+        bool allowed,
+        bool useCustomFee,
+        uint256 feeBps,
+        uint256 minAmount,
+        FeeRouting routing,
+        uint256 burnSplitBps
+    ) external onlyOwner {
+        _setPaymentToken(
+            token,
+            allowed,
+            useCustomFee,
+            feeBps,
+            minAmount,
+            routing,
+            burnSplitBps
+        );
+    }
+
+    function _setPaymentToken(
+        address token,
+        bool allowed,
+        bool useCustomFee,
+        uint256 feeBps,
+        uint256 minAmount,
+        FeeRouting routing,
+        uint256 burnSplitBps
+    ) internal {
+        require(feeBps <= 3_000 && burnSplitBps <= FEE_DENOMINATOR, "caps");
+        paymentTokens[token] = PaymentTokenConfig({
+            allowed: allowed,
+            useCustomFee: useCustomFee,
+            feeBps: feeBps,
+            minAmount: minAmount,
+            routing: routing,
+            burnSplitBps: burnSplitBps
+        });
+        if (!_paymentTokenListed[token]) {
+            _paymentTokenListed[token] = true;
+            _paymentTokenList.push(token);
+        }
+        emit PaymentTokenConfigured(
+            token,
+            allowed,
+            feeBpsFor(token),
+            minAmount,
+            routing,
+            burnSplitBps
+        );
+    }
+
     function setTreasury(address _treasury) external onlyOwner {
         require(_treasury != address(0), "zero");
         treasury = _treasury;
@@ -1125,9 +3758,15 @@ contract MarketplaceUpgradeable is
         require(_dop != address(0), "zero");
         dopToken = IDOPToken(_dop);
         usdcToken = IERC20(_usdc);
+        // Newly seen core tokens are allowed with the legacy fee tier
+        if (!_paymentTokenListed[_dop])
+            _setPaymentToken(_dop, true, false, 0, 0, FeeRouting.BURN_SPLIT, BURN_SPLIT_BPS);
+        if (_usdc != address(0) && !_paymentTokenListed[_usdc])
+            _setPaymentToken(_usdc, true, false, 0, 0, FeeRouting.BURN_SPLIT, BURN_SPLIT_BPS);
         emit TokensUpdated(_dop, _usdc);
     }
 
+    // _dexRouter is a UniswapV2-like router; _weth routes ETH on it and prices ETH in the oracle
     function setDexRouter(
         address _dexRouter,
         address _weth
@@ -1136,6 +3775,36 @@ contract MarketplaceUpgradeable is
         weth = _weth;
     }
 
+    // New: ISwapAdapter used for buybacks instead of dexRouter (zero falls back to it).
+    // Deliberately its own setter rather than an adapter passed to setDexRouter:
+    // dexRouter keeps meaning a UniswapV2-like router (paired with weth), so
+    // proxies configured before adapters existed keep buying back unchanged.
+    function setSwapAdapter(address _swapAdapter) external onlyOwner {
+        swapAdapter = _swapAdapter;
+    }
+
+    function setBuybackKeeper(address keeper, bool allowed) external onlyOwner {
+        require(keeper != address(0), "zero");
+        buybackKeepers[keeper] = allowed;
+        emit BuybackKeeperUpdated(keeper, allowed);
+    }
+
+    function setPanelKeeper(address keeper, bool allowed) external onlyOwner {
+        require(keeper != address(0), "zero");
+        panelKeepers[keeper] = allowed;
+        emit PanelKeeperUpdated(keeper, allowed);
+    }
+
+    function setBuybackOracle(
+        address oracle,
+        uint256 maxSlippageBps
+    ) external onlyOwner {
+        require(maxSlippageBps <= FEE_DENOMINATOR, "caps");
+        buybackOracle = oracle;
+        maxBuybackSlippageBps = maxSlippageBps;
+        emit BuybackOracleUpdated(oracle, maxSlippageBps);
+    }
+
     function pause() external onlyOwner {
         _pause();
     }
@@ -1144,7 +3813,8 @@ contract MarketplaceUpgradeable is
         _unpause();
     }
 
-    // New: Full profile getter
+    // New: Full profile getter; activeAttestations is appended after the
+    // original fields, so callers decoding only those still work
     function getProfile(
         address user
     )
@@ -1158,23 +3828,83 @@ contract MarketplaceUpgradeable is
             UserType userType,
             bool isVerified,
             string memory profilePicCID,
-            string memory username
+            string memory username,
+            Attestation[] memory activeAttestations
         )
     {
+        // Assigned one by one: returning the tuple runs out of stack slots
         UserProfile storage p = profiles[user];
-        return (
-            p.bio,
-            p.skills,
-            p.portfolioURIs,
-            p.joinedAt,
-            p.userType,
-            p.isVerified,
-            p.profilePicCID,
-            p.username
-        );
+        bio = p.bio;
+        skills = p.skills;
+        portfolioURIs = p.portfolioURIs;
+        joinedAt = p.joinedAt;
+        userType = p.userType;
+        isVerified = p.isVerified;
+        profilePicCID = p.profilePicCID;
+        username = p.username;
+        activeAttestations = _activeAttestations(user);
     }
 
     // Views
+    function getNegotiation(
+        uint256 offerId
+    ) external view returns (NegotiationEntry[] memory) {
+        return _negotiations[offerId];
+    }
+
+    // Effective escrow fee for a payment token
+    function feeBpsFor(address token) public view returns (uint256) {
+        PaymentTokenConfig storage cfg = paymentTokens[token];
+        if (cfg.useCustomFee) return cfg.feeBps;
+        return token == address(dopToken) ? feeDop : feeUsdLike;
+    }
+
+    // New: Currently allowed payment tokens and their configs
+    function getPaymentTokens()
+        external
+        view
+        returns (address[] memory tokens, PaymentTokenConfig[] memory configs)
+    {
+        uint256 n = 0;
+        for (uint256 i = 0; i < _paymentTokenList.length; i++) {
+            if (paymentTokens[_paymentTokenList[i]].allowed) n++;
+        }
+        tokens = new address[](n);
+        configs = new PaymentTokenConfig[](n);
+        uint256 k = 0;
+        for (uint256 i = 0; i < _paymentTokenList.length; i++) {
+            address t = _paymentTokenList[i];
+            if (!paymentTokens[t].allowed) continue;
+            tokens[k] = t;
+            configs[k] = paymentTokens[t];
+            k++;
+        }
+    }
+
+    // New: Pending buyback balances for every configured payment token
+    function getPendingBuybacks()
+        external
+        view
+        returns (address[] memory tokens, uint256[] memory amounts)
+    {
+        tokens = _paymentTokenList;
+        amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            amounts[i] = pendingBuyback[tokens[i]];
+        }
+    }
+
+    // New: Claimable balances of `user` across every configured payment token
+    function getClaimableBalances(
+        address user
+    ) external view returns (address[] memory tokens, uint256[] memory amounts) {
+        tokens = _paymentTokenList;
+        amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            amounts[i] = claimable[user][tokens[i]];
+        }
+    }
+
     function isBoosted(uint256 listingId) external view returns (bool) {
         return listings[listingId].boostExpiry >= block.timestamp;
     }
@@ -1188,6 +3918,26 @@ contract MarketplaceUpgradeable is
         return escrows[offerId];
     }
 
+    // New: Milestone views
+    function getOfferMilestones(
+        uint256 offerId
+    ) external view returns (uint256[] memory) {
+        return _offerMilestones[offerId];
+    }
+
+    function getEscrowMilestones(
+        uint256 offerId
+    ) external view returns (Milestone[] memory) {
+        return _escrowMilestones[offerId];
+    }
+
+    function getMilestone(
+        uint256 offerId,
+        uint256 index
+    ) external view returns (Milestone memory) {
+        return _escrowMilestones[offerId][index];
+    }
+
     // New: Frontend helpers
     function lastListingId() external view returns (uint256) {
         return _listingIdCounter;
@@ -1217,6 +3967,36 @@ contract MarketplaceUpgradeable is
         external
         view
         returns (Listing[] memory page, uint256 nextCursor, uint256 count)
+    {
+        ListingFilter memory f;
+        f.onlyActive = onlyActive;
+        f.onlyBoosted = onlyBoosted;
+        f.filterByType = filterByType;
+        f.listingType = listingType;
+        return _listingsDescending(startId, limit, f);
+    }
+
+    // New: Same paging with price-band (and token) filtering of fixed-price listings
+    function getListingsDescendingFiltered(
+        uint256 startId,
+        uint256 limit,
+        ListingFilter calldata filter
+    )
+        external
+        view
+        returns (Listing[] memory page, uint256 nextCursor, uint256 count)
+    {
+        return _listingsDescending(startId, limit, filter);
+    }
+
+    function _listingsDescending(
+        uint256 startId,
+        uint256 limit,
+        ListingFilter memory f
+    )
+        internal
+        view
+        returns (Listing[] memory page, uint256 nextCursor, uint256 count)
     {
         if (limit == 0) return (new Listing[](0), 0, 0);
         uint256 cursor = startId == 0 || startId > _listingIdCounter
@@ -1225,12 +4005,19 @@ contract MarketplaceUpgradeable is
         Listing[] memory tmp = new Listing[](limit);
         uint256 collected = 0;
         while (cursor > 0 && collected < limit) {
-            Listing memory l = listings[cursor];
+            Listing storage l = listings[cursor];
             if (
                 l.id != 0 &&
-                (!onlyActive || l.active) &&
-                (!onlyBoosted || l.boostExpiry >= block.timestamp) &&
-                (!filterByType || l.listingType == listingType)
+                (!f.onlyActive || _listingOpen(l)) &&
+                (!f.onlyBoosted || l.boostExpiry >= block.timestamp) &&
+                (!f.filterByType || l.listingType == f.listingType) &&
+                (!f.filterByPrice ||
+                    (l.price > 0 &&
+                        l.paymentToken == f.paymentToken &&
+                        l.price >= f.minPrice &&
+                        (f.maxPrice == 0 || l.price <= f.maxPrice))) &&
+                (!f.filterByCategory ||
+                    _inCategory(l.category, f.category, f.includeSubcategories))
             ) {
                 tmp[collected] = l;
                 collected++;
@@ -1275,33 +4062,20 @@ contract MarketplaceUpgradeable is
         returned = collected;
     }
 
+    // Newest first, read from the per-listing index instead of scanning all offers
     function getOffersForListing(
         uint256 listingId,
         uint256 offset,
         uint256 limit
     ) external view returns (Offer[] memory page, uint256 returned) {
-        if (limit == 0) return (new Offer[](0), 0);
-        uint256 cursor = _offerIdCounter;
-        Offer[] memory tmp = new Offer[](limit);
-        uint256 skipped = 0;
-        uint256 collected = 0;
-        while (cursor > 0 && collected < limit) {
-            Offer memory ofr = offers[cursor];
-            if (ofr.id != 0 && ofr.listingId == listingId) {
-                if (skipped < offset) {
-                    skipped++;
-                } else {
-                    tmp[collected] = ofr;
-                    collected++;
-                }
-            }
-            cursor--;
-        }
-        page = new Offer[](collected);
-        for (uint256 i = 0; i < collected; i++) {
-            page[i] = tmp[i];
+        uint256[] storage ids = _offersByListing[listingId];
+        if (limit == 0 || offset >= ids.length) return (new Offer[](0), 0);
+        returned = ids.length - offset;
+        if (returned > limit) returned = limit;
+        page = new Offer[](returned);
+        for (uint256 i = 0; i < returned; i++) {
+            page[i] = offers[ids[ids.length - 1 - offset - i]];
         }
-        returned = collected;
     }
 
     // New: Dispute views
@@ -1317,7 +4091,7 @@ contract MarketplaceUpgradeable is
             uint256 appealsCount
         )
     {
-        DisputeData storage d = _disputes[offerId];
+        DisputeData storage d = _currentDispute(offerId);
         return (d.metadataCID, d.openedBy, d.openedAt, d.appeals.length);
     }
 
@@ -1325,10 +4099,58 @@ contract MarketplaceUpgradeable is
         uint256 offerId,
         uint256 index
     ) external view returns (address by, string memory cid, uint256 timestamp) {
-        Appeal storage a = _disputes[offerId].appeals[index];
+        Appeal storage a = _currentDispute(offerId).appeals[index];
+        return (a.by, a.cid, a.timestamp);
+    }
+
+    // New: Dispute record of one milestone, kept after later milestones are disputed
+    function getMilestoneDisputeHeader(
+        uint256 offerId,
+        uint256 milestoneIndex
+    )
+        external
+        view
+        returns (
+            string memory cid,
+            address openedBy,
+            uint256 openedAt,
+            uint256 appealsCount
+        )
+    {
+        DisputeData storage d = _milestoneDisputes[offerId][milestoneIndex];
+        return (d.metadataCID, d.openedBy, d.openedAt, d.appeals.length);
+    }
+
+    function getMilestoneDisputeAppeal(
+        uint256 offerId,
+        uint256 milestoneIndex,
+        uint256 index
+    ) external view returns (address by, string memory cid, uint256 timestamp) {
+        Appeal storage a = _milestoneDisputes[offerId][milestoneIndex].appeals[index];
         return (a.by, a.cid, a.timestamp);
     }
 
+    // New: Arbitration views
+    function getArbitrators() external view returns (address[] memory) {
+        return _arbitratorList;
+    }
+
+    function getPanel(
+        uint256 offerId
+    )
+        external
+        view
+        returns (
+            address[] memory members,
+            DisputeOutcome[] memory votes,
+            uint256 deadline,
+            bool active
+        )
+    {
+        Panel storage p = _panels[offerId];
+        return (p.members, p.votes, p.deadline, p.active);
+    }
+
     // Returns a descending page of offerIds that had disputes opened (may include resolved ones)
     function getDisputedOffers(
         uint256 offset,
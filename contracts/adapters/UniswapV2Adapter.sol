@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ISwapAdapter} from "../ISwapAdapter.sol";
+
+// Minimal UniswapV2-like router interface
+interface IUniV2Router {
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external payable;
+
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external;
+}
+
+/**
+ * @title UniswapV2Adapter
+ * @notice ISwapAdapter over a UniswapV2-style router. Paths are configured
+ *         per input token (address(0) = native ETH, routed from WETH);
+ *         without one the swap goes directly tokenIn -> tokenOut.
+ */
+contract UniswapV2Adapter is ISwapAdapter, Ownable {
+    using SafeERC20 for IERC20;
+
+    address public immutable router;
+    address public immutable weth;
+    mapping(address => address[]) private _paths; // tokenIn => full path
+
+    event PathUpdated(address indexed tokenIn, address[] path);
+
+    constructor(address _router, address _weth) Ownable(msg.sender) {
+        require(_router != address(0) && _weth != address(0), "zero");
+        router = _router;
+        weth = _weth;
+    }
+
+    function setPath(
+        address tokenIn,
+        address[] calldata path
+    ) external onlyOwner {
+        if (path.length > 0) {
+            require(path.length >= 2, "path");
+            require(
+                path[0] == (tokenIn == address(0) ? weth : tokenIn),
+                "path"
+            );
+        }
+        _paths[tokenIn] = path;
+        emit PathUpdated(tokenIn, path);
+    }
+
+    function getPath(
+        address tokenIn,
+        address tokenOut
+    ) public view returns (address[] memory path) {
+        path = _paths[tokenIn];
+        if (path.length == 0) {
+            path = new address[](2);
+            path[0] = tokenIn == address(0) ? weth : tokenIn;
+            path[1] = tokenOut;
+        }
+        require(path[path.length - 1] == tokenOut, "path");
+    }
+
+    function swapExactETHForTokens(
+        address tokenOut,
+        uint256 minOut,
+        address to
+    ) external payable returns (uint256 amountOut) {
+        address[] memory path = getPath(address(0), tokenOut);
+        uint256 beforeBal = IERC20(tokenOut).balanceOf(to);
+        IUniV2Router(router).swapExactETHForTokensSupportingFeeOnTransferTokens{
+            value: msg.value
+        }(minOut, path, to, block.timestamp);
+        amountOut = IERC20(tokenOut).balanceOf(to) - beforeBal;
+    }
+
+    function swapExactTokensForTokens(
+        address tokenIn,
+        uint256 amountIn,
+        address tokenOut,
+        uint256 minOut,
+        address to
+    ) external returns (uint256 amountOut) {
+        address[] memory path = getPath(tokenIn, tokenOut);
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenIn).forceApprove(router, amountIn);
+        uint256 beforeBal = IERC20(tokenOut).balanceOf(to);
+        IUniV2Router(router)
+            .swapExactTokensForTokensSupportingFeeOnTransferTokens(
+                amountIn,
+                minOut,
+                path,
+                to,
+                block.timestamp
+            );
+        amountOut = IERC20(tokenOut).balanceOf(to) - beforeBal;
+    }
+}
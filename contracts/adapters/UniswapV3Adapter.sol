@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {ISwapAdapter} from "../ISwapAdapter.sol";
+
+// Minimal UniswapV3 SwapRouter interface (multi-hop exact input)
+interface IUniV3Router {
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    function exactInput(
+        ExactInputParams calldata params
+    ) external payable returns (uint256 amountOut);
+}
+
+/**
+ * @title UniswapV3Adapter
+ * @notice ISwapAdapter over a UniswapV3-style (concentrated liquidity)
+ *         router. Multi-hop paths are configured per input token as
+ *         token/fee pairs (address(0) = native ETH, routed from WETH);
+ *         without one the swap uses a single pool at `defaultFee`.
+ */
+contract UniswapV3Adapter is ISwapAdapter, Ownable {
+    using SafeERC20 for IERC20;
+
+    address public immutable router;
+    address public immutable weth;
+    uint24 public defaultFee;
+    mapping(address => bytes) private _paths; // tokenIn => packed V3 path
+    mapping(address => address) private _pathOut; // tokenIn => last hop token
+
+    event PathUpdated(
+        address indexed tokenIn,
+        address[] tokens,
+        uint24[] fees
+    );
+    event DefaultFeeUpdated(uint24 fee);
+
+    constructor(
+        address _router,
+        address _weth,
+        uint24 _defaultFee
+    ) Ownable(msg.sender) {
+        require(_router != address(0) && _weth != address(0), "zero");
+        router = _router;
+        weth = _weth;
+        defaultFee = _defaultFee;
+    }
+
+    function setDefaultFee(uint24 fee) external onlyOwner {
+        defaultFee = fee;
+        emit DefaultFeeUpdated(fee);
+    }
+
+    // tokens[i] -> tokens[i + 1] through the pool with fees[i]; empty clears
+    function setPath(
+        address tokenIn,
+        address[] calldata tokens,
+        uint24[] calldata fees
+    ) external onlyOwner {
+        if (tokens.length == 0) {
+            delete _paths[tokenIn];
+            delete _pathOut[tokenIn];
+        } else {
+            require(
+                tokens.length >= 2 && fees.length == tokens.length - 1,
+                "path"
+            );
+            require(
+                tokens[0] == (tokenIn == address(0) ? weth : tokenIn),
+                "path"
+            );
+            bytes memory packed = abi.encodePacked(tokens[0]);
+            for (uint256 i = 0; i < fees.length; i++) {
+                packed = abi.encodePacked(packed, fees[i], tokens[i + 1]);
+            }
+            _paths[tokenIn] = packed;
+            _pathOut[tokenIn] = tokens[tokens.length - 1];
+        }
+        emit PathUpdated(tokenIn, tokens, fees);
+    }
+
+    function getPath(
+        address tokenIn,
+        address tokenOut
+    ) public view returns (bytes memory path) {
+        path = _paths[tokenIn];
+        if (path.length == 0) {
+            return
+                abi.encodePacked(
+                    tokenIn == address(0) ? weth : tokenIn,
+                    defaultFee,
+                    tokenOut
+                );
+        }
+        require(_pathOut[tokenIn] == tokenOut, "path");
+    }
+
+    function swapExactETHForTokens(
+        address tokenOut,
+        uint256 minOut,
+        address to
+    ) external payable returns (uint256 amountOut) {
+        amountOut = IUniV3Router(router).exactInput{value: msg.value}(
+            IUniV3Router.ExactInputParams({
+                path: getPath(address(0), tokenOut),
+                recipient: to,
+                deadline: block.timestamp,
+                amountIn: msg.value,
+                amountOutMinimum: minOut
+            })
+        );
+    }
+
+    function swapExactTokensForTokens(
+        address tokenIn,
+        uint256 amountIn,
+        address tokenOut,
+        uint256 minOut,
+        address to
+    ) external returns (uint256 amountOut) {
+        bytes memory path = getPath(tokenIn, tokenOut);
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(tokenIn).forceApprove(router, amountIn);
+        amountOut = IUniV3Router(router).exactInput(
+            IUniV3Router.ExactInputParams({
+                path: path,
+                recipient: to,
+                deadline: block.timestamp,
+                amountIn: amountIn,
+                amountOutMinimum: minOut
+            })
+        );
+    }
+}
@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IDOPToken} from "../IDOPToken.sol";
+
+/**
+ * @title MarketplaceLegacyMock
+ * @notice Storage (up to the escrows mapping) and views of the first
+ *         MarketplaceUpgradeable release, whose Listing, Offer and Escrow
+ *         structs had fewer members. Used to test upgrading a proxy with live
+ *         escrows to the current implementation; `seedEscrow` stands in for
+ *         the listing, offer and accept flow.
+ */
+contract MarketplaceLegacyMock is
+    Initializable,
+    UUPSUpgradeable,
+    OwnableUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable
+{
+    enum ListingType {
+        BRIEF,
+        GIG
+    }
+    enum EscrowStatus {
+        NONE,
+        IN_PROGRESS,
+        COMPLETED,
+        DISPUTED,
+        RESOLVED,
+        CANCELLED
+    }
+    enum DisputeOutcome {
+        NONE,
+        REFUND_CLIENT,
+        SPLIT,
+        PAY_PROVIDER
+    }
+
+    struct Listing {
+        uint256 id;
+        ListingType listingType;
+        address creator;
+        string metadataURI;
+        uint256 createdAt;
+        bool active;
+        uint256 boostExpiry;
+        uint256 category;
+    }
+    struct Offer {
+        uint256 id;
+        uint256 listingId;
+        address proposer;
+        uint256 amount;
+        address paymentToken;
+        uint256 createdAt;
+        bool accepted;
+        bool cancelled;
+    }
+    struct Escrow {
+        uint256 offerId;
+        address client;
+        address provider;
+        address paymentToken;
+        uint256 amount;
+        uint256 feeAmount;
+        EscrowStatus status;
+        bool clientValidated;
+        bool providerValidated;
+        DisputeOutcome disputeOutcome;
+    }
+
+    uint256 public feeUsdLike;
+    uint256 public feeDop;
+    uint256 public boostPriceDOP;
+    uint256 public boostDuration;
+    uint256 public profileBoostPriceDOP;
+    uint256 public profileBoostDuration;
+
+    address public treasury;
+    IDOPToken public dopToken;
+    IERC20 public usdcToken;
+
+    address public dexRouter;
+    address public weth;
+
+    uint256 private _listingIdCounter;
+    uint256 private _offerIdCounter;
+
+    mapping(uint256 => Listing) public listings;
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => Escrow) public escrows;
+
+    function initialize(
+        address _dop,
+        address _usdc,
+        address _treasury
+    ) external initializer {
+        __Ownable_init(msg.sender);
+        __UUPSUpgradeable_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        dopToken = IDOPToken(_dop);
+        usdcToken = IERC20(_usdc);
+        treasury = _treasury;
+        feeUsdLike = 2_000;
+        feeDop = 1_000;
+        boostPriceDOP = 1_000 ether;
+        boostDuration = 7 days;
+        profileBoostPriceDOP = boostPriceDOP;
+        profileBoostDuration = boostDuration;
+    }
+
+    // A BRIEF by `client` with an accepted ETH offer from `provider`
+    function seedEscrow(
+        address client,
+        address provider,
+        uint256 amount,
+        EscrowStatus status
+    ) external returns (uint256 offerId) {
+        uint256 listingId = ++_listingIdCounter;
+        listings[listingId] = Listing(
+            listingId,
+            ListingType.BRIEF,
+            client,
+            "ipfs://legacy",
+            block.timestamp,
+            true,
+            0,
+            1
+        );
+        offerId = ++_offerIdCounter;
+        offers[offerId] = Offer(
+            offerId,
+            listingId,
+            provider,
+            amount,
+            address(0),
+            block.timestamp,
+            true,
+            false
+        );
+        escrows[offerId] = Escrow(
+            offerId,
+            client,
+            provider,
+            address(0),
+            amount,
+            (amount * feeUsdLike) / 10_000,
+            status,
+            false,
+            false,
+            DisputeOutcome.NONE
+        );
+    }
+
+    function getEscrow(uint256 offerId) external view returns (Escrow memory) {
+        return escrows[offerId];
+    }
+
+    function lastListingId() external view returns (uint256) {
+        return _listingIdCounter;
+    }
+
+    function lastOfferId() external view returns (uint256) {
+        return _offerIdCounter;
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
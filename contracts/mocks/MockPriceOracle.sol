@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockPriceOracle
+ * @notice Minimal TWAP-style oracle mock returning a configurable linear
+ *         quote, used to floor buyback output in Marketplace tests.
+ */
+contract MockPriceOracle {
+    // output tokens per 1 unit of input (18 decimals compatible)
+    mapping(address => mapping(address => uint256)) public price;
+
+    function setPrice(
+        address tokenIn,
+        address tokenOut,
+        uint256 _price
+    ) external {
+        price[tokenIn][tokenOut] = _price;
+    }
+
+    function consult(
+        address tokenIn,
+        uint256 amountIn,
+        address tokenOut
+    ) external view returns (uint256 amountOut) {
+        amountOut = (amountIn * price[tokenIn][tokenOut]) / 1e18;
+    }
+}
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title MockUniswapV3Router
+ * @notice Minimal mock of the UniswapV3 SwapRouter `exactInput` call. It
+ *         reads the input and output tokens from the packed path, pulls the
+ *         input (or keeps msg.value for ETH) and dispenses the output token
+ *         from its own balance using a configurable linear rate.
+ */
+contract MockUniswapV3Router {
+    struct ExactInputParams {
+        bytes path;
+        address recipient;
+        uint256 deadline;
+        uint256 amountIn;
+        uint256 amountOutMinimum;
+    }
+
+    // output tokens dispensed per 1 unit of input (18 decimals compatible)
+    uint256 public rate;
+    bytes public lastPath; // last path swapped, for assertions
+
+    event RateUpdated(uint256 newRate);
+
+    constructor(uint256 _rate) {
+        rate = _rate;
+    }
+
+    receive() external payable {}
+
+    function setRate(uint256 _rate) external {
+        rate = _rate;
+        emit RateUpdated(_rate);
+    }
+
+    function exactInput(
+        ExactInputParams calldata params
+    ) external payable returns (uint256 amountOut) {
+        bytes calldata path = params.path;
+        // token (20) + n * (fee (3) + token (20))
+        require(path.length >= 43 && (path.length - 20) % 23 == 0, "path");
+        address inToken = address(bytes20(path[0:20]));
+        address outToken = address(bytes20(path[path.length - 20:]));
+        if (msg.value > 0) {
+            require(msg.value == params.amountIn, "value");
+        } else {
+            IERC20(inToken).transferFrom(
+                msg.sender,
+                address(this),
+                params.amountIn
+            );
+        }
+        lastPath = path;
+        amountOut = (params.amountIn * rate) / 1e18;
+        require(amountOut >= params.amountOutMinimum, "slippage");
+        IERC20(outToken).transfer(params.recipient, amountOut);
+    }
+}
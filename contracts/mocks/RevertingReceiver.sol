@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title RevertingReceiver
+ * @notice Test account contract that forwards arbitrary calls and rejects
+ *         incoming ETH while `acceptEth` is false (or burns all the gas it is
+ *         given while `burnGas` is set), used to exercise the Marketplace
+ *         pull-payment fallback.
+ */
+contract RevertingReceiver {
+    bool public acceptEth;
+    bool public burnGas;
+    uint256 private _sink;
+
+    function setAcceptEth(bool _accept) external {
+        acceptEth = _accept;
+    }
+
+    function setBurnGas(bool _burn) external {
+        burnGas = _burn;
+    }
+
+    function exec(
+        address target,
+        bytes calldata data
+    ) external payable returns (bytes memory result) {
+        bool ok;
+        (ok, result) = target.call{value: msg.value}(data);
+        if (!ok) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    receive() external payable {
+        while (burnGas) _sink++;
+        require(acceptEth, "no eth");
+    }
+}
@@ -3,6 +3,7 @@ require("@nomicfoundation/hardhat-toolbox");
 require("@matterlabs/hardhat-zksync");
 require("@matterlabs/hardhat-zksync-upgradable");
 require("dotenv").config();
+require("./tasks");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0x" + "11".repeat(32);
 const { vars } = require("hardhat/config");
@@ -0,0 +1,209 @@
+const { Interface } = require("ethers");
+const { MarketplaceClient, loadMarketplaceAbi, httpGateway } = require("../sdk");
+const {
+  collectTouched,
+  rebuildScope,
+  applyEvent,
+  fetchState,
+  writeState,
+} = require("./projections");
+
+// How many recorded block hashes are compared when looking for a fork
+const REORG_DEPTH = 128;
+
+// Decoded event args as JSON-safe values (uint256 -> decimal string)
+function plain(v) {
+  if (typeof v === "bigint") return v.toString();
+  if (v && v._isIndexed) return v.hash; // indexed dynamic types
+  if (Array.isArray(v)) return [...v].map(plain);
+  return v;
+}
+
+/**
+ * Replays marketplace events into a Store. Blocks within `confirmations` of
+ * the head are left for later; each batch is written in one transaction
+ * together with its checkpoint, so a crash never leaves a half-applied batch.
+ */
+class Indexer {
+  constructor({
+    store,
+    provider,
+    address,
+    abi,
+    startBlock = 0,
+    confirmations = 0,
+    batchSize = 2000,
+    fetchMetadata = null,
+    logger = console,
+  }) {
+    this.store = store;
+    this.provider = provider;
+    this.address = address;
+    this.abi = abi || loadMarketplaceAbi();
+    this.iface = new Interface(this.abi);
+    this.client = new MarketplaceClient(address, provider, { abi: this.abi });
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.fetchMetadata = fetchMetadata;
+    this.logger = logger;
+    this._stopped = false;
+  }
+
+  /**
+   * Indexes up to the confirmed head, one batch at a time.
+   * @returns {Promise<{from: number, to: number, events: number, reorgedTo: number|null}>}
+   */
+  async sync() {
+    const reorgedTo = await this._handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const checkpoint = this.store.getCheckpoint();
+    const from = checkpoint === null ? this.startBlock : checkpoint + 1;
+    let events = 0;
+    let to = from - 1;
+    while (to < head && !this._stopped) {
+      const batchTo = Math.min(to + this.batchSize, head);
+      events += await this._indexRange(to + 1, batchTo);
+      to = batchTo;
+    }
+    return { from, to, events, reorgedTo };
+  }
+
+  // Polls until stop() is called
+  async run({ pollIntervalMs = 5000 } = {}) {
+    this._stopped = false;
+    while (!this._stopped) {
+      try {
+        const r = await this.sync();
+        if (r.events > 0 || r.reorgedTo !== null)
+          this.logger.log(
+            `indexed blocks ${r.from}-${r.to}: ${r.events} events` +
+              (r.reorgedTo !== null ? ` (reorg, rolled back to ${r.reorgedTo})` : "")
+          );
+      } catch (err) {
+        this.logger.error("sync failed:", err.message || err);
+      }
+      if (!this._stopped) await new Promise((r) => setTimeout(r, pollIntervalMs));
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: this.address,
+      fromBlock,
+      toBlock,
+    });
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = this.iface.parseLog(log);
+      } catch (_) {
+        continue;
+      }
+      if (!parsed) continue;
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, Number(block.timestamp));
+      }
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = plain(parsed.args[i]);
+      });
+      events.push({
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber),
+        name: parsed.name,
+        args,
+      });
+    }
+    const tip = await this.provider.getBlock(toBlock);
+    const state = await fetchState(this.client, collectTouched(events), {
+      fetchMetadata: this.fetchMetadata,
+      blockTag: toBlock,
+    });
+
+    this.store.transaction(() => {
+      for (const ev of events) {
+        this.store.insertEvent(ev);
+        this.store.recordBlock(ev.blockNumber, ev.blockHash);
+        applyEvent(this.store, ev);
+      }
+      writeState(this.store, state);
+      this.store.recordBlock(toBlock, tip.hash);
+      this.store.pruneBlocks(toBlock - REORG_DEPTH);
+      this.store.setCheckpoint(toBlock);
+    });
+    return events.length;
+  }
+
+  /**
+   * Compares recorded hashes with the chain, newest first. On a mismatch,
+   * rolls the store back to the newest block still on the chain and rebuilds
+   * what the dropped events touched as of that block. Returns that block, or null.
+   */
+  async _handleReorg() {
+    const recorded = this.store.recentBlocks(REORG_DEPTH);
+    if (recorded.length === 0) return null;
+    let ancestor = this.startBlock - 1;
+    for (let i = 0; i < recorded.length; i++) {
+      const block = await this.provider.getBlock(recorded[i].number);
+      if (block && block.hash === recorded[i].hash) {
+        if (i === 0) return null;
+        ancestor = recorded[i].number;
+        break;
+      }
+    }
+    const { scope, replay } = rebuildScope(this.store, ancestor);
+    const state =
+      ancestor < this.startBlock
+        ? null
+        : await fetchState(this.client, scope, {
+            fetchMetadata: this.fetchMetadata,
+            blockTag: ancestor,
+          });
+    this.store.transaction(() => {
+      // Nothing indexed survives a fork below the start block
+      if (!state) return this.store.rollbackTo(ancestor);
+      this.store.rollbackTo(ancestor, scope);
+      for (const ev of replay) applyEvent(this.store, ev);
+      writeState(this.store, state);
+    });
+    return ancestor;
+  }
+
+  // Recomputes every projection from the stored event log
+  async rebuild() {
+    const events = this.store.allEvents();
+    const state = await fetchState(this.client, collectTouched(events), {
+      fetchMetadata: this.fetchMetadata,
+      blockTag: this.store.getCheckpoint() ?? "latest",
+    });
+    this.store.transaction(() => {
+      for (const ev of events) applyEvent(this.store, ev);
+      writeState(this.store, state);
+    });
+  }
+}
+
+// Metadata text through an HTTP gateway, or null when it is unavailable
+function gatewayFetcher(gateway, { timeoutMs = 5000 } = {}) {
+  const g = httpGateway(gateway, { timeoutMs });
+  return async (uri) => {
+    try {
+      return (await g.fetch(uri)).toString("utf8");
+    } catch (_) {
+      return null;
+    }
+  };
+}
+
+module.exports = { Indexer, gatewayFetcher, REORG_DEPTH };
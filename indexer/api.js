@@ -0,0 +1,389 @@
+const http = require("node:http");
+const { padUint, unpadUint } = require("./store");
+
+const MAX_LIMIT = 100;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Row mappers: uint256 columns back to decimal strings, flags to booleans
+
+const listingRow = (r) => ({
+  id: r.id,
+  listingType: r.listing_type,
+  creator: r.creator,
+  category: r.category,
+  metadataURI: r.metadata_uri,
+  active: Boolean(r.active),
+  price: unpadUint(r.price),
+  paymentToken: r.payment_token,
+  expiresAt: r.expires_at,
+  maxConcurrentOrders: r.max_concurrent_orders,
+  activeOrders: r.active_orders,
+  boostExpiry: r.boost_expiry,
+  createdAt: r.created_at,
+});
+
+const offerRow = (r) => ({
+  id: r.id,
+  listingId: r.listing_id,
+  proposer: r.proposer,
+  amount: unpadUint(r.amount),
+  paymentToken: r.payment_token,
+  status: r.status,
+  counters: r.counters,
+  deposit: unpadUint(r.deposit),
+  createdAt: r.created_at,
+});
+
+const escrowRow = (r) => ({
+  offerId: r.offer_id,
+  listingId: r.listing_id,
+  client: r.client,
+  provider: r.provider,
+  amount: unpadUint(r.amount),
+  paymentToken: r.payment_token,
+  feeAmount: unpadUint(r.fee_amount),
+  status: r.status,
+  disputeOutcome: r.dispute_outcome,
+  startedAt: r.started_at,
+  updatedAt: r.updated_at,
+});
+
+const reputationRow = (r) => ({
+  completedMissions: r.completed_missions,
+  disputedMissions: r.disputed_missions,
+  score: unpadUint(r.score),
+  ratingsCount: r.ratings_count,
+  ratingsSum: r.ratings_sum,
+  averageRating: r.ratings_count > 0 ? r.ratings_sum / r.ratings_count : null,
+});
+
+const reviewRow = (r) => ({
+  offerId: r.offer_id,
+  reviewer: r.reviewer,
+  reviewee: r.reviewee,
+  rating: r.rating,
+  reviewURI: r.review_uri,
+  replyURI: r.reply_uri,
+  createdAt: r.created_at,
+});
+
+// Free text -> FTS5 query of quoted prefix terms, so user input cannot
+// inject FTS operators
+function ftsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+  if (words.length === 0) throw new HttpError(400, "q has no searchable words");
+  return words.map((w) => `"${w}"*`).join(" ");
+}
+
+function intParam(params, name, { def, min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const raw = params.get(name);
+  if (raw === null || raw === "") return def;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min || n > max)
+    throw new HttpError(400, `${name} must be an integer in [${min}, ${max}]`);
+  return n;
+}
+
+function uintParam(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw === "") return undefined;
+  if (!/^\d+$/.test(raw)) throw new HttpError(400, `${name} must be a non-negative integer`);
+  return padUint(raw);
+}
+
+function boolParam(params, name) {
+  const raw = params.get(name);
+  if (raw === null || raw === "") return undefined;
+  if (raw !== "true" && raw !== "false")
+    throw new HttpError(400, `${name} must be true or false`);
+  return raw === "true";
+}
+
+function addressParam(value, name) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) throw new HttpError(400, `${name} must be an address`);
+  return value.toLowerCase();
+}
+
+function page(params) {
+  return {
+    limit: intParam(params, "limit", { def: 25, min: 1, max: MAX_LIMIT }),
+    offset: intParam(params, "offset", { def: 0 }),
+  };
+}
+
+// Route handlers: (store, params, ...pathArgs) -> JSON body
+
+function status(store) {
+  const db = store.db;
+  const count = (t) => db.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n;
+  return {
+    checkpoint: store.getCheckpoint(),
+    events: count("events"),
+    listings: count("listings"),
+    offers: count("offers"),
+    escrows: count("escrows"),
+    profiles: count("profiles"),
+  };
+}
+
+function listListings(store, params) {
+  const where = [];
+  const args = {};
+  const type = params.get("type");
+  if (type) {
+    if (!["BRIEF", "GIG"].includes(type.toUpperCase()))
+      throw new HttpError(400, "type must be BRIEF or GIG");
+    where.push("listing_type = @type");
+    args.type = type.toUpperCase();
+  }
+  const category = intParam(params, "category", { def: undefined });
+  if (category !== undefined) {
+    where.push("category = @category");
+    args.category = category;
+  }
+  const creator = params.get("creator");
+  if (creator) {
+    where.push("creator = @creator");
+    args.creator = addressParam(creator, "creator");
+  }
+  const active = boolParam(params, "active");
+  if (active !== undefined) {
+    where.push("active = @active");
+    args.active = active ? 1 : 0;
+  }
+  const token = params.get("paymentToken");
+  if (token) {
+    where.push("payment_token = @token");
+    args.token = addressParam(token, "paymentToken");
+  }
+  const minPrice = uintParam(params, "minPrice");
+  if (minPrice !== undefined) {
+    where.push("price >= @minPrice");
+    args.minPrice = minPrice;
+  }
+  const maxPrice = uintParam(params, "maxPrice");
+  if (maxPrice !== undefined) {
+    where.push("price <= @maxPrice");
+    args.maxPrice = maxPrice;
+  }
+  const q = params.get("q");
+  if (q) {
+    where.push(
+      "CAST(id AS TEXT) IN (SELECT ref FROM search WHERE kind = 'listing' AND search MATCH @q)"
+    );
+    args.q = ftsQuery(q);
+  }
+  const { limit, offset } = page(params);
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const db = store.db;
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM listings ${clause}`).get(args).n;
+  const rows = db
+    .prepare(`SELECT * FROM listings ${clause} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...args, limit, offset });
+  return { total, items: rows.map(listingRow) };
+}
+
+function getListing(store, params, id) {
+  const row = store.db.prepare("SELECT * FROM listings WHERE id = ?").get(Number(id));
+  if (!row) throw new HttpError(404, "listing not found");
+  return { ...listingRow(row), metadata: row.metadata };
+}
+
+function listOffersForListing(store, params, id) {
+  const where = ["listing_id = @listingId"];
+  const args = { listingId: Number(id) };
+  const offerStatus = params.get("status");
+  if (offerStatus) {
+    where.push("status = @status");
+    args.status = offerStatus;
+  }
+  const { limit, offset } = page(params);
+  const clause = `WHERE ${where.join(" AND ")}`;
+  const db = store.db;
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM offers ${clause}`).get(args).n;
+  const rows = db
+    .prepare(`SELECT * FROM offers ${clause} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...args, limit, offset });
+  return { total, items: rows.map(offerRow) };
+}
+
+function getOffer(store, params, id) {
+  const row = store.db.prepare("SELECT * FROM offers WHERE id = ?").get(Number(id));
+  if (!row) throw new HttpError(404, "offer not found");
+  return offerRow(row);
+}
+
+function listEscrows(store, params) {
+  const where = [];
+  const args = {};
+  const escrowStatus = params.get("status");
+  if (escrowStatus) {
+    where.push("status = @status");
+    args.status = escrowStatus.toUpperCase();
+  }
+  for (const role of ["client", "provider"]) {
+    const v = params.get(role);
+    if (v) {
+      where.push(`${role} = @${role}`);
+      args[role] = addressParam(v, role);
+    }
+  }
+  const party = params.get("party");
+  if (party) {
+    where.push("(client = @party OR provider = @party)");
+    args.party = addressParam(party, "party");
+  }
+  const { limit, offset } = page(params);
+  const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  const db = store.db;
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM escrows ${clause}`).get(args).n;
+  const rows = db
+    .prepare(`SELECT * FROM escrows ${clause} ORDER BY offer_id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...args, limit, offset });
+  return { total, items: rows.map(escrowRow) };
+}
+
+function getEscrow(store, params, id) {
+  const row = store.db.prepare("SELECT * FROM escrows WHERE offer_id = ?").get(Number(id));
+  if (!row) throw new HttpError(404, "escrow not found");
+  return escrowRow(row);
+}
+
+function getProfile(store, params, address) {
+  const addr = addressParam(address, "address");
+  const db = store.db;
+  const p = db.prepare("SELECT * FROM profiles WHERE address = ?").get(addr);
+  const rep = db.prepare("SELECT * FROM reputation WHERE address = ?").get(addr);
+  if (!p && !rep) throw new HttpError(404, "profile not found");
+  const badges = db
+    .prepare("SELECT badge FROM badges WHERE address = ? ORDER BY rowid")
+    .all(addr)
+    .map((r) => r.badge);
+  const reviews = db
+    .prepare(
+      "SELECT * FROM reviews WHERE reviewee = ? AND hidden = 0 ORDER BY created_at DESC LIMIT ?"
+    )
+    .all(addr, MAX_LIMIT)
+    .map(reviewRow);
+  return {
+    address: addr,
+    exists: Boolean(p && p.joined_at),
+    username: p ? p.username : null,
+    userType: p ? p.user_type : null,
+    bio: p ? p.bio : null,
+    skills: p && p.skills ? JSON.parse(p.skills) : [],
+    profilePicCID: p ? p.profile_pic_cid : null,
+    isVerified: Boolean(p && p.is_verified),
+    joinedAt: p ? p.joined_at : 0,
+    migratedTo: p ? p.migrated_to : null,
+    reputation: rep ? reputationRow(rep) : null,
+    badges,
+    reviews,
+  };
+}
+
+function search(store, params) {
+  const q = params.get("q");
+  if (!q) throw new HttpError(400, "q is required");
+  const kind = params.get("kind");
+  if (kind && !["listing", "profile"].includes(kind))
+    throw new HttpError(400, "kind must be listing or profile");
+  const { limit, offset } = page(params);
+  const rows = store.db
+    .prepare(
+      `SELECT kind, ref, snippet(search, 2, '[', ']', '…', 12) AS snippet FROM search
+       WHERE search MATCH @q ${kind ? "AND kind = @kind" : ""}
+       ORDER BY rank LIMIT @limit OFFSET @offset`
+    )
+    .all({ q: ftsQuery(q), kind, limit, offset });
+  return {
+    items: rows.map((r) => ({
+      kind: r.kind,
+      id: r.kind === "listing" ? Number(r.ref) : r.ref,
+      snippet: r.snippet,
+    })),
+  };
+}
+
+const LEADERBOARDS = {
+  missions: "r.completed_missions DESC, r.score DESC",
+  score: "r.score DESC, r.completed_missions DESC",
+  rating: "(CAST(r.ratings_sum AS REAL) / r.ratings_count) DESC, r.ratings_count DESC",
+  badges: "badge_count DESC, r.completed_missions DESC",
+};
+
+function leaderboard(store, params) {
+  const by = params.get("by") || "missions";
+  if (!LEADERBOARDS[by])
+    throw new HttpError(400, `by must be one of ${Object.keys(LEADERBOARDS).join(", ")}`);
+  // Averages over a handful of ratings are noise; require a minimum
+  const minRatings = intParam(params, "minRatings", { def: by === "rating" ? 1 : 0 });
+  const { limit, offset } = page(params);
+  const rows = store.db
+    .prepare(
+      `SELECT r.*, p.username, (SELECT COUNT(*) FROM badges b WHERE b.address = r.address) AS badge_count
+       FROM reputation r LEFT JOIN profiles p ON p.address = r.address
+       WHERE r.ratings_count >= @minRatings AND (p.migrated_to IS NULL)
+       ORDER BY ${LEADERBOARDS[by]}, r.address LIMIT @limit OFFSET @offset`
+    )
+    .all({ minRatings, limit, offset });
+  return {
+    by,
+    items: rows.map((r, i) => ({
+      rank: offset + i + 1,
+      address: r.address,
+      username: r.username,
+      badges: r.badge_count,
+      ...reputationRow(r),
+    })),
+  };
+}
+
+const ROUTES = [
+  [/^\/status$/, status],
+  [/^\/listings$/, listListings],
+  [/^\/listings\/(\d+)$/, getListing],
+  [/^\/listings\/(\d+)\/offers$/, listOffersForListing],
+  [/^\/offers\/(\d+)$/, getOffer],
+  [/^\/escrows$/, listEscrows],
+  [/^\/escrows\/(\d+)$/, getEscrow],
+  [/^\/profiles\/([^/]+)$/, getProfile],
+  [/^\/search$/, search],
+  [/^\/leaderboard$/, leaderboard],
+];
+
+/**
+ * Read-only JSON API over a Store. Returns an unstarted http.Server.
+ */
+function createApi(store) {
+  return http.createServer((req, res) => {
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, {
+        "content-type": "application/json",
+        "access-control-allow-origin": "*",
+      });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== "GET") return send(405, { error: "method not allowed" });
+    const url = new URL(req.url, "http://localhost");
+    for (const [pattern, handler] of ROUTES) {
+      const m = url.pathname.match(pattern);
+      if (!m) continue;
+      try {
+        return send(200, handler(store, url.searchParams, ...m.slice(1)));
+      } catch (err) {
+        if (err instanceof HttpError) return send(err.status, { error: err.message });
+        return send(500, { error: "internal error" });
+      }
+    }
+    return send(404, { error: "not found" });
+  });
+}
+
+module.exports = { createApi, ftsQuery };
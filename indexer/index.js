@@ -0,0 +1,54 @@
+// Marketplace event indexer: replays the proxy's events into SQLite and
+// serves the read-only JSON API.
+//
+//   MARKETPLACE_PROXY=0x... RPC_URL=https://api.testnet.abs.xyz node indexer
+//
+// Env: MARKETPLACE_PROXY (required), RPC_URL, START_BLOCK, INDEXER_DB,
+// CONFIRMATIONS, BATCH_SIZE, POLL_INTERVAL_MS, API_PORT, IPFS_GATEWAY
+const { JsonRpcProvider } = require("ethers");
+const { Store } = require("./store");
+const { Indexer, gatewayFetcher } = require("./Indexer");
+const { createApi } = require("./api");
+require("dotenv").config();
+
+async function main() {
+  const address = process.env.MARKETPLACE_PROXY;
+  if (!address) throw new Error("MARKETPLACE_PROXY is required");
+  const provider = new JsonRpcProvider(
+    process.env.RPC_URL || "http://127.0.0.1:8011"
+  );
+  const store = new Store(process.env.INDEXER_DB || "marketplace-index.db");
+  const indexer = new Indexer({
+    store,
+    provider,
+    address,
+    startBlock: Number(process.env.START_BLOCK || 0),
+    confirmations: Number(process.env.CONFIRMATIONS || 0),
+    batchSize: Number(process.env.BATCH_SIZE || 2000),
+    fetchMetadata: process.env.IPFS_GATEWAY
+      ? gatewayFetcher(process.env.IPFS_GATEWAY)
+      : null,
+  });
+
+  const port = Number(process.env.API_PORT || 8080);
+  const server = createApi(store);
+  server.listen(port, () => console.log(`API listening on :${port}`));
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await indexer.run({
+    pollIntervalMs: Number(process.env.POLL_INTERVAL_MS || 5000),
+  });
+  provider.destroy();
+  store.close();
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
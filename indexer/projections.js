@@ -0,0 +1,404 @@
+// Events say what changed; contract views give the current state. Only
+// reviews and profile migrations are projected from event args directly,
+// so replaying a batch is idempotent.
+
+const { padUint } = require("./store");
+
+// Events whose `offerId` touches an escrow
+const ESCROW_EVENTS = new Set([
+  "EscrowStarted",
+  "MissionValidated",
+  "EscrowCompleted",
+  "DisputeOpened",
+  "DisputeOpenedWithCID",
+  "DisputeAppealed",
+  "DisputeResolved",
+  "MilestonesProposed",
+  "MilestoneValidated",
+  "MilestoneReleased",
+  "MilestoneDisputed",
+  "MilestoneAutoReleased",
+  "EscrowAutoReleased",
+  "CancellationProposed",
+  "CancellationWithdrawn",
+  "EscrowCancelled",
+  "EscrowReclaimed",
+  "PanelAssigned",
+  "PanelFinalized",
+  "ReviewHidden",
+]);
+
+// Events whose `id` is an offer
+const OFFER_EVENTS = new Set([
+  "OfferMade",
+  "OfferAccepted",
+  "OfferCountered",
+  "OfferCancelled",
+  "OfferRejected",
+  "OfferFunded",
+  "OfferDepositRefunded",
+]);
+
+// Events whose `id` (or `listingId`) is a listing
+const LISTING_EVENTS = new Set([
+  "ListingCreated",
+  "ListingStatus",
+  "ListingTermsUpdated",
+  "BoostPurchased",
+  "ListingTeamSet",
+]);
+
+// Event -> args naming addresses whose profile, reputation or badges changed
+const USER_EVENTS = {
+  ProfileCreated: ["user"],
+  ProfileUpdated: ["user"],
+  ProfileSkillsUpdated: ["user"],
+  ProfilePicUpdated: ["user"],
+  ProfileVerificationUpdated: ["user"],
+  ProfileBoostPurchased: ["user"],
+  UsernameRegistered: ["user"],
+  UsernameChanged: ["user"],
+  UsernameReleased: ["user"],
+  UsernameReclaimed: ["previousHolder"],
+  ProfileMigrated: ["from", "to"],
+  ProfileMigrationProgress: ["from", "to"],
+  BadgeEarned: ["user"],
+  BadgeRevoked: ["user"],
+  ReviewSubmitted: ["reviewee"],
+};
+
+// Events projected into the reviews table, keyed by reviewKey
+const REVIEW_EVENTS = new Set(["ReviewSubmitted", "ReviewReplied", "ReviewHidden"]);
+
+const reviewKey = (offerId, reviewer) => `${offerId}:${reviewer.toLowerCase()}`;
+
+/**
+ * Ids and addresses a list of decoded events touched, plus the facts views
+ * cannot give back (escrow start time, rejected offers).
+ */
+function collectTouched(events) {
+  const t = {
+    listings: new Set(),
+    offers: new Set(),
+    escrows: new Map(), // offerId -> { startedAt, updatedAt }
+    users: new Set(),
+    rejected: new Set(),
+    reviews: new Set(), // reviewKey
+  };
+  for (const ev of events) {
+    const a = ev.args;
+    if (LISTING_EVENTS.has(ev.name)) t.listings.add(a.id || a.listingId);
+    if (OFFER_EVENTS.has(ev.name)) {
+      t.offers.add(a.id);
+      if (a.listingId) t.listings.add(a.listingId);
+      if (ev.name === "OfferRejected") t.rejected.add(a.id);
+    }
+    if (ESCROW_EVENTS.has(ev.name)) {
+      const e = t.escrows.get(a.offerId) || { startedAt: null, updatedAt: 0 };
+      if (ev.name === "EscrowStarted") e.startedAt = ev.timestamp;
+      e.updatedAt = Math.max(e.updatedAt, ev.timestamp);
+      t.escrows.set(a.offerId, e);
+      t.offers.add(a.offerId);
+    }
+    for (const key of USER_EVENTS[ev.name] || []) t.users.add(a[key].toLowerCase());
+    if (REVIEW_EVENTS.has(ev.name)) t.reviews.add(reviewKey(a.offerId, a.reviewer));
+  }
+  return t;
+}
+
+/**
+ * What a reorg back to `blockNumber` leaves to rebuild: the entities the
+ * dropped events touched, plus the parties of touched escrows and the reviews
+ * those users received, with escrow times and rejected offers taken from the
+ * events that remain. `replay` lists the remaining events applyEvent must
+ * run again for them.
+ */
+function rebuildScope(store, blockNumber) {
+  const scope = collectTouched(store.eventsBetween(blockNumber, Number.MAX_SAFE_INTEGER));
+  const remaining = store.eventsBetween(-1, blockNumber);
+  const kept = collectTouched(remaining);
+  const db = store.db;
+  const parties = db.prepare("SELECT client, provider FROM escrows WHERE offer_id = ?");
+  for (const offerId of scope.escrows.keys()) {
+    const row = parties.get(Number(offerId));
+    if (row) scope.users.add(row.client).add(row.provider);
+    // Escrows without remaining events did not exist before the fork
+    scope.escrows.set(offerId, kept.escrows.get(offerId) || { startedAt: null, updatedAt: 0 });
+  }
+  const received = db.prepare("SELECT offer_id, reviewer FROM reviews WHERE reviewee = ?");
+  for (const address of scope.users) {
+    for (const r of received.all(address)) scope.reviews.add(reviewKey(r.offer_id, r.reviewer));
+  }
+  scope.rejected = kept.rejected;
+  // Migrations rewrite reviewees and stay cheap to replay in full
+  const replay = remaining.filter(
+    (ev) =>
+      ev.name === "ProfileMigrated" ||
+      (REVIEW_EVENTS.has(ev.name) && scope.reviews.has(reviewKey(ev.args.offerId, ev.args.reviewer)))
+  );
+  return { scope, replay };
+}
+
+// Direct projections, run inside the batch transaction
+function applyEvent(store, ev) {
+  const a = ev.args;
+  const db = store.db;
+  switch (ev.name) {
+    case "ReviewSubmitted":
+      db.prepare(
+        `INSERT INTO reviews (offer_id, reviewer, reviewee, rating, review_uri, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(offer_id, reviewer) DO UPDATE SET rating = excluded.rating, review_uri = excluded.review_uri`
+      ).run(
+        Number(a.offerId),
+        a.reviewer.toLowerCase(),
+        a.reviewee.toLowerCase(),
+        Number(a.rating),
+        a.reviewURI,
+        ev.timestamp
+      );
+      break;
+    case "ReviewReplied":
+      db.prepare(
+        "UPDATE reviews SET reply_uri = ? WHERE offer_id = ? AND reviewer = ?"
+      ).run(a.replyURI, Number(a.offerId), a.reviewer.toLowerCase());
+      break;
+    case "ReviewHidden":
+      db.prepare(
+        "UPDATE reviews SET hidden = ? WHERE offer_id = ? AND reviewer = ?"
+      ).run(a.hidden ? 1 : 0, Number(a.offerId), a.reviewer.toLowerCase());
+      break;
+    case "ProfileMigrated": {
+      const from = a.from.toLowerCase();
+      const to = a.to.toLowerCase();
+      db.prepare("UPDATE reviews SET reviewee = ? WHERE reviewee = ?").run(to, from);
+      db.prepare(
+        `INSERT INTO profiles (address, migrated_to) VALUES (?, ?)
+         ON CONFLICT(address) DO UPDATE SET migrated_to = excluded.migrated_to`
+      ).run(from, to);
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Words from a metadata document: string values of JSON, or the raw text
+function metadataText(raw) {
+  if (!raw) return "";
+  try {
+    const out = [];
+    const walk = (v) => {
+      if (typeof v === "string") out.push(v);
+      else if (v && typeof v === "object") Object.values(v).forEach(walk);
+    };
+    walk(JSON.parse(raw));
+    return out.join(" ");
+  } catch (_) {
+    return raw;
+  }
+}
+
+/**
+ * Reads the state of everything `touched` names at `blockTag` through the SDK
+ * client, so a batch is written as of its last block. Async, so it runs
+ * before the batch transaction opens.
+ */
+async function fetchState(client, touched, { fetchMetadata, blockTag = "latest" } = {}) {
+  if (blockTag !== "latest") client = client.atBlock(blockTag);
+  const state = { listings: [], offers: [], escrows: [], users: [] };
+  const users = new Set(touched.users);
+
+  for (const id of touched.listings) {
+    const listing = await client.getListing(id);
+    if (listing.id === 0n) continue;
+    const metadata = fetchMetadata ? await fetchMetadata(listing.metadataURI) : null;
+    state.listings.push({ listing, metadata });
+  }
+
+  for (const id of touched.offers) {
+    const offer = await client.getOffer(id);
+    if (offer.id === 0n) continue;
+    const deposit = await client.contract.offerDeposits(id);
+    const counters = (await client.contract.getNegotiation(id)).length;
+    state.offers.push({ offer, deposit, counters, rejected: touched.rejected.has(id) });
+  }
+
+  for (const [offerId, times] of touched.escrows) {
+    const escrow = await client.getEscrow(offerId);
+    if (escrow.status === "NONE") continue;
+    const offer = await client.getOffer(offerId);
+    const split = await client.getEscrowSplit(offerId);
+    users.add(escrow.client.toLowerCase());
+    users.add(escrow.provider.toLowerCase());
+    for (const s of split) users.add(s.member.toLowerCase());
+    state.escrows.push({ escrow, listingId: offer.listingId, ...times });
+  }
+
+  for (const address of users) {
+    state.users.push({
+      address,
+      profile: await client.getProfile(address),
+      reputation: await client.getReputation(address),
+      badges: await client.getUserBadges(address),
+    });
+  }
+  return state;
+}
+
+// Writes a fetchState() result, inside the batch transaction
+function writeState(store, state) {
+  const db = store.db;
+
+  const upsertListing = db.prepare(
+    `INSERT INTO listings (id, listing_type, creator, category, metadata_uri, metadata, active, price,
+       payment_token, expires_at, max_concurrent_orders, active_orders, boost_expiry, created_at)
+     VALUES (@id, @listingType, @creator, @category, @metadataURI, @metadata, @active, @price,
+       @paymentToken, @expiresAt, @maxConcurrentOrders, @activeOrders, @boostExpiry, @createdAt)
+     ON CONFLICT(id) DO UPDATE SET metadata_uri = excluded.metadata_uri,
+       metadata = COALESCE(excluded.metadata, listings.metadata), active = excluded.active,
+       price = excluded.price, payment_token = excluded.payment_token, expires_at = excluded.expires_at,
+       max_concurrent_orders = excluded.max_concurrent_orders, active_orders = excluded.active_orders,
+       boost_expiry = excluded.boost_expiry`
+  );
+  for (const { listing: l, metadata } of state.listings) {
+    upsertListing.run({
+      id: Number(l.id),
+      listingType: l.listingType,
+      creator: l.creator.toLowerCase(),
+      category: Number(l.category),
+      metadataURI: l.metadataURI,
+      metadata,
+      active: l.active ? 1 : 0,
+      price: padUint(l.price),
+      paymentToken: l.paymentToken.toLowerCase(),
+      expiresAt: Number(l.expiresAt),
+      maxConcurrentOrders: Number(l.maxConcurrentOrders),
+      activeOrders: Number(l.activeOrders),
+      boostExpiry: Number(l.boostExpiry),
+      createdAt: Number(l.createdAt),
+    });
+    const stored = db.prepare("SELECT metadata FROM listings WHERE id = ?").get(Number(l.id));
+    store.setSearchText(
+      "listing",
+      l.id,
+      `${l.metadataURI} ${metadataText(stored.metadata)}`
+    );
+  }
+
+  const upsertOffer = db.prepare(
+    `INSERT INTO offers (id, listing_id, proposer, amount, payment_token, status, counters, deposit, created_at)
+     VALUES (@id, @listingId, @proposer, @amount, @paymentToken, @status, @counters, @deposit, @createdAt)
+     ON CONFLICT(id) DO UPDATE SET amount = excluded.amount, payment_token = excluded.payment_token,
+       status = CASE WHEN offers.status = 'rejected' AND excluded.status = 'cancelled'
+                     THEN 'rejected' ELSE excluded.status END,
+       counters = excluded.counters, deposit = excluded.deposit`
+  );
+  for (const { offer: o, deposit, counters, rejected } of state.offers) {
+    const status = o.accepted
+      ? "accepted"
+      : o.cancelled
+      ? rejected
+        ? "rejected"
+        : "cancelled"
+      : "open";
+    upsertOffer.run({
+      id: Number(o.id),
+      listingId: Number(o.listingId),
+      proposer: o.proposer.toLowerCase(),
+      amount: padUint(o.amount),
+      paymentToken: o.paymentToken.toLowerCase(),
+      status,
+      counters,
+      deposit: padUint(deposit),
+      createdAt: Number(o.createdAt),
+    });
+  }
+
+  const upsertEscrow = db.prepare(
+    `INSERT INTO escrows (offer_id, listing_id, client, provider, amount, payment_token, fee_amount,
+       status, dispute_outcome, started_at, updated_at)
+     VALUES (@offerId, @listingId, @client, @provider, @amount, @paymentToken, @feeAmount,
+       @status, @disputeOutcome, @startedAt, @updatedAt)
+     ON CONFLICT(offer_id) DO UPDATE SET amount = excluded.amount, fee_amount = excluded.fee_amount,
+       status = excluded.status, dispute_outcome = excluded.dispute_outcome,
+       updated_at = MAX(escrows.updated_at, excluded.updated_at)`
+  );
+  for (const { escrow: e, listingId, startedAt, updatedAt } of state.escrows) {
+    upsertEscrow.run({
+      offerId: Number(e.offerId),
+      listingId: Number(listingId),
+      client: e.client.toLowerCase(),
+      provider: e.provider.toLowerCase(),
+      amount: padUint(e.amount),
+      paymentToken: e.paymentToken.toLowerCase(),
+      feeAmount: padUint(e.feeAmount),
+      status: e.status,
+      disputeOutcome: e.disputeOutcome,
+      startedAt: startedAt ?? updatedAt,
+      updatedAt,
+    });
+  }
+
+  for (const { address, profile: p, reputation: r, badges } of state.users) {
+    if (p.exists) {
+      db.prepare(
+        `INSERT INTO profiles (address, username, user_type, bio, skills, profile_pic_cid, is_verified, joined_at)
+         VALUES (@address, @username, @userType, @bio, @skills, @profilePicCID, @isVerified, @joinedAt)
+         ON CONFLICT(address) DO UPDATE SET username = excluded.username, user_type = excluded.user_type,
+           bio = excluded.bio, skills = excluded.skills, profile_pic_cid = excluded.profile_pic_cid,
+           is_verified = excluded.is_verified, joined_at = excluded.joined_at`
+      ).run({
+        address,
+        username: p.username || null,
+        userType: p.userType,
+        bio: p.bio,
+        skills: JSON.stringify(p.skills),
+        profilePicCID: p.profilePicCID,
+        isVerified: p.isVerified ? 1 : 0,
+        joinedAt: Number(p.joinedAt),
+      });
+      store.setSearchText(
+        "profile",
+        address,
+        [p.username, p.bio, ...p.skills].join(" ")
+      );
+    } else {
+      // Keep a migrated stub so lookups can follow `migrated_to`
+      db.prepare("DELETE FROM profiles WHERE address = ? AND migrated_to IS NULL").run(address);
+      db.prepare(
+        `UPDATE profiles SET username = NULL, user_type = NULL, bio = NULL, skills = NULL,
+           profile_pic_cid = NULL, is_verified = 0, joined_at = 0 WHERE address = ?`
+      ).run(address);
+      db.prepare("DELETE FROM search WHERE kind = 'profile' AND ref = ?").run(address);
+    }
+
+    db.prepare(
+      `INSERT INTO reputation (address, completed_missions, disputed_missions, score, ratings_count, ratings_sum)
+       VALUES (@address, @completed, @disputed, @score, @ratingsCount, @ratingsSum)
+       ON CONFLICT(address) DO UPDATE SET completed_missions = excluded.completed_missions,
+         disputed_missions = excluded.disputed_missions, score = excluded.score,
+         ratings_count = excluded.ratings_count, ratings_sum = excluded.ratings_sum`
+    ).run({
+      address,
+      completed: Number(r.completedMissions),
+      disputed: Number(r.disputedMissions),
+      score: padUint(r.score),
+      ratingsCount: Number(r.ratingsCount),
+      ratingsSum: Number(r.ratingsSum),
+    });
+
+    db.prepare("DELETE FROM badges WHERE address = ?").run(address);
+    const addBadge = db.prepare("INSERT OR IGNORE INTO badges (address, badge) VALUES (?, ?)");
+    for (const b of badges) addBadge.run(address, b);
+  }
+}
+
+module.exports = {
+  collectTouched,
+  rebuildScope,
+  applyEvent,
+  fetchState,
+  writeState,
+  metadataText,
+};
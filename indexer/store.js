@@ -0,0 +1,258 @@
+const Database = require("better-sqlite3");
+
+// uint256 values are stored as zero-padded decimal text so that SQLite's
+// text ordering matches numeric ordering (wei amounts overflow INTEGER)
+const UINT_DIGITS = 78;
+const padUint = (v) => BigInt(v).toString().padStart(UINT_DIGITS, "0");
+const unpadUint = (s) => (s == null ? null : BigInt(s).toString());
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  tx_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS listings (
+  id INTEGER PRIMARY KEY,
+  listing_type TEXT NOT NULL,
+  creator TEXT NOT NULL,
+  category INTEGER NOT NULL,
+  metadata_uri TEXT NOT NULL,
+  metadata TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  price TEXT NOT NULL DEFAULT '${padUint(0)}',
+  payment_token TEXT,
+  expires_at INTEGER NOT NULL DEFAULT 0,
+  max_concurrent_orders INTEGER NOT NULL DEFAULT 0,
+  active_orders INTEGER NOT NULL DEFAULT 0,
+  boost_expiry INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS listings_creator ON listings (creator);
+CREATE INDEX IF NOT EXISTS listings_category ON listings (category);
+CREATE TABLE IF NOT EXISTS offers (
+  id INTEGER PRIMARY KEY,
+  listing_id INTEGER NOT NULL,
+  proposer TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  payment_token TEXT NOT NULL,
+  status TEXT NOT NULL,
+  counters INTEGER NOT NULL DEFAULT 0,
+  deposit TEXT NOT NULL DEFAULT '${padUint(0)}',
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS offers_listing ON offers (listing_id);
+CREATE TABLE IF NOT EXISTS escrows (
+  offer_id INTEGER PRIMARY KEY,
+  listing_id INTEGER NOT NULL,
+  client TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  amount TEXT NOT NULL,
+  payment_token TEXT NOT NULL,
+  fee_amount TEXT NOT NULL,
+  status TEXT NOT NULL,
+  dispute_outcome TEXT NOT NULL DEFAULT 'NONE',
+  started_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS escrows_client ON escrows (client);
+CREATE INDEX IF NOT EXISTS escrows_provider ON escrows (provider);
+CREATE TABLE IF NOT EXISTS profiles (
+  address TEXT PRIMARY KEY,
+  username TEXT,
+  user_type TEXT,
+  bio TEXT,
+  skills TEXT,
+  profile_pic_cid TEXT,
+  is_verified INTEGER NOT NULL DEFAULT 0,
+  joined_at INTEGER NOT NULL DEFAULT 0,
+  migrated_to TEXT
+);
+CREATE TABLE IF NOT EXISTS reputation (
+  address TEXT PRIMARY KEY,
+  completed_missions INTEGER NOT NULL,
+  disputed_missions INTEGER NOT NULL,
+  score TEXT NOT NULL,
+  ratings_count INTEGER NOT NULL,
+  ratings_sum INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS badges (
+  address TEXT NOT NULL,
+  badge TEXT NOT NULL,
+  PRIMARY KEY (address, badge)
+);
+CREATE TABLE IF NOT EXISTS reviews (
+  offer_id INTEGER NOT NULL,
+  reviewer TEXT NOT NULL,
+  reviewee TEXT NOT NULL,
+  rating INTEGER NOT NULL,
+  review_uri TEXT,
+  reply_uri TEXT,
+  hidden INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (offer_id, reviewer)
+);
+CREATE INDEX IF NOT EXISTS reviews_reviewee ON reviews (reviewee);
+CREATE VIRTUAL TABLE IF NOT EXISTS search USING fts5(kind UNINDEXED, ref UNINDEXED, body);
+`;
+
+// Tables rebuilt from the event log after a reorg
+const PROJECTION_TABLES = [
+  "listings",
+  "offers",
+  "escrows",
+  "profiles",
+  "reputation",
+  "badges",
+  "reviews",
+  "search",
+];
+
+class Store {
+  constructor(file = ":memory:") {
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  // Checkpoint: last block whose events are fully applied
+
+  getMeta(key) {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db
+      .prepare(
+        "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+      )
+      .run(key, String(value));
+  }
+
+  getCheckpoint() {
+    const v = this.getMeta("checkpoint");
+    return v === null ? null : Number(v);
+  }
+
+  setCheckpoint(blockNumber) {
+    this.setMeta("checkpoint", blockNumber);
+  }
+
+  recordBlock(number, hash) {
+    this.db
+      .prepare(
+        "INSERT INTO blocks (number, hash) VALUES (?, ?) ON CONFLICT(number) DO UPDATE SET hash = excluded.hash"
+      )
+      .run(number, hash);
+  }
+
+  // Most recent recorded blocks first
+  recentBlocks(limit) {
+    return this.db
+      .prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?")
+      .all(limit);
+  }
+
+  pruneBlocks(belowNumber) {
+    this.db
+      .prepare(
+        "DELETE FROM blocks WHERE number < ? AND number NOT IN (SELECT DISTINCT block_number FROM events)"
+      )
+      .run(belowNumber);
+  }
+
+  insertEvent(e) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO events (block_number, log_index, block_hash, tx_hash, timestamp, name, args)
+         VALUES (@blockNumber, @logIndex, @blockHash, @txHash, @timestamp, @name, @args)`
+      )
+      .run({ ...e, args: JSON.stringify(e.args) });
+  }
+
+  allEvents() {
+    return this.eventsBetween(-1, Number.MAX_SAFE_INTEGER);
+  }
+
+  // Stored events in blocks (after, upTo], oldest first
+  eventsBetween(after, upTo) {
+    return this.db
+      .prepare(
+        "SELECT * FROM events WHERE block_number > ? AND block_number <= ? ORDER BY block_number, log_index"
+      )
+      .all(after, upTo)
+      .map((row) => ({
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        blockHash: row.block_hash,
+        txHash: row.tx_hash,
+        timestamp: row.timestamp,
+        name: row.name,
+        args: JSON.parse(row.args),
+      }));
+  }
+
+  /**
+   * Drops everything above `blockNumber` (reorg) together with the projection
+   * rows of the entities `scope` names (see rebuildScope), or every
+   * projection without a scope.
+   */
+  rollbackTo(blockNumber, scope = null) {
+    const db = this.db;
+    db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+    this.setCheckpoint(blockNumber);
+    if (!scope) {
+      for (const t of PROJECTION_TABLES) db.exec(`DELETE FROM ${t}`);
+      return;
+    }
+    const dropSearch = db.prepare("DELETE FROM search WHERE kind = ? AND ref = ?");
+    for (const id of scope.listings) {
+      db.prepare("DELETE FROM listings WHERE id = ?").run(Number(id));
+      dropSearch.run("listing", String(id));
+    }
+    for (const id of scope.offers) db.prepare("DELETE FROM offers WHERE id = ?").run(Number(id));
+    for (const offerId of scope.escrows.keys())
+      db.prepare("DELETE FROM escrows WHERE offer_id = ?").run(Number(offerId));
+    for (const address of scope.users) {
+      for (const t of ["profiles", "reputation", "badges"])
+        db.prepare(`DELETE FROM ${t} WHERE address = ?`).run(address);
+      dropSearch.run("profile", address);
+    }
+    for (const key of scope.reviews) {
+      const [offerId, reviewer] = key.split(":");
+      db.prepare("DELETE FROM reviews WHERE offer_id = ? AND reviewer = ?").run(
+        Number(offerId),
+        reviewer
+      );
+    }
+  }
+
+  // Full-text index: one row per (kind, ref)
+  setSearchText(kind, ref, body) {
+    this.db
+      .prepare("DELETE FROM search WHERE kind = ? AND ref = ?")
+      .run(kind, String(ref));
+    this.db
+      .prepare("INSERT INTO search (kind, ref, body) VALUES (?, ?, ?)")
+      .run(kind, String(ref), body);
+  }
+}
+
+module.exports = { Store, padUint, unpadUint, PROJECTION_TABLES };
@@ -37,6 +37,8 @@ async function main() {
   const TREASURY = process.env.TREASURY_ADDRESS || wallet.address;
   const DEX_ROUTER = process.env.DEX_ROUTER_ADDRESS;
   const WETH = process.env.WETH_ADDRESS;
+  const DEX_VERSION = (process.env.DEX_ROUTER_VERSION || "v2").toLowerCase();
+  const DEX_V3_FEE = Number(process.env.DEX_V3_DEFAULT_FEE || 3000);
 
   if (!dopAddress || !usdcAddress) {
     console.log("\n=== Token addresses not provided, deploying mocks ===");
@@ -70,6 +72,7 @@ async function main() {
   console.log("Treasury:", TREASURY);
   console.log("DEX Router:", DEX_ROUTER || "Not set (buyback disabled)");
   console.log("WETH:", WETH || "Not set");
+  if (DEX_ROUTER) console.log("DEX Version:", DEX_VERSION);
 
   console.log("\n=== Deploying Marketplace (zkSync UUPS proxy) ===");
   const marketArtifact = await deployer.loadArtifact("MarketplaceUpgradeable");
@@ -90,9 +93,23 @@ async function main() {
   if (DEX_ROUTER && WETH) {
     console.log("\n=== Configuring DEX Integration ===");
     try {
-      const tx = await proxy.setDexRouter(DEX_ROUTER, WETH);
-      await tx.wait();
-      console.log("✅ DEX router configured for buyback functionality");
+      // The marketplace talks to an ISwapAdapter wrapping the raw router
+      const adapterArtifact = await deployer.loadArtifact(
+        DEX_VERSION === "v3" ? "UniswapV3Adapter" : "UniswapV2Adapter"
+      );
+      const adapter = await deployer.deploy(
+        adapterArtifact,
+        DEX_VERSION === "v3"
+          ? [DEX_ROUTER, WETH, DEX_V3_FEE]
+          : [DEX_ROUTER, WETH]
+      );
+      await adapter.waitForDeployment();
+      const adapterAddress = await adapter.getAddress();
+      console.log(`${adapterArtifact.contractName}:`, adapterAddress);
+
+      await (await proxy.setDexRouter(DEX_ROUTER, WETH)).wait();
+      await (await proxy.setSwapAdapter(adapterAddress)).wait();
+      console.log("✅ DEX adapter configured for buyback functionality");
     } catch (error) {
       console.log("⚠️  Failed to set DEX router:", error.message);
     }
@@ -0,0 +1,113 @@
+// EIP-712 types of MarketplaceUpgradeable.SignedOffer
+const SIGNED_OFFER_TYPES = {
+  SignedOffer: [
+    { name: "listingId", type: "uint256" },
+    { name: "amount", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// Read the domain from the proxy (ERC-5267) so it always matches the deployment
+async function getOfferDomain(market) {
+  const d = await market.eip712Domain();
+  return {
+    name: d.name,
+    version: d.version,
+    chainId: d.chainId,
+    verifyingContract: d.verifyingContract,
+  };
+}
+
+// Build and sign an offer; returns the args for acceptSignedOffer
+async function signOffer(market, signer, offer) {
+  const value = {
+    listingId: BigInt(offer.listingId),
+    amount: BigInt(offer.amount),
+    paymentToken: offer.paymentToken,
+    expiry: BigInt(offer.expiry),
+    nonce: BigInt(offer.nonce),
+  };
+  const domain = await getOfferDomain(market);
+  const signature = await signer.signTypedData(
+    domain,
+    SIGNED_OFFER_TYPES,
+    value
+  );
+  return { offer: value, signer: signer.address, signature };
+}
+
+async function main() {
+  require("dotenv").config();
+  const hre = require("hardhat");
+  const { ethers } = hre;
+  const { Deployer } = require("@matterlabs/hardhat-zksync");
+  const { Provider, Wallet, Contract } = require("zksync-ethers");
+
+  const PROXY = process.env.MARKETPLACE_PROXY;
+  if (!PROXY) throw new Error("MARKETPLACE_PROXY missing");
+  const LISTING_ID = process.env.LISTING_ID;
+  const AMOUNT = process.env.AMOUNT; // human units, parsed with TOKEN_DECIMALS
+  if (!LISTING_ID || !AMOUNT) throw new Error("LISTING_ID and AMOUNT required");
+  const PAYMENT_TOKEN = process.env.PAYMENT_TOKEN || ethers.ZeroAddress;
+  const DECIMALS = Number(process.env.TOKEN_DECIMALS || 18);
+  const TTL = Number(process.env.OFFER_TTL_SECONDS || 7 * 24 * 3600);
+
+  // Build provider and wallet
+  const networkUrl = hre.network.config?.url || "http://127.0.0.1:8011";
+  const provider = new Provider(networkUrl);
+
+  const FUNDED_INMEMORY_PK =
+    "0x7726827caac94a7f9e1b160f7ea819f172f7b6f9d2a97f992c38edeab82d4110";
+  const accounts = hre.network.config?.accounts || [];
+  const fallbackPk =
+    hre.network.name === "inMemoryNode"
+      ? FUNDED_INMEMORY_PK
+      : Array.isArray(accounts) && accounts.length > 0
+      ? accounts[0]
+      : FUNDED_INMEMORY_PK;
+  const PRIVATE_KEY = process.env.DEPLOYER_PRIVATE_KEY || fallbackPk;
+  const wallet = new Wallet(PRIVATE_KEY, provider);
+
+  // Load ABI
+  const deployer = new Deployer(hre, wallet);
+  const marketArtifact = await deployer.loadArtifact("MarketplaceUpgradeable");
+  const market = new Contract(PROXY, marketArtifact.abi, wallet);
+
+  const latest = await provider.getBlock("latest");
+  // Random nonce unless pinned, so independent offers never collide
+  const nonce =
+    process.env.NONCE || BigInt(ethers.hexlify(ethers.randomBytes(16)));
+
+  const signed = await signOffer(market, wallet, {
+    listingId: LISTING_ID,
+    amount: ethers.parseUnits(AMOUNT, DECIMALS),
+    paymentToken: PAYMENT_TOKEN,
+    expiry: latest.timestamp + TTL,
+    nonce,
+  });
+
+  console.log("Network:", hre.network.name);
+  console.log("Proxy:", PROXY);
+  console.log("Signer:", signed.signer);
+  console.log(
+    JSON.stringify(
+      signed,
+      (_, v) => (typeof v === "bigint" ? v.toString() : v),
+      2
+    )
+  );
+  console.log(
+    "\nThe listing creator submits it with acceptSignedOffer(offer, signer, signature)."
+  );
+}
+
+module.exports = { SIGNED_OFFER_TYPES, getOfferDomain, signOffer };
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,360 @@
+const { Contract, ZeroAddress } = require("ethers");
+const {
+  ListingType,
+  DisputeOutcome,
+  UserType,
+  nameOf,
+  valueOf,
+} = require("./enums");
+const {
+  decodeListing,
+  decodeOffer,
+  decodeEscrow,
+  decodeProfile,
+  decodeAttestation,
+  decodeDisputeHeader,
+  decodeReputation,
+  decodeBadges,
+} = require("./decode");
+const { toMarketplaceError } = require("./errors");
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+// Compiled ABI from the zkSync (or plain) Hardhat artifacts
+function loadMarketplaceAbi() {
+  const paths = [
+    "../artifacts-zk/contracts/MarketplaceUpgradeable.sol/MarketplaceUpgradeable.json",
+    "../artifacts/contracts/MarketplaceUpgradeable.sol/MarketplaceUpgradeable.json",
+  ];
+  for (const p of paths) {
+    try {
+      return require(p).abi;
+    } catch (_) {
+      // try the next location
+    }
+  }
+  throw new Error("MarketplaceUpgradeable artifact not found; run compile or pass { abi }");
+}
+
+// Listing filter for getListingsDescendingFiltered; unset fields match all
+function toListingFilter(filter = {}) {
+  const hasType = filter.listingType !== undefined;
+  const hasPrice =
+    filter.minPrice !== undefined || filter.maxPrice !== undefined;
+  const hasCategory = filter.category !== undefined;
+  return {
+    onlyActive: Boolean(filter.onlyActive),
+    onlyBoosted: Boolean(filter.onlyBoosted),
+    filterByType: hasType,
+    listingType: hasType ? valueOf(ListingType, filter.listingType) : 0,
+    filterByPrice: hasPrice,
+    paymentToken: filter.paymentToken || ZeroAddress,
+    minPrice: filter.minPrice || 0n,
+    maxPrice: filter.maxPrice || 0n,
+    filterByCategory: hasCategory,
+    category: hasCategory ? filter.category : 0,
+    includeSubcategories: Boolean(filter.includeSubcategories),
+  };
+}
+
+/**
+ * High-level client for the marketplace proxy. `runner` is an ethers or
+ * zksync-ethers signer (for writes) or provider (read-only).
+ */
+class MarketplaceClient {
+  constructor(address, runner, { abi } = {}) {
+    this.address = address;
+    this.runner = runner;
+    this.contract = new Contract(address, abi || loadMarketplaceAbi(), runner);
+  }
+
+  // Same client bound to another signer
+  connect(runner) {
+    return new MarketplaceClient(this.address, runner, {
+      abi: this.contract.interface.fragments,
+    });
+  }
+
+  // Read-only copy whose calls all run against one block
+  atBlock(blockTag) {
+    const provider = this.runner.provider;
+    return this.connect({ provider, call: (tx) => provider.call({ ...tx, blockTag }) });
+  }
+
+  async signerAddress() {
+    if (!this.runner || typeof this.runner.getAddress !== "function")
+      throw new Error("a signer is required for transactions");
+    return this.runner.getAddress();
+  }
+
+  // Reads
+
+  /** @returns {Promise<import("./decode").Listing>} */
+  async getListing(listingId) {
+    return decodeListing(await this._call("listings", [listingId]));
+  }
+
+  /** @returns {Promise<import("./decode").Offer>} */
+  async getOffer(offerId) {
+    return decodeOffer(await this._call("offers", [offerId]));
+  }
+
+  /** @returns {Promise<import("./decode").Escrow>} */
+  async getEscrow(offerId) {
+    return decodeEscrow(await this._call("getEscrow", [offerId]));
+  }
+
+  /** @returns {Promise<import("./decode").Profile>} */
+  async getProfile(user) {
+    return decodeProfile(user, await this._call("getProfile", [user]));
+  }
+
+  /** @returns {Promise<import("./decode").Attestation[]>} active attestations */
+  async getAttestations(user) {
+    const list = await this._call("getAttestations", [user]);
+    return [...list].map(decodeAttestation);
+  }
+
+  /** @returns {Promise<import("./decode").DisputeHeader>} */
+  async getDisputeHeader(offerId) {
+    return decodeDisputeHeader(
+      offerId,
+      await this._call("getDisputeHeader", [offerId])
+    );
+  }
+
+  /** @returns {Promise<string[]>} badge names */
+  async getUserBadges(user) {
+    return decodeBadges(await this._call("getUserBadges", [user]));
+  }
+
+  /** @returns {Promise<import("./decode").Reputation>} */
+  async getReputation(user) {
+    return decodeReputation(await this._call("reputations", [user]));
+  }
+
+  // Team payout split snapshotted at escrow start (empty = provider only)
+  async getEscrowSplit(offerId) {
+    const shares = await this._call("getEscrowSplit", [offerId]);
+    return [...shares].map((s) => ({ member: s.member, bps: s.bps }));
+  }
+
+  // Amount and token of the standing terms (the last counter-offer, if any)
+  async getStandingTerms(offerId) {
+    const chain = await this._call("getNegotiation", [offerId]);
+    if (chain.length > 0) {
+      const last = chain[chain.length - 1];
+      return { amount: last.amount, paymentToken: last.paymentToken };
+    }
+    const offer = await this.getOffer(offerId);
+    return { amount: offer.amount, paymentToken: offer.paymentToken };
+  }
+
+  // Pagination (async iterators over the cursor and offset views)
+
+  /**
+   * Newest first. `filter` accepts onlyActive, onlyBoosted, listingType,
+   * paymentToken/minPrice/maxPrice and category/includeSubcategories.
+   * @returns {AsyncGenerator<import("./decode").Listing>}
+   */
+  async *iterateListings({ filter, pageSize = 25, startId = 0 } = {}) {
+    const f = toListingFilter(filter);
+    let cursor = BigInt(startId);
+    for (;;) {
+      const [page, nextCursor] = await this._call(
+        "getListingsDescendingFiltered",
+        [cursor, pageSize, f]
+      );
+      for (const l of page) yield decodeListing(l);
+      // A short page means the scan reached listing 1
+      if (nextCursor === 0n || page.length < pageSize) return;
+      cursor = nextCursor;
+    }
+  }
+
+  /** @returns {AsyncGenerator<import("./decode").Listing>} */
+  async *iterateListingsByCreator(creator, { pageSize = 25 } = {}) {
+    for (let offset = 0; ; offset += pageSize) {
+      const [page] = await this._call("getListingsByCreator", [
+        creator,
+        offset,
+        pageSize,
+      ]);
+      for (const l of page) yield decodeListing(l);
+      if (page.length < pageSize) return;
+    }
+  }
+
+  /** @returns {AsyncGenerator<import("./decode").Listing>} */
+  async *iterateListingsBySkill(skillId, { pageSize = 25 } = {}) {
+    for (let offset = 0; ; offset += pageSize) {
+      const [page, total] = await this._call("getListingsBySkill", [
+        skillId,
+        offset,
+        pageSize,
+      ]);
+      for (const l of page) yield decodeListing(l);
+      if (BigInt(offset + page.length) >= total || page.length === 0) return;
+    }
+  }
+
+  /** @returns {AsyncGenerator<{address: string, bio: string, username: string, userType: string, isVerified: boolean}>} */
+  async *iterateProvidersBySkill(skillId, { pageSize = 25 } = {}) {
+    for (let offset = 0; ; offset += pageSize) {
+      const [providers, profiles, total] = await this._call(
+        "getProvidersBySkill",
+        [skillId, offset, pageSize]
+      );
+      for (let i = 0; i < providers.length; i++) {
+        const p = profiles[i];
+        yield {
+          address: providers[i],
+          bio: p.bio,
+          username: p.username,
+          userType: nameOf(UserType, p.userType),
+          isVerified: p.isVerified,
+        };
+      }
+      if (BigInt(offset + providers.length) >= total || providers.length === 0)
+        return;
+    }
+  }
+
+  // Writes
+
+  /**
+   * Fixed-price terms are optional; with `price` the listing is created
+   * through createListingWithTerms.
+   * @returns {Promise<{listingId: bigint, receipt: object}>}
+   */
+  async createListing({
+    listingType,
+    category,
+    metadataURI,
+    price,
+    paymentToken = ZeroAddress,
+    expiresAt = 0,
+    maxConcurrentOrders = 0,
+  }) {
+    const type = valueOf(ListingType, listingType);
+    const withTerms =
+      price !== undefined || expiresAt !== 0 || maxConcurrentOrders !== 0;
+    const receipt = withTerms
+      ? await this._send("createListingWithTerms", [
+          type,
+          category,
+          metadataURI,
+          price || 0,
+          paymentToken,
+          expiresAt,
+          maxConcurrentOrders,
+        ])
+      : await this._send("createListing", [type, category, metadataURI]);
+    return { listingId: this._eventArg(receipt, "ListingCreated", "id"), receipt };
+  }
+
+  /**
+   * On a GIG the proposer is the client and pays when the creator accepts,
+   * so ERC20 offers approve the marketplace up front (disable with approve: false).
+   * @returns {Promise<{offerId: bigint, receipt: object}>}
+   */
+  async makeOffer({ listingId, amount, paymentToken = ZeroAddress, approve = true }) {
+    const listing = await this.getListing(listingId);
+    if (approve && listing.listingType === "GIG" && paymentToken !== ZeroAddress)
+      await this.ensureAllowance(paymentToken, amount);
+    const receipt = await this._send("makeOffer", [listingId, amount, paymentToken]);
+    return { offerId: this._eventArg(receipt, "OfferMade", "id"), receipt };
+  }
+
+  /**
+   * Accepts the standing terms. When the caller pays (BRIEF creator), ETH is
+   * sent as value and ERC20 allowance is raised if needed; pre-funded offers
+   * send nothing.
+   */
+  async acceptOffer(offerId) {
+    const offer = await this.getOffer(offerId);
+    const listing = await this.getListing(offer.listingId);
+    const overrides = {};
+    if (listing.listingType === "BRIEF") {
+      const deposit = await this._call("offerDeposits", [offerId]);
+      const { amount, paymentToken } = await this.getStandingTerms(offerId);
+      if (deposit === 0n) {
+        if (paymentToken === ZeroAddress) overrides.value = amount;
+        else await this.ensureAllowance(paymentToken, amount);
+      }
+    }
+    return this._send("acceptOffer", [offerId], overrides);
+  }
+
+  async validateWork(offerId) {
+    return this._send("validateWork", [offerId]);
+  }
+
+  async openDispute(offerId, cid) {
+    return cid
+      ? this._send("openDisputeWithCID", [offerId, cid])
+      : this._send("openDispute", [offerId]);
+  }
+
+  async resolveDispute(offerId, outcome) {
+    return this._send("resolveDispute", [
+      offerId,
+      valueOf(DisputeOutcome, outcome),
+    ]);
+  }
+
+  async leaveReview(offerId, rating, reviewURI = "") {
+    return this._send("leaveReview", [offerId, rating, reviewURI]);
+  }
+
+  // Approves the marketplace for `amount` if the current allowance is lower
+  async ensureAllowance(token, amount) {
+    const erc20 = new Contract(token, ERC20_ABI, this.runner);
+    const owner = await this.signerAddress();
+    const current = await erc20.allowance(owner, this.address);
+    if (current >= BigInt(amount)) return null;
+    try {
+      return await (await erc20.approve(this.address, amount)).wait();
+    } catch (err) {
+      throw toMarketplaceError(err);
+    }
+  }
+
+  // Internals
+
+  async _call(method, args) {
+    try {
+      return await this.contract[method](...args);
+    } catch (err) {
+      throw toMarketplaceError(err);
+    }
+  }
+
+  async _send(method, args, overrides = {}) {
+    try {
+      const tx = await this.contract[method](...args, overrides);
+      return await tx.wait();
+    } catch (err) {
+      throw toMarketplaceError(err);
+    }
+  }
+
+  _eventArg(receipt, eventName, arg) {
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch (_) {
+        continue;
+      }
+      if (parsed && parsed.name === eventName) return parsed.args[arg];
+    }
+    throw new Error(`${eventName} not found in receipt`);
+  }
+}
+
+module.exports = { MarketplaceClient, loadMarketplaceAbi, toListingFilter };
@@ -0,0 +1,218 @@
+// Turns ethers Result tuples into plain objects with enum names
+
+const {
+  ListingType,
+  EscrowStatus,
+  DisputeOutcome,
+  UserType,
+  Badge,
+  VerifierRole,
+  nameOf,
+} = require("./enums");
+
+/**
+ * @typedef {Object} Listing
+ * @property {bigint} id
+ * @property {"BRIEF"|"GIG"} listingType
+ * @property {string} creator
+ * @property {string} metadataURI
+ * @property {bigint} createdAt
+ * @property {boolean} active
+ * @property {bigint} boostExpiry
+ * @property {bigint} category
+ * @property {bigint} price 0 = offers only
+ * @property {string} paymentToken
+ * @property {bigint} expiresAt 0 = never
+ * @property {bigint} maxConcurrentOrders 0 = unlimited
+ * @property {bigint} activeOrders
+ */
+function decodeListing(r) {
+  return {
+    id: r.id,
+    listingType: nameOf(ListingType, r.listingType),
+    creator: r.creator,
+    metadataURI: r.metadataURI,
+    createdAt: r.createdAt,
+    active: r.active,
+    boostExpiry: r.boostExpiry,
+    category: r.category,
+    price: r.price,
+    paymentToken: r.paymentToken,
+    expiresAt: r.expiresAt,
+    maxConcurrentOrders: r.maxConcurrentOrders,
+    activeOrders: r.activeOrders,
+  };
+}
+
+/**
+ * @typedef {Object} Offer
+ * @property {bigint} id
+ * @property {bigint} listingId
+ * @property {string} proposer
+ * @property {bigint} amount
+ * @property {string} paymentToken ZeroAddress = ETH
+ * @property {bigint} createdAt
+ * @property {boolean} accepted
+ * @property {boolean} cancelled
+ * @property {bigint} deliveryPeriod
+ * @property {bigint} reviewWindow
+ */
+function decodeOffer(r) {
+  return {
+    id: r.id,
+    listingId: r.listingId,
+    proposer: r.proposer,
+    amount: r.amount,
+    paymentToken: r.paymentToken,
+    createdAt: r.createdAt,
+    accepted: r.accepted,
+    cancelled: r.cancelled,
+    deliveryPeriod: r.deliveryPeriod,
+    reviewWindow: r.reviewWindow,
+  };
+}
+
+/**
+ * @typedef {Object} Escrow
+ * @property {bigint} offerId
+ * @property {string} client
+ * @property {string} provider
+ * @property {string} paymentToken
+ * @property {bigint} amount
+ * @property {bigint} feeAmount
+ * @property {"NONE"|"IN_PROGRESS"|"COMPLETED"|"DISPUTED"|"RESOLVED"|"CANCELLED"} status
+ * @property {boolean} clientValidated
+ * @property {boolean} providerValidated
+ * @property {"NONE"|"REFUND_CLIENT"|"SPLIT"|"PAY_PROVIDER"} disputeOutcome
+ * @property {bigint} milestoneCount
+ * @property {bigint} milestonesClosed
+ * @property {bigint} releasedAmount
+ * @property {bigint} disputedMilestone
+ */
+function decodeEscrow(r) {
+  return {
+    offerId: r.offerId,
+    client: r.client,
+    provider: r.provider,
+    paymentToken: r.paymentToken,
+    amount: r.amount,
+    feeAmount: r.feeAmount,
+    status: nameOf(EscrowStatus, r.status),
+    clientValidated: r.clientValidated,
+    providerValidated: r.providerValidated,
+    disputeOutcome: nameOf(DisputeOutcome, r.disputeOutcome),
+    milestoneCount: r.milestoneCount,
+    milestonesClosed: r.milestonesClosed,
+    releasedAmount: r.releasedAmount,
+    disputedMilestone: r.disputedMilestone,
+  };
+}
+
+/**
+ * @typedef {Object} Attestation
+ * @property {bigint} id
+ * @property {string} subject
+ * @property {string} verifier
+ * @property {"NONE"|"KYC_PROVIDER"|"SKILL_ASSESSOR"|"COMMUNITY_MODERATOR"} role
+ * @property {string} attestationType bytes32 hex
+ * @property {bigint} issuedAt
+ * @property {bigint} expiresAt 0 = never
+ * @property {boolean} revoked
+ * @property {string} evidenceCID
+ */
+function decodeAttestation(r) {
+  return {
+    id: r.id,
+    subject: r.subject,
+    verifier: r.verifier,
+    role: nameOf(VerifierRole, r.role),
+    attestationType: r.attestationType,
+    issuedAt: r.issuedAt,
+    expiresAt: r.expiresAt,
+    revoked: r.revoked,
+    evidenceCID: r.evidenceCID,
+  };
+}
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} address
+ * @property {boolean} exists
+ * @property {string} bio
+ * @property {string[]} skills free-text skills
+ * @property {string[]} portfolioURIs
+ * @property {bigint} joinedAt 0 = no profile
+ * @property {"PROJECT_OWNER"|"DEVELOPER"|"ARTIST"|"KOL"} userType
+ * @property {boolean} isVerified
+ * @property {string} profilePicCID
+ * @property {string} username
+ * @property {Attestation[]} activeAttestations
+ */
+function decodeProfile(address, r) {
+  return {
+    address,
+    exists: r.joinedAt !== 0n,
+    bio: r.bio,
+    skills: [...r.skills],
+    portfolioURIs: [...r.portfolioURIs],
+    joinedAt: r.joinedAt,
+    userType: nameOf(UserType, r.userType),
+    isVerified: r.isVerified,
+    profilePicCID: r.profilePicCID,
+    username: r.username,
+    activeAttestations: [...r.activeAttestations].map(decodeAttestation),
+  };
+}
+
+/**
+ * @typedef {Object} DisputeHeader
+ * @property {bigint} offerId
+ * @property {boolean} exists
+ * @property {string} cid
+ * @property {string} openedBy
+ * @property {bigint} openedAt
+ * @property {bigint} appealsCount
+ */
+function decodeDisputeHeader(offerId, r) {
+  return {
+    offerId: BigInt(offerId),
+    exists: r.openedAt !== 0n,
+    cid: r.cid,
+    openedBy: r.openedBy,
+    openedAt: r.openedAt,
+    appealsCount: r.appealsCount,
+  };
+}
+
+/**
+ * @typedef {Object} Reputation
+ * @property {bigint} completedMissions
+ * @property {bigint} disputedMissions
+ * @property {bigint} score
+ * @property {bigint} ratingsCount
+ * @property {bigint} ratingsSum
+ */
+function decodeReputation(r) {
+  return {
+    completedMissions: r.completedMissions,
+    disputedMissions: r.disputedMissions,
+    score: r.score,
+    ratingsCount: r.ratingsCount,
+    ratingsSum: r.ratingsSum,
+  };
+}
+
+function decodeBadges(list) {
+  return [...list].map((b) => nameOf(Badge, b));
+}
+
+module.exports = {
+  decodeListing,
+  decodeOffer,
+  decodeEscrow,
+  decodeAttestation,
+  decodeProfile,
+  decodeDisputeHeader,
+  decodeReputation,
+  decodeBadges,
+};
@@ -0,0 +1,79 @@
+// Enum mirrors of MarketplaceUpgradeable. Order must match the contract.
+
+const ListingType = Object.freeze({ BRIEF: 0, GIG: 1 });
+
+const EscrowStatus = Object.freeze({
+  NONE: 0,
+  IN_PROGRESS: 1,
+  COMPLETED: 2,
+  DISPUTED: 3,
+  RESOLVED: 4,
+  CANCELLED: 5,
+});
+
+const DisputeOutcome = Object.freeze({
+  NONE: 0,
+  REFUND_CLIENT: 1,
+  SPLIT: 2,
+  PAY_PROVIDER: 3,
+});
+
+const UserType = Object.freeze({
+  PROJECT_OWNER: 0,
+  DEVELOPER: 1,
+  ARTIST: 2,
+  KOL: 3,
+});
+
+const Badge = Object.freeze({
+  ROOKIE: 0,
+  EXPERIENCED: 1,
+  EXPERT: 2,
+  MASTER: 3,
+  RELIABLE: 4,
+  MEDIATOR: 5,
+});
+
+const FeeRouting = Object.freeze({
+  BUYBACK_BURN: 0,
+  TREASURY: 1,
+  BURN_SPLIT: 2,
+});
+
+const VerifierRole = Object.freeze({
+  NONE: 0,
+  KYC_PROVIDER: 1,
+  SKILL_ASSESSOR: 2,
+  COMMUNITY_MODERATOR: 3,
+});
+
+// Numeric value (number or bigint) -> name, e.g. nameOf(Badge, 4n) === "RELIABLE"
+function nameOf(enumObj, value) {
+  const n = Number(value);
+  const name = Object.keys(enumObj).find((k) => enumObj[k] === n);
+  if (name === undefined) throw new RangeError(`unknown enum value ${value}`);
+  return name;
+}
+
+// Name or number -> number, so callers can pass "GIG" or 1
+function valueOf(enumObj, nameOrValue) {
+  if (typeof nameOrValue === "string") {
+    const v = enumObj[nameOrValue.toUpperCase()];
+    if (v === undefined) throw new RangeError(`unknown enum name ${nameOrValue}`);
+    return v;
+  }
+  nameOf(enumObj, nameOrValue); // range check
+  return Number(nameOrValue);
+}
+
+module.exports = {
+  ListingType,
+  EscrowStatus,
+  DisputeOutcome,
+  UserType,
+  Badge,
+  FeeRouting,
+  VerifierRole,
+  nameOf,
+  valueOf,
+};
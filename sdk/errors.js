@@ -0,0 +1,133 @@
+// Typed errors for contract reverts. `reason` holds the raw revert string.
+
+class MarketplaceError extends Error {
+  constructor(reason, message, cause) {
+    super(message || reason);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+// Caller is not allowed to perform the action
+class UnauthorizedError extends MarketplaceError {}
+// Listing, offer, escrow or dispute is not in a state that allows the action
+class InvalidStateError extends MarketplaceError {}
+// Amount, price, sent value or token does not match the terms
+class PaymentError extends MarketplaceError {}
+// Username is taken, reserved or malformed
+class UsernameError extends MarketplaceError {}
+// Referenced profile, review or record does not exist
+class NotFoundError extends MarketplaceError {}
+// Argument is out of range or malformed
+class ValidationError extends MarketplaceError {}
+
+// Revert string -> [error class, description]
+const REVERT_REASONS = {
+  auth: [UnauthorizedError, "caller is not authorized"],
+  client: [UnauthorizedError, "only the listing creator (client) can do this"],
+  prov: [UnauthorizedError, "only the listing creator (provider) can do this"],
+  self: [UnauthorizedError, "cannot act on your own listing, offer or review"],
+  owner: [UnauthorizedError, "only the owner can do this"],
+  verifier: [UnauthorizedError, "caller is not a verifier for this role"],
+  "not-arbitrator": [UnauthorizedError, "caller is not an arbitrator"],
+  panelist: [UnauthorizedError, "caller is not on the panel"],
+  counterparty: [UnauthorizedError, "only the counterparty can do this"],
+  status: [InvalidStateError, "escrow is not in the required status"],
+  "m-status": [InvalidStateError, "milestone is not in the required status"],
+  state: [InvalidStateError, "invalid state for this action"],
+  offer: [InvalidStateError, "offer is missing, cancelled or already accepted"],
+  listing: [InvalidStateError, "listing is inactive or expired"],
+  escrow: [InvalidStateError, "escrow already exists"],
+  countered: [InvalidStateError, "offer has a pending counter-offer"],
+  turn: [InvalidStateError, "it is the other party's turn"],
+  pending: [InvalidStateError, "a request is already pending"],
+  funded: [InvalidStateError, "offer is already funded"],
+  full: [InvalidStateError, "listing has reached its order cap"],
+  done: [InvalidStateError, "already done"],
+  voted: [InvalidStateError, "already voted"],
+  replied: [InvalidStateError, "review already has a reply"],
+  expired: [InvalidStateError, "signed offer has expired"],
+  nonce: [InvalidStateError, "nonce already used or cancelled"],
+  panel: [InvalidStateError, "a panel is sitting on this dispute"],
+  team: [InvalidStateError, "team is not ready or not led by the provider"],
+  migrated: [InvalidStateError, "address has migrated its profile"],
+  "Profile exists": [InvalidStateError, "profile already exists"],
+  fresh: [InvalidStateError, "migration target is not a fresh address"],
+  price: [PaymentError, "price does not match the listing"],
+  value: [PaymentError, "sent ETH does not match the amount"],
+  token: [PaymentError, "payment token is not allowed"],
+  min: [PaymentError, "amount is below the token minimum"],
+  fee: [PaymentError, "amount does not cover the fee"],
+  amt: [PaymentError, "invalid amount"],
+  pay: [PaymentError, "payment failed"],
+  "uname-taken": [UsernameError, "username is taken"],
+  "uname-reserved": [UsernameError, "username is reserved"],
+  "uname-len": [UsernameError, "username must be 3-32 characters"],
+  "uname-chars": [UsernameError, "username may only use a-z, 0-9, _ and ."],
+  "uname-empty": [UsernameError, "username is empty"],
+  "No profile": [NotFoundError, "profile does not exist"],
+  none: [NotFoundError, "nothing found"],
+  review: [NotFoundError, "review does not exist"],
+  skill: [NotFoundError, "skill does not exist or is inactive"],
+  cat: [ValidationError, "category does not exist or is inactive"],
+  rating: [ValidationError, "rating must be 1-5"],
+  zero: [ValidationError, "zero address"],
+  type: [ValidationError, "wrong listing type"],
+  expiry: [ValidationError, "invalid expiry"],
+  dup: [ValidationError, "duplicate entry"],
+};
+
+// Pulls an Error(string) reason out of the nested error shapes of ethers,
+// zksync-ethers and JSON-RPC providers
+function extractRevertReason(err) {
+  const seen = new Set();
+  const stack = [err];
+  while (stack.length) {
+    const e = stack.pop();
+    if (!e || typeof e !== "object" || seen.has(e)) continue;
+    seen.add(e);
+    if (typeof e.reason === "string" && e.reason) return e.reason;
+    if (e.revert && e.revert.args && typeof e.revert.args[0] === "string")
+      return e.revert.args[0];
+    for (const text of [e.shortMessage, e.message]) {
+      if (typeof text !== "string") continue;
+      const m =
+        text.match(/reverted(?: with reason string)?:? ['"]([^'"]+)['"]/) ||
+        text.match(/reverted(?: with reason string)?: ([^\s,'"]+)/);
+      if (m) return m[1];
+    }
+    stack.push(e.error, e.info && e.info.error, e.cause, e.data);
+  }
+  return undefined;
+}
+
+// Wraps any failure in a MarketplaceError subclass (plain MarketplaceError
+// when the revert string is unknown); non-revert errors are returned as-is
+function toMarketplaceError(err) {
+  if (err instanceof MarketplaceError) return err;
+  const reason = extractRevertReason(err);
+  if (reason === undefined) return err;
+  const [ErrorClass, description] = REVERT_REASONS[reason] || [
+    MarketplaceError,
+    undefined,
+  ];
+  return new ErrorClass(
+    reason,
+    description ? `${description} (${reason})` : reason,
+    err
+  );
+}
+
+module.exports = {
+  MarketplaceError,
+  UnauthorizedError,
+  InvalidStateError,
+  PaymentError,
+  UsernameError,
+  NotFoundError,
+  ValidationError,
+  REVERT_REASONS,
+  extractRevertReason,
+  toMarketplaceError,
+};
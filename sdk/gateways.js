@@ -0,0 +1,64 @@
+// Content gateways for the CIDs and URIs stored on-chain (listing metadata,
+// dispute evidence, counter-offer messages). A gateway is
+// { name, fetch(uri) -> Promise<Buffer> } and throws when the content is
+// unavailable.
+const fs = require("fs");
+const path = require("path");
+
+// "ipfs://<cid>/<path>", "/ipfs/<cid>" or a bare CID -> "<cid>/<path>";
+// null for anything else (http URLs, empty strings)
+function cidPath(uri) {
+  const s = String(uri || "").trim();
+  if (s.startsWith("ipfs://")) return s.slice("ipfs://".length).replace(/^ipfs\//, "");
+  if (s.startsWith("/ipfs/")) return s.slice("/ipfs/".length);
+  if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{20,})(\/.*)?$/.test(s)) return s;
+  return null;
+}
+
+/**
+ * Reads CIDs through an HTTP gateway such as https://ipfs.io/ipfs;
+ * http(s) URIs are fetched as they are.
+ */
+function httpGateway(base, { timeoutMs = 10_000 } = {}) {
+  const root = base.replace(/\/+$/, "");
+  return {
+    name: root,
+    async fetch(uri) {
+      const p = cidPath(uri);
+      let url;
+      if (p !== null) url = `${root}/${p}`;
+      else if (/^https?:\/\//.test(uri)) url = uri;
+      else throw new Error(`unsupported URI ${uri}`);
+      const res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+  };
+}
+
+// Serves CIDs from files named after them under `dir` (tests, offline review
+// of a downloaded evidence bundle)
+function localGateway(dir) {
+  const root = path.resolve(dir);
+  return {
+    name: `file:${root}`,
+    async fetch(uri) {
+      const p = cidPath(uri);
+      if (p === null) throw new Error(`unsupported URI ${uri}`);
+      const file = path.resolve(root, p);
+      if (file !== root && !file.startsWith(root + path.sep))
+        throw new Error(`${uri} escapes ${root}`);
+      return fs.promises.readFile(file).catch(() => {
+        throw new Error(`${p} not found in ${root}`);
+      });
+    },
+  };
+}
+
+// "https://..." -> httpGateway, "file:<dir>" or a directory path -> localGateway
+function gatewayFromSpec(spec) {
+  if (/^https?:\/\//.test(spec)) return httpGateway(spec);
+  return localGateway(spec.startsWith("file:") ? spec.slice("file:".length) : spec);
+}
+
+module.exports = { cidPath, httpGateway, localGateway, gatewayFromSpec };
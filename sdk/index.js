@@ -0,0 +1,31 @@
+// JavaScript SDK for MarketplaceUpgradeable (ethers v6 / zksync-ethers)
+const enums = require("./enums");
+const errors = require("./errors");
+const decode = require("./decode");
+const gateways = require("./gateways");
+const {
+  MarketplaceClient,
+  loadMarketplaceAbi,
+  toListingFilter,
+} = require("./MarketplaceClient");
+
+// Drains an async iterator, e.g. await collect(client.iterateListings())
+async function collect(iterable, limit = Infinity) {
+  const out = [];
+  for await (const item of iterable) {
+    out.push(item);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+module.exports = {
+  MarketplaceClient,
+  loadMarketplaceAbi,
+  toListingFilter,
+  collect,
+  ...enums,
+  ...errors,
+  ...decode,
+  ...gateways,
+};
@@ -0,0 +1,169 @@
+// Owner-only market:* tasks. Each `build` reads the current values and
+// returns a plan; tasks/index.js registers them and runs executePlan.
+const { formatUnits } = require("ethers");
+const { DisputeOutcome, valueOf } = require("../sdk");
+const {
+  planCall,
+  parseBps,
+  parseDuration,
+  parseAmount,
+  parseAddress,
+} = require("./lib");
+
+// Shared builder for setBoostParams / setProfileBoostParams
+function boostTask(method, priceGetter, durationGetter, what) {
+  return {
+    description: `Set the ${what} boost price (whole DOP) and duration`,
+    params: {
+      price: "Boost price in whole DOP, e.g. 1000 (default: unchanged)",
+      duration: "Boost duration in seconds or with s/m/h/d, e.g. 7d (default: unchanged)",
+    },
+    async build({ market }, a) {
+      const price = await market[priceGetter]();
+      const duration = await market[durationGetter]();
+      const nextPrice = a.price !== undefined ? parseAmount(a.price, "price") : price;
+      const nextDuration =
+        a.duration !== undefined ? parseDuration(a.duration, "duration") : duration;
+      return planCall(market, method, [nextPrice, nextDuration], [
+        [priceGetter, `${formatUnits(price)} DOP`, `${formatUnits(nextPrice)} DOP`],
+        [durationGetter, `${duration}s`, `${nextDuration}s`],
+      ]);
+    },
+  };
+}
+
+const ADMIN_TASKS = {
+  "market:set-fees": {
+    description: "Set the legacy USD-like and DOP fee tiers in bps",
+    params: {
+      usdLike: "Fee for non-DOP tokens in bps, at most 3000 (default: unchanged)",
+      dop: "Fee for DOP in bps, at most 2000 (default: unchanged)",
+    },
+    async build({ market }, a) {
+      const usdLike = await market.feeUsdLike();
+      const dop = await market.feeDop();
+      const nextUsdLike =
+        a.usdLike !== undefined ? parseBps(a.usdLike, "usd-like", 3_000) : usdLike;
+      const nextDop = a.dop !== undefined ? parseBps(a.dop, "dop", 2_000) : dop;
+      return planCall(market, "setFees", [nextUsdLike, nextDop], [
+        ["feeUsdLike", usdLike, nextUsdLike],
+        ["feeDop", dop, nextDop],
+      ]);
+    },
+  },
+
+  "market:set-boost": boostTask(
+    "setBoostParams",
+    "boostPriceDOP",
+    "boostDuration",
+    "listing"
+  ),
+
+  "market:set-profile-boost": boostTask(
+    "setProfileBoostParams",
+    "profileBoostPriceDOP",
+    "profileBoostDuration",
+    "profile"
+  ),
+
+  "market:set-treasury": {
+    description: "Set the fee treasury",
+    params: { address: "New treasury address" },
+    async build({ market }, a) {
+      const next = parseAddress(a.address, "address");
+      return planCall(market, "setTreasury", [next], [
+        ["treasury", await market.treasury(), next],
+      ]);
+    },
+  },
+
+  "market:set-dex-router": {
+    description: "Set the UniswapV2-like buyback router and WETH",
+    params: {
+      router: "Router address, used when no swap adapter is set (zero address disables it)",
+      weth: "WETH address (default: unchanged)",
+    },
+    async build({ market }, a) {
+      const router = await market.dexRouter();
+      const weth = await market.weth();
+      const nextRouter = parseAddress(a.router, "router");
+      const nextWeth = a.weth !== undefined ? parseAddress(a.weth, "weth") : weth;
+      return planCall(market, "setDexRouter", [nextRouter, nextWeth], [
+        ["dexRouter", router, nextRouter],
+        ["weth", weth, nextWeth],
+      ]);
+    },
+  },
+
+  "market:set-swap-adapter": {
+    description: "Set the ISwapAdapter used for buybacks instead of the router",
+    params: { adapter: "Adapter address (zero address falls back to the router)" },
+    async build({ market }, a) {
+      const next = parseAddress(a.adapter, "adapter");
+      return planCall(market, "setSwapAdapter", [next], [
+        ["swapAdapter", await market.swapAdapter(), next],
+      ]);
+    },
+  },
+
+  "market:verify-profile": {
+    description: "Set (or with --revoke clear) the verified flag of a profile",
+    params: { user: "Profile address" },
+    flags: { revoke: "Clear the flag with unverifyProfile" },
+    async build({ market, client }, a) {
+      const user = parseAddress(a.user, "user");
+      const profile = await client.getProfile(user);
+      if (!profile.exists) throw new Error(`${user} has no profile`);
+      const method = a.revoke ? "unverifyProfile" : "verifyProfile";
+      return planCall(market, method, [user], [
+        ["isVerified", profile.isVerified, !a.revoke],
+      ]);
+    },
+  },
+
+  "market:pause": {
+    description: "Pause the marketplace",
+    async build({ market }) {
+      return planCall(market, "pause", [], [["paused", await market.paused(), true]]);
+    },
+  },
+
+  "market:unpause": {
+    description: "Unpause the marketplace",
+    async build({ market }) {
+      return planCall(market, "unpause", [], [["paused", await market.paused(), false]]);
+    },
+  },
+
+  "market:resolve-dispute": {
+    description: "Resolve a disputed escrow as the owner",
+    params: {
+      offerId: "Disputed offer id",
+      outcome: "REFUND_CLIENT, SPLIT or PAY_PROVIDER",
+      splitBps: "Provider share in bps for SPLIT (default: 50/50)",
+    },
+    async build({ market, client }, a) {
+      if (a.offerId === undefined) throw new Error("offer-id is required");
+      const escrow = await client.getEscrow(a.offerId);
+      if (escrow.status !== "DISPUTED")
+        throw new Error(`escrow ${a.offerId} is ${escrow.status}, not DISPUTED`);
+      if (!a.outcome) throw new Error("outcome is required");
+      const outcome = valueOf(DisputeOutcome, a.outcome);
+      if (outcome === DisputeOutcome.NONE) throw new Error("outcome must not be NONE");
+      const changes = [
+        ["status", escrow.status, "RESOLVED"],
+        ["disputeOutcome", escrow.disputeOutcome, a.outcome.toUpperCase()],
+      ];
+      if (a.splitBps !== undefined) {
+        if (outcome !== DisputeOutcome.SPLIT)
+          throw new Error("split-bps only applies to the SPLIT outcome");
+        const bps = parseBps(a.splitBps, "split-bps");
+        changes.push(["providerShareBps", "-", bps]);
+        return planCall(market, "resolveDisputeSplit", [BigInt(a.offerId), bps], changes);
+      }
+      return planCall(market, "resolveDispute", [BigInt(a.offerId), outcome], changes);
+    },
+  },
+};
+
+module.exports = { ADMIN_TASKS };
@@ -0,0 +1,415 @@
+// Dispute case files for market:case: everything an arbitrator needs to
+// decide one escrow, as JSON or Markdown, plus a payout preview per outcome
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Contract, ZeroAddress, formatUnits } = require("ethers");
+const { EscrowStatus, DisputeOutcome, nameOf, cidPath } = require("../sdk");
+
+const BPS = 10_000n;
+const DEFAULT_SPLIT_BPS = 5_000n;
+const RESOLUTION_OUTCOMES = ["REFUND_CLIENT", "SPLIT", "PAY_PROVIDER"];
+
+const ERC20_METADATA_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+async function tokenInfo(runner, address) {
+  if (address === ZeroAddress) return { address, symbol: "ETH", decimals: 18 };
+  const erc20 = new Contract(address, ERC20_METADATA_ABI, runner);
+  const symbol = await erc20.symbol().catch(() => "?");
+  const decimals = await erc20.decimals().then(Number, () => 18);
+  return { address, symbol, decimals };
+}
+
+/**
+ * Payouts an owner resolution would make, mirroring _resolveDispute (owner
+ * calls take no arbitration fee). Team escrows fan the provider amount out
+ * by the snapshotted split, with the rounding remainder to the last member.
+ */
+function previewPayouts({ amount, feeAmount, provider, split }, outcome, splitBps = DEFAULT_SPLIT_BPS) {
+  const work = amount - feeAmount;
+  let toProvider = 0n;
+  let toClient = 0n;
+  let fee = feeAmount;
+  if (outcome === "REFUND_CLIENT") {
+    toClient = amount;
+    fee = 0n;
+  } else if (outcome === "SPLIT") {
+    toProvider = (work * BigInt(splitBps)) / BPS;
+    toClient = amount - toProvider - feeAmount;
+  } else if (outcome === "PAY_PROVIDER") {
+    toProvider = work;
+  } else {
+    throw new Error(`unknown outcome ${outcome}`);
+  }
+  let members = [{ member: provider, amount: toProvider }];
+  if (split.length > 0) {
+    let paid = 0n;
+    members = split.map((s, i) => {
+      const share =
+        i + 1 < split.length ? (toProvider * BigInt(s.bps)) / BPS : toProvider - paid;
+      paid += share;
+      return { member: s.member, amount: share };
+    });
+  }
+  return {
+    outcome,
+    splitBps: outcome === "SPLIT" ? BigInt(splitBps) : null,
+    provider: toProvider,
+    client: toClient,
+    fee,
+    members,
+  };
+}
+
+// Profile, standing and dispute record of one side of the escrow
+async function describeParty(client, address, offerId) {
+  const market = client.contract;
+  const profile = await client.getProfile(address);
+  const reputation = await client.getReputation(address);
+  const missions = await market.getMissionHistory(address);
+  const reviews = await market.getReviews(address);
+  const avgTimes100 = await market.getAverageRating(address);
+  const priorDisputes = [...missions]
+    .filter((m) => m.wasDisputed && m.escrowId !== BigInt(offerId))
+    .map((m) => ({
+      offerId: m.escrowId,
+      role: m.provider === address ? "provider" : "client",
+      counterparty: m.provider === address ? m.client : m.provider,
+      amount: m.amount,
+      token: m.token,
+      closedAt: m.completedAt,
+    }));
+  return {
+    address,
+    username: profile.username,
+    userType: profile.exists ? profile.userType : null,
+    isVerified: profile.isVerified,
+    joinedAt: profile.joinedAt,
+    attestations: profile.activeAttestations.map((a) => a.role),
+    reputation: {
+      ...reputation,
+      averageRating: reputation.ratingsCount > 0n ? Number(avgTimes100) / 100 : null,
+    },
+    badges: await client.getUserBadges(address),
+    missions: missions.length,
+    priorDisputes,
+    recentReviews: [...reviews]
+      .slice(-5)
+      .reverse()
+      .map((r) => ({
+        offerId: r.offerId,
+        reviewer: r.reviewer,
+        rating: Number(r.rating),
+        reviewURI: r.reviewURI,
+        at: r.timestamp,
+      })),
+  };
+}
+
+// Fetches one evidence URI; the raw bytes ride along as a non-enumerable
+// `content` so JSON output stays text-only
+async function resolveEvidence(gateway, label, uri, maxTextBytes) {
+  const item = { label, uri, status: "skipped" };
+  if (!gateway) return item;
+  try {
+    const content = await gateway.fetch(uri);
+    item.status = "ok";
+    item.bytes = content.length;
+    item.sha256 = crypto.createHash("sha256").update(content).digest("hex");
+    const text = content.toString("utf8");
+    item.text =
+      !text.includes("\uFFFD") && !text.includes("\0")
+        ? text.slice(0, maxTextBytes)
+        : null;
+    item.truncated = item.text !== null && text.length > maxTextBytes;
+    Object.defineProperty(item, "content", { value: content, enumerable: false });
+  } catch (err) {
+    item.status = "error";
+    item.error = err.message;
+  }
+  return item;
+}
+
+/**
+ * Assembles the case file for `offerId`. With a gateway, every CID and URI
+ * in the case (listing metadata, dispute and appeal evidence, counter-offer
+ * messages) is fetched and hashed.
+ */
+async function buildCaseFile(client, offerId, { gateway = null, maxTextBytes = 4000 } = {}) {
+  const market = client.contract;
+  const escrow = await client.getEscrow(offerId);
+  if (escrow.status === "NONE") throw new Error(`offer ${offerId} has no escrow`);
+  const offer = await client.getOffer(offerId);
+  const listing = await client.getListing(offer.listingId);
+  const token = await tokenInfo(market.runner, escrow.paymentToken);
+
+  const negotiation = [...(await market.getNegotiation(offerId))].map((n) => ({
+    author: n.author,
+    amount: n.amount,
+    paymentToken: n.paymentToken,
+    deliveryPeriod: n.deliveryPeriod,
+    reviewWindow: n.reviewWindow,
+    cid: n.cid,
+    at: n.createdAt,
+  }));
+  const t = await market.escrowTimelines(offerId);
+  const milestones = [...(await market.getEscrowMilestones(offerId))].map((m, index) => ({
+    index,
+    amount: m.amount,
+    feeAmount: m.feeAmount,
+    status: nameOf(EscrowStatus, m.status),
+    disputeOutcome: nameOf(DisputeOutcome, m.disputeOutcome),
+  }));
+
+  const header = await client.getDisputeHeader(offerId);
+  const appeals = [];
+  for (let i = 0n; i < header.appealsCount; i++) {
+    const a = await market.getDisputeAppeal(offerId, i);
+    appeals.push({ index: Number(i), by: a.by, cid: a.cid, at: a.timestamp });
+  }
+  const p = await market.getPanel(offerId);
+  const panel =
+    p.members.length > 0
+      ? {
+          active: p.active,
+          deadline: p.deadline,
+          votes: [...p.members].map((member, i) => ({
+            member,
+            vote: nameOf(DisputeOutcome, p.votes[i]),
+          })),
+        }
+      : null;
+  const split = await client.getEscrowSplit(offerId);
+
+  const sources = [["listing metadata", listing.metadataURI]];
+  if (header.cid) sources.push(["dispute evidence", header.cid]);
+  for (const a of appeals) if (a.cid) sources.push([`appeal ${a.index + 1}`, a.cid]);
+  negotiation.forEach((n, i) => {
+    if (n.cid) sources.push([`counter-offer ${i + 1}`, n.cid]);
+  });
+  const evidence = [];
+  for (const [label, uri] of sources)
+    evidence.push(await resolveEvidence(gateway, label, uri, maxTextBytes));
+
+  // Milestone escrows only settle the disputed milestone
+  const disputed =
+    milestones.length > 0 ? milestones[Number(escrow.disputedMilestone)] : escrow;
+  const resolution =
+    escrow.status === "DISPUTED" || (milestones.length > 0 && disputed.status === "DISPUTED")
+      ? RESOLUTION_OUTCOMES.map((o) =>
+          previewPayouts(
+            {
+              amount: disputed.amount,
+              feeAmount: disputed.feeAmount,
+              provider: escrow.provider,
+              split,
+            },
+            o
+          )
+        )
+      : null;
+
+  return {
+    offerId: BigInt(offerId),
+    generatedAt: new Date().toISOString(),
+    gateway: gateway ? gateway.name : null,
+    escrow: {
+      status: escrow.status,
+      disputeOutcome: escrow.disputeOutcome,
+      client: escrow.client,
+      provider: escrow.provider,
+      token,
+      amount: escrow.amount,
+      feeAmount: escrow.feeAmount,
+      clientValidated: escrow.clientValidated,
+      providerValidated: escrow.providerValidated,
+      releasedAmount: escrow.releasedAmount,
+      disputedMilestone: milestones.length > 0 ? escrow.disputedMilestone : null,
+      deliveryDeadline: t.deliveryDeadline,
+      reviewWindow: t.reviewWindow,
+      providerValidatedAt: t.providerValidatedAt,
+      team: split,
+    },
+    listing: {
+      id: listing.id,
+      listingType: listing.listingType,
+      creator: listing.creator,
+      category: listing.category,
+      metadataURI: listing.metadataURI,
+    },
+    offer: {
+      proposer: offer.proposer,
+      amount: offer.amount,
+      paymentToken: offer.paymentToken,
+      deliveryPeriod: offer.deliveryPeriod,
+      reviewWindow: offer.reviewWindow,
+      createdAt: offer.createdAt,
+      negotiation,
+    },
+    milestones,
+    dispute: header.exists
+      ? { openedBy: header.openedBy, openedAt: header.openedAt, cid: header.cid, appeals, panel }
+      : null,
+    parties: {
+      client: await describeParty(client, escrow.client, offerId),
+      provider: await describeParty(client, escrow.provider, offerId),
+    },
+    evidence,
+    resolution,
+  };
+}
+
+// Markdown rendering
+
+const date = (ts) => (ts && ts !== 0n ? new Date(Number(ts) * 1000).toISOString() : "-");
+const short = (a) => (a ? `${a.slice(0, 6)}…${a.slice(-4)}` : "-");
+
+function renderMarkdown(c) {
+  const e = c.escrow;
+  const amt = (v) => `${formatUnits(v, e.token.decimals)} ${e.token.symbol}`;
+  const out = [];
+  const push = (...lines) => out.push(...lines);
+  const table = (head, rows) => {
+    push(`| ${head.join(" | ")} |`, `| ${head.map(() => "---").join(" | ")} |`);
+    for (const r of rows) push(`| ${r.join(" | ")} |`);
+    push("");
+  };
+
+  push(`# Dispute case: offer ${c.offerId}`, "");
+  push(`Generated ${c.generatedAt}${c.gateway ? ` with gateway ${c.gateway}` : ""}.`, "");
+
+  push("## Escrow", "");
+  table(["Field", "Value"], [
+    ["Status", `${e.status}${e.disputeOutcome !== "NONE" ? ` (${e.disputeOutcome})` : ""}`],
+    ["Client", e.client],
+    ["Provider", e.provider],
+    ["Amount", amt(e.amount)],
+    ["Fee", amt(e.feeAmount)],
+    ["Validated", `client ${e.clientValidated ? "yes" : "no"}, provider ${e.providerValidated ? "yes" : "no"}`],
+    ["Delivery deadline", date(e.deliveryDeadline)],
+    ["Review window", e.reviewWindow ? `${e.reviewWindow}s` : "-"],
+    ["Provider validated at", date(e.providerValidatedAt)],
+  ]);
+  if (e.team.length > 0) {
+    push("Team payout split:", "");
+    table(["Member", "Share"], e.team.map((s) => [s.member, `${Number(s.bps) / 100}%`]));
+  }
+
+  push("## Listing", "");
+  push(`${c.listing.listingType} #${c.listing.id} by ${c.listing.creator}, category ${c.listing.category}, metadata \`${c.listing.metadataURI}\`.`, "");
+
+  push("## Offer history", "");
+  const o = c.offer;
+  const rows = [[date(o.createdAt), short(o.proposer), "offer", amt(o.amount), "-"]];
+  for (const n of o.negotiation)
+    rows.push([date(n.at), short(n.author), "counter", amt(n.amount), n.cid ? `\`${n.cid}\`` : "-"]);
+  table(["When", "By", "Kind", "Amount", "Message"], rows);
+
+  if (c.milestones.length > 0) {
+    push("## Milestones", "");
+    table(
+      ["#", "Amount", "Status", "Outcome"],
+      c.milestones.map((m) => [
+        `${m.index + 1}${e.disputedMilestone !== null && BigInt(m.index) === e.disputedMilestone ? " (disputed)" : ""}`,
+        amt(m.amount),
+        m.status,
+        m.disputeOutcome,
+      ])
+    );
+  }
+
+  push("## Dispute", "");
+  if (!c.dispute) push("No dispute metadata recorded.", "");
+  else {
+    const d = c.dispute;
+    const events = [[date(d.openedAt), short(d.openedBy), "opened", d.cid ? `\`${d.cid}\`` : "-"]];
+    for (const a of d.appeals)
+      events.push([date(a.at), short(a.by), `appeal ${a.index + 1}`, a.cid ? `\`${a.cid}\`` : "-"]);
+    table(["When", "By", "Event", "Evidence"], events);
+    if (d.panel) {
+      push(`Panel (${d.panel.active ? `voting until ${date(d.panel.deadline)}` : "closed"}):`, "");
+      table(["Arbitrator", "Vote"], d.panel.votes.map((v) => [v.member, v.vote]));
+    }
+  }
+
+  push("## Parties", "");
+  for (const [role, p] of Object.entries(c.parties)) {
+    const r = p.reputation;
+    push(`### ${role[0].toUpperCase()}${role.slice(1)}: ${p.username || "(no username)"} ${p.address}`, "");
+    push(
+      `- Profile: ${p.userType || "none"}${p.isVerified ? ", verified" : ""}${p.attestations.length ? `, attestations: ${p.attestations.join(", ")}` : ""}, joined ${date(p.joinedAt)}`,
+      `- Missions: ${r.completedMissions} completed, ${r.disputedMissions} disputed (${p.missions} in history)`,
+      `- Rating: ${r.averageRating === null ? "no ratings" : `${r.averageRating.toFixed(2)} over ${r.ratingsCount}`}`,
+      `- Badges: ${p.badges.length ? p.badges.join(", ") : "none"}`,
+      `- Prior disputes: ${p.priorDisputes.length === 0 ? "none" : p.priorDisputes.map((d) => `#${d.offerId} as ${d.role} vs ${short(d.counterparty)} (${date(d.closedAt)})`).join("; ")}`,
+      ""
+    );
+    if (p.recentReviews.length > 0) {
+      table(
+        ["Offer", "Reviewer", "Rating", "Review"],
+        p.recentReviews.map((v) => [`#${v.offerId}`, short(v.reviewer), v.rating, v.reviewURI ? `\`${v.reviewURI}\`` : "-"])
+      );
+    }
+  }
+
+  push("## Evidence", "");
+  for (const ev of c.evidence) {
+    const head = `### ${ev.label}: \`${ev.uri}\``;
+    if (ev.status === "skipped") push(head, "", "Not fetched (no gateway).", "");
+    else if (ev.status === "error") push(head, "", `Could not fetch: ${ev.error}`, "");
+    else {
+      push(head, "", `${ev.bytes} bytes, sha256 \`${ev.sha256}\``, "");
+      if (ev.text !== null)
+        push("```", ev.text + (ev.truncated ? "\n[…truncated]" : ""), "```", "");
+      else push("Binary content.", "");
+    }
+  }
+
+  push("## Resolution", "");
+  if (!c.resolution) push(`Nothing to resolve: the escrow is ${e.status}.`, "");
+  else {
+    table(
+      ["Outcome", "Provider", "Client", "Protocol fee"],
+      c.resolution.map((r) => [
+        r.outcome === "SPLIT" ? `SPLIT (${Number(r.splitBps) / 100}% to provider)` : r.outcome,
+        amt(r.provider),
+        amt(r.client),
+        amt(r.fee),
+      ])
+    );
+    push("Resolve with one of:", "", "```");
+    for (const r of c.resolution)
+      push(`npx hardhat market:resolve-dispute --offer-id ${c.offerId} --outcome ${r.outcome}${r.outcome === "SPLIT" ? " --split-bps <bps>" : ""}`);
+    push("```", "");
+  }
+  return out.join("\n");
+}
+
+// Writes every fetched evidence item to `dir`, named by its CID (or a hash
+// of its URI), with an index of labels and digests
+function writeEvidenceBundle(caseFile, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const index = [];
+  for (const ev of caseFile.evidence) {
+    if (ev.status !== "ok") continue;
+    const cid = cidPath(ev.uri);
+    const name = cid
+      ? cid.replace(/[\\/]/g, "_")
+      : crypto.createHash("sha256").update(ev.uri).digest("hex").slice(0, 16);
+    fs.writeFileSync(path.join(dir, name), ev.content);
+    index.push({ file: name, label: ev.label, uri: ev.uri, sha256: ev.sha256 });
+  }
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify(index, null, 2) + "\n");
+  return index;
+}
+
+module.exports = {
+  RESOLUTION_OUTCOMES,
+  previewPayouts,
+  buildCaseFile,
+  renderMarkdown,
+  writeEvidenceBundle,
+};
@@ -0,0 +1,149 @@
+// npx hardhat market:* tasks, loaded from hardhat.config.js
+const fs = require("fs");
+const readline = require("readline/promises");
+const { task } = require("hardhat/config");
+const { gatewayFromSpec } = require("../sdk");
+const { ADMIN_TASKS } = require("./admin");
+const { readConfig, listOpenDisputes, describeUser } = require("./views");
+const { connect, executePlan, parseAddress, toJson } = require("./lib");
+const {
+  RESOLUTION_OUTCOMES,
+  buildCaseFile,
+  renderMarkdown,
+  writeEvidenceBundle,
+} = require("./caseFile");
+const { upgradeMarketplace } = require("./upgrade");
+
+for (const [name, def] of Object.entries(ADMIN_TASKS)) {
+  const t = task(name, def.description)
+    .addOptionalParam("proxy", "Proxy address (default: MARKETPLACE_PROXY or deployments-zk)")
+    .addFlag("dryRun", "Print the change and simulate it as the owner without sending")
+    .addOptionalParam("safe", "Append the call to this Safe Transaction Builder batch file instead of sending")
+    .addOptionalParam("safeAddress", "Safe address recorded in a new batch file");
+  for (const [param, description] of Object.entries(def.params || {}))
+    t.addOptionalParam(param, description);
+  for (const [flag, description] of Object.entries(def.flags || {}))
+    t.addFlag(flag, description);
+
+  t.setAction(async (args, hre) => {
+    const ctx = await connect(hre, args);
+    console.log(`Network: ${hre.network.name}  Proxy: ${ctx.market.target}`);
+    const plan = await def.build(ctx, args);
+    const result = await executePlan(plan, {
+      ...ctx,
+      dryRun: args.dryRun,
+      safeFile: args.safe,
+      safeAddress: args.safeAddress,
+    });
+    if (result.error) process.exitCode = 1;
+    return result;
+  });
+}
+
+task("market:config", "Print the marketplace configuration")
+  .addOptionalParam("proxy", "Proxy address (default: MARKETPLACE_PROXY or deployments-zk)")
+  .setAction(async (args, hre) => {
+    const { market } = await connect(hre, args);
+    console.log(toJson(await readConfig(market)));
+  });
+
+task("market:disputes", "List escrows that are still disputed, newest first")
+  .addOptionalParam("proxy", "Proxy address (default: MARKETPLACE_PROXY or deployments-zk)")
+  .setAction(async (args, hre) => {
+    const { client } = await connect(hre, args);
+    const open = await listOpenDisputes(client);
+    if (open.length === 0) console.log("No open disputes.");
+    else console.log(toJson(open));
+  });
+
+task("market:user", "Show a user's profile, reputation and badges")
+  .addOptionalParam("proxy", "Proxy address (default: MARKETPLACE_PROXY or deployments-zk)")
+  .addParam("address", "User address")
+  .setAction(async (args, hre) => {
+    const { client } = await connect(hre, args);
+    console.log(toJson(await describeUser(client, parseAddress(args.address, "address"))));
+  });
+
+task("market:case", "Build a dispute case file and optionally resolve the dispute")
+  .addOptionalParam("proxy", "Proxy address (default: MARKETPLACE_PROXY or deployments-zk)")
+  .addParam("offerId", "Disputed offer id")
+  .addOptionalParam("format", "markdown or json", "markdown")
+  .addOptionalParam("gateway", "Evidence gateway: an https IPFS gateway URL or a local directory (default: IPFS_GATEWAY)")
+  .addOptionalParam("out", "Write the case file here instead of stdout")
+  .addOptionalParam("evidenceDir", "Save the fetched evidence and an index.json here")
+  .addFlag("dryRun", "Simulate the chosen resolution without sending")
+  .addOptionalParam("safe", "Append the chosen resolution to this Safe Transaction Builder batch file")
+  .addOptionalParam("safeAddress", "Safe address recorded in a new batch file")
+  .setAction(async (args, hre) => {
+    if (!["markdown", "json"].includes(args.format))
+      throw new Error(`format must be markdown or json, got ${args.format}`);
+    const ctx = await connect(hre, args);
+    const spec = args.gateway || process.env.IPFS_GATEWAY;
+    const caseFile = await buildCaseFile(ctx.client, args.offerId, {
+      gateway: spec ? gatewayFromSpec(spec) : null,
+    });
+    const text = args.format === "json" ? toJson(caseFile) : renderMarkdown(caseFile);
+    if (args.out) {
+      fs.writeFileSync(args.out, text + "\n");
+      console.log(`Case file written to ${args.out}`);
+    } else console.log(text);
+    if (args.evidenceDir) {
+      const saved = writeEvidenceBundle(caseFile, args.evidenceDir);
+      console.log(`${saved.length} evidence file(s) saved to ${args.evidenceDir}`);
+    }
+
+    // Offer the resolution only when someone is there to answer
+    if (!caseFile.resolution || !process.stdin.isTTY) return caseFile;
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      const answer = (
+        await rl.question(`Resolve offer ${args.offerId}? [${RESOLUTION_OUTCOMES.join("/")}/skip] `)
+      ).trim().toUpperCase();
+      if (!RESOLUTION_OUTCOMES.includes(answer)) return caseFile;
+      let splitBps;
+      if (answer === "SPLIT")
+        splitBps = (await rl.question("Provider share in bps [5000]: ")).trim() || undefined;
+      const plan = await ADMIN_TASKS["market:resolve-dispute"].build(ctx, {
+        offerId: args.offerId,
+        outcome: answer,
+        splitBps,
+      });
+      const result = await executePlan(plan, {
+        ...ctx,
+        dryRun: args.dryRun,
+        safeFile: args.safe,
+        safeAddress: args.safeAddress,
+      });
+      if (result.error) process.exitCode = 1;
+    } finally {
+      rl.close();
+    }
+    return caseFile;
+  });
+
+task("market:upgrade", "Upgrade the proxy after a storage layout check, then verify state and smoke-test it")
+  .addOptionalParam("proxy", "Proxy address (default: MARKETPLACE_PROXY or deployments-zk)")
+  .addOptionalParam("contract", "Implementation contract name (default: MARKETPLACE_IMPL_NAME or MarketplaceUpgradeable)")
+  .addFlag("propose", "Only deploy the implementation and propose upgradeToAndCall for the owner multisig")
+  .addFlag("verify", "Verify the newest upgrade of the proxy (after a proposal was executed)")
+  .addOptionalParam(
+    "call",
+    "No-argument initializer run with the upgrade, or none (default: the reinitializer the recorded layout needs)"
+  )
+  .addOptionalParam("safe", "With --propose, append the upgrade call to this Safe Transaction Builder batch file")
+  .addOptionalParam("safeAddress", "Safe address recorded in a new batch file")
+  .addOptionalParam("samples", "Number of recent escrows compared before and after", "5")
+  .setAction(async (args, hre) => {
+    const result = await upgradeMarketplace(hre, {
+      proxy: args.proxy,
+      contractName: args.contract || process.env.MARKETPLACE_IMPL_NAME || "MarketplaceUpgradeable",
+      propose: args.propose,
+      verify: args.verify,
+      call: args.call,
+      safe: args.safe,
+      safeAddress: args.safeAddress,
+      samples: Number(args.samples),
+    });
+    if (result.ok === false) process.exitCode = 1;
+    return result;
+  });
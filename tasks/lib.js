@@ -0,0 +1,233 @@
+// Shared plumbing for the market:* tasks: proxy resolution, signer
+// boilerplate, change plans, dry runs and Safe batch files
+const fs = require("fs");
+const path = require("path");
+const { parseUnits, isAddress } = require("ethers");
+const { MarketplaceClient, toMarketplaceError } = require("../sdk");
+
+const FUNDED_INMEMORY_PK =
+  "0x7726827caac94a7f9e1b160f7ea819f172f7b6f9d2a97f992c38edeab82d4110";
+
+// Newest entry address of `contractName` saved under deployments-zk/<network>
+function findDeployment(root, network, contractName) {
+  const dir = path.join(root, "deployments-zk", network);
+  if (!fs.existsSync(dir)) return null;
+  const stack = [dir];
+  while (stack.length) {
+    const d = stack.pop();
+    for (const entry of fs.readdirSync(d, { withFileTypes: true })) {
+      const p = path.join(d, entry.name);
+      if (entry.isDirectory()) stack.push(p);
+      else if (entry.name === `${contractName}.json`) {
+        const { entries = [] } = JSON.parse(fs.readFileSync(p, "utf8"));
+        if (entries.length > 0) return entries[entries.length - 1].address;
+      }
+    }
+  }
+  return null;
+}
+
+// --proxy, then MARKETPLACE_PROXY, then the newest ERC1967Proxy deployment
+function resolveProxy(hre, explicit) {
+  const address =
+    explicit ||
+    process.env.MARKETPLACE_PROXY ||
+    findDeployment(hre.config.paths.root, hre.network.name, "ERC1967Proxy");
+  if (!address)
+    throw new Error(
+      `no proxy for ${hre.network.name}: pass --proxy or set MARKETPLACE_PROXY`
+    );
+  if (!isAddress(address)) throw new Error(`invalid proxy address ${address}`);
+  return address;
+}
+
+// Same wallet selection as scripts/deploy.js
+function getWallet(hre) {
+  const { Provider, Wallet } = require("zksync-ethers");
+  const networkUrl = hre.network.config?.url || "http://127.0.0.1:8011";
+  const provider = new Provider(networkUrl);
+  const accounts = hre.network.config?.accounts || [];
+  const fallbackPk =
+    hre.network.name === "inMemoryNode"
+      ? FUNDED_INMEMORY_PK
+      : Array.isArray(accounts) && accounts.length > 0
+      ? accounts[0]
+      : FUNDED_INMEMORY_PK;
+  const PRIVATE_KEY = process.env.DEPLOYER_PRIVATE_KEY || fallbackPk;
+  return new Wallet(PRIVATE_KEY, provider);
+}
+
+/**
+ * Proxy contract, SDK client and chain id for a task. The wallet only signs
+ * when the task actually sends.
+ */
+async function connect(hre, { proxy } = {}) {
+  const wallet = getWallet(hre);
+  const address = resolveProxy(hre, proxy);
+  const { abi } = await hre.artifacts.readArtifact("MarketplaceUpgradeable");
+  const client = new MarketplaceClient(address, wallet, { abi });
+  const { chainId } = await wallet.provider.getNetwork();
+  return { market: client.contract, client, signer: wallet, chainId };
+}
+
+// Parsing
+
+function parseBps(value, name, max = 10_000) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > max)
+    throw new Error(`${name} must be an integer number of bps in [0, ${max}]`);
+  return BigInt(n);
+}
+
+// "3600", "12h" or "7d" -> seconds
+function parseDuration(value, name) {
+  const m = String(value).match(/^(\d+)([smhd]?)$/);
+  if (!m) throw new Error(`${name} must be seconds or a number with s/m/h/d`);
+  const unit = { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[m[2]];
+  return BigInt(m[1]) * BigInt(unit);
+}
+
+// Whole-token amount ("1000", "2.5") -> base units
+function parseAmount(value, name, decimals = 18) {
+  try {
+    return parseUnits(String(value), decimals);
+  } catch (_) {
+    throw new Error(`${name} must be a decimal token amount`);
+  }
+}
+
+function parseAddress(value, name) {
+  if (!value || !isAddress(value)) throw new Error(`${name} must be an address`);
+  return value;
+}
+
+// Plans
+
+const show = (v) => (typeof v === "bigint" ? v.toString() : String(v));
+
+/**
+ * One owner call. `changes` holds [label, current, proposed] rows; a plan
+ * whose rows are all unchanged is not sent.
+ */
+function planCall(market, method, args, changes) {
+  return {
+    to: market.target,
+    method,
+    args,
+    data: market.interface.encodeFunctionData(method, args),
+    changes,
+  };
+}
+
+function isNoop(plan) {
+  return (
+    plan.changes.length > 0 &&
+    plan.changes.every(([, cur, next]) => show(cur).toLowerCase() === show(next).toLowerCase())
+  );
+}
+
+function describePlan(plan) {
+  const lines = [`${plan.method}(${plan.args.map(show).join(", ")})`];
+  for (const [label, cur, next] of plan.changes) {
+    const same = show(cur).toLowerCase() === show(next).toLowerCase();
+    lines.push(`  ${label}: ${show(cur)}${same ? " (unchanged)" : ` -> ${show(next)}`}`);
+  }
+  return lines.join("\n");
+}
+
+// Safe Transaction Builder batch; appends when the file already exists
+function appendSafeTransaction(file, plan, { chainId, safeAddress = "" }) {
+  const batch = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8"))
+    : {
+        version: "1.0",
+        chainId: String(chainId),
+        createdAt: Date.now(),
+        meta: {
+          name: "Marketplace admin batch",
+          description: "",
+          txBuilderVersion: "1.16.5",
+          createdFromSafeAddress: safeAddress,
+          createdFromOwnerAddress: "",
+          checksum: "",
+        },
+        transactions: [],
+      };
+  if (batch.chainId !== String(chainId))
+    throw new Error(`${file} is a batch for chain ${batch.chainId}, not ${chainId}`);
+  batch.transactions.push({
+    to: plan.to,
+    value: "0",
+    data: plan.data,
+    contractMethod: null,
+    contractInputsValues: null,
+  });
+  batch.meta.description = batch.transactions.length === 1
+    ? plan.method
+    : `${batch.meta.description}, ${plan.method}`;
+  fs.writeFileSync(file, JSON.stringify(batch, null, 2) + "\n");
+  return batch;
+}
+
+/**
+ * Prints the plan, then simulates it as the owner (dryRun), queues it in a
+ * Safe batch (safeFile) or sends it with `signer`.
+ * @returns {Promise<{status: "unchanged"|"dry-run"|"queued"|"sent", error?: Error, hash?: string}>}
+ */
+async function executePlan(
+  plan,
+  { market, signer, chainId, dryRun = false, safeFile, safeAddress, log = console.log }
+) {
+  log(describePlan(plan));
+  if (isNoop(plan)) {
+    log("Nothing to change.");
+    return { status: "unchanged" };
+  }
+  if (dryRun) {
+    const owner = await market.owner();
+    try {
+      await market.runner.provider.call({ to: plan.to, data: plan.data, from: owner });
+      log(`Dry run: the call succeeds when sent by the owner ${owner}.`);
+      return { status: "dry-run" };
+    } catch (err) {
+      const error = toMarketplaceError(err);
+      log(`Dry run: the call reverts (${error.reason || error.message}).`);
+      return { status: "dry-run", error };
+    }
+  }
+  if (safeFile) {
+    const batch = appendSafeTransaction(safeFile, plan, { chainId, safeAddress });
+    log(`Queued as transaction ${batch.transactions.length} in ${safeFile}.`);
+    return { status: "queued" };
+  }
+  try {
+    const tx = await market.connect(signer)[plan.method](...plan.args);
+    const receipt = await tx.wait();
+    log(`Sent: ${receipt.hash}`);
+    return { status: "sent", hash: receipt.hash };
+  } catch (err) {
+    throw toMarketplaceError(err);
+  }
+}
+
+// JSON with uint256 values as decimal strings
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+module.exports = {
+  findDeployment,
+  resolveProxy,
+  getWallet,
+  connect,
+  parseBps,
+  parseDuration,
+  parseAmount,
+  parseAddress,
+  planCall,
+  isNoop,
+  describePlan,
+  appendSafeTransaction,
+  executePlan,
+  toJson,
+};
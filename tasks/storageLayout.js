@@ -0,0 +1,222 @@
+// Storage layout checks for upgrades: the layout recorded for the live
+// implementation (in .upgradable/) against the layout of the compiled one.
+// Layouts use the manifest format: { storage: [{label, contract, type}],
+// types: { [typeId]: {label, members?} } }, where struct members are
+// [{label, type}] and enum members are value names.
+const fs = require("fs");
+const path = require("path");
+
+// Structs, enums, mappings and arrays, parsed from solc type ids such as
+// "t_mapping(t_address,t_struct(UserProfile)3333_storage)"
+function parseType(id) {
+  const m = /^t_([a-zA-Z]+)\((.*)\)(.*)$/.exec(id);
+  if (!m) return { kind: "elementary", key: id };
+  const [, head, inner, tail] = m;
+  if (head === "mapping") {
+    let depth = 0;
+    for (let i = 0; i < inner.length; i++) {
+      if (inner[i] === "(") depth++;
+      else if (inner[i] === ")") depth--;
+      else if (inner[i] === "," && depth === 0)
+        return { kind: "mapping", key: inner.slice(0, i), value: inner.slice(i + 1) };
+    }
+  }
+  if (head === "array")
+    return { kind: "array", base: inner, length: tail.replace(/_storage$/, "") };
+  if (head === "struct" || head === "enum") return { kind: head, name: inner };
+  // Contract and user-defined value types are compared by name, without AST ids
+  return { kind: "elementary", key: `t_${head}(${inner})${tail.replace(/^\d+/, "")}` };
+}
+
+function typeLabel(types, id) {
+  return (types[id] && types[id].label) || id;
+}
+
+// Mapping keys and value types are elementary
+function sameKey(a, b) {
+  return parseType(a).key === parseType(b).key;
+}
+
+/**
+ * Checks that values stored as `oldId` still read the same as `newId`.
+ * Struct members may only be appended where the struct is a mapping value
+ * (so nothing is laid out after it); enum values may only be appended.
+ */
+function compareTypes(oldLayout, newLayout, oldId, newId, where, appendable, problems) {
+  const o = parseType(oldId);
+  const n = parseType(newId);
+  const changed = () =>
+    problems.push(
+      `${where}: type changed from ${typeLabel(oldLayout.types, oldId)} to ${typeLabel(newLayout.types, newId)}`
+    );
+  if (o.kind !== n.kind) return changed();
+  switch (o.kind) {
+    case "mapping":
+      if (!sameKey(o.key, n.key)) return changed();
+      return compareTypes(oldLayout, newLayout, o.value, n.value, `${where}[]`, true, problems);
+    case "array":
+      if (o.length !== n.length) return changed();
+      return compareTypes(oldLayout, newLayout, o.base, n.base, `${where}[]`, false, problems);
+    case "struct": {
+      const om = (oldLayout.types[oldId] || {}).members || [];
+      const nm = (newLayout.types[newId] || {}).members || [];
+      const name = `struct ${n.name}`;
+      for (let i = 0; i < om.length; i++) {
+        if (i >= nm.length) {
+          problems.push(`${where}: ${name} member ${om[i].label} was removed`);
+          return;
+        }
+        if (om[i].label !== nm[i].label) {
+          problems.push(
+            `${where}: ${name} member ${i} was ${om[i].label} and is now ${nm[i].label} (reordered, renamed or inserted)`
+          );
+          return;
+        }
+        compareTypes(oldLayout, newLayout, om[i].type, nm[i].type, `${where}.${om[i].label}`, false, problems);
+      }
+      if (nm.length > om.length && !appendable)
+        problems.push(
+          `${where}: members appended to ${name}, which is not stored as a mapping value (${nm
+            .slice(om.length)
+            .map((m) => m.label)
+            .join(", ")})`
+        );
+      return;
+    }
+    case "enum": {
+      const ov = (oldLayout.types[oldId] || {}).members || [];
+      const nv = (newLayout.types[newId] || {}).members || [];
+      const name = `enum ${n.name}`;
+      for (let i = 0; i < ov.length; i++) {
+        if (nv[i] !== ov[i]) {
+          problems.push(
+            nv.includes(ov[i])
+              ? `${where}: ${name} value ${ov[i]} moved from ${i} to ${nv.indexOf(ov[i])}`
+              : `${where}: ${name} value ${ov[i]} was removed or renamed`
+          );
+          return;
+        }
+      }
+      if (ov.length <= 256 && nv.length > 256)
+        problems.push(`${where}: ${name} no longer fits in one byte`);
+      return;
+    }
+    default:
+      if (!sameKey(oldId, newId)) changed();
+  }
+}
+
+/**
+ * Incompatibilities between a recorded layout and a new one, as readable
+ * strings; empty when the upgrade keeps every stored value in place. New
+ * state variables may only be appended. Namespaced (ERC-7201) storage of the
+ * OpenZeppelin base contracts is left to the upgrades plugin's own checks.
+ */
+function compareLayouts(oldLayout, newLayout) {
+  const problems = [];
+  const os = oldLayout.storage;
+  const ns = newLayout.storage;
+  for (let i = 0; i < os.length; i++) {
+    const was = os[i];
+    const now = ns[i];
+    if (!now) {
+      problems.push(`${was.label}: state variable was removed`);
+      break;
+    }
+    if (was.label !== now.label) {
+      const moved = ns.findIndex((s) => s.label === was.label);
+      problems.push(
+        moved === -1
+          ? `${was.label}: state variable was removed or renamed (slot ${i} is now ${now.label})`
+          : `${was.label}: state variable moved from position ${i} to ${moved} (${now.label} was inserted or reordered before it)`
+      );
+      // Everything after a shifted variable would be reported again
+      break;
+    }
+    compareTypes(oldLayout, newLayout, was.type, now.type, was.label, false, problems);
+  }
+  return problems;
+}
+
+// Enum value names by AST id, from the compiler's source ASTs
+function collectEnums(sources) {
+  const enums = new Map();
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (node.nodeType === "EnumDefinition")
+      enums.set(node.id, node.members.map((m) => m.name));
+    for (const v of Object.values(node)) if (v && typeof v === "object") walk(v);
+  };
+  for (const s of Object.values(sources || {})) walk(s.ast);
+  return enums;
+}
+
+/**
+ * Manifest-format layout of `contractName` from a Hardhat build info. The
+ * compiler output must include storageLayout (the upgrades plugin requests it).
+ */
+function layoutFromBuildInfo(buildInfo, sourceName, contractName) {
+  const output = buildInfo.output.contracts[sourceName][contractName];
+  if (!output || !output.storageLayout)
+    throw new Error(`no storage layout for ${sourceName}:${contractName} in the build info`);
+  const enums = collectEnums(buildInfo.output.sources);
+  const types = {};
+  for (const [id, t] of Object.entries(output.storageLayout.types || {})) {
+    types[id] = { label: t.label };
+    if (t.members) types[id].members = t.members.map(({ label, type }) => ({ label, type }));
+    const enumId = /^t_enum\(\w+\)(\d+)$/.exec(id);
+    if (enumId && enums.has(Number(enumId[1]))) types[id].members = enums.get(Number(enumId[1]));
+  }
+  return {
+    storage: output.storageLayout.storage.map((s) => ({
+      label: s.label,
+      contract: s.contract.split(":").pop(),
+      type: s.type,
+    })),
+    types,
+  };
+}
+
+const PROPOSALS_DIR = "proposals";
+
+/**
+ * Layout recorded for `implementation`: from the upgrades plugin manifests in
+ * .upgradable/, or from a proposal written by recordProposal for an
+ * implementation a multisig upgraded to.
+ * @returns {{file: string, layout: Object}|null}
+ */
+function findRecordedLayout(root, implementation) {
+  const dir = path.join(root, ".upgradable");
+  if (!fs.existsSync(dir)) return null;
+  const want = implementation.toLowerCase();
+  for (const name of fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+    const file = path.join(dir, name);
+    const { impls = {} } = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const impl of Object.values(impls)) {
+      const addresses = [impl.address, ...(impl.allAddresses || [])];
+      if (addresses.some((a) => a && a.toLowerCase() === want)) return { file, layout: impl.layout };
+    }
+  }
+  const file = path.join(dir, PROPOSALS_DIR, `${want}.json`);
+  if (fs.existsSync(file)) return { file, layout: JSON.parse(fs.readFileSync(file, "utf8")).layout };
+  return null;
+}
+
+// Records a proposed implementation's layout so the next upgrade after the
+// multisig executes it can be checked against it
+function recordProposal(root, proposal) {
+  const dir = path.join(root, ".upgradable", PROPOSALS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${proposal.implementation.toLowerCase()}.json`);
+  fs.writeFileSync(file, JSON.stringify(proposal, null, 2) + "\n");
+  return file;
+}
+
+module.exports = {
+  parseType,
+  compareLayouts,
+  layoutFromBuildInfo,
+  findRecordedLayout,
+  recordProposal,
+};
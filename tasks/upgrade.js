@@ -0,0 +1,530 @@
+// Upgrade pipeline for market:upgrade and scripts/upgrade.js: storage layout
+// check, state snapshots around the upgrade, post-upgrade smoke test, and a
+// proposal mode that only deploys the implementation for a multisig
+const {
+  AbiCoder,
+  Contract,
+  Interface,
+  Wallet,
+  ZeroAddress,
+  dataSlice,
+  getAddress,
+} = require("ethers");
+const { MarketplaceClient, decodeEscrow, decodeListing, decodeOffer } = require("../sdk");
+const { connect, planCall, executePlan, toJson } = require("./lib");
+const {
+  compareLayouts,
+  layoutFromBuildInfo,
+  findRecordedLayout,
+  recordProposal,
+} = require("./storageLayout");
+
+// ERC-1967 implementation slot
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+const UPGRADED_EVENT = new Interface(["event Upgraded(address indexed implementation)"]);
+const INITIALIZED_EVENT = new Interface(["event Initialized(uint64 version)"]);
+
+const ERC20_VIEWS = [
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address, address) view returns (uint256)",
+];
+
+// Reinitializers that seed state older implementations never wrote, newest
+// first. An upgrade from a recorded layout without `variable` runs `call`;
+// each one also covers the reinitializers below it. `seeds` are the
+// SNAPSHOT_VIEWS it may move off zero.
+const REINITIALIZERS = [
+  { variable: "categoryCount", call: "initializeCategories", seeds: ["categoryCount"] },
+  { variable: "paymentTokens", call: "initializePaymentTokens", seeds: [] },
+];
+
+// How many of the newest listings and offers the smoke test looks through
+const SMOKE_SCAN = 20n;
+
+// Owner-set values and counters compared before and after an upgrade
+const SNAPSHOT_VIEWS = [
+  "owner",
+  "paused",
+  "treasury",
+  "dopToken",
+  "usdcToken",
+  "feeUsdLike",
+  "feeDop",
+  "cancelFeeBps",
+  "boostPriceDOP",
+  "boostDuration",
+  "profileBoostPriceDOP",
+  "profileBoostDuration",
+  "dexRouter",
+  "weth",
+  "swapAdapter",
+  "pushGasLimit",
+  "lastListingId",
+  "lastOfferId",
+  "nextAttestationId",
+  "nextTeamId",
+  "categoryCount",
+  "skillCount",
+];
+
+async function readImplementation(provider, proxy, blockTag = "latest") {
+  const word = await provider.getStorage(proxy, IMPLEMENTATION_SLOT, blockTag);
+  return getAddress(dataSlice(word, 12));
+}
+
+// Block of the newest Upgraded(implementation) event on the proxy
+async function findUpgradeBlock(provider, proxy, implementation) {
+  const logs = await provider.getLogs({
+    address: proxy,
+    topics: UPGRADED_EVENT.encodeFilterTopics("Upgraded", [implementation]),
+    fromBlock: 0,
+    toBlock: "latest",
+  });
+  if (logs.length === 0) throw new Error(`no upgrade to ${implementation} found on ${proxy}`);
+  return logs[logs.length - 1].blockNumber;
+}
+
+// Reinitializer version the proxy reached in `block`, if an initializer ran in it
+async function findInitializedVersion(provider, proxy, block) {
+  const logs = await provider.getLogs({
+    address: proxy,
+    topics: INITIALIZED_EVENT.encodeFilterTopics("Initialized", []),
+    fromBlock: block,
+    toBlock: block,
+  });
+  if (logs.length === 0) return null;
+  return INITIALIZED_EVENT.parseLog(logs[logs.length - 1]).args.version;
+}
+
+/**
+ * Initializer to run with the upgrade: `requested` (a no-argument function of
+ * the new implementation, or "none"), otherwise the reinitializer the recorded
+ * layout of the live implementation calls for. Null when nothing should run.
+ */
+function resolveInitializer(iface, recordedLayout, requested) {
+  if (requested === "none") return null;
+  let name = requested;
+  if (!name) {
+    const labels = new Set(recordedLayout.storage.map((v) => v.label));
+    const missing = REINITIALIZERS.find((r) => !labels.has(r.variable));
+    if (!missing) return null;
+    name = missing.call;
+  }
+  const fn = iface.getFunction(name);
+  if (!fn) throw new Error(`${name} is not a function of the new implementation`);
+  if (fn.inputs.length > 0)
+    throw new Error(`${name} takes arguments; only a no-argument initializer can run with the upgrade`);
+  return fn.name;
+}
+
+// Client whose reads all run against one block
+function clientAt(market, blockTag) {
+  return new MarketplaceClient(market.target, market.runner, {
+    abi: market.interface.fragments,
+  }).atBlock(blockTag);
+}
+
+/**
+ * Calls `method` on the implementation at `blockTag` and decodes the leading
+ * return values it shares with the compiled ABI. An older implementation
+ * returns fewer struct members (an escrow had 10 before milestones, 14 now),
+ * so the longest prefix whose re-encoding reproduces the returned bytes is
+ * used. `decode` (an SDK decoder) sees the missing members as zero, and they
+ * are dropped from its result.
+ */
+async function readShared(market, blockTag, method, args, decode) {
+  const fragment = market.interface.getFunction(method);
+  const data = await market.runner.provider.call({
+    to: market.target,
+    data: market.interface.encodeFunctionData(fragment, args),
+    blockTag,
+  });
+  // A static struct is encoded like its members returned one by one
+  const [first] = fragment.outputs;
+  const outputs =
+    fragment.outputs.length === 1 && first.baseType === "tuple" && !first.dynamic
+      ? first.components
+      : fragment.outputs;
+  const coder = AbiCoder.defaultAbiCoder();
+  for (let k = outputs.length; k > 0; k--) {
+    const types = outputs.slice(0, k);
+    let values;
+    try {
+      // Decoding errors are deferred until a value is read, so re-encode here too
+      values = coder.decode(types, data);
+      if (coder.encode(types, values) !== data) continue;
+    } catch (_) {
+      continue;
+    }
+    const raw = {};
+    outputs.forEach((param, i) => (raw[param.name] = i < k ? values[i] : 0n));
+    const decoded = decode(raw);
+    for (const param of outputs.slice(k)) delete decoded[param.name];
+    return decoded;
+  }
+  throw new Error(`${method}(${args.join(", ")}) at block ${blockTag} does not decode`);
+}
+
+/**
+ * Key state at `blockTag`: SNAPSHOT_VIEWS plus the newest `samples` escrows
+ * and their listings. Views the implementation at that block does not have
+ * are left out, and escrows, offers and listings keep only the members it
+ * returns, so a snapshot taken before an upgrade that adds either still
+ * compares cleanly.
+ */
+async function snapshotState(market, { blockTag = "latest", samples = 5 } = {}) {
+  const c = clientAt(market, blockTag).contract;
+  const read = (method, id, decode) => readShared(market, blockTag, method, [id], decode);
+  const snapshot = { blockTag, views: {}, escrows: {}, listings: {} };
+  for (const name of SNAPSHOT_VIEWS) {
+    try {
+      snapshot.views[name] = await c[name]();
+    } catch (_) {
+      // not in this implementation
+    }
+  }
+  const lastOfferId = snapshot.views.lastOfferId || 0n;
+  for (let id = lastOfferId; id > 0n && Object.keys(snapshot.escrows).length < samples; id--) {
+    const escrow = await read("getEscrow", id, decodeEscrow);
+    if (escrow.status === "NONE") continue;
+    const offer = await read("offers", id, decodeOffer);
+    snapshot.escrows[id] = escrow;
+    if (!snapshot.listings[offer.listingId])
+      snapshot.listings[offer.listingId] = await read("listings", offer.listingId, decodeListing);
+  }
+  return snapshot;
+}
+
+/**
+ * Differences between two snapshots of the same proxy, as readable strings.
+ * Sampled escrows and listings are compared on the fields both snapshots
+ * have (members added by the upgrade start at zero). Views in `seeded`
+ * may move off zero (a reinitializer ran with the upgrade).
+ */
+function diffSnapshots(before, after, { seeded = [] } = {}) {
+  const changes = [];
+  const same = (a, b) => toJson(a) === toJson(b);
+  for (const [name, value] of Object.entries(before.views)) {
+    if (!(name in after.views)) changes.push(`${name}: no longer readable`);
+    else if (seeded.includes(name) && value === 0n) continue;
+    else if (!same(value, after.views[name]))
+      changes.push(`${name}: ${value} -> ${after.views[name]}`);
+  }
+  for (const kind of ["escrows", "listings"]) {
+    for (const [id, was] of Object.entries(before[kind])) {
+      const now = after[kind][id];
+      if (!now) {
+        changes.push(`${kind} ${id}: missing after the upgrade`);
+        continue;
+      }
+      for (const field of Object.keys(was))
+        if (field in now && !same(was[field], now[field]))
+          changes.push(`${kind} ${id}.${field}: ${toJson(was[field])} -> ${toJson(now[field])}`);
+    }
+  }
+  return changes;
+}
+
+const isOpen = (listing, now) =>
+  listing.id !== 0n &&
+  listing.active &&
+  (listing.expiresAt === 0n || listing.expiresAt > now) &&
+  (listing.maxConcurrentOrders === 0n || listing.activeOrders < listing.maxConcurrentOrders);
+
+async function newestOpenListing(market, client, now) {
+  const last = await market.lastListingId();
+  for (let id = last; id > 0n && id > last - SMOKE_SCAN; id--) {
+    const listing = await client.getListing(id);
+    if (isOpen(listing, now)) return listing;
+  }
+  return null;
+}
+
+/**
+ * Newest offer its listing creator can accept right now, with the value to
+ * send. The offer must be open and not countered, and funded by a deposit or
+ * by the paying side's balance (and allowance for ERC20), so a failed
+ * simulation points at the contract rather than at an empty wallet.
+ */
+async function newestAcceptableOffer(market, client, now) {
+  const provider = market.runner.provider;
+  const last = await market.lastOfferId();
+  for (let id = last; id > 0n && id > last - SMOKE_SCAN; id--) {
+    const offer = await client.getOffer(id);
+    if (offer.id === 0n || offer.accepted || offer.cancelled) continue;
+    const listing = await client.getListing(offer.listingId);
+    if (!isOpen(listing, now) || listing.creator === offer.proposer) continue;
+    const chain = await market.getNegotiation(id);
+    if (chain.length > 0 && chain[chain.length - 1].author !== offer.proposer) continue;
+    const found = { id, creator: listing.creator, value: 0n };
+    if ((await market.offerDeposits(id)) > 0n) return found;
+    const { amount, paymentToken } = await client.getStandingTerms(id);
+    if (paymentToken === ZeroAddress) {
+      if ((await provider.getBalance(listing.creator)) >= amount) return { ...found, value: amount };
+      continue;
+    }
+    const payer = listing.listingType === "BRIEF" ? listing.creator : offer.proposer;
+    const token = new Contract(paymentToken, ERC20_VIEWS, provider);
+    if (
+      (await token.balanceOf(payer)) >= amount &&
+      (await token.allowance(payer, market.target)) >= amount
+    )
+      return found;
+  }
+  return null;
+}
+
+/**
+ * Scripted checks against the upgraded proxy. Nothing is sent: writes are
+ * simulated with eth_call. makeOffer and acceptOffer run on the newest open
+ * listing and offer and are skipped when there are none.
+ * @returns {Promise<{name: string, ok: boolean, detail: string}[]>}
+ */
+async function smokeTest({ market, client }, { implementation, snapshot }) {
+  const provider = market.runner.provider;
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      const detail = await fn();
+      checks.push({ name, ok: true, detail: detail || "" });
+    } catch (err) {
+      checks.push({ name, ok: false, detail: err.shortMessage || err.message });
+    }
+  };
+  const owner = await market.owner();
+  const stranger = Wallet.createRandom().address;
+  const upgradeData = market.interface.encodeFunctionData("upgradeToAndCall", [implementation, "0x"]);
+  // The proxy as seen by `from`, for simulating its writes
+  const as = (from) => market.connect({ provider, call: (tx) => provider.call({ ...tx, from }) });
+  const now = BigInt((await provider.getBlock("latest")).timestamp);
+
+  await check("proxy points at the new implementation", async () => {
+    const current = await readImplementation(provider, market.target);
+    if (current !== getAddress(implementation))
+      throw new Error(`implementation slot holds ${current}`);
+    return current;
+  });
+  await check("implementation is UUPS", async () => {
+    const impl = new Contract(implementation, ["function proxiableUUID() view returns (bytes32)"], provider);
+    if ((await impl.proxiableUUID()) !== IMPLEMENTATION_SLOT) throw new Error("wrong proxiableUUID");
+  });
+  await check("owner can still upgrade", async () => {
+    await provider.call({ to: market.target, from: owner, data: upgradeData });
+    return owner;
+  });
+  await check("others cannot upgrade", async () => {
+    const reverted = await provider
+      .call({ to: market.target, from: stranger, data: upgradeData })
+      .then(() => false, () => true);
+    if (!reverted) throw new Error(`upgradeToAndCall succeeded from ${stranger}`);
+  });
+  await check("sampled escrows and listings decode", async () => {
+    for (const id of Object.keys(snapshot.escrows)) await client.getEscrow(id);
+    for (const id of Object.keys(snapshot.listings)) await client.getListing(id);
+    const [tokens] = await market.getPaymentTokens();
+    return `${Object.keys(snapshot.escrows).length} escrows, ${tokens.length} payment tokens`;
+  });
+  await check("createListing simulates", async () => {
+    if (await market.paused()) return "skipped: paused";
+    const [listing] = Object.values(snapshot.listings);
+    const category = listing ? listing.category : 1n;
+    const id = await as(stranger).createListing.staticCall(0, category, "ipfs://upgrade-smoke-test");
+    const expected = (await market.lastListingId()) + 1n;
+    if (id !== expected) throw new Error(`returned listing ${id}, expected ${expected}`);
+    return `listing ${id}`;
+  });
+  await check("makeOffer simulates", async () => {
+    if (await market.paused()) return "skipped: paused";
+    const listing = await newestOpenListing(market, client, now);
+    if (!listing) return "skipped: no open listing";
+    // Buy-now terms if the listing has them, else the minimum of the first allowed token
+    let { price: amount, paymentToken: token } = listing;
+    if (amount === 0n) {
+      const [tokens, configs] = await market.getPaymentTokens();
+      if (tokens.length === 0) throw new Error("no payment token is allowlisted");
+      token = tokens[0];
+      amount = configs[0].minAmount > 0n ? configs[0].minAmount : 1n;
+    }
+    const id = await as(stranger).makeOffer.staticCall(listing.id, amount, token);
+    const expected = (await market.lastOfferId()) + 1n;
+    if (id !== expected) throw new Error(`returned offer ${id}, expected ${expected}`);
+    return `offer ${id} on listing ${listing.id}`;
+  });
+  await check("acceptOffer simulates", async () => {
+    if (await market.paused()) return "skipped: paused";
+    const offer = await newestAcceptableOffer(market, client, now);
+    if (!offer) return "skipped: no open offer its listing creator can fund";
+    await as(offer.creator).acceptOffer.staticCall(offer.id, { value: offer.value });
+    return `offer ${offer.id}`;
+  });
+  return checks;
+}
+
+// Snapshot comparison plus smoke test; `ok` is false on any change or failure
+async function verifyUpgrade(ctx, { implementation, before, after, seeded = [], log = console.log }) {
+  const changes = diffSnapshots(before, after, { seeded });
+  const checks = await smokeTest(ctx, { implementation, snapshot: after });
+  log(
+    changes.length === 0
+      ? `State unchanged across the upgrade (${Object.keys(before.views).length} views, ${Object.keys(before.escrows).length} sampled escrows).`
+      : `State changed across the upgrade:\n${changes.map((c) => `  ${c}`).join("\n")}`
+  );
+  for (const c of checks) log(`  ${c.ok ? "ok  " : "FAIL"} ${c.name}${c.detail ? `: ${c.detail}` : ""}`);
+  return { ok: changes.length === 0 && checks.every((c) => c.ok), changes, checks };
+}
+
+/**
+ * Queues (or prints) upgradeToAndCall(implementation) for the owner multisig
+ * after simulating it as the owner. `call` names a no-argument initializer
+ * the proxy runs with the upgrade.
+ */
+async function proposeUpgrade(ctx, implementation, { call, safeFile, safeAddress, log = console.log } = {}) {
+  const { market } = ctx;
+  const current = await readImplementation(market.runner.provider, market.target);
+  const data = call ? market.interface.encodeFunctionData(call) : "0x";
+  const plan = planCall(market, "upgradeToAndCall", [implementation, data], [
+    ["implementation", current, implementation],
+    ...(call ? [["initializer", "none", call]] : []),
+  ]);
+  const simulated = await executePlan(plan, { ...ctx, dryRun: true, log });
+  if (simulated.error) throw simulated.error;
+  if (safeFile) {
+    await executePlan(plan, { ...ctx, safeFile, safeAddress, log: () => {} });
+    log(`Queued in ${safeFile}.`);
+    return { status: "queued", plan };
+  }
+  log(`Send from the owner: to ${plan.to}\n  data ${plan.data}`);
+  return { status: "proposed", plan };
+}
+
+/**
+ * Verifies the newest upgrade of the proxy: snapshots the block before the
+ * Upgraded event and the block of it (so unrelated transactions cannot show
+ * up as changes), then runs the smoke test. If a reinitializer ran in that
+ * block, the views it seeds may move off zero.
+ */
+async function verifyLatestUpgrade(ctx, { samples = 5, log = console.log } = {}) {
+  const { market } = ctx;
+  const provider = market.runner.provider;
+  const implementation = await readImplementation(provider, market.target);
+  const block = await findUpgradeBlock(provider, market.target, implementation);
+  log(`Verifying the upgrade to ${implementation} in block ${block}`);
+  const version = await findInitializedVersion(provider, market.target, block);
+  if (version !== null) log(`Reinitialized to version ${version} in the same block`);
+  const result = await verifyUpgrade(ctx, {
+    implementation,
+    seeded: version === null ? [] : REINITIALIZERS.flatMap((r) => r.seeds),
+    before: await snapshotState(market, { blockTag: block - 1, samples }),
+    after: await snapshotState(market, { blockTag: block, samples }),
+    log,
+  });
+  return { implementation, ...result };
+}
+
+/**
+ * Checks the layout of `contractName` against the live implementation's
+ * recorded layout, then either upgrades and verifies (default) or only
+ * deploys the implementation and proposes the call (propose). `verify`
+ * skips straight to verifying an upgrade a multisig already executed.
+ * `call` is the initializer run with the upgrade (see resolveInitializer).
+ */
+async function upgradeMarketplace(
+  hre,
+  {
+    proxy,
+    contractName = "MarketplaceUpgradeable",
+    propose = false,
+    verify = false,
+    call,
+    safe,
+    safeAddress,
+    samples = 5,
+    log = console.log,
+  } = {}
+) {
+  if (contractName.startsWith("0x"))
+    throw new Error("the implementation must be a contract name, not an address");
+  const ctx = await connect(hre, { proxy });
+  const { market, signer } = ctx;
+  const provider = signer.provider;
+  const root = hre.config.paths.root;
+  log(`Network: ${hre.network.name}  Proxy: ${market.target}`);
+
+  if (verify) return verifyLatestUpgrade(ctx, { samples, log });
+
+  await hre.run("compile");
+  const current = await readImplementation(provider, market.target);
+  const recorded = findRecordedLayout(root, current);
+  if (!recorded)
+    throw new Error(
+      `no recorded storage layout for the live implementation ${current}; import it with the upgrades plugin's forceImport first`
+    );
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const layout = layoutFromBuildInfo(buildInfo, artifact.sourceName, contractName);
+  const problems = compareLayouts(recorded.layout, layout);
+  if (problems.length > 0)
+    throw new Error(
+      `refusing to upgrade ${current} to ${contractName}; storage layout is incompatible with ${recorded.file}:\n` +
+        problems.map((p) => `  ${p}`).join("\n")
+    );
+  log(
+    `Storage layout compatible: ${recorded.layout.storage.length} recorded variables kept, ${
+      layout.storage.length - recorded.layout.storage.length
+    } appended.`
+  );
+
+  const { Deployer } = require("@matterlabs/hardhat-zksync");
+  const deployer = new Deployer(hre, signer);
+  const implArtifact = await deployer.loadArtifact(contractName);
+  const initializer = resolveInitializer(new Interface(implArtifact.abi), recorded.layout, call);
+  log(initializer ? `Running ${initializer}() with the upgrade.` : "No initializer runs with the upgrade.");
+
+  if (propose) {
+    const impl = await deployer.deploy(implArtifact, []);
+    const implementation = await impl.getAddress();
+    log(`Deployed ${contractName} implementation at ${implementation}`);
+    const file = recordProposal(root, {
+      network: hre.network.name,
+      proxy: market.target,
+      contractName,
+      implementation,
+      previous: current,
+      txHash: impl.deploymentTransaction() ? impl.deploymentTransaction().hash : null,
+      layout,
+    });
+    log(`Layout recorded in ${file}; run with --verify once the upgrade is executed.`);
+    const result = await proposeUpgrade(ctx, implementation, {
+      call: initializer,
+      safeFile: safe,
+      safeAddress,
+      log,
+    });
+    return { ...result, implementation };
+  }
+
+  await hre.zkUpgrades.upgradeProxy(
+    deployer.zkWallet,
+    market.target,
+    implArtifact,
+    initializer ? { call: { fn: initializer, args: [] } } : {}
+  );
+  log(`Upgraded ${market.target} from ${current}`);
+  return verifyLatestUpgrade(ctx, { samples, log });
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  readImplementation,
+  findUpgradeBlock,
+  resolveInitializer,
+  snapshotState,
+  diffSnapshots,
+  smokeTest,
+  verifyUpgrade,
+  proposeUpgrade,
+  verifyLatestUpgrade,
+  upgradeMarketplace,
+};
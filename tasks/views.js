@@ -0,0 +1,108 @@
+// Read-only market:* tasks
+const { FeeRouting, nameOf } = require("../sdk");
+
+// Every owner-settable parameter, for diffing deployments
+async function readConfig(market) {
+  const config = {
+    proxy: market.target,
+    owner: await market.owner(),
+    paused: await market.paused(),
+    treasury: await market.treasury(),
+    dopToken: await market.dopToken(),
+    usdcToken: await market.usdcToken(),
+    feeUsdLike: await market.feeUsdLike(),
+    feeDop: await market.feeDop(),
+    boostPriceDOP: await market.boostPriceDOP(),
+    boostDuration: await market.boostDuration(),
+    profileBoostPriceDOP: await market.profileBoostPriceDOP(),
+    profileBoostDuration: await market.profileBoostDuration(),
+    cancelFeeBps: await market.cancelFeeBps(),
+    pushGasLimit: await market.pushGasLimit(),
+    dexRouter: await market.dexRouter(),
+    weth: await market.weth(),
+    swapAdapter: await market.swapAdapter(),
+    buybackOracle: await market.buybackOracle(),
+    maxBuybackSlippageBps: await market.maxBuybackSlippageBps(),
+    arbitratorMinStake: await market.arbitratorMinStake(),
+    panelSize: await market.panelSize(),
+    votingPeriod: await market.votingPeriod(),
+    arbitratorRewardBps: await market.arbitratorRewardBps(),
+    arbitratorSlashBps: await market.arbitratorSlashBps(),
+    mediatorThreshold: await market.mediatorThreshold(),
+    ratingHalfLife: await market.ratingHalfLife(),
+    badgeNFT: await market.badgeNFT(),
+  };
+  const t = await market.badgeThresholds();
+  config.badgeThresholds = {
+    rookie: t.rookie,
+    experienced: t.experienced,
+    expert: t.expert,
+    master: t.master,
+    reliableMinMissions: t.reliableMinMissions,
+    reliableRateBps: t.reliableRateBps,
+  };
+  const [tokens, configs] = await market.getPaymentTokens();
+  config.paymentTokens = tokens.map((token, i) => ({
+    token,
+    allowed: configs[i].allowed,
+    feeBps: configs[i].useCustomFee ? configs[i].feeBps : "legacy tier",
+    minAmount: configs[i].minAmount,
+    routing: nameOf(FeeRouting, configs[i].routing),
+    burnSplitBps: configs[i].burnSplitBps,
+  }));
+  return config;
+}
+
+/**
+ * Escrows still DISPUTED, newest dispute first, read from getDisputedOffers
+ * (which also lists disputes that have since been resolved).
+ */
+async function listOpenDisputes(client, { pageSize = 50 } = {}) {
+  const seen = new Set();
+  const open = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const [page] = await client.contract.getDisputedOffers(offset, pageSize);
+    // Each page is oldest-first; walk it backwards to stay newest-first
+    for (const offerId of [...page].reverse()) {
+      if (seen.has(offerId)) continue;
+      seen.add(offerId);
+      const escrow = await client.getEscrow(offerId);
+      if (escrow.status !== "DISPUTED") continue;
+      const header = await client.getDisputeHeader(offerId);
+      open.push({
+        offerId,
+        client: escrow.client,
+        provider: escrow.provider,
+        amount: escrow.amount,
+        paymentToken: escrow.paymentToken,
+        milestone: escrow.milestoneCount > 0n ? escrow.disputedMilestone : null,
+        openedBy: header.exists ? header.openedBy : null,
+        openedAt: header.exists ? header.openedAt : null,
+        cid: header.cid,
+        appeals: header.appealsCount,
+      });
+    }
+    if (page.length < pageSize) return open;
+  }
+}
+
+async function describeUser(client, user) {
+  const [profile, reputation, badges] = [
+    await client.getProfile(user),
+    await client.getReputation(user),
+    await client.getUserBadges(user),
+  ];
+  const avgTimes100 = await client.contract.getAverageRating(user);
+  return {
+    ...profile,
+    reputation: {
+      ...reputation,
+      averageRating: reputation.ratingsCount > 0n ? Number(avgTimes100) / 100 : null,
+    },
+    badges,
+    profileBoostExpiry: await client.contract.profileBoostExpiry(user),
+    migratedTo: await client.contract.profileMigratedTo(user),
+  };
+}
+
+module.exports = { readConfig, listOpenDisputes, describeUser };
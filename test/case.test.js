@@ -0,0 +1,184 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { localGateway } = require("../sdk");
+const { ADMIN_TASKS } = require("../tasks/admin");
+const { executePlan, toJson } = require("../tasks/lib");
+const {
+  previewPayouts,
+  buildCaseFile,
+  renderMarkdown,
+  writeEvidenceBundle,
+} = require("../tasks/caseFile");
+const { toEth, takeSnapshot, revertSnapshot, deployMarketplace } = require("./helpers/fixture");
+
+describe("Dispute case files", function () {
+  let owner, alice, bob;
+  let proxy, ctx, evidenceRoot;
+  let snapshotId;
+
+  this.timeout(120000);
+
+  before(async function () {
+    ({ owner, alice, bob, proxy, ctx } = await deployMarketplace("52"));
+
+    // Evidence served by the local gateway, named by CID
+    evidenceRoot = fs.mkdtempSync(path.join(os.tmpdir(), "evidence-"));
+    fs.mkdirSync(path.join(evidenceRoot, "QmBrief"));
+    fs.writeFileSync(
+      path.join(evidenceRoot, "QmBrief", "brief.json"),
+      JSON.stringify({ title: "Landing page", deliverables: ["design", "code"] })
+    );
+    fs.writeFileSync(path.join(evidenceRoot, "QmDispute"), "Client never sent the assets.");
+    fs.writeFileSync(path.join(evidenceRoot, "QmCounter"), "Needs one more week for QA.");
+    snapshotId = await takeSnapshot();
+  });
+
+  after(() => fs.rmSync(evidenceRoot, { recursive: true, force: true }));
+
+  beforeEach(async function () {
+    await revertSnapshot(snapshotId);
+    snapshotId = await takeSnapshot();
+  });
+
+  // alice (client) hires bob on a brief: a resolved earlier dispute, then a
+  // negotiated job that bob disputes and alice appeals
+  const setUpDispute = async () => {
+    await proxy.connect(alice).createProfile("PO", [], [], 0, "alice", "");
+    await proxy.connect(bob).createProfile("Dev", [], [], 1, "bob", "");
+    await proxy.connect(alice).createListing(0, 1, "ipfs://QmOld");
+    await proxy.connect(bob).makeOffer(1, toEth(1), ethers.ZeroAddress);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(1) });
+    await proxy.connect(alice).openDisputeWithCID(1, "ipfs://QmOldDispute");
+    await proxy.resolveDispute(1, 1);
+
+    await proxy.connect(alice).createListing(0, 1, "ipfs://QmBrief/brief.json");
+    await proxy.connect(bob).makeOffer(2, toEth(1), ethers.ZeroAddress);
+    await proxy.connect(alice).counterOffer(2, toEth(0.8), ethers.ZeroAddress, 0, 0, "");
+    await proxy
+      .connect(bob)
+      .counterOffer(2, toEth(0.9), ethers.ZeroAddress, 0, 0, "ipfs://QmCounter");
+    await proxy.connect(alice).acceptOffer(2, { value: toEth(0.9) });
+    await proxy.connect(bob).openDisputeWithCID(2, "ipfs://QmDispute");
+    await proxy.connect(alice).appealDispute(2, "ipfs://QmMissing");
+  };
+
+  it("bundles terms, history, parties and gateway evidence into a case file", async () => {
+    await setUpDispute();
+    const gateway = localGateway(evidenceRoot);
+    const c = await buildCaseFile(ctx.client, 2, { gateway });
+
+    expect(c.escrow.status).to.equal("DISPUTED");
+    expect(c.escrow.amount).to.equal(toEth(0.9));
+    expect(c.escrow.token.symbol).to.equal("ETH");
+    expect(c.listing.metadataURI).to.equal("ipfs://QmBrief/brief.json");
+    expect(c.offer.negotiation.map((n) => n.author)).to.deep.equal([alice.address, bob.address]);
+    expect(c.dispute.openedBy).to.equal(bob.address);
+    expect(c.dispute.cid).to.equal("ipfs://QmDispute");
+    expect(c.dispute.appeals[0].by).to.equal(alice.address);
+
+    const { client, provider } = c.parties;
+    expect(client.username).to.equal("alice");
+    expect(provider.reputation.disputedMissions).to.equal(1n);
+    expect(provider.priorDisputes).to.deep.equal([
+      {
+        offerId: 1n,
+        role: "provider",
+        counterparty: alice.address,
+        amount: toEth(1),
+        token: ethers.ZeroAddress,
+        closedAt: provider.priorDisputes[0].closedAt,
+      },
+    ]);
+    expect(client.priorDisputes[0].role).to.equal("client");
+
+    const byLabel = Object.fromEntries(c.evidence.map((e) => [e.label, e]));
+    expect(Object.keys(byLabel)).to.deep.equal([
+      "listing metadata",
+      "dispute evidence",
+      "appeal 1",
+      "counter-offer 2",
+    ]);
+    expect(JSON.parse(byLabel["listing metadata"].text).title).to.equal("Landing page");
+    expect(byLabel["dispute evidence"].sha256).to.equal(
+      ethers.sha256(ethers.toUtf8Bytes("Client never sent the assets.")).slice(2)
+    );
+    expect(byLabel["appeal 1"].status).to.equal("error");
+    expect(byLabel["appeal 1"].error).to.contain("not found");
+
+    // Raw bytes stay out of the JSON rendering but land in the bundle
+    const json = JSON.parse(toJson(c));
+    expect(json.escrow.amount).to.equal(toEth(0.9).toString());
+    expect(json.evidence[1]).to.not.have.property("content");
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bundle-"));
+    try {
+      const index = writeEvidenceBundle(c, dir);
+      expect(index.map((i) => i.file)).to.deep.equal(["QmBrief_brief.json", "QmDispute", "QmCounter"]);
+      expect(fs.readFileSync(path.join(dir, "QmCounter"), "utf8")).to.equal(
+        "Needs one more week for QA."
+      );
+      // A saved bundle can be reviewed offline through the same gateway
+      const offline = await localGateway(dir).fetch("ipfs://QmDispute");
+      expect(offline.toString()).to.equal("Client never sent the assets.");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const md = renderMarkdown(c);
+    expect(md).to.contain("# Dispute case: offer 2");
+    expect(md).to.contain("| Amount | 0.9 ETH |");
+    expect(md).to.contain("Client never sent the assets.");
+    expect(md).to.contain("Could not fetch: QmMissing not found");
+    expect(md).to.contain("Prior disputes: #1 as provider");
+    expect(md).to.contain("npx hardhat market:resolve-dispute --offer-id 2 --outcome SPLIT --split-bps <bps>");
+
+    // Without a gateway the URIs are listed but not fetched
+    const bare = await buildCaseFile(ctx.client, 2);
+    expect(bare.evidence.every((e) => e.status === "skipped")).to.equal(true);
+  });
+
+  it("previews the payouts that resolveDispute actually makes", async () => {
+    await setUpDispute();
+    const c = await buildCaseFile(ctx.client, 2);
+    const preview = Object.fromEntries(c.resolution.map((r) => [r.outcome, r]));
+    expect(preview.REFUND_CLIENT.client).to.equal(toEth(0.9));
+    expect(preview.REFUND_CLIENT.fee).to.equal(0n);
+    const { provider: p, client: cl, fee } = preview.SPLIT;
+    expect(p + cl + fee).to.equal(toEth(0.9));
+
+    const provider = owner.provider;
+    const before = [await provider.getBalance(alice.address), await provider.getBalance(bob.address)];
+    const plan = await ADMIN_TASKS["market:resolve-dispute"].build(ctx, {
+      offerId: "2",
+      outcome: "SPLIT",
+    });
+    await executePlan(plan, { ...ctx, log: () => {} });
+    const after = [await provider.getBalance(alice.address), await provider.getBalance(bob.address)];
+    expect(after[0] - before[0]).to.equal(cl);
+    expect(after[1] - before[1]).to.equal(p);
+
+    const closed = await buildCaseFile(ctx.client, 2);
+    expect(closed.resolution).to.equal(null);
+    expect(renderMarkdown(closed)).to.contain("Nothing to resolve: the escrow is RESOLVED.");
+  });
+
+  it("fans team payouts out by the escrow split", () => {
+    const split = [
+      { member: alice.address, bps: 3333n },
+      { member: bob.address, bps: 6667n },
+    ];
+    const r = previewPayouts(
+      { amount: 1000n, feeAmount: 100n, provider: alice.address, split },
+      "SPLIT",
+      7000n
+    );
+    expect(r.provider).to.equal(630n);
+    expect(r.client).to.equal(270n);
+    expect(r.members.map((m) => m.amount)).to.deep.equal([209n, 421n]);
+    expect(() => previewPayouts({ amount: 1n, feeAmount: 0n, split: [] }, "NONE")).to.throw(
+      "unknown outcome"
+    );
+  });
+});
@@ -0,0 +1,79 @@
+// Shared setup for the SDK, indexer, task, case file and upgrade tests:
+// funded wallets on the in-memory node, token mocks and a fresh proxy
+const { ethers } = require("hardhat");
+const { Deployer } = require("@matterlabs/hardhat-zksync");
+const { Wallet, Provider } = require("zksync-ethers");
+const hre = require("hardhat");
+const { MarketplaceClient } = require("../../sdk");
+
+const FUNDED_INMEMORY_PK =
+  "0x7726827caac94a7f9e1b160f7ea819f172f7b6f9d2a97f992c38edeab82d4110";
+
+const toEth = (n) => ethers.parseEther(n.toString());
+
+const takeSnapshot = async () =>
+  await hre.network.provider.send("evm_snapshot", []);
+const revertSnapshot = async (id) =>
+  await hre.network.provider.send("evm_revert", [id]);
+
+/**
+ * Deploys DOPMock, a USDC ERC20Mock and the marketplace proxy, owned by the
+ * funded in-memory account. Alice and bob use keys built from `seed` (a byte
+ * such as "22") so each test file has its own accounts.
+ * @returns {Promise<Object>} provider, owner, alice, bob, deployer, dop, usdc,
+ *   marketArtifact, proxy, and ctx (the task context: market, client, signer, chainId)
+ */
+async function deployMarketplace(seed) {
+  const networkUrl = hre.network.config?.url || "http://127.0.0.1:8011";
+  const provider = new Provider(networkUrl);
+  const owner = new Wallet(FUNDED_INMEMORY_PK, provider);
+  const alice = new Wallet("0x" + seed.repeat(32), provider);
+  const bob = new Wallet(
+    "0x" + (parseInt(seed, 16) + 1).toString(16).padStart(2, "0").repeat(32),
+    provider
+  );
+  for (const w of [owner, alice, bob]) {
+    await hre.network.provider.send("hardhat_setBalance", [
+      w.address,
+      ethers.toBeHex(toEth(1_000_000)),
+    ]);
+  }
+
+  const deployer = new Deployer(hre, owner);
+  const dop = await deployer.deploy(await deployer.loadArtifact("DOPMock"), [
+    owner.address,
+    toEth(1_000_000).toString(),
+  ]);
+  const usdc = await deployer.deploy(await deployer.loadArtifact("ERC20Mock"), [
+    "USDC",
+    "USDC",
+    owner.address,
+    toEth(1_000_000).toString(),
+  ]);
+  const marketArtifact = await deployer.loadArtifact("MarketplaceUpgradeable");
+  const proxy = await hre.zkUpgrades.deployProxy(
+    deployer.zkWallet,
+    marketArtifact,
+    [await dop.getAddress(), await usdc.getAddress(), owner.address],
+    { kind: "uups", initializer: "initialize" }
+  );
+  await proxy.waitForDeployment();
+  const client = new MarketplaceClient(await proxy.getAddress(), owner, {
+    abi: marketArtifact.abi,
+  });
+  const ctx = {
+    market: client.contract,
+    client,
+    signer: owner,
+    chainId: (await provider.getNetwork()).chainId,
+  };
+  return { provider, owner, alice, bob, deployer, dop, usdc, marketArtifact, proxy, ctx };
+}
+
+module.exports = {
+  FUNDED_INMEMORY_PK,
+  toEth,
+  takeSnapshot,
+  revertSnapshot,
+  deployMarketplace,
+};
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { Store } = require("../indexer/store");
+const { Indexer, gatewayFetcher } = require("../indexer/Indexer");
+const { createApi } = require("../indexer/api");
+const { toEth, takeSnapshot, revertSnapshot, deployMarketplace } = require("./helpers/fixture");
+
+// Indexer tests run against the same in-memory node as the contract tests
+
+describe("Marketplace indexer", function () {
+  let provider, owner, alice, bob;
+  let proxy, abi;
+  let snapshotId;
+  let store, indexer, server, baseUrl;
+
+  this.timeout(120000);
+
+  const get = async (path) => {
+    const res = await fetch(baseUrl + path);
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async function () {
+    let marketArtifact;
+    ({ provider, owner, alice, bob, marketArtifact, proxy } =
+      await deployMarketplace("32"));
+    abi = marketArtifact.abi;
+    snapshotId = await takeSnapshot();
+  });
+
+  beforeEach(async function () {
+    await revertSnapshot(snapshotId);
+    snapshotId = await takeSnapshot();
+    store = new Store(":memory:");
+    indexer = new Indexer({
+      store,
+      provider,
+      address: await proxy.getAddress(),
+      abi,
+      startBlock: (await provider.getBlockNumber()) + 1,
+      batchSize: 5,
+      // Metadata documents served from memory instead of an IPFS gateway
+      fetchMetadata: async (uri) =>
+        uri === "ipfs://audit"
+          ? JSON.stringify({ title: "Solidity audit", tags: ["security"] })
+          : null,
+    });
+    server = createApi(store);
+    await new Promise((r) => server.listen(0, "127.0.0.1", r));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((r) => server.close(r));
+    store.close();
+  });
+
+  it("materializes listings, offers, escrows and reputation behind the JSON API", async () => {
+    await proxy.connect(bob).createProfile("Auditor", ["solidity"], [], 1, "bob", "");
+    await proxy.connect(alice).createListing(0, 1, "ipfs://audit");
+    await proxy.connect(alice).createListing(0, 2, "ipfs://logo");
+    await proxy.connect(bob).makeOffer(1, toEth(2), ethers.ZeroAddress);
+    await proxy.connect(bob).makeOffer(2, toEth(1), ethers.ZeroAddress);
+    await proxy.connect(alice).rejectOffer(2);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(2) });
+    await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    await proxy.connect(alice).leaveReview(1, 4, "ipfs://review");
+
+    const r = await indexer.sync();
+    expect(r.events).to.be.greaterThan(0);
+    expect(r.reorgedTo).to.equal(null);
+    expect(store.getCheckpoint()).to.equal(await provider.getBlockNumber());
+
+    let res = await get("/listings?type=BRIEF&category=1");
+    expect(res.body.total).to.equal(1);
+    expect(res.body.items[0].metadataURI).to.equal("ipfs://audit");
+    expect(res.body.items[0].creator).to.equal(alice.address.toLowerCase());
+
+    res = await get("/listings/2/offers");
+    expect(res.body.items[0].status).to.equal("rejected");
+    res = await get("/offers/1");
+    expect(res.body.status).to.equal("accepted");
+    expect(res.body.amount).to.equal(toEth(2).toString());
+
+    res = await get(`/escrows?party=${bob.address}`);
+    expect(res.body.total).to.equal(1);
+    expect(res.body.items[0].status).to.equal("COMPLETED");
+
+    res = await get(`/profiles/${bob.address}`);
+    expect(res.body.username).to.equal("bob");
+    expect(res.body.reputation.completedMissions).to.equal(1);
+    expect(res.body.reputation.averageRating).to.equal(4);
+    expect(res.body.badges).to.deep.equal(["ROOKIE"]);
+    expect(res.body.reviews[0].reviewURI).to.equal("ipfs://review");
+
+    // Full-text search covers fetched metadata and profiles
+    res = await get("/search?q=secur");
+    expect(res.body.items.map((i) => i.id)).to.deep.equal([1]);
+    res = await get("/listings?q=audit");
+    expect(res.body.items.map((l) => l.id)).to.deep.equal([1]);
+    res = await get("/search?q=auditor&kind=profile");
+    expect(res.body.items[0].id).to.equal(bob.address.toLowerCase());
+
+    res = await get("/leaderboard?by=rating");
+    expect(res.body.items[0].address).to.equal(bob.address.toLowerCase());
+    expect(res.body.items[0].rank).to.equal(1);
+
+    expect((await get("/listings?limit=0")).status).to.equal(400);
+    expect((await get("/leaderboard?by=nope")).status).to.equal(400);
+    expect((await get("/escrows/99")).status).to.equal(404);
+
+    // A second sync with no new blocks is a no-op
+    expect((await indexer.sync()).events).to.equal(0);
+  });
+
+  it("fetches listing metadata through an HTTP gateway", async () => {
+    // IPFS gateway stand-in: one document under /ipfs, 404 for the rest
+    const requested = [];
+    const gateway = http.createServer((req, res) => {
+      requested.push(req.url);
+      if (req.url !== "/ipfs/QmAudit/brief.json") return res.writeHead(404).end();
+      res.end(JSON.stringify({ title: "Smart contract review", tags: ["security"] }));
+    });
+    await new Promise((r) => gateway.listen(0, "127.0.0.1", r));
+    try {
+      indexer.fetchMetadata = gatewayFetcher(
+        `http://127.0.0.1:${gateway.address().port}/ipfs/`,
+        { timeoutMs: 2000 }
+      );
+      await proxy.connect(alice).createListing(0, 1, "ipfs://QmAudit/brief.json");
+      await proxy.connect(alice).createListing(0, 1, "ipfs://QmGone");
+      await indexer.sync();
+    } finally {
+      await new Promise((r) => gateway.close(r));
+    }
+
+    expect(requested).to.deep.equal(["/ipfs/QmAudit/brief.json", "/ipfs/QmGone"]);
+    expect(JSON.parse((await get("/listings/1")).body.metadata).tags).to.deep.equal([
+      "security",
+    ]);
+    // Unavailable documents are stored as missing, not as errors
+    expect((await get("/listings/2")).body.metadata).to.equal(null);
+    const res = await get("/search?q=review");
+    expect(res.body.items.map((i) => i.id)).to.deep.equal([1]);
+  });
+
+  it("reads each batch's state as of its last block", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://audit");
+    await proxy.connect(alice).setListingActive(1, false);
+    const head = await provider.getBlockNumber();
+    indexer.confirmations = 1;
+    await indexer.sync();
+    expect(store.getCheckpoint()).to.equal(head - 1);
+    expect((await get("/listings/1")).body.active).to.equal(true);
+
+    indexer.confirmations = 0;
+    await indexer.sync();
+    expect((await get("/listings/1")).body.active).to.equal(false);
+  });
+
+  it("rolls back to the common ancestor and replays after a reorg", async () => {
+    // Indexed before the fork, so the rollback leaves it alone
+    await proxy.connect(alice).createListing(0, 1, "ipfs://audit");
+    await indexer.sync();
+    const fetched = [];
+    const fetchMetadata = indexer.fetchMetadata;
+    indexer.fetchMetadata = async (uri) => {
+      fetched.push(uri);
+      return fetchMetadata(uri);
+    };
+
+    const fork = await takeSnapshot();
+    await proxy.connect(alice).createListing(0, 1, "ipfs://orphaned");
+    await proxy.connect(alice).createListing(1, 1, "ipfs://orphaned-gig");
+    await indexer.sync();
+    expect((await get("/listings")).body.total).to.equal(3);
+
+    // Replace the indexed blocks with a different branch
+    await revertSnapshot(fork);
+    await proxy.connect(bob).createListing(1, 3, "ipfs://canonical");
+    await proxy.connect(bob).createProfile("KOL", [], [], 3, "bob", "");
+
+    fetched.length = 0;
+    const r = await indexer.sync();
+    expect(r.reorgedTo).to.not.equal(null);
+    const res = await get("/listings");
+    expect(res.body.total).to.equal(2);
+    expect(res.body.items.map((l) => l.metadataURI)).to.have.members([
+      "ipfs://audit",
+      "ipfs://canonical",
+    ]);
+    const canonical = (await get("/listings/2")).body;
+    expect(canonical.metadataURI).to.equal("ipfs://canonical");
+    expect(canonical.creator).to.equal(bob.address.toLowerCase());
+    // Only the orphaned listings were dropped and looked up again
+    expect(fetched).to.not.include("ipfs://audit");
+    expect((await get("/search?q=secur")).body.items.map((i) => i.id)).to.deep.equal([1]);
+    const events = store.allEvents().map((e) => e.name);
+    expect(events).to.deep.equal([
+      "ListingCreated",
+      "ListingCreated",
+      "ProfileCreated",
+      "UsernameRegistered",
+    ]);
+  });
+});
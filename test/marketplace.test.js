@@ -28,6 +28,10 @@ describe("MarketplaceUpgradeable", function () {
     await hre.network.provider.send("evm_snapshot", []);
   const revertSnapshot = async (id) =>
     await hre.network.provider.send("evm_revert", [id]);
+  const increaseTime = async (seconds) => {
+    await hre.network.provider.send("evm_increaseTime", [seconds]);
+    await hre.network.provider.send("evm_mine", []);
+  };
 
   // Deploy once, snapshot state
   before(async function () {
@@ -143,6 +147,23 @@ describe("MarketplaceUpgradeable", function () {
       "BoostPurchased"
     );
     expect(await proxy.isBoosted(1)).to.equal(true);
+
+    // Boost fees follow DOP's fee routing like escrow fees do
+    const dopAddr = await dop.getAddress();
+    await proxy.setPaymentToken(dopAddr, true, false, 0, 0, 2, 2_000); // BURN_SPLIT 20%
+    let supplyBefore = await dop.totalSupply();
+    let treasuryBefore = await dop.balanceOf(treasury);
+    await dop.connect(alice).approve(await proxy.getAddress(), price);
+    await proxy.connect(alice).buyBoost(1, price);
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(price / 5n);
+    expect((await dop.balanceOf(treasury)) - treasuryBefore).to.equal(price - price / 5n);
+    await proxy.setPaymentToken(dopAddr, true, false, 0, 0, 1, 0); // TREASURY
+    supplyBefore = await dop.totalSupply();
+    treasuryBefore = await dop.balanceOf(treasury);
+    await dop.connect(alice).approve(await proxy.getAddress(), price);
+    await proxy.connect(alice).buyBoost(1, price);
+    expect(await dop.totalSupply()).to.equal(supplyBefore);
+    expect((await dop.balanceOf(treasury)) - treasuryBefore).to.equal(price);
   });
 
   it("brief native escrow full flow", async () => {
@@ -242,7 +263,9 @@ describe("MarketplaceUpgradeable", function () {
       "Digital artist specializing in NFTs",
       ["Digital Art", "3D Modeling", "Animation"],
       ["ipfs://portfolio1", "ipfs://portfolio2"],
-      2 // ARTIST
+      2, // ARTIST
+      "alice",
+      ""
     );
 
     const profile = await proxy.profiles(alice.address);
@@ -254,6 +277,11 @@ describe("MarketplaceUpgradeable", function () {
     await proxy.connect(owner).verifyProfile(alice.address);
     const verifiedProfile = await proxy.profiles(alice.address);
     expect(verifiedProfile.isVerified).to.equal(true);
+    await expect(proxy.unverifyProfile(alice.address))
+      .to.emit(proxy, "ProfileVerificationUpdated")
+      .withArgs(alice.address, false);
+    expect((await proxy.profiles(alice.address)).isVerified).to.equal(false);
+    await expect(proxy.unverifyProfile(alice.address)).to.be.revertedWith("state");
 
     // Update profile
     await proxy
@@ -261,7 +289,8 @@ describe("MarketplaceUpgradeable", function () {
       .updateProfile(
         "Updated bio",
         ["Updated Skills"],
-        ["ipfs://newportfolio"]
+        ["ipfs://newportfolio"],
+        ""
       );
 
     const updatedProfile = await proxy.profiles(alice.address);
@@ -270,8 +299,8 @@ describe("MarketplaceUpgradeable", function () {
 
   it("badge system and mission history", async () => {
     // Create profiles
-    await proxy.connect(alice).createProfile("Client", [], [], 0); // PROJECT_OWNER
-    await proxy.connect(bob).createProfile("Developer", [], [], 1); // DEVELOPER
+    await proxy.connect(alice).createProfile("Client", [], [], 0, "alice", ""); // PROJECT_OWNER
+    await proxy.connect(bob).createProfile("Developer", [], [], 1, "bob", ""); // DEVELOPER
 
     // Complete first mission to earn ROOKIE badge
     await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
@@ -299,8 +328,8 @@ describe("MarketplaceUpgradeable", function () {
 
   it("disputed mission affects badge system", async () => {
     // Create profiles
-    await proxy.connect(alice).createProfile("Client", [], [], 0);
-    await proxy.connect(bob).createProfile("Provider", [], [], 1);
+    await proxy.connect(alice).createProfile("Client", [], [], 0, "alice", "");
+    await proxy.connect(bob).createProfile("Provider", [], [], 1, "bob", "");
 
     // Create mission and dispute it
     await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
@@ -324,8 +353,8 @@ describe("MarketplaceUpgradeable", function () {
 
   it("enhanced fee processing with USD tokens", async () => {
     // Create profiles and listing
-    await proxy.connect(alice).createProfile("Client", [], [], 0);
-    await proxy.connect(bob).createProfile("Provider", [], [], 1);
+    await proxy.connect(alice).createProfile("Client", [], [], 0, "alice", "");
+    await proxy.connect(bob).createProfile("Provider", [], [], 1, "bob", "");
     await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
 
     // Make offer with USDC
@@ -341,10 +370,15 @@ describe("MarketplaceUpgradeable", function () {
     await proxy.connect(bob).validateWork(1);
     await proxy.connect(alice).validateWork(1);
 
-    // With router unset, burn portion falls back to treasury too
+    // Treasury gets its half now, the buyback half accrues for a keeper
     const treasuryBalanceAfter = await usdc.balanceOf(treasury);
     const feeAmount = (toEth(100) * 2000n) / 10000n; // 20% fee
-    expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(feeAmount);
+    expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(
+      feeAmount / 2n
+    );
+    expect(await proxy.pendingBuyback(await usdc.getAddress())).to.equal(
+      feeAmount / 2n
+    );
   });
 
   it("reviews flow and average rating", async () => {
@@ -412,7 +446,7 @@ describe("MarketplaceUpgradeable", function () {
     );
 
     // Create profile and buy
-    await proxy.connect(alice).createProfile("Artist", [], [], 2);
+    await proxy.connect(alice).createProfile("Artist", [], [], 2, "alice", "");
     const price = await proxy.profileBoostPriceDOP();
     await dop.connect(alice).approve(await proxy.getAddress(), price);
     await expect(proxy.connect(alice).buyProfileBoost(price)).to.emit(
@@ -441,6 +475,24 @@ describe("MarketplaceUpgradeable", function () {
     ).to.be.revertedWith("offer");
   });
 
+  it("offers for a listing page newest first from the per-listing index", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief-a");
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief-b");
+    for (let i = 0; i < 3; i++) {
+      await proxy.connect(bob).makeOffer(1, toEth(1 + i), ethers.ZeroAddress);
+      await proxy.connect(carol).makeOffer(2, toEth(1), ethers.ZeroAddress);
+    }
+    // Listing 1 has offers 1, 3, 5
+    let [page, returned] = await proxy.getOffersForListing(1, 0, 2);
+    expect(returned).to.equal(2n);
+    expect(page.map((o) => o.id)).to.deep.equal([5n, 3n]);
+    [page, returned] = await proxy.getOffersForListing(1, 2, 2);
+    expect(page.map((o) => o.id)).to.deep.equal([1n]);
+    expect(returned).to.equal(1n);
+    [page, returned] = await proxy.getOffersForListing(1, 3, 2);
+    expect(returned).to.equal(0n);
+  });
+
   // New: Router integration tests
   it("buyback-and-burn via router on ERC20 fee", async () => {
     // Deploy mock router with rate 1000 DOP per 1 USDC
@@ -453,10 +505,11 @@ describe("MarketplaceUpgradeable", function () {
       .connect(owner)
       .transfer(await router.getAddress(), toEth(100_000));
 
-    // Configure router + mock WETH (unused for token->token path here)
+    // Raw V2 router, as configured before swap adapters existed
+    // (USDC doubles as dummy WETH, so the path is USDC -> DOP)
     await proxy
       .connect(owner)
-      .setDexRouter(await router.getAddress(), ethers.ZeroAddress);
+      .setDexRouter(await router.getAddress(), await usdc.getAddress());
 
     // Create GIG listing and offer with USDC
     await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
@@ -465,29 +518,89 @@ describe("MarketplaceUpgradeable", function () {
       .makeOffer(1, toEth(100), await usdc.getAddress());
     await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
 
-    // Expect BuybackAndBurn during completion and supply reduced by 10,000 DOP (10 USDC * 1000)
+    // Completion only accrues the 10 USDC buyback portion, no swap
     await proxy.connect(bob).acceptOffer(1);
     await proxy.connect(bob).validateWork(1);
     const supplyBefore = await dop.totalSupply();
-    const tx = await proxy.connect(alice).validateWork(1);
-    await expect(tx).to.emit(proxy, "BuybackAndBurn");
-    const supplyAfter = await dop.totalSupply();
-    expect(supplyBefore - supplyAfter).to.equal(toEth(10_000));
+    await expect(proxy.connect(alice).validateWork(1))
+      .to.emit(proxy, "BuybackAccrued")
+      .withArgs(await usdc.getAddress(), toEth(10));
+    expect(await dop.totalSupply()).to.equal(supplyBefore);
+    expect(await proxy.pendingBuyback(await usdc.getAddress())).to.equal(
+      toEth(10)
+    );
+
+    // Adverse rate: swap below minOut reverts and keeps the accrual
+    await router.setRate(toEth(500));
+    await expect(
+      proxy.executeBuyback(await usdc.getAddress(), toEth(10), toEth(10_000))
+    ).to.be.revertedWith("slippage");
+    await expect(
+      proxy.executeBuyback(await usdc.getAddress(), toEth(10), 0)
+    ).to.be.revertedWith("minOut");
+    expect(await proxy.pendingBuyback(await usdc.getAddress())).to.equal(
+      toEth(10)
+    );
+
+    // Rate restored: 5 USDC * 1000 = 5,000 DOP burned through the router
+    await router.setRate(toEth(1000));
+    await expect(
+      proxy.executeBuyback(await usdc.getAddress(), toEth(5), toEth(5_000))
+    ).to.emit(proxy, "BuybackAndBurn");
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(toEth(5_000));
+
+    // Once set, the adapter wrapping the same router takes over
+    const adapterArtifact = await deployer.loadArtifact("UniswapV2Adapter");
+    const adapter = await deployer.deploy(adapterArtifact, [
+      await router.getAddress(),
+      await usdc.getAddress(),
+    ]);
+    await adapter.waitForDeployment();
+    await expect(
+      proxy.connect(alice).setSwapAdapter(await adapter.getAddress())
+    ).to.be.reverted; // owner only
+    await proxy.setSwapAdapter(await adapter.getAddress());
+    await expect(
+      proxy.executeBuyback(await usdc.getAddress(), toEth(5), toEth(5_000))
+    ).to.emit(proxy, "BuybackAndBurn");
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(toEth(10_000));
+    expect(await proxy.pendingBuyback(await usdc.getAddress())).to.equal(0);
   });
 
-  it("ETH escrow fee split and buyback via router", async () => {
+  it("ETH escrow fee split and keeper buyback floored by oracle", async () => {
     // Deploy router & fund with DOP
     const routerArtifact = await deployer.loadArtifact("MockUniswapV2Router");
-    const router = await deployer.deploy(routerArtifact, [toEthStr(1000)]);
+    const router = await deployer.deploy(routerArtifact, [toEthStr(900)]);
     await router.waitForDeployment();
     await dop
       .connect(owner)
       .transfer(await router.getAddress(), toEth(100_000));
 
-    // Set router + mock WETH (use USDC address as dummy WETH for path building)
+    // Set adapter + mock WETH (use USDC address as dummy WETH for path building)
+    const adapterArtifact = await deployer.loadArtifact("UniswapV2Adapter");
+    const adapter = await deployer.deploy(adapterArtifact, [
+      await router.getAddress(),
+      await usdc.getAddress(),
+    ]);
+    await adapter.waitForDeployment();
     await proxy
       .connect(owner)
       .setDexRouter(await router.getAddress(), await usdc.getAddress());
+    await proxy.connect(owner).setSwapAdapter(await adapter.getAddress());
+
+    // Oracle quotes 1000 DOP per ETH, 3% tolerance => floor of 970 DOP per ETH
+    const oracleArtifact = await deployer.loadArtifact("MockPriceOracle");
+    const oracle = await deployer.deploy(oracleArtifact, []);
+    await oracle.waitForDeployment();
+    await oracle.setPrice(
+      await usdc.getAddress(),
+      await dop.getAddress(),
+      toEth(1000)
+    );
+    await expect(
+      proxy.setBuybackOracle(await oracle.getAddress(), 10_001)
+    ).to.be.revertedWith("caps");
+    await proxy.setBuybackOracle(await oracle.getAddress(), 300);
 
     // Brief with native ETH
     await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
@@ -495,14 +608,112 @@ describe("MarketplaceUpgradeable", function () {
 
     await proxy.connect(alice).acceptOffer(1, { value: toEth(10) });
     await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    const [tokens, amounts] = await proxy.getPendingBuybacks();
+    expect(tokens[0]).to.equal(ethers.ZeroAddress);
+    expect(amounts[0]).to.equal(toEth(1));
+
+    await expect(
+      proxy.connect(carol).executeBuyback(ethers.ZeroAddress, toEth(1), 1)
+    ).to.be.revertedWith("auth");
+    await proxy.setBuybackKeeper(carol.address, true);
+
+    // Router pays 900 < 970 floor even though the keeper asked for 1 wei
+    await expect(
+      proxy.connect(carol).executeBuyback(ethers.ZeroAddress, toEth(1), 1)
+    ).to.be.revertedWith("slippage");
+
+    await router.setRate(toEth(990));
     const supplyBefore = await dop.totalSupply();
-    const tx = await proxy.connect(alice).validateWork(1);
-    await expect(tx).to.emit(proxy, "BuybackAndBurn");
-    const supplyAfter = await dop.totalSupply();
-    expect(supplyBefore - supplyAfter).to.equal(toEth(1000));
+    await expect(
+      proxy.connect(carol).executeBuyback(ethers.ZeroAddress, toEth(1), 1)
+    )
+      .to.emit(proxy, "BuybackAndBurn")
+      .withArgs(ethers.ZeroAddress, toEth(1), toEth(990));
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(toEth(990));
+  });
+
+  it("buyback through V3 adapter with multi-hop and default fee paths", async () => {
+    const routerArtifact = await deployer.loadArtifact("MockUniswapV3Router");
+    const router = await deployer.deploy(routerArtifact, [toEthStr(2000)]);
+    await router.waitForDeployment();
+    await dop
+      .connect(owner)
+      .transfer(await router.getAddress(), toEth(100_000));
+
+    // Dummy WETH for path building
+    const wethArtifact = await deployer.loadArtifact("ERC20Mock");
+    const weth = await deployer.deploy(wethArtifact, [
+      "WETH",
+      "WETH",
+      owner.address,
+      toEthStr(1),
+    ]);
+    await weth.waitForDeployment();
+
+    const adapterArtifact = await deployer.loadArtifact("UniswapV3Adapter");
+    const adapter = await deployer.deploy(adapterArtifact, [
+      await router.getAddress(),
+      await weth.getAddress(),
+      3000,
+    ]);
+    await adapter.waitForDeployment();
+    await proxy.setDexRouter(ethers.ZeroAddress, await weth.getAddress());
+    await proxy.setSwapAdapter(await adapter.getAddress());
+
+    // USDC -(0.05%)-> WETH -(1%)-> DOP
+    const hops = [
+      await usdc.getAddress(),
+      await weth.getAddress(),
+      await dop.getAddress(),
+    ];
+    await expect(
+      adapter.setPath(await usdc.getAddress(), [hops[1], hops[2]], [500])
+    ).to.be.revertedWith("path");
+    await expect(
+      adapter.connect(alice).setPath(await usdc.getAddress(), hops, [500, 10000])
+    ).to.be.reverted; // owner only
+    await adapter.setPath(await usdc.getAddress(), hops, [500, 10000]);
+
+    // USDC gig and ETH brief each accrue half of their fee
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await proxy.connect(alice).makeOffer(1, toEth(100), await usdc.getAddress());
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(bob).acceptOffer(1);
+    await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(2, toEth(10), ethers.ZeroAddress);
+    await proxy.connect(alice).acceptOffer(2, { value: toEth(10) });
+    await proxy.connect(bob).validateWork(2);
+    await proxy.connect(alice).validateWork(2);
+
+    const supplyBefore = await dop.totalSupply();
+    await proxy.executeBuyback(await usdc.getAddress(), toEth(10), toEth(20_000));
+    expect(await router.lastPath()).to.equal(
+      ethers.solidityPacked(
+        ["address", "uint24", "address", "uint24", "address"],
+        [hops[0], 500, hops[1], 10000, hops[2]]
+      )
+    );
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(toEth(20_000));
+
+    // No ETH path configured: single WETH -> DOP pool at the default fee
+    await router.setRate(toEth(1500));
+    await expect(
+      proxy.executeBuyback(ethers.ZeroAddress, toEth(1), toEth(2000))
+    ).to.be.revertedWith("slippage");
+    await proxy.executeBuyback(ethers.ZeroAddress, toEth(1), toEth(1500));
+    expect(await router.lastPath()).to.equal(
+      ethers.solidityPacked(
+        ["address", "uint24", "address"],
+        [hops[1], 3000, hops[2]]
+      )
+    );
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(toEth(21_500));
   });
 
-  it("ETH escrow fee split falls back to treasury when router/weth unset", async () => {
+  it("ETH escrow fee accrues for buyback and can be swept when router unset", async () => {
     // Ensure router is unset (fresh snapshot ensures this)
     await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
     await proxy.connect(bob).makeOffer(1, toEth(10), ethers.ZeroAddress);
@@ -511,11 +722,1495 @@ describe("MarketplaceUpgradeable", function () {
 
     await proxy.connect(alice).acceptOffer(1, { value: toEth(10) });
     await proxy.connect(bob).validateWork(1);
-    const tx = await proxy.connect(alice).validateWork(1);
-    await expect(tx).to.emit(proxy, "BuybackAndBurn"); // emitted with dopBurned=0 in fallback
+    await proxy.connect(alice).validateWork(1);
 
-    const after = await provider.getBalance(treasury);
     const feeAmount = (toEth(10) * 2000n) / 10000n; // 20% of 10 ETH
-    expect(after - before).to.equal(feeAmount);
+    expect((await provider.getBalance(treasury)) - before).to.equal(
+      feeAmount / 2n
+    );
+    expect(await proxy.pendingBuyback(ethers.ZeroAddress)).to.equal(
+      feeAmount / 2n
+    );
+    await expect(
+      proxy.executeBuyback(ethers.ZeroAddress, feeAmount / 2n, 1)
+    ).to.be.revertedWith("router");
+
+    await expect(
+      proxy.connect(alice).sweepBuybackToTreasury(ethers.ZeroAddress, 1)
+    ).to.be.reverted; // owner only
+    // Treasury is the owner here, so track the contract balance instead of gas-affected treasury
+    const proxyBefore = await provider.getBalance(await proxy.getAddress());
+    await expect(proxy.sweepBuybackToTreasury(ethers.ZeroAddress, feeAmount / 2n))
+      .to.emit(proxy, "BuybackSwept")
+      .withArgs(ethers.ZeroAddress, feeAmount / 2n);
+    expect(
+      proxyBefore - (await provider.getBalance(await proxy.getAddress()))
+    ).to.equal(feeAmount / 2n);
+    expect(await proxy.pendingBuyback(ethers.ZeroAddress)).to.equal(0);
+  });
+
+  it("milestone escrow releases each stage with pro-rata fee", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy
+      .connect(bob)
+      .makeMilestoneOffer(
+        1,
+        await usdc.getAddress(),
+        [toEth(30), toEth(70)],
+        0,
+        0
+      );
+    expect((await proxy.offers(1)).amount).to.equal(toEth(100));
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(alice).acceptOffer(1);
+
+    let esc = await proxy.getEscrow(1);
+    expect(esc.milestoneCount).to.equal(2);
+    expect(esc.feeAmount).to.equal(toEth(20)); // 20% of 30 + 20% of 70
+    await expect(proxy.connect(bob).validateWork(1)).to.be.revertedWith(
+      "milestones"
+    );
+
+    // First milestone: provider gets 30 - 6 fee
+    const bobBefore = await usdc.balanceOf(bob.address);
+    await proxy.connect(bob).validateMilestone(1, 0);
+    await expect(proxy.connect(alice).validateMilestone(1, 0))
+      .to.emit(proxy, "MilestoneReleased")
+      .withArgs(1, 0, toEth(24), toEth(6));
+    expect((await usdc.balanceOf(bob.address)) - bobBefore).to.equal(toEth(24));
+    esc = await proxy.getEscrow(1);
+    expect(esc.status).to.equal(1); // still IN_PROGRESS
+    expect(esc.releasedAmount).to.equal(toEth(30));
+    expect((await proxy.getMissionHistory(bob.address)).length).to.equal(0);
+
+    // Last milestone closes the escrow and records the mission
+    await proxy.connect(bob).validateMilestone(1, 1);
+    await expect(proxy.connect(alice).validateMilestone(1, 1)).to.emit(
+      proxy,
+      "EscrowCompleted"
+    );
+    esc = await proxy.getEscrow(1);
+    expect(esc.status).to.equal(2); // COMPLETED
+    const ms = await proxy.getEscrowMilestones(1);
+    expect(ms[1].status).to.equal(2);
+    expect((await proxy.getMissionHistory(bob.address)).length).to.equal(1);
+    expect((await proxy.reputations(bob.address)).completedMissions).to.equal(
+      1
+    );
+  });
+
+  it("milestone dispute settles only the disputed stage", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy
+      .connect(bob)
+      .makeMilestoneOffer(1, ethers.ZeroAddress, [toEth(4), toEth(6)], 0, 0);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(10) });
+
+    await expect(proxy.connect(alice).openDispute(1)).to.be.revertedWith(
+      "milestones"
+    );
+    await expect(
+      proxy.connect(alice).openMilestoneDispute(1, 1, "ipfs://why")
+    ).to.emit(proxy, "MilestoneDisputed");
+    // Other milestones are frozen while the dispute is open
+    await expect(
+      proxy.connect(bob).validateMilestone(1, 0)
+    ).to.be.revertedWith("status");
+
+    await expect(proxy.resolveDispute(1, 1)) // REFUND_CLIENT
+      .to.emit(proxy, "DisputeResolved")
+      .withArgs(1, 1, 0, toEth(6));
+    let esc = await proxy.getEscrow(1);
+    expect(esc.status).to.equal(1); // back to IN_PROGRESS
+    expect((await proxy.getMilestone(1, 1)).disputeOutcome).to.equal(1);
+
+    await proxy.connect(bob).validateMilestone(1, 0);
+    await proxy.connect(alice).validateMilestone(1, 0);
+    esc = await proxy.getEscrow(1);
+    expect(esc.status).to.equal(4); // RESOLVED
+    const missions = await proxy.getMissionHistory(alice.address);
+    expect(missions.length).to.equal(1);
+    expect(missions[0].wasDisputed).to.equal(true);
+  });
+
+  it("each milestone dispute keeps its own evidence and appeals", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy
+      .connect(bob)
+      .makeMilestoneOffer(1, ethers.ZeroAddress, [toEth(4), toEth(6)], 0, 0);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(10) });
+
+    await proxy.connect(alice).openMilestoneDispute(1, 1, "ipfs://late");
+    await proxy.connect(bob).appealDispute(1, "ipfs://on-time");
+    await proxy.resolveDispute(1, 2); // PAY_PROVIDER
+
+    await proxy.connect(bob).openMilestoneDispute(1, 0, "ipfs://unpaid");
+    let h = await proxy.getDisputeHeader(1);
+    expect(h.cid).to.equal("ipfs://unpaid");
+    expect(h.openedBy).to.equal(bob.address);
+    expect(h.appealsCount).to.equal(0);
+    await proxy.connect(alice).appealDispute(1, "ipfs://paid");
+
+    // The first dispute's record is untouched by the second
+    h = await proxy.getMilestoneDisputeHeader(1, 1);
+    expect(h.cid).to.equal("ipfs://late");
+    expect(h.openedBy).to.equal(alice.address);
+    expect(h.appealsCount).to.equal(1);
+    const a = await proxy.getMilestoneDisputeAppeal(1, 1, 0);
+    expect(a.by).to.equal(bob.address);
+    expect(a.cid).to.equal("ipfs://on-time");
+    expect((await proxy.getMilestoneDisputeAppeal(1, 0, 0)).cid).to.equal(
+      "ipfs://paid"
+    );
+  });
+
+  it("auto-release after the review window lets anyone complete", async () => {
+    const DAY = 86400;
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy
+      .connect(bob)
+      .makeOfferWithDeadline(
+        1,
+        toEth(10),
+        await usdc.getAddress(),
+        7 * DAY,
+        3 * DAY
+      );
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(10));
+    await proxy.connect(alice).acceptOffer(1);
+
+    await expect(
+      proxy.connect(carol).releaseAfterReview(1)
+    ).to.be.revertedWith("review"); // provider has not validated yet
+    await proxy.connect(bob).validateWork(1);
+    await expect(
+      proxy.connect(carol).releaseAfterReview(1)
+    ).to.be.revertedWith("review"); // window still open
+
+    await increaseTime(3 * DAY + 1);
+    await expect(proxy.connect(carol).releaseAfterReview(1))
+      .to.emit(proxy, "EscrowAutoReleased")
+      .withArgs(1, carol.address);
+    expect((await proxy.getEscrow(1)).status).to.equal(2); // COMPLETED
+    expect((await proxy.getMissionHistory(bob.address)).length).to.equal(1);
+  });
+
+  it("client reclaims funds after a missed delivery deadline", async () => {
+    const DAY = 86400;
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await proxy
+      .connect(alice)
+      .makeMilestoneOffer(
+        1,
+        await usdc.getAddress(),
+        [toEth(4), toEth(6)],
+        2 * DAY,
+        DAY
+      );
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(10));
+    await proxy.connect(bob).acceptOffer(1);
+    const timeline = await proxy.escrowTimelines(1);
+    expect(timeline.deliveryDeadline).to.be.gt(0n);
+
+    // Provider delivers the first milestone in time, the second never arrives
+    await proxy.connect(bob).validateMilestone(1, 0);
+    await expect(
+      proxy.connect(alice).reclaimAfterDeadline(1)
+    ).to.be.revertedWith("deadline");
+
+    await increaseTime(2 * DAY + 1);
+    await expect(
+      proxy.connect(bob).reclaimAfterDeadline(1)
+    ).to.be.revertedWith("auth");
+    const before = await usdc.balanceOf(alice.address);
+    await expect(proxy.connect(alice).reclaimAfterDeadline(1))
+      .to.emit(proxy, "EscrowReclaimed")
+      .withArgs(1, alice.address, toEth(6));
+    expect((await usdc.balanceOf(alice.address)) - before).to.equal(toEth(6));
+    expect((await proxy.getMilestone(1, 1)).status).to.equal(5); // CANCELLED
+
+    // The delivered milestone still auto-releases once its review window lapses
+    await proxy.connect(carol).releaseAfterReview(1);
+    expect((await proxy.getEscrow(1)).status).to.equal(2); // COMPLETED
+  });
+
+  it("mutual cancellation pays out the agreed split without touching reputation", async () => {
+    await proxy.connect(alice).createProfile("Client", [], [], 0, "alice", "");
+    await proxy.connect(bob).createProfile("Provider", [], [], 1, "bob", "");
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(1, toEth(100), await usdc.getAddress());
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(alice).acceptOffer(1);
+
+    // Half of the pro-rata fee is charged on the provider's share
+    await proxy.connect(owner).setCancelFeeBps(5000);
+
+    await expect(proxy.connect(alice).proposeCancellation(1, 3000))
+      .to.emit(proxy, "CancellationProposed")
+      .withArgs(1, alice.address, 3000);
+    await expect(
+      proxy.connect(alice).acceptCancellation(1, 3000)
+    ).to.be.revertedWith("self");
+    await expect(
+      proxy.connect(bob).acceptCancellation(1, 5000)
+    ).to.be.revertedWith("terms");
+
+    const aliceBefore = await usdc.balanceOf(alice.address);
+    const bobBefore = await usdc.balanceOf(bob.address);
+    // fee = 20 (full fee) * 30% * 50% = 3
+    await expect(proxy.connect(bob).acceptCancellation(1, 3000))
+      .to.emit(proxy, "EscrowCancelled")
+      .withArgs(1, toEth(27), toEth(70), toEth(3));
+    expect((await usdc.balanceOf(alice.address)) - aliceBefore).to.equal(
+      toEth(70)
+    );
+    expect((await usdc.balanceOf(bob.address)) - bobBefore).to.equal(toEth(27));
+
+    expect((await proxy.getEscrow(1)).status).to.equal(5); // CANCELLED
+    expect((await proxy.getMissionHistory(bob.address)).length).to.equal(0);
+    expect((await proxy.getUserBadges(bob.address)).length).to.equal(0);
+    const rep = await proxy.reputations(bob.address);
+    expect(rep.completedMissions).to.equal(0);
+    expect(rep.disputedMissions).to.equal(0);
+  });
+
+  it("arbitrator panel votes, executes the majority outcome and slashes no-shows", async () => {
+    const DAY = 86400;
+    await proxy
+      .connect(owner)
+      .setArbitrationParams(toEth(100), 3, DAY, 1000, 5000, 1);
+    for (const a of [owner, carol, dan]) {
+      await dop.connect(a).approve(await proxy.getAddress(), toEth(100));
+      await proxy.connect(a).stakeArbitrator(toEth(100));
+    }
+    expect((await proxy.getArbitrators()).length).to.equal(3);
+
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(1, toEth(100), await usdc.getAddress());
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(alice).acceptOffer(1);
+    await proxy.connect(bob).openDisputeWithCID(1, "ipfs://dispute");
+
+    // Neither party can pick the seed, even as a registered keeper
+    await expect(proxy.connect(alice).assignPanel(1)).to.be.revertedWith(
+      "auth"
+    );
+    await expect(
+      proxy.connect(alice).setPanelKeeper(bob.address, true)
+    ).to.be.reverted; // owner only
+    await expect(proxy.setPanelKeeper(bob.address, true))
+      .to.emit(proxy, "PanelKeeperUpdated")
+      .withArgs(bob.address, true);
+    await expect(proxy.connect(bob).assignPanel(1)).to.be.revertedWith(
+      "party"
+    );
+    await proxy.setPanelKeeper(carol.address, true);
+    await expect(proxy.connect(carol).assignPanel(1)).to.emit(
+      proxy,
+      "PanelAssigned"
+    );
+    const panel = await proxy.getPanel(1);
+    expect(panel.members.length).to.equal(3);
+    expect(panel.active).to.equal(true);
+    await expect(proxy.resolveDispute(1, 1)).to.be.revertedWith("panel");
+    await expect(proxy.connect(alice).castVote(1, 1)).to.be.revertedWith(
+      "panelist"
+    );
+
+    await proxy.connect(carol).castVote(1, 3); // PAY_PROVIDER
+    await proxy.connect(dan).castVote(1, 3);
+    await expect(proxy.connect(carol).finalizePanel(1)).to.be.revertedWith(
+      "voting"
+    ); // owner has not voted and the deadline is still ahead
+
+    await increaseTime(DAY + 1);
+    const bobBefore = await usdc.balanceOf(bob.address);
+    const carolBefore = await usdc.balanceOf(carol.address);
+    await expect(proxy.connect(carol).finalizePanel(1))
+      .to.emit(proxy, "PanelFinalized")
+      .withArgs(1, 3, 2);
+
+    // Provider paid, majority shares 10% of the 20 USDC fee
+    expect((await usdc.balanceOf(bob.address)) - bobBefore).to.equal(toEth(80));
+    expect((await usdc.balanceOf(carol.address)) - carolBefore).to.equal(
+      toEth(1)
+    );
+    expect((await proxy.getEscrow(1)).status).to.equal(4); // RESOLVED
+
+    // Majority voters progress toward MEDIATOR, the no-show is slashed
+    expect((await proxy.arbitrators(carol.address)).majorityVotes).to.equal(1);
+    expect(await proxy.getUserBadges(carol.address)).to.deep.equal([5n]);
+    const ownerArb = await proxy.arbitrators(owner.address);
+    expect(ownerArb.stake).to.equal(toEth(50));
+    expect(ownerArb.missedVotes).to.equal(1);
+
+    await proxy.connect(carol).unregisterArbitrator();
+    expect((await proxy.getArbitrators()).length).to.equal(2);
+  });
+
+  it("a refunded client gets everything back and the reserve pays the panel", async () => {
+    const DAY = 86400;
+    await proxy
+      .connect(owner)
+      .setArbitrationParams(toEth(100), 3, DAY, 1000, 5000, 1);
+    for (const a of [owner, carol, dan]) {
+      await dop.connect(a).approve(await proxy.getAddress(), toEth(100));
+      await proxy.connect(a).stakeArbitrator(toEth(100));
+    }
+    await usdc.connect(owner).approve(await proxy.getAddress(), toEth(1));
+    await expect(
+      proxy.connect(owner).fundArbitrationReserve(await usdc.getAddress(), toEth(1))
+    )
+      .to.emit(proxy, "ArbitrationReserveFunded")
+      .withArgs(await usdc.getAddress(), owner.address, toEth(1));
+
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(1, toEth(100), await usdc.getAddress());
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(alice).acceptOffer(1);
+    await proxy.connect(alice).openDisputeWithCID(1, "ipfs://dispute");
+    await proxy.connect(owner).assignPanel(1);
+    for (const a of [owner, carol, dan]) await proxy.connect(a).castVote(1, 1);
+
+    const aliceBefore = await usdc.balanceOf(alice.address);
+    const carolBefore = await usdc.balanceOf(carol.address);
+    await proxy.connect(carol).finalizePanel(1);
+    // 10% of the 20 USDC fee is 2 USDC, capped by the 1 USDC reserve
+    expect((await usdc.balanceOf(alice.address)) - aliceBefore).to.equal(
+      toEth(100)
+    );
+    expect((await usdc.balanceOf(carol.address)) - carolBefore).to.equal(
+      toEth(1) / 3n
+    );
+    expect(await proxy.arbitrationReserve(await usdc.getAddress())).to.equal(0);
+
+    await expect(
+      proxy.connect(alice).withdrawArbitrationReserve(ethers.ZeroAddress, 0)
+    ).to.be.reverted; // owner only
+  });
+
+  it("custom split percentages in dispute resolution (ETH and ERC20)", async () => {
+    // Native ETH: 10 ETH escrow, 2 ETH fee, provider gets 80% of the 8 ETH work amount
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(1, toEth(10), ethers.ZeroAddress);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(10) });
+    await proxy.connect(alice).openDispute(1);
+    await expect(
+      proxy.connect(alice).resolveDisputeSplit(1, 8000)
+    ).to.be.reverted; // owner only
+    await expect(proxy.resolveDisputeSplit(1, 10001)).to.be.revertedWith(
+      "bps"
+    );
+    await expect(proxy.resolveDisputeSplit(1, 8000))
+      .to.emit(proxy, "DisputeResolved")
+      .withArgs(1, 2, toEth("6.4"), toEth("1.6"));
+    const esc = await proxy.getEscrow(1);
+    expect(esc.status).to.equal(4); // RESOLVED
+    expect(esc.disputeOutcome).to.equal(2); // SPLIT
+
+    // ERC20: 100 USDC escrow, 20 USDC fee, provider gets 25% of 80
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await proxy.connect(alice).makeOffer(2, toEth(100), await usdc.getAddress());
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(bob).acceptOffer(2);
+    await proxy.connect(bob).openDispute(2);
+    const bobBefore = await usdc.balanceOf(bob.address);
+    const aliceBefore = await usdc.balanceOf(alice.address);
+    const treasuryBefore = await usdc.balanceOf(treasury);
+    await proxy.resolveDisputeSplit(2, 2500);
+    expect((await usdc.balanceOf(bob.address)) - bobBefore).to.equal(toEth(20));
+    expect((await usdc.balanceOf(alice.address)) - aliceBefore).to.equal(
+      toEth(60)
+    );
+    expect((await usdc.balanceOf(treasury)) - treasuryBefore).to.equal(
+      toEth(10)
+    ); // other half of the fee accrues for buyback
+    const missions = await proxy.getMissionHistory(bob.address);
+    expect(missions.length).to.equal(2);
+    expect(missions[1].wasDisputed).to.equal(true);
+  });
+
+  it("payment token allowlist with per-token fees, minimums and routing", async () => {
+    const junkArtifact = await deployer.loadArtifact("ERC20Mock");
+    const junk = await deployer.deploy(junkArtifact, [
+      "JUNK",
+      "JUNK",
+      alice.address,
+      toEthStr(1_000),
+    ]);
+    await junk.waitForDeployment();
+    const junkAddr = await junk.getAddress();
+
+    // Defaults: ETH, DOP and USDC on the legacy fee tiers
+    const [tokens] = await proxy.getPaymentTokens();
+    expect(tokens.length).to.equal(3);
+    expect(await proxy.feeBpsFor(await dop.getAddress())).to.equal(1000);
+
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await expect(
+      proxy.connect(alice).makeOffer(1, toEth(100), junkAddr)
+    ).to.be.revertedWith("token");
+
+    // 5% fee straight to treasury, 50 JUNK minimum
+    await expect(
+      proxy.connect(alice).setPaymentToken(junkAddr, true, true, 500, toEth(50), 1, 0)
+    ).to.be.reverted; // owner only
+    await expect(
+      proxy.setPaymentToken(junkAddr, true, true, 3001, 0, 1, 0)
+    ).to.be.revertedWith("caps");
+    await expect(proxy.setPaymentToken(junkAddr, true, true, 500, toEth(50), 1, 0))
+      .to.emit(proxy, "PaymentTokenConfigured")
+      .withArgs(junkAddr, true, 500, toEth(50), 1, 0);
+    expect((await proxy.getPaymentTokens())[0].length).to.equal(4);
+
+    await expect(
+      proxy.connect(alice).makeOffer(1, toEth(49), junkAddr)
+    ).to.be.revertedWith("min");
+    await proxy.connect(alice).makeOffer(1, toEth(100), junkAddr);
+    await junk.connect(alice).approve(await proxy.getAddress(), toEth(100));
+
+    // Delisting between offer and acceptance blocks the escrow
+    await proxy.setPaymentToken(junkAddr, false, true, 500, toEth(50), 1, 0);
+    await expect(proxy.connect(bob).acceptOffer(1)).to.be.revertedWith("token");
+    expect((await proxy.getPaymentTokens())[0].length).to.equal(3);
+    await proxy.setPaymentToken(junkAddr, true, true, 500, toEth(50), 1, 0);
+
+    await proxy.connect(bob).acceptOffer(1);
+    await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    expect(await junk.balanceOf(bob.address)).to.equal(toEth(95));
+    expect(await junk.balanceOf(treasury)).to.equal(toEth(5));
+
+    // DOP routed with a 20% burn split instead of the default 50%
+    await proxy.setPaymentToken(await dop.getAddress(), true, false, 0, 0, 2, 2000);
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig2");
+    await proxy.connect(alice).makeOffer(2, toEth(1000), await dop.getAddress());
+    await dop.connect(alice).approve(await proxy.getAddress(), toEth(1000));
+    await proxy.connect(bob).acceptOffer(2);
+    await proxy.connect(bob).validateWork(2);
+    const supplyBefore = await dop.totalSupply();
+    const treasuryBefore = await dop.balanceOf(treasury);
+    await proxy.connect(alice).validateWork(2);
+    // 10% DOP fee = 100 DOP: 20 burned, 80 to treasury
+    expect(supplyBefore - (await dop.totalSupply())).to.equal(toEth(20));
+    expect((await dop.balanceOf(treasury)) - treasuryBefore).to.equal(toEth(80));
+  });
+
+  it("failed ETH pushes are credited and withdrawn by the receiver", async () => {
+    const receiverArtifact = await deployer.loadArtifact("RevertingReceiver");
+    const receiver = await deployer.deploy(receiverArtifact, []);
+    await receiver.waitForDeployment();
+    const recvAddr = await receiver.getAddress();
+    const proxyAddr = await proxy.getAddress();
+    const call = (fn, args) =>
+      receiver.exec(proxyAddr, proxy.interface.encodeFunctionData(fn, args));
+
+    // Brief paid in ETH, the rejecting contract is the provider
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await call("makeOffer", [1, toEth(10), ethers.ZeroAddress]);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(10) });
+    await call("validateWork", [1]);
+    await expect(proxy.connect(alice).validateWork(1))
+      .to.emit(proxy, "PaymentCredited")
+      .withArgs(recvAddr, ethers.ZeroAddress, toEth(8));
+
+    // Escrow still completes and the fee still reaches the treasury side
+    expect((await proxy.getEscrow(1)).status).to.equal(2); // COMPLETED
+    expect(await proxy.claimable(recvAddr, ethers.ZeroAddress)).to.equal(
+      toEth(8)
+    );
+    const [tokens, amounts] = await proxy.getClaimableBalances(recvAddr);
+    expect(tokens[0]).to.equal(ethers.ZeroAddress);
+    expect(amounts[0]).to.equal(toEth(8));
+
+    // Withdrawing to itself still fails; redirecting to another address works
+    await expect(call("withdraw", [ethers.ZeroAddress])).to.be.revertedWith(
+      "pay"
+    );
+    await expect(
+      proxy.connect(carol).withdraw(ethers.ZeroAddress)
+    ).to.be.revertedWith("none");
+    const carolBefore = await provider.getBalance(carol.address);
+    await expect(call("withdrawTo", [ethers.ZeroAddress, carol.address]))
+      .to.emit(proxy, "Withdrawn")
+      .withArgs(recvAddr, ethers.ZeroAddress, carol.address, toEth(8));
+    expect((await provider.getBalance(carol.address)) - carolBefore).to.equal(
+      toEth(8)
+    );
+    expect(await proxy.claimable(recvAddr, ethers.ZeroAddress)).to.equal(0);
+
+    // A full refund to the same contract as client is credited as well
+    await call("createListing", [0, 1, "ipfs://brief2"]);
+    await proxy.connect(bob).makeOffer(2, toEth(5), ethers.ZeroAddress);
+    await receiver.exec(
+      proxyAddr,
+      proxy.interface.encodeFunctionData("acceptOffer", [2]),
+      { value: toEth(5) }
+    );
+    await proxy.connect(bob).openDispute(2);
+    await expect(proxy.resolveDispute(2, 1))
+      .to.emit(proxy, "PaymentCredited")
+      .withArgs(recvAddr, ethers.ZeroAddress, toEth(5));
+    await receiver.setAcceptEth(true);
+    await call("withdraw", [ethers.ZeroAddress]);
+    expect(await provider.getBalance(recvAddr)).to.equal(toEth(5));
+
+    // A receiver burning all the gas it gets only costs the capped push
+    await receiver.setBurnGas(true);
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief3");
+    await call("makeOffer", [3, toEth(10), ethers.ZeroAddress]);
+    await proxy.connect(alice).acceptOffer(3, { value: toEth(10) });
+    await call("validateWork", [3]);
+    const tx = await proxy.connect(alice).validateWork(3, { gasLimit: 10_000_000 });
+    await expect(tx)
+      .to.emit(proxy, "PaymentCredited")
+      .withArgs(recvAddr, ethers.ZeroAddress, toEth(8));
+    expect((await tx.wait()).gasUsed).to.be.lt(1_000_000n);
+
+    await expect(proxy.connect(alice).setPushGasLimit(50_000)).to.be.reverted; // owner only
+    await expect(proxy.setPushGasLimit(50_000))
+      .to.emit(proxy, "PushGasLimitUpdated")
+      .withArgs(50_000);
+    expect(await proxy.pushGasLimit()).to.equal(50_000);
+  });
+
+  it("fixed-price listings support buy now, order caps, expiry and price filters", async () => {
+    const DAY = 86400;
+    const usdcAddr = await usdc.getAddress();
+    const now = (await provider.getBlock("latest")).timestamp;
+    await expect(
+      proxy
+        .connect(bob)
+        .createListingWithTerms(1, 2, "ipfs://gig", toEth(50), usdcAddr, now - 1, 0)
+    ).to.be.revertedWith("expiry");
+    await proxy
+      .connect(bob)
+      .createListingWithTerms(1, 2, "ipfs://gig", toEth(50), usdcAddr, now + DAY, 1);
+    await proxy
+      .connect(bob)
+      .createListingWithTerms(1, 2, "ipfs://eth-gig", toEth(5), ethers.ZeroAddress, 0, 0);
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+
+    // Price band filter only returns the USDC listing inside [10, 100]
+    const filter = {
+      onlyActive: true,
+      onlyBoosted: false,
+      filterByType: false,
+      listingType: 0,
+      filterByPrice: true,
+      paymentToken: usdcAddr,
+      minPrice: toEth(10),
+      maxPrice: toEth(100),
+      filterByCategory: false,
+      category: 0,
+      includeSubcategories: false,
+    };
+    let [page] = await proxy.getListingsDescendingFiltered(0, 10, filter);
+    expect(page.length).to.equal(1);
+    expect(page[0].id).to.equal(1);
+    [page] = await proxy.getListingsDescendingFiltered(0, 10, {
+      ...filter,
+      maxPrice: toEth(40),
+    });
+    expect(page.length).to.equal(0);
+
+    // Buy now funds the escrow in one transaction at the quoted price
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    await expect(
+      proxy.connect(alice).buyNow(1, toEth(40), usdcAddr)
+    ).to.be.revertedWith("price");
+    await expect(
+      proxy.connect(bob).buyNow(1, toEth(50), usdcAddr)
+    ).to.be.revertedWith("self");
+    await expect(
+      proxy.connect(alice).buyNow(3, 0, ethers.ZeroAddress)
+    ).to.be.revertedWith("type");
+    await expect(
+      proxy.connect(alice).buyNow(1, toEth(50), usdcAddr, { value: 1 })
+    ).to.be.revertedWith("value");
+    await expect(proxy.connect(alice).buyNow(1, toEth(50), usdcAddr))
+      .to.emit(proxy, "EscrowStarted")
+      .withArgs(1, alice.address, bob.address, toEth(50), usdcAddr, toEth(10));
+    expect((await proxy.listings(1)).activeOrders).to.equal(1);
+
+    // The single order slot is taken until the escrow completes
+    await usdc.connect(carol).approve(await proxy.getAddress(), toEth(50));
+    await expect(
+      proxy.connect(carol).buyNow(1, toEth(50), usdcAddr)
+    ).to.be.revertedWith("full");
+    await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    expect((await proxy.listings(1)).activeOrders).to.equal(0);
+    await proxy.connect(carol).buyNow(1, toEth(50), usdcAddr);
+
+    // Native ETH buy now must send the exact price
+    await expect(
+      proxy.connect(carol).buyNow(2, toEth(5), ethers.ZeroAddress, { value: toEth(4) })
+    ).to.be.revertedWith("value");
+    await proxy
+      .connect(carol)
+      .buyNow(2, toEth(5), ethers.ZeroAddress, { value: toEth(5) });
+
+    // A token switch at the same price, mined ahead of the buy, does not
+    // charge the buyer's standing allowance in the new token
+    const dopAddr = await dop.getAddress();
+    await dop.connect(dan).approve(await proxy.getAddress(), toEth(100));
+    await proxy.connect(bob).setListingTerms(2, toEth(5), dopAddr, 0, 0);
+    const dopBefore = await dop.balanceOf(dan.address);
+    await expect(
+      proxy.connect(dan).buyNow(2, toEth(5), ethers.ZeroAddress, { value: toEth(5) })
+    ).to.be.revertedWith("token");
+    expect(await dop.balanceOf(dan.address)).to.equal(dopBefore);
+    await proxy.connect(dan).buyNow(2, toEth(5), dopAddr);
+    expect(await dop.balanceOf(dan.address)).to.equal(dopBefore - toEth(5));
+
+    // Expired listings take no new offers and drop out of active pages
+    await increaseTime(DAY + 1);
+    await expect(
+      proxy.connect(dan).makeOffer(1, toEth(50), usdcAddr)
+    ).to.be.revertedWith("listing");
+    [page] = await proxy.getListingsDescending(0, 10, true, false, false, 0);
+    expect(page.map((l) => l.id)).to.deep.equal([3n, 2n]);
+  });
+
+  it("counter-offers alternate until the proposer accepts the standing terms", async () => {
+    const DAY = 86400;
+    const usdcAddr = await usdc.getAddress();
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await proxy.connect(alice).makeOffer(1, toEth(100), usdcAddr);
+
+    // Provider counters with a higher price, a deadline and a message
+    await expect(
+      proxy.connect(carol).counterOffer(1, toEth(150), usdcAddr, 7 * DAY, 0, "")
+    ).to.be.revertedWith("auth");
+    await expect(
+      proxy.connect(alice).counterOffer(1, toEth(90), usdcAddr, 0, 0, "")
+    ).to.be.revertedWith("turn");
+    await expect(
+      proxy.connect(bob).counterOffer(1, toEth(150), usdcAddr, 7 * DAY, 0, "ipfs://why")
+    )
+      .to.emit(proxy, "OfferCountered")
+      .withArgs(1, bob.address, toEth(150), usdcAddr, 7 * DAY, 0, "ipfs://why");
+    await expect(proxy.connect(bob).acceptOffer(1)).to.be.revertedWith(
+      "countered"
+    );
+
+    // Client meets in the middle, provider settles on 130
+    await proxy.connect(alice).counterOffer(1, toEth(120), usdcAddr, 7 * DAY, 0, "");
+    await expect(proxy.connect(alice).acceptCounter(1)).to.be.revertedWith(
+      "turn"
+    );
+    await proxy.connect(bob).counterOffer(1, toEth(130), usdcAddr, 7 * DAY, 0, "ipfs://final");
+
+    const chain = await proxy.getNegotiation(1);
+    expect(chain.length).to.equal(3);
+    expect(chain.map((c) => c.author)).to.deep.equal([
+      bob.address,
+      alice.address,
+      bob.address,
+    ]);
+    expect(chain[2].cid).to.equal("ipfs://final");
+
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(130));
+    await expect(proxy.connect(alice).acceptCounter(1))
+      .to.emit(proxy, "EscrowStarted")
+      .withArgs(1, alice.address, bob.address, toEth(130), usdcAddr, toEth(26));
+    expect((await proxy.escrowTimelines(1)).deliveryDeadline).to.be.gt(0);
+    await expect(
+      proxy.connect(bob).counterOffer(1, toEth(140), usdcAddr, 0, 0, "")
+    ).to.be.revertedWith("offer");
+  });
+
+  it("pre-funded GIG offers lock the deposit and refund it on cancel or rejection", async () => {
+    const usdcAddr = await usdc.getAddress();
+    const proxyAddr = await proxy.getAddress();
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+
+    await expect(
+      proxy
+        .connect(bob)
+        .makeFundedOffer(2, toEth(5), ethers.ZeroAddress, 0, 0, { value: toEth(5) })
+    ).to.be.revertedWith("type");
+    await expect(
+      proxy
+        .connect(alice)
+        .makeFundedOffer(1, toEth(5), ethers.ZeroAddress, 0, 0, { value: toEth(4) })
+    ).to.be.revertedWith("value");
+
+    // Native ETH GIG offer: the provider accepts without sending anything
+    await expect(
+      proxy
+        .connect(alice)
+        .makeFundedOffer(1, toEth(5), ethers.ZeroAddress, 0, 0, { value: toEth(5) })
+    )
+      .to.emit(proxy, "OfferFunded")
+      .withArgs(1, toEth(5));
+    expect(await provider.getBalance(proxyAddr)).to.equal(toEth(5));
+    await expect(
+      proxy.connect(bob).acceptOffer(1, { value: toEth(5) })
+    ).to.be.revertedWith("value");
+    await proxy.connect(bob).acceptOffer(1);
+    expect(await proxy.offerDeposits(1)).to.equal(0);
+    const esc = await proxy.getEscrow(1);
+    expect(esc.status).to.equal(1); // IN_PROGRESS
+    expect(esc.amount).to.equal(toEth(5));
+
+    // ERC20 deposit is returned when the provider rejects the offer
+    await usdc.connect(alice).approve(proxyAddr, toEth(100));
+    const aliceBefore = await usdc.balanceOf(alice.address);
+    await proxy.connect(alice).makeFundedOffer(1, toEth(100), usdcAddr, 0, 0);
+    expect(aliceBefore - (await usdc.balanceOf(alice.address))).to.equal(
+      toEth(100)
+    );
+    await expect(proxy.connect(alice).rejectOffer(2)).to.be.revertedWith("auth");
+    await expect(proxy.connect(bob).rejectOffer(2))
+      .to.emit(proxy, "OfferDepositRefunded")
+      .withArgs(2, toEth(100));
+    expect(await usdc.balanceOf(alice.address)).to.equal(aliceBefore);
+    await expect(proxy.connect(bob).acceptOffer(2)).to.be.revertedWith("offer");
+
+    // A counter releases the deposit; re-funding and cancelling refunds again
+    await proxy.connect(carol).makeOffer(1, toEth(2), ethers.ZeroAddress);
+    await proxy.connect(carol).fundOffer(3, { value: toEth(2) });
+    await expect(
+      proxy.connect(carol).fundOffer(3, { value: toEth(2) })
+    ).to.be.revertedWith("funded");
+    await proxy
+      .connect(bob)
+      .counterOffer(3, toEth(3), ethers.ZeroAddress, 0, 0, "");
+    expect(await proxy.offerDeposits(3)).to.equal(0);
+    await proxy.connect(carol).fundOffer(3, { value: toEth(3) });
+    await proxy.connect(carol).cancelOffer(3);
+    expect(await proxy.offerDeposits(3)).to.equal(0);
+    expect(await provider.getBalance(proxyAddr)).to.equal(toEth(5));
+  });
+
+  it("signed off-chain offers are accepted in one call and nonces can be cancelled", async () => {
+    const { signOffer } = require("../scripts/sign-offer");
+    const usdcAddr = await usdc.getAddress();
+    const now = (await provider.getBlock("latest")).timestamp;
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+
+    // Provider signs an ETH offer on the brief; the client submits and funds it
+    const ethOffer = await signOffer(proxy, bob, {
+      listingId: 1,
+      amount: toEth(10),
+      paymentToken: ethers.ZeroAddress,
+      expiry: now + 3600,
+      nonce: 1,
+    });
+    await expect(
+      proxy
+        .connect(alice)
+        .acceptSignedOffer(ethOffer.offer, carol.address, ethOffer.signature, {
+          value: toEth(10),
+        })
+    ).to.be.revertedWith("sig");
+    await expect(
+      proxy
+        .connect(carol)
+        .acceptSignedOffer(ethOffer.offer, bob.address, ethOffer.signature, {
+          value: toEth(10),
+        })
+    ).to.be.revertedWith("client");
+    await expect(
+      proxy
+        .connect(alice)
+        .acceptSignedOffer(ethOffer.offer, bob.address, ethOffer.signature, {
+          value: toEth(10),
+        })
+    )
+      .to.emit(proxy, "EscrowStarted")
+      .withArgs(1, alice.address, bob.address, toEth(10), ethers.ZeroAddress, toEth(2));
+    expect((await proxy.offers(1)).proposer).to.equal(bob.address);
+    await expect(
+      proxy
+        .connect(alice)
+        .acceptSignedOffer(ethOffer.offer, bob.address, ethOffer.signature, {
+          value: toEth(10),
+        })
+    ).to.be.revertedWith("nonce");
+
+    // Client signs a USDC offer on the gig; the provider submits it
+    await usdc.connect(alice).approve(await proxy.getAddress(), toEth(100));
+    const usdcOffer = await signOffer(proxy, alice, {
+      listingId: 2,
+      amount: toEth(100),
+      paymentToken: usdcAddr,
+      expiry: now + 3600,
+      nonce: 7,
+    });
+    await proxy
+      .connect(bob)
+      .acceptSignedOffer(usdcOffer.offer, alice.address, usdcOffer.signature);
+    expect((await proxy.getEscrow(2)).client).to.equal(alice.address);
+
+    // Cancelled nonces and expired offers are refused
+    const cancelled = await signOffer(proxy, alice, {
+      ...usdcOffer.offer,
+      nonce: 8,
+    });
+    await expect(proxy.connect(alice).cancelSignedOfferNonces([8]))
+      .to.emit(proxy, "SignedOfferNonceCancelled")
+      .withArgs(alice.address, 8);
+    await expect(
+      proxy
+        .connect(bob)
+        .acceptSignedOffer(cancelled.offer, alice.address, cancelled.signature)
+    ).to.be.revertedWith("nonce");
+    const stale = await signOffer(proxy, alice, {
+      ...usdcOffer.offer,
+      expiry: now - 1,
+      nonce: 9,
+    });
+    await expect(
+      proxy
+        .connect(bob)
+        .acceptSignedOffer(stale.offer, alice.address, stale.signature)
+    ).to.be.revertedWith("expired");
+  });
+
+  it("weighted reputation, review replies and moderation", async () => {
+    const usdcAddr = await usdc.getAddress();
+    const proxyAddr = await proxy.getAddress();
+    const junkArtifact = await deployer.loadArtifact("ERC20Mock");
+    const junk = await deployer.deploy(junkArtifact, [
+      "JUNK",
+      "JUNK",
+      carol.address,
+      toEthStr(1_000_000),
+    ]);
+    await junk.waitForDeployment();
+    const junkAddr = await junk.getAddress();
+    await proxy.setPaymentToken(junkAddr, true, false, 0, 0, 1, 0);
+
+    // 1 USDC (18 decimals in the mock) = 1 normalized unit; JUNK has no weight
+    await expect(
+      proxy.connect(alice).setReputationWeight(usdcAddr, toEth(1))
+    ).to.be.reverted; // owner only
+    await proxy.setReputationWeight(usdcAddr, toEth(1));
+
+    const completeGig = async (id, client, amount, asset) => {
+      const token = await asset.getAddress();
+      await proxy.connect(client).makeOffer(1, amount, token);
+      await asset.connect(client).approve(proxyAddr, amount);
+      await proxy.connect(bob).acceptOffer(id);
+      await proxy.connect(bob).validateWork(id);
+      await proxy.connect(client).validateWork(id);
+      return id;
+    };
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    const big = await completeGig(1, alice, toEth(1000), usdc);
+    const small = await completeGig(2, dan, toEth(10), usdc);
+    const junkJob = await completeGig(3, carol, toEth(100_000), junk);
+    expect((await proxy.reputations(bob.address)).score).to.equal(toEth(1010));
+
+    // A weight that overflows the uint128 score reverts instead of truncating
+    await proxy.setReputationWeight(junkAddr, 2n ** 128n);
+    await proxy.connect(carol).makeOffer(1, toEth(1), junkAddr);
+    await junk.connect(carol).approve(proxyAddr, toEth(1));
+    await proxy.connect(bob).acceptOffer(4);
+    await proxy.connect(bob).validateWork(4);
+    await expect(proxy.connect(carol).validateWork(4)).to.be.reverted;
+    await proxy.setReputationWeight(junkAddr, 0);
+    await proxy.connect(carol).validateWork(4);
+    expect((await proxy.reputations(bob.address)).score).to.equal(toEth(1010));
+
+    // 5 stars on the $1000 job outweigh 1 star on the $10 job; junk counts nothing
+    await proxy.connect(alice).leaveReview(big, 5, "ipfs://great");
+    await proxy.connect(dan).leaveReview(small, 1, "ipfs://bad");
+    await proxy.connect(carol).leaveReview(junkJob, 1, "ipfs://spam");
+    expect(await proxy.getAverageRating(bob.address)).to.equal(233);
+    expect(await proxy.getWeightedRating(bob.address)).to.equal(496);
+
+    // One public reply per review, by the reviewee only
+    await expect(
+      proxy.connect(alice).replyToReview(small, dan.address, "ipfs://reply")
+    ).to.be.revertedWith("auth");
+    await expect(proxy.connect(bob).replyToReview(small, dan.address, "ipfs://reply"))
+      .to.emit(proxy, "ReviewReplied")
+      .withArgs(small, dan.address, "ipfs://reply");
+    await expect(
+      proxy.connect(bob).replyToReview(small, dan.address, "ipfs://again")
+    ).to.be.revertedWith("replied");
+
+    // Owner hides the spam review, an arbitrator can restore it
+    await expect(
+      proxy.connect(dan).setReviewHidden(junkJob, carol.address, true)
+    ).to.be.revertedWith("auth");
+    await proxy.setReviewHidden(junkJob, carol.address, true);
+    let rep = await proxy.reputations(bob.address);
+    expect(rep.ratingsCount).to.equal(2);
+    expect(rep.ratingsSum).to.equal(6);
+    expect(await proxy.getAverageRating(bob.address)).to.equal(300);
+    const extras = await proxy.getReviewExtras(bob.address);
+    expect(extras.map((x) => x.hidden)).to.deep.equal([false, false, true]);
+    expect(extras[1].replyURI).to.equal("ipfs://reply");
+    expect(extras[0].weight).to.equal(toEth(1000));
+
+    await dop.connect(dan).approve(proxyAddr, toEth(10_000));
+    await proxy.connect(dan).stakeArbitrator(toEth(10_000));
+    await expect(
+      proxy.connect(dan).setReviewHidden(small, dan.address, true)
+    ).to.be.revertedWith("self");
+    await proxy.connect(dan).setReviewHidden(junkJob, carol.address, false);
+    rep = await proxy.reputations(bob.address);
+    expect(rep.ratingsCount).to.equal(3);
+  });
+
+  it("soulbound badge NFTs are minted, backfilled and cannot move", async () => {
+    const proxyAddr = await proxy.getAddress();
+    const completeBrief = async (id) => {
+      await proxy.connect(bob).makeOffer(1, toEth(1), ethers.ZeroAddress);
+      await proxy.connect(alice).acceptOffer(id, { value: toEth(1) });
+      await proxy.connect(bob).validateWork(id);
+      await proxy.connect(alice).validateWork(id);
+    };
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await completeBrief(1); // ROOKIE earned before the NFT exists
+
+    const nftArtifact = await deployer.loadArtifact("BadgeNFT");
+    const nft = await deployer.deploy(nftArtifact, [proxyAddr]);
+    await nft.waitForDeployment();
+    await expect(proxy.backfillBadges([bob.address])).to.be.revertedWith("nft");
+    await expect(proxy.setBadgeNFT(await nft.getAddress()))
+      .to.emit(proxy, "BadgeNFTUpdated")
+      .withArgs(ethers.ZeroAddress, await nft.getAddress());
+    await expect(nft.mint(bob.address, 0, 0)).to.be.revertedWith("minter");
+
+    await proxy.backfillBadges([alice.address, bob.address, bob.address]);
+    const rookieId = await nft.tokenIdFor(bob.address, 0);
+    expect(await nft.ownerOf(rookieId)).to.equal(bob.address);
+    expect(await nft.balanceOf(bob.address)).to.equal(1);
+    expect(await nft.hasBadge(alice.address, 0)).to.equal(true);
+
+    const uri = await nft.tokenURI(rookieId);
+    const meta = JSON.parse(
+      Buffer.from(uri.split(",")[1], "base64").toString("utf8")
+    );
+    expect(meta.name).to.equal("DOP Marketplace Rookie");
+    expect(meta.attributes[1].value).to.equal(bob.address.toLowerCase());
+    expect(meta.image.startsWith("data:image/svg+xml;base64,")).to.equal(true);
+    // When ROOKIE was earned is not on record, so the backfill leaves it out
+    expect(await nft.earnedAt(rookieId)).to.equal(0);
+    expect(meta.attributes.map((a) => a.trait_type)).to.deep.equal([
+      "Badge",
+      "Holder",
+    ]);
+
+    await expect(
+      nft.connect(bob).transferFrom(bob.address, carol.address, rookieId)
+    ).to.be.reverted;
+    await expect(nft.connect(bob).approve(carol.address, rookieId)).to.be.revertedWith(
+      "soulbound"
+    );
+
+    // Reaching 6 missions mints EXPERIENCED directly from escrow completion
+    for (let id = 2; id <= 6; id++) await completeBrief(id);
+    expect(await proxy.getUserBadges(bob.address)).to.deep.equal([0n, 1n]);
+    expect(await nft.hasBadge(bob.address, 1)).to.equal(true);
+    expect(await nft.balanceOf(bob.address)).to.equal(2);
+    const experiencedId = await nft.tokenIdFor(bob.address, 1);
+    const earned = await nft.earnedAt(experiencedId);
+    expect(earned).to.equal(
+      (await owner.provider.getBlock("latest")).timestamp
+    );
+    const earnedMeta = JSON.parse(
+      Buffer.from((await nft.tokenURI(experiencedId)).split(",")[1], "base64").toString("utf8")
+    );
+    expect(earnedMeta.attributes[2]).to.deep.equal({
+      display_type: "date",
+      trait_type: "Earned",
+      value: Number(earned),
+    });
+  });
+
+  it("reliability badge is revoked when the dispute rate rises and thresholds are configurable", async () => {
+    const thresholds = {
+      rookie: 1,
+      experienced: 2,
+      expert: 3,
+      master: 4,
+      reliableMinMissions: 2,
+      reliableRateBps: 7_500,
+    };
+    await expect(
+      proxy.connect(alice).setBadgeThresholds(thresholds)
+    ).to.be.reverted; // owner only
+    await expect(
+      proxy.setBadgeThresholds({ ...thresholds, expert: 1 })
+    ).to.be.revertedWith("order");
+    await expect(
+      proxy.setBadgeThresholds({ ...thresholds, reliableRateBps: 10_001 })
+    ).to.be.revertedWith("rate");
+    expect((await proxy.badgeThresholds()).master).to.equal(51);
+    await expect(proxy.setBadgeThresholds(thresholds)).to.emit(
+      proxy,
+      "BadgeThresholdsUpdated"
+    );
+
+    const nftArtifact = await deployer.loadArtifact("BadgeNFT");
+    const nft = await deployer.deploy(nftArtifact, [await proxy.getAddress()]);
+    await nft.waitForDeployment();
+    await proxy.setBadgeNFT(await nft.getAddress());
+
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    const startBrief = async (id) => {
+      await proxy.connect(bob).makeOffer(1, toEth(1), ethers.ZeroAddress);
+      await proxy.connect(alice).acceptOffer(id, { value: toEth(1) });
+    };
+    for (let id = 1; id <= 2; id++) {
+      await startBrief(id);
+      await proxy.connect(bob).validateWork(id);
+      await proxy.connect(alice).validateWork(id);
+    }
+    // ROOKIE, EXPERIENCED, RELIABLE (2/2 undisputed)
+    expect(await proxy.getUserBadges(bob.address)).to.deep.equal([0n, 1n, 4n]);
+    expect(await nft.hasBadge(bob.address, 4)).to.equal(true);
+
+    // 2 of 3 undisputed is below 75%: RELIABLE is revoked and burned
+    await startBrief(3);
+    await proxy.connect(alice).openDispute(3);
+    await expect(proxy.resolveDispute(3, 1))
+      .to.emit(proxy, "BadgeRevoked")
+      .withArgs(bob.address, 4);
+    expect(await proxy.getUserBadges(bob.address)).to.deep.equal([0n, 1n, 2n]);
+    expect(await nft.hasBadge(bob.address, 4)).to.equal(false);
+    expect(await nft.balanceOf(bob.address)).to.equal(3);
+
+    // Lowering the bar and refreshing earns it back
+    await proxy.setBadgeThresholds({ ...thresholds, reliableRateBps: 6_000 });
+    await expect(proxy.refreshBadges([bob.address]))
+      .to.emit(proxy, "BadgeEarned")
+      .withArgs(bob.address, 4);
+    expect(await proxy.getUserBadges(bob.address)).to.deep.equal([
+      0n,
+      1n,
+      2n,
+      4n,
+    ]);
+    expect(await nft.hasBadge(bob.address, 4)).to.equal(true);
+  });
+
+  it("verifiers issue and revoke attestations and work the request queue", async () => {
+    const KYC = 1;
+    const SKILL = 2;
+    const kycType = ethers.id("KYC_BASIC");
+    await proxy.connect(alice).createProfile("Client", [], [], 0, "alice", "");
+    await proxy.connect(bob).createProfile("Provider", [], [], 1, "bob", "");
+
+    await expect(proxy.connect(alice).setVerifier(carol.address, KYC)).to.be
+      .reverted; // owner only
+    await expect(proxy.setVerifier(carol.address, KYC))
+      .to.emit(proxy, "VerifierUpdated")
+      .withArgs(carol.address, KYC);
+    await expect(
+      proxy.connect(alice).issueAttestation(bob.address, kycType, 0, "ipfs://e")
+    ).to.be.revertedWith("verifier");
+
+    // Requests are queued per role; one open request per user and role
+    await expect(proxy.connect(carol).requestVerification(KYC, "ipfs://id")).to.be
+      .revertedWith("No profile");
+    await proxy.connect(bob).requestVerification(KYC, "ipfs://bob-id");
+    await proxy.connect(alice).requestVerification(KYC, "ipfs://alice-id");
+    await proxy.connect(alice).requestVerification(SKILL, "ipfs://alice-work");
+    await expect(
+      proxy.connect(bob).requestVerification(KYC, "ipfs://again")
+    ).to.be.revertedWith("pending");
+    let queue = await proxy.getPendingVerificationRequests(KYC);
+    expect(queue.map((r) => r.user)).to.deep.equal([bob.address, alice.address]);
+
+    // Attesting closes the subject's request for that role
+    const now = (await provider.getBlock("latest")).timestamp;
+    await expect(
+      proxy.connect(carol).issueAttestation(bob.address, kycType, now - 1, "ipfs://e")
+    ).to.be.revertedWith("expiry");
+    await expect(
+      proxy.connect(carol).issueAttestation(bob.address, kycType, now + 3600, "ipfs://kyc")
+    )
+      .to.emit(proxy, "VerificationRequestClosed")
+      .withArgs(1, carol.address, true);
+    queue = await proxy.getPendingVerificationRequests(KYC);
+    expect(queue.map((r) => r.user)).to.deep.equal([alice.address]);
+    expect(await proxy.openVerificationRequest(bob.address, KYC)).to.equal(0);
+
+    // getProfile keeps the return values it had before attestations existed
+    // and appends the active attestations after them
+    expect(
+      proxy.interface.getFunction("getProfile").outputs.map((o) => o.name)
+    ).to.deep.equal([
+      "bio",
+      "skills",
+      "portfolioURIs",
+      "joinedAt",
+      "userType",
+      "isVerified",
+      "profilePicCID",
+      "username",
+      "activeAttestations",
+    ]);
+    let active = await proxy.getAttestations(bob.address);
+    expect(active.length).to.equal(1);
+    expect((await proxy.getProfile(bob.address)).activeAttestations).to.deep.equal(active);
+    expect(active[0].verifier).to.equal(carol.address);
+    expect(active[0].attestationType).to.equal(kycType);
+    expect(active[0].evidenceCID).to.equal("ipfs://kyc");
+
+    // Only the role's verifiers can reject; users can cancel their own
+    await expect(proxy.connect(carol).rejectVerificationRequest(3)).to.be.revertedWith(
+      "verifier"
+    );
+    await proxy.connect(carol).rejectVerificationRequest(2);
+    await expect(proxy.connect(bob).cancelVerificationRequest(3)).to.be.revertedWith(
+      "auth"
+    );
+    await proxy.connect(alice).cancelVerificationRequest(3);
+    expect((await proxy.getPendingVerificationRequests(KYC)).length).to.equal(0);
+    expect((await proxy.getPendingVerificationRequests(SKILL)).length).to.equal(0);
+
+    // Expiry, revocation and role removal all deactivate attestations
+    await increaseTime(3601);
+    expect(await proxy.isAttestationActive(1)).to.equal(false);
+
+    await proxy.connect(carol).issueAttestation(bob.address, kycType, 0, "ipfs://kyc2");
+    await expect(proxy.connect(alice).revokeAttestation(2, "")).to.be.revertedWith(
+      "auth"
+    );
+    await expect(proxy.connect(carol).revokeAttestation(2, "ipfs://reason"))
+      .to.emit(proxy, "AttestationRevoked")
+      .withArgs(2, carol.address, "ipfs://reason");
+    await expect(proxy.revokeAttestation(2, "")).to.be.revertedWith("state");
+
+    await proxy.connect(carol).issueAttestation(bob.address, kycType, 0, "ipfs://kyc3");
+    expect((await proxy.getAttestations(bob.address)).length).to.equal(1);
+    await proxy.setVerifier(carol.address, 0); // NONE
+    active = await proxy.getAttestations(bob.address);
+    expect(active.length).to.equal(0);
+    expect((await proxy.getProfile(bob.address)).activeAttestations.length).to.equal(0);
+    expect(await proxy.getAttestationIds(bob.address)).to.deep.equal([1n, 2n, 3n]);
+  });
+
+  it("team escrows split the provider payout and credit every member", async () => {
+    const usdcAddr = await usdc.getAddress();
+    const proxyAddr = await proxy.getAddress();
+    const members = [bob.address, carol.address, dan.address];
+    await expect(
+      proxy.connect(bob).createTeam("Pengu Studio", "", members, [5000, 3000, 1000])
+    ).to.be.revertedWith("split");
+    await expect(
+      proxy
+        .connect(bob)
+        .createTeam("Pengu Studio", "", [bob.address, bob.address], [5000, 5000])
+    ).to.be.revertedWith("dup");
+    await expect(
+      proxy
+        .connect(bob)
+        .createTeam("Pengu Studio", "ipfs://team", members, [5000, 3000, 2000])
+    )
+      .to.emit(proxy, "TeamCreated")
+      .withArgs(1, bob.address, "Pengu Studio");
+    expect(await proxy.isTeamReady(1)).to.equal(false); // carol and dan must opt in
+
+    await proxy.connect(bob).createListing(1, 2, "ipfs://gig");
+    await expect(proxy.connect(carol).setListingTeam(1, 1)).to.be.revertedWith(
+      "auth"
+    );
+    await proxy.connect(bob).setListingTeam(1, 1);
+    await proxy.connect(alice).makeOffer(1, toEth(100), usdcAddr);
+    await usdc.connect(alice).approve(proxyAddr, toEth(200));
+    await expect(proxy.connect(bob).acceptOffer(1)).to.be.revertedWith("team");
+    await proxy.connect(carol).joinTeam(1);
+    await proxy.connect(dan).joinTeam(1);
+    await expect(proxy.connect(alice).joinTeam(1)).to.be.revertedWith("member");
+    await proxy.connect(bob).acceptOffer(1);
+    expect(await proxy.escrowTeam(1)).to.equal(1);
+    expect((await proxy.getEscrowSplit(1)).length).to.equal(3);
+
+    // Later member changes do not touch the running escrow's snapshot
+    await proxy
+      .connect(bob)
+      .setTeamMembers(1, [bob.address, carol.address], [5000, 5000]);
+    // Remaining members accept the new split again; the removed one is cleared
+    expect(await proxy.isTeamReady(1)).to.equal(false);
+    expect(await proxy.teamMemberAccepted(1, bob.address)).to.equal(true);
+    expect(await proxy.teamMemberAccepted(1, dan.address)).to.equal(false);
+    await proxy.connect(carol).joinTeam(1);
+    const before = await Promise.all(members.map((m) => usdc.balanceOf(m)));
+    await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    const payout = toEth(80); // 100 minus the 20% USD fee
+    const deltas = await Promise.all(
+      members.map(async (m, i) => (await usdc.balanceOf(m)) - before[i])
+    );
+    expect(deltas).to.deep.equal([
+      (payout * 5000n) / 10000n,
+      (payout * 3000n) / 10000n,
+      (payout * 2000n) / 10000n,
+    ]);
+    for (const m of members) {
+      expect((await proxy.getMissionHistory(m)).length).to.equal(1);
+      expect(await proxy.getUserBadges(m)).to.deep.equal([0n]);
+    }
+
+    // BRIEF offers opt in per offer; dispute payouts follow the new split
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(2, toEth(100), usdcAddr);
+    await expect(proxy.connect(carol).setOfferTeam(2, 1)).to.be.revertedWith("auth");
+    await proxy.connect(bob).setOfferTeam(2, 1);
+    await proxy.connect(alice).acceptOffer(2);
+    await proxy.connect(alice).openDispute(2);
+    const carolBefore = await usdc.balanceOf(carol.address);
+    await proxy.resolveDispute(2, 3); // PAY_PROVIDER
+    expect((await usdc.balanceOf(carol.address)) - carolBefore).to.equal(
+      payout / 2n
+    );
+    const carolMissions = await proxy.getMissionHistory(carol.address);
+    expect(carolMissions.length).to.equal(2);
+    expect(carolMissions[1].wasDisputed).to.equal(true);
+    expect((await proxy.getMissionHistory(dan.address)).length).to.equal(1);
+
+    // A member leaving blocks new team escrows until the lead updates the team
+    await proxy.connect(carol).leaveTeam(1);
+    await proxy.connect(alice).makeOffer(1, toEth(10), usdcAddr);
+    await expect(proxy.connect(bob).acceptOffer(3)).to.be.revertedWith("team");
+    const team = await proxy.getTeam(1);
+    expect(team.lead).to.equal(bob.address);
+    expect(team.ready).to.equal(false);
+
+    // After handing the team over, bob's linked gig no longer works as the team
+    await expect(proxy.connect(bob).transferTeamLead(1, carol.address))
+      .to.emit(proxy, "TeamLeadTransferred")
+      .withArgs(1, carol.address);
+    await usdc.connect(alice).approve(proxyAddr, toEth(10));
+    await proxy.connect(bob).acceptOffer(3);
+    expect(await proxy.escrowTeam(3)).to.equal(0);
+    expect(await proxy.getEscrowSplit(3)).to.deep.equal([]);
+    expect((await proxy.getEscrow(3)).provider).to.equal(bob.address);
+  });
+
+  it("usernames can be reserved, reclaimed and released, and profiles migrate", async () => {
+    await proxy.reserveUsername("Pengu", dan.address);
+    await expect(
+      proxy.connect(alice).createProfile("Client", [], [], 0, "pengu", "")
+    ).to.be.revertedWith("uname-reserved");
+    await proxy.connect(dan).createProfile("Brand", [], [], 3, "PENGU", "");
+    expect(await proxy.getUsername(dan.address)).to.equal("PENGU");
+    await expect(proxy.connect(alice).reserveUsername("x_y", alice.address)).to.be
+      .reverted; // owner only
+
+    // Moderated reclaim keeps an event trail and blocks re-registration
+    await proxy.connect(alice).createProfile("Client", [], [], 0, "alice", "");
+    await proxy.connect(bob).createProfile("Provider", [], [], 1, "binance", "");
+    await expect(proxy.reclaimUsername("Binance", "ipfs://impersonation"))
+      .to.emit(proxy, "UsernameReclaimed")
+      .withArgs(bob.address, "binance", "ipfs://impersonation");
+    expect(await proxy.getUsername(bob.address)).to.equal("");
+    expect(await proxy.usernameExists("binance")).to.equal(false);
+    const [reserved, holder] = await proxy.getUsernameReservation("binance");
+    expect(reserved).to.equal(true);
+    expect(holder).to.equal(ethers.ZeroAddress);
+    await expect(proxy.connect(bob).setUsername("binance")).to.be.revertedWith(
+      "uname-reserved"
+    );
+    await proxy.unreserveUsername("binance");
+    await proxy.connect(bob).setUsername("bob");
+    await expect(proxy.connect(alice).setUsername("bob")).to.be.revertedWith(
+      "uname-taken"
+    );
+
+    // Bob builds history, then migrates it to a fresh wallet
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief");
+    await proxy.connect(bob).makeOffer(1, toEth(1), ethers.ZeroAddress);
+    await proxy.connect(alice).acceptOffer(1, { value: toEth(1) });
+    await proxy.connect(bob).validateWork(1);
+    await proxy.connect(alice).validateWork(1);
+    await proxy.connect(alice).leaveReview(1, 4, "ipfs://r");
+
+    const fresh = Wallet.createRandom().connect(provider);
+    await owner.sendTransaction({ to: fresh.address, value: toEth(1) });
+    await expect(
+      proxy.connect(fresh).acceptProfileMigration(bob.address, 10)
+    ).to.be.revertedWith("auth");
+    await proxy.connect(bob).proposeProfileMigration(alice.address);
+    await expect(
+      proxy.connect(alice).acceptProfileMigration(bob.address, 10)
+    ).to.be.revertedWith("fresh");
+
+    // Open escrows hold the migration back until they close
+    await proxy.connect(bob).makeOffer(1, toEth(1), ethers.ZeroAddress);
+    await proxy.connect(alice).acceptOffer(2, { value: toEth(1) });
+    expect(await proxy.openEscrowCount(bob.address)).to.equal(1);
+    await proxy.connect(bob).proposeProfileMigration(fresh.address);
+    await expect(
+      proxy.connect(fresh).acceptProfileMigration(bob.address, 10)
+    ).to.be.revertedWith("escrows");
+    await proxy.connect(bob).validateWork(2);
+    await proxy.connect(alice).validateWork(2);
+    expect(await proxy.openEscrowCount(bob.address)).to.equal(0);
+    await proxy.connect(bob).makeOffer(1, toEth(1), ethers.ZeroAddress);
+
+    // History moves in batches: two missions first, then the rest
+    const accepted = await proxy.connect(fresh).acceptProfileMigration(bob.address, 2);
+    await expect(accepted)
+      .to.emit(proxy, "ProfileMigrated")
+      .withArgs(bob.address, fresh.address);
+    await expect(accepted)
+      .to.emit(proxy, "ProfileMigrationProgress")
+      .withArgs(bob.address, fresh.address, false);
+    const cursor = await proxy.getProfileMigration(fresh.address);
+    expect(cursor.from).to.equal(bob.address);
+    expect(cursor.missionsMoved).to.equal(2);
+    expect(cursor.reviewsMoved).to.equal(0);
+    await expect(
+      proxy.connect(fresh).acceptProfileMigration(bob.address, 10)
+    ).to.be.revertedWith("auth");
+    await expect(proxy.continueProfileMigration(fresh.address, 100))
+      .to.emit(proxy, "ProfileMigrationProgress")
+      .withArgs(bob.address, fresh.address, true);
+    await expect(
+      proxy.continueProfileMigration(fresh.address, 1)
+    ).to.be.revertedWith("migration");
+
+    // The old address cannot open escrows, and late reviews follow the profile
+    await expect(
+      proxy.connect(alice).acceptOffer(3, { value: toEth(1) })
+    ).to.be.revertedWith("migrated");
+    await proxy.connect(alice).leaveReview(2, 2, "ipfs://r2");
+
+    const moved = await proxy.getProfile(fresh.address);
+    expect(moved.bio).to.equal("Provider");
+    expect(moved.username).to.equal("bob");
+    expect((await proxy.getProfile(bob.address)).joinedAt).to.equal(0);
+    expect((await proxy.reputations(fresh.address)).completedMissions).to.equal(2);
+    expect(await proxy.getAverageRating(fresh.address)).to.equal(300);
+    expect((await proxy.getMissionHistory(fresh.address)).length).to.equal(2);
+    expect((await proxy.getMissionHistory(bob.address)).length).to.equal(0);
+    expect(await proxy.getUserBadges(fresh.address)).to.deep.equal([0n]);
+    expect(await proxy.getUserBadges(bob.address)).to.deep.equal([]);
+    const reviews = await proxy.getReviews(fresh.address);
+    expect(reviews.length).to.equal(2);
+    expect(reviews[0].reviewee).to.equal(fresh.address);
+    expect(reviews[1].reviewee).to.equal(fresh.address);
+    expect(await proxy.getReviews(bob.address)).to.deep.equal([]);
+
+    // The migrated reviewee can reply, and the old address is retired
+    await proxy.connect(fresh).replyToReview(1, alice.address, "ipfs://thanks");
+    expect((await proxy.getReviewExtras(fresh.address))[0].replyURI).to.equal(
+      "ipfs://thanks"
+    );
+    await expect(
+      proxy.connect(bob).createProfile("Again", [], [], 1, "bob2", "")
+    ).to.be.revertedWith("migrated");
+
+    await proxy.connect(fresh).releaseUsername();
+    expect(await proxy.usernameExists("bob")).to.equal(false);
+  });
+
+  it("category and skill registries drive listing filters and skill lookups", async () => {
+    const noFilter = {
+      onlyActive: false,
+      onlyBoosted: false,
+      filterByType: false,
+      listingType: 0,
+      filterByPrice: false,
+      paymentToken: ethers.ZeroAddress,
+      minPrice: 0,
+      maxPrice: 0,
+      filterByCategory: false,
+      category: 0,
+      includeSubcategories: false,
+    };
+    // Defaults keep the legacy ids 0-3
+    const defaults = await proxy.getCategories();
+    expect(defaults.map((c) => c.name)).to.deep.equal([
+      "Projects",
+      "Development",
+      "Art",
+      "KOL",
+    ]);
+    await expect(proxy.connect(alice).addCategory("Video", true, 2)).to.be
+      .reverted; // owner only
+    await expect(proxy.addCategory("Video", true, 4)).to.be.revertedWith("parent");
+    await expect(proxy.addCategory("Video", true, 2))
+      .to.emit(proxy, "CategoryAdded")
+      .withArgs(4, "Video", true, 2);
+    await proxy.addCategory("Shorts", true, 4);
+
+    await expect(
+      proxy.connect(bob).createListing(1, 6, "ipfs://unknown")
+    ).to.be.revertedWith("cat");
+    await proxy.connect(bob).createListing(1, 5, "ipfs://shorts"); // 1
+    await proxy.connect(bob).createListing(1, 2, "ipfs://art"); // 2
+    await proxy.connect(bob).createListing(1, 1, "ipfs://dev"); // 3
+
+    let [page] = await proxy.getListingsDescendingFiltered(0, 10, {
+      ...noFilter,
+      filterByCategory: true,
+      category: 2,
+    });
+    expect(page.map((l) => l.id)).to.deep.equal([2n]);
+    [page] = await proxy.getListingsDescendingFiltered(0, 10, {
+      ...noFilter,
+      filterByCategory: true,
+      category: 2,
+      includeSubcategories: true,
+    });
+    expect(page.map((l) => l.id)).to.deep.equal([2n, 1n]);
+
+    await proxy.updateCategory(4, "Video", false);
+    await expect(
+      proxy.connect(bob).createListing(1, 4, "ipfs://video")
+    ).to.be.revertedWith("cat");
+
+    // Skills are canonical, case-insensitive and referenced by id
+    await proxy.addSkill("Solidity", 1);
+    await proxy.addSkill("3D Modeling", 2);
+    await expect(proxy.addSkill("solidity", 1)).to.be.revertedWith("dup");
+    expect(await proxy.skillIdByName("3d modeling")).to.equal(1);
+
+    await expect(proxy.connect(bob).setProfileSkills([0])).to.be.revertedWith(
+      "No profile"
+    );
+    await proxy.connect(bob).createProfile("Dev", [], [], 1, "bob", "");
+    await proxy.connect(carol).createProfile("Artist", [], [], 2, "carol", "");
+    await expect(proxy.connect(bob).setProfileSkills([0, 0])).to.be.revertedWith(
+      "dup"
+    );
+    await expect(proxy.connect(bob).setProfileSkills([7])).to.be.revertedWith(
+      "skill"
+    );
+    await proxy.connect(bob).setProfileSkills([0, 1]);
+    await proxy.connect(carol).setProfileSkills([1]);
+    await expect(proxy.connect(carol).setListingSkills(3, [0])).to.be.revertedWith(
+      "auth"
+    );
+    await proxy.connect(bob).setListingSkills(3, [0]);
+    await proxy.connect(bob).setListingSkills(2, [1]);
+
+    let [providers, profilesPage, total] = await proxy.getProvidersBySkill(1, 0, 10);
+    expect(providers).to.deep.equal([bob.address, carol.address]);
+    expect(profilesPage[1].bio).to.equal("Artist");
+    expect(total).to.equal(2);
+    [providers] = await proxy.getProvidersBySkill(1, 1, 10);
+    expect(providers).to.deep.equal([carol.address]);
+
+    // Replacing skills updates the reverse index
+    await proxy.connect(bob).setProfileSkills([0]);
+    [providers] = await proxy.getProvidersBySkill(1, 0, 10);
+    expect(providers).to.deep.equal([carol.address]);
+    expect(await proxy.getProfileSkillIds(bob.address)).to.deep.equal([0n]);
+
+    const [listingsPage, listingTotal] = await proxy.getListingsBySkill(0, 0, 10);
+    expect(listingsPage.map((l) => l.id)).to.deep.equal([3n]);
+    expect(listingTotal).to.equal(1);
+
+    // Retired skills stay visible but cannot be attached again
+    await proxy.setSkillActive(1, false);
+    await expect(proxy.connect(bob).setListingSkills(3, [1])).to.be.revertedWith(
+      "skill"
+    );
+    expect((await proxy.getSkills())[1].active).to.equal(false);
   });
 });
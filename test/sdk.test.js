@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  MarketplaceClient,
+  collect,
+  toMarketplaceError,
+  UnauthorizedError,
+  InvalidStateError,
+  PaymentError,
+  UsernameError,
+  MarketplaceError,
+  Badge,
+  nameOf,
+} = require("../sdk");
+const { toEth, takeSnapshot, revertSnapshot, deployMarketplace } = require("./helpers/fixture");
+
+// SDK tests run against the same in-memory node as the contract tests
+
+describe("Marketplace SDK", function () {
+  let owner, alice, bob;
+  let usdc, proxy, abi;
+  let market; // MarketplaceClient bound to owner
+  let snapshotId;
+
+  this.timeout(120000);
+
+  before(async function () {
+    let marketArtifact;
+    ({ owner, alice, bob, usdc, marketArtifact, proxy } =
+      await deployMarketplace("22"));
+    abi = marketArtifact.abi;
+    for (const u of [alice, bob]) {
+      await usdc.connect(owner).transfer(u.address, toEth(10_000));
+    }
+    market = new MarketplaceClient(await proxy.getAddress(), owner, { abi });
+    snapshotId = await takeSnapshot();
+  });
+
+  beforeEach(async function () {
+    await revertSnapshot(snapshotId);
+    snapshotId = await takeSnapshot();
+  });
+
+  it("runs an ETH brief end to end with decoded objects", async () => {
+    const asAlice = market.connect(alice);
+    const asBob = market.connect(bob);
+    await proxy.connect(bob).createProfile("Dev", [], [], 1, "bob", "");
+
+    const { listingId } = await asAlice.createListing({
+      listingType: "BRIEF",
+      category: 1,
+      metadataURI: "ipfs://brief",
+    });
+    expect(listingId).to.equal(1n);
+    const listing = await asAlice.getListing(listingId);
+    expect(listing.listingType).to.equal("BRIEF");
+    expect(listing.creator).to.equal(alice.address);
+
+    const { offerId } = await asBob.makeOffer({ listingId, amount: toEth(1) });
+    await asAlice.acceptOffer(offerId); // sends the ETH value itself
+    let escrow = await asAlice.getEscrow(offerId);
+    expect(escrow.status).to.equal("IN_PROGRESS");
+    expect(escrow.amount).to.equal(toEth(1));
+
+    await asBob.validateWork(offerId);
+    await asAlice.validateWork(offerId);
+    escrow = await asAlice.getEscrow(offerId);
+    expect(escrow.status).to.equal("COMPLETED");
+    expect(escrow.disputeOutcome).to.equal("NONE");
+
+    await asAlice.leaveReview(offerId, 5, "ipfs://great");
+    expect(await market.getUserBadges(bob.address)).to.deep.equal(["ROOKIE"]);
+    expect(nameOf(Badge, 0n)).to.equal("ROOKIE");
+
+    const profile = await market.getProfile(bob.address);
+    expect(profile.exists).to.equal(true);
+    expect(profile.userType).to.equal("DEVELOPER");
+    expect(profile.username).to.equal("bob");
+    expect(profile.activeAttestations).to.deep.equal([]);
+    expect(await market.getAttestations(bob.address)).to.deep.equal([]);
+  });
+
+  it("approves ERC20 offers automatically and decodes disputes", async () => {
+    const usdcAddr = await usdc.getAddress();
+    const asAlice = market.connect(alice);
+    const asBob = market.connect(bob);
+    const { listingId } = await asBob.createListing({
+      listingType: "GIG",
+      category: 2,
+      metadataURI: "ipfs://gig",
+    });
+    // On a GIG the proposer pays at acceptance, so makeOffer approves
+    const { offerId } = await asAlice.makeOffer({
+      listingId,
+      amount: toEth(50),
+      paymentToken: usdcAddr,
+    });
+    expect(await usdc.allowance(alice.address, await proxy.getAddress())).to.equal(
+      toEth(50)
+    );
+    await asBob.acceptOffer(offerId);
+    expect((await asBob.getEscrow(offerId)).paymentToken).to.equal(usdcAddr);
+
+    await asAlice.openDispute(offerId, "ipfs://evidence");
+    const header = await market.getDisputeHeader(offerId);
+    expect(header.exists).to.equal(true);
+    expect(header.cid).to.equal("ipfs://evidence");
+    expect(header.openedBy).to.equal(alice.address);
+    expect(header.appealsCount).to.equal(0n);
+
+    await market.resolveDispute(offerId, "PAY_PROVIDER");
+    const escrow = await market.getEscrow(offerId);
+    expect(escrow.status).to.equal("RESOLVED");
+    expect(escrow.disputeOutcome).to.equal("PAY_PROVIDER");
+  });
+
+  it("pages through listings with async iterators", async () => {
+    const asBob = market.connect(bob);
+    for (let i = 0; i < 5; i++) {
+      await asBob.createListing({
+        listingType: i % 2 === 0 ? "GIG" : "BRIEF",
+        category: 1,
+        metadataURI: `ipfs://l${i + 1}`,
+      });
+    }
+    const all = await collect(market.iterateListings({ pageSize: 2 }));
+    expect(all.map((l) => l.id)).to.deep.equal([5n, 4n, 3n, 2n, 1n]);
+    const gigs = await collect(
+      market.iterateListings({ pageSize: 2, filter: { listingType: "GIG" } })
+    );
+    expect(gigs.map((l) => l.id)).to.deep.equal([5n, 3n, 1n]);
+    const firstTwo = await collect(market.iterateListings({ pageSize: 2 }), 2);
+    expect(firstTwo.length).to.equal(2);
+    const byCreator = await collect(
+      market.iterateListingsByCreator(bob.address, { pageSize: 2 })
+    );
+    expect(byCreator.length).to.equal(5);
+  });
+
+  it("maps revert strings to typed errors", async () => {
+    const asAlice = market.connect(alice);
+    const asBob = market.connect(bob);
+    const { listingId } = await asAlice.createListing({
+      listingType: "BRIEF",
+      category: 1,
+      metadataURI: "ipfs://brief",
+    });
+    const { offerId } = await asBob.makeOffer({ listingId, amount: toEth(1) });
+
+    let err = await asBob.acceptOffer(offerId).catch((e) => e);
+    expect(err).to.be.instanceOf(UnauthorizedError);
+    expect(err.reason).to.equal("client");
+
+    await asAlice.acceptOffer(offerId);
+    await asBob.validateWork(offerId);
+    await asAlice.validateWork(offerId);
+    err = await asAlice.validateWork(offerId).catch((e) => e);
+    expect(err).to.be.instanceOf(InvalidStateError);
+    expect(err.reason).to.equal("status");
+    expect(err).to.be.instanceOf(MarketplaceError);
+
+    // Raw contract failures can be converted too
+    await proxy.connect(alice).createProfile("A", [], [], 0, "alice", "");
+    err = await proxy
+      .connect(bob)
+      .createProfile("B", [], [], 1, "ALICE", "")
+      .catch(toMarketplaceError);
+    expect(err).to.be.instanceOf(UsernameError);
+    expect(err.reason).to.equal("uname-taken");
+
+    await proxy
+      .connect(bob)
+      .createListingWithTerms(1, 2, "ipfs://gig", toEth(5), ethers.ZeroAddress, 0, 0);
+    err = await proxy
+      .connect(alice)
+      .buyNow(2, toEth(4), ethers.ZeroAddress, { value: toEth(4) })
+      .catch(toMarketplaceError);
+    expect(err).to.be.instanceOf(PaymentError);
+    expect(err.reason).to.equal("price");
+  });
+});
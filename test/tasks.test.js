@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ADMIN_TASKS } = require("../tasks/admin");
+const { readConfig, listOpenDisputes, describeUser } = require("../tasks/views");
+const { executePlan, resolveProxy } = require("../tasks/lib");
+const { toEth, takeSnapshot, revertSnapshot, deployMarketplace } = require("./helpers/fixture");
+
+// market:* task logic runs against the in-memory node; the hardhat task
+// wrappers in tasks/index.js only parse arguments and connect
+
+describe("Marketplace admin tasks", function () {
+  let owner, alice, bob;
+  let proxy, ctx;
+  let snapshotId;
+  const quiet = () => {};
+
+  this.timeout(120000);
+
+  const run = async (name, args = {}, opts = {}) => {
+    const plan = await ADMIN_TASKS[name].build(ctx, args);
+    return executePlan(plan, { ...ctx, log: quiet, ...opts });
+  };
+
+  before(async function () {
+    ({ owner, alice, bob, proxy, ctx } = await deployMarketplace("42"));
+    snapshotId = await takeSnapshot();
+  });
+
+  beforeEach(async function () {
+    await revertSnapshot(snapshotId);
+    snapshotId = await takeSnapshot();
+  });
+
+  it("prints current vs proposed values, dry-runs as the owner and skips no-ops", async () => {
+    const lines = [];
+    let r = await run("market:set-fees", { usdLike: "1500" }, {
+      dryRun: true,
+      log: (l) => lines.push(l),
+    });
+    expect(r.status).to.equal("dry-run");
+    expect(r.error).to.equal(undefined);
+    expect(lines[0]).to.contain("setFees(1500, 1000)");
+    expect(lines[0]).to.contain("feeUsdLike: 2000 -> 1500");
+    expect(lines[0]).to.contain("feeDop: 1000 (unchanged)");
+    expect(await proxy.feeUsdLike()).to.equal(2000n);
+
+    r = await run("market:set-fees", { usdLike: "1500" });
+    expect(r.status).to.equal("sent");
+    expect(await proxy.feeUsdLike()).to.equal(1500n);
+    r = await run("market:set-fees", { usdLike: "1500" });
+    expect(r.status).to.equal("unchanged");
+
+    // Reverts surface as the contract's revert reason
+    r = await run("market:set-boost", { duration: "40d" }, { dryRun: true });
+    expect(r.error.reason).to.equal("dur");
+    await run("market:set-profile-boost", { price: "250", duration: "3d" });
+    expect(await proxy.profileBoostPriceDOP()).to.equal(toEth(250));
+    expect(await proxy.profileBoostDuration()).to.equal(3n * 86400n);
+
+    let err = await ADMIN_TASKS["market:set-fees"]
+      .build(ctx, { dop: "2500" })
+      .catch((e) => e);
+    expect(err.message).to.contain("dop must be");
+    err = await ADMIN_TASKS["market:verify-profile"]
+      .build(ctx, { user: alice.address })
+      .catch((e) => e);
+    expect(err.message).to.contain("has no profile");
+  });
+
+  it("queues owner calls in a Safe Transaction Builder batch instead of sending", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-batch-"));
+    const file = path.join(dir, "batch.json");
+    try {
+      await run("market:pause", {}, { safeFile: file, safeAddress: alice.address });
+      await run("market:set-treasury", { address: bob.address }, { safeFile: file });
+      expect(await proxy.paused()).to.equal(false);
+
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(batch.chainId).to.equal(ctx.chainId.toString());
+      expect(batch.meta.createdFromSafeAddress).to.equal(alice.address);
+      expect(batch.meta.description).to.equal("pause, setTreasury");
+      expect(batch.transactions.length).to.equal(2);
+      const [tx1, tx2] = batch.transactions;
+      expect(tx1.to).to.equal(await proxy.getAddress());
+      expect(tx1.value).to.equal("0");
+      expect(ctx.market.interface.parseTransaction(tx1).name).to.equal("pause");
+      expect(ctx.market.interface.parseTransaction(tx2).args[0]).to.equal(bob.address);
+
+      // Executed as the Safe (here the owner), the calldata applies as planned
+      await owner.sendTransaction({ to: tx2.to, data: tx2.data });
+      expect(await proxy.treasury()).to.equal(bob.address);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("lists open disputes, resolves them and reads config and users", async () => {
+    await proxy.connect(bob).createProfile("Dev", [], [], 1, "bob", "");
+    for (let i = 1; i <= 2; i++) {
+      await proxy.connect(alice).createListing(0, 1, `ipfs://brief${i}`);
+      await proxy.connect(bob).makeOffer(i, toEth(1), ethers.ZeroAddress);
+      await proxy.connect(alice).acceptOffer(i, { value: toEth(1) });
+      await proxy.connect(alice).openDisputeWithCID(i, `ipfs://evidence${i}`);
+    }
+
+    let open = await listOpenDisputes(ctx.client, { pageSize: 1 });
+    expect(open.map((d) => d.offerId)).to.deep.equal([2n, 1n]);
+    expect(open[0].cid).to.equal("ipfs://evidence2");
+    expect(open[0].openedBy).to.equal(alice.address);
+
+    await run("market:resolve-dispute", { offerId: "1", outcome: "pay_provider" });
+    await run("market:resolve-dispute", {
+      offerId: "2",
+      outcome: "SPLIT",
+      splitBps: "7000",
+    });
+    open = await listOpenDisputes(ctx.client);
+    expect(open).to.deep.equal([]);
+    expect((await ctx.client.getEscrow(2)).disputeOutcome).to.equal("SPLIT");
+    const err = await ADMIN_TASKS["market:resolve-dispute"]
+      .build(ctx, { offerId: "1", outcome: "REFUND_CLIENT" })
+      .catch((e) => e);
+    expect(err.message).to.contain("not DISPUTED");
+
+    await run("market:verify-profile", { user: bob.address });
+    const user = await describeUser(ctx.client, bob.address);
+    expect(user.isVerified).to.equal(true);
+    expect(user.username).to.equal("bob");
+    expect(user.reputation.disputedMissions).to.equal(2n);
+    expect(user.reputation.averageRating).to.equal(null);
+    expect(user.migratedTo).to.equal(ethers.ZeroAddress);
+
+    const config = await readConfig(ctx.market);
+    expect(config.owner).to.equal(owner.address);
+    expect(config.feeDop).to.equal(1000n);
+    expect(config.badgeThresholds.rookie).to.equal(1n);
+    expect(config.paymentTokens.length).to.equal(3);
+  });
+
+  it("resolves the proxy from --proxy, MARKETPLACE_PROXY or deployments-zk", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    const saved = process.env.MARKETPLACE_PROXY;
+    try {
+      const dir = path.join(root, "deployments-zk", "testnet", "proxy");
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.join(dir, "ERC1967Proxy.json"),
+        JSON.stringify({
+          entries: [{ address: alice.address }, { address: bob.address }],
+        })
+      );
+      const fakeHre = { config: { paths: { root } }, network: { name: "testnet" } };
+      delete process.env.MARKETPLACE_PROXY;
+      expect(resolveProxy(fakeHre)).to.equal(bob.address);
+      process.env.MARKETPLACE_PROXY = alice.address;
+      expect(resolveProxy(fakeHre)).to.equal(alice.address);
+      expect(resolveProxy(fakeHre, owner.address)).to.equal(owner.address);
+      delete process.env.MARKETPLACE_PROXY;
+      expect(() =>
+        resolveProxy({ ...fakeHre, network: { name: "other" } })
+      ).to.throw("no proxy for other");
+    } finally {
+      if (saved === undefined) delete process.env.MARKETPLACE_PROXY;
+      else process.env.MARKETPLACE_PROXY = saved;
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
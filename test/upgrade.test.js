@@ -0,0 +1,422 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  compareLayouts,
+  layoutFromBuildInfo,
+  findRecordedLayout,
+  recordProposal,
+  parseType,
+} = require("../tasks/storageLayout");
+const {
+  readImplementation,
+  findUpgradeBlock,
+  resolveInitializer,
+  snapshotState,
+  diffSnapshots,
+  smokeTest,
+  proposeUpgrade,
+  verifyLatestUpgrade,
+} = require("../tasks/upgrade");
+const { MarketplaceClient } = require("../sdk");
+const { toEth, takeSnapshot, revertSnapshot, deployMarketplace } = require("./helpers/fixture");
+
+const ROOT = path.join(__dirname, "..");
+const MARKET = "contracts/MarketplaceUpgradeable.sol:MarketplaceUpgradeable";
+const abi = ethers.AbiCoder.defaultAbiCoder();
+const mappingSlot = (key, slot) =>
+  BigInt(ethers.keccak256(abi.encode(["address", "uint256"], [key, slot])));
+
+const manifestImpls = (name) =>
+  Object.values(
+    JSON.parse(fs.readFileSync(path.join(ROOT, ".upgradable", `${name}.json`), "utf8")).impls
+  );
+
+describe("Upgrade pipeline", function () {
+  let owner, alice, bob;
+  let proxy, marketArtifact, deployer, ctx;
+  let snapshotId;
+  const quiet = () => {};
+
+  this.timeout(120000);
+
+  before(async function () {
+    ({ owner, alice, bob, deployer, marketArtifact, proxy, ctx } =
+      await deployMarketplace("62"));
+
+    // A few escrows for the snapshots to sample
+    for (let i = 1; i <= 3; i++) {
+      await proxy.connect(alice).createListing(0, 1, `ipfs://brief${i}`);
+      await proxy.connect(bob).makeOffer(i, toEth(i), ethers.ZeroAddress);
+      await proxy.connect(alice).acceptOffer(i, { value: toEth(i) });
+    }
+    await proxy.connect(alice).openDisputeWithCID(2, "ipfs://evidence");
+    snapshotId = await takeSnapshot();
+  });
+
+  beforeEach(async function () {
+    await revertSnapshot(snapshotId);
+    snapshotId = await takeSnapshot();
+  });
+
+  it("accepts the recorded upgrade history except the testnet reordering", () => {
+    const anvil = manifestImpls("ZKsync-anvil");
+    expect(compareLayouts(anvil[0].layout, anvil[1].layout)).to.deep.equal([]);
+    // treasury was moved behind the profile boost settings on one testnet upgrade
+    expect(compareLayouts(anvil[2].layout, anvil[3].layout)).to.deep.equal([
+      "treasury: state variable moved from position 4 to 6 (profileBoostPriceDOP was inserted or reordered before it)",
+    ]);
+    const testnet = manifestImpls("unknown-network-11124");
+    for (let i = 2; i < testnet.length; i++)
+      expect(compareLayouts(testnet[i - 1].layout, testnet[i].layout)).to.deep.equal([]);
+  });
+
+  it("refuses reordered struct members, removed enum values and shifted variables", () => {
+    const impls = manifestImpls("unknown-network-11124");
+    const base = impls[impls.length - 1].layout;
+    const edit = (fn) => {
+      const layout = JSON.parse(JSON.stringify(base));
+      fn(layout);
+      return compareLayouts(base, layout);
+    };
+    const typeId = (layout, prefix) => Object.keys(layout.types).find((k) => k.startsWith(prefix));
+
+    // Appending state variables and members of mapped structs is safe
+    expect(
+      edit((l) => {
+        l.storage.push({ contract: "MarketplaceUpgradeable", label: "extra", type: "t_uint256" });
+        l.types[typeId(l, "t_struct(UserProfile)")].members.push({ label: "x", type: "t_uint256" });
+        l.types[typeId(l, "t_enum(Badge)")].members.push("NEW_BADGE");
+      })
+    ).to.deep.equal([]);
+
+    expect(
+      edit((l) => {
+        const m = l.types[typeId(l, "t_struct(Listing)")].members;
+        [m[1], m[2]] = [m[2], m[1]];
+      })
+    ).to.deep.equal([
+      "listings[]: struct Listing member 1 was listingType and is now creator (reordered, renamed or inserted)",
+    ]);
+    // Array elements are laid out back to back, so their structs are frozen
+    expect(
+      edit((l) => {
+        l.types[typeId(l, "t_struct(Mission)")].members.push({ label: "x", type: "t_uint256" });
+      })
+    ).to.deep.equal([
+      "userMissions[][]: members appended to struct Mission, which is not stored as a mapping value (x)",
+    ]);
+    expect(
+      edit((l) => {
+        l.types[typeId(l, "t_enum(EscrowStatus)")].members.splice(5, 1);
+      })
+    ).to.include("escrows[].status: enum EscrowStatus value CANCELLED was removed or renamed");
+    expect(
+      edit((l) => {
+        l.storage.splice(1, 0, { contract: "MarketplaceUpgradeable", label: "inserted", type: "t_uint256" });
+      })
+    ).to.deep.equal([
+      "feeDop: state variable moved from position 1 to 2 (inserted was inserted or reordered before it)",
+    ]);
+    expect(
+      edit((l) => {
+        l.storage[0].type = "t_uint128";
+        l.types.t_uint128 = { label: "uint128" };
+      })
+    ).to.deep.equal(["feeUsdLike: type changed from uint256 to uint128"]);
+  });
+
+  it("reads compiled layouts and finds recorded ones by implementation address", () => {
+    const buildInfo = {
+      output: {
+        sources: {
+          "contracts/M.sol": {
+            ast: {
+              nodeType: "SourceUnit",
+              nodes: [
+                {
+                  nodeType: "EnumDefinition",
+                  id: 7,
+                  members: [{ name: "A" }, { name: "B" }],
+                },
+              ],
+            },
+          },
+        },
+        contracts: {
+          "contracts/M.sol": {
+            M: {
+              storageLayout: {
+                storage: [
+                  { contract: "contracts/M.sol:M", label: "kind", slot: "0", offset: 0, type: "t_enum(Kind)7" },
+                ],
+                types: { "t_enum(Kind)7": { label: "enum M.Kind", encoding: "inplace", numberOfBytes: "1" } },
+              },
+            },
+          },
+        },
+      },
+    };
+    const layout = layoutFromBuildInfo(buildInfo, "contracts/M.sol", "M");
+    expect(layout.storage).to.deep.equal([{ label: "kind", contract: "M", type: "t_enum(Kind)7" }]);
+    expect(layout.types["t_enum(Kind)7"].members).to.deep.equal(["A", "B"]);
+
+    const latest = manifestImpls("unknown-network-11124").pop();
+    const found = findRecordedLayout(ROOT, latest.address.toLowerCase());
+    expect(path.basename(found.file)).to.equal("unknown-network-11124.json");
+    expect(found.layout.storage.length).to.equal(latest.layout.storage.length);
+
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "upgradable-"));
+    try {
+      expect(findRecordedLayout(root, alice.address)).to.equal(null);
+      recordProposal(root, { implementation: alice.address, layout });
+      expect(findRecordedLayout(root, alice.address).layout).to.deep.equal(layout);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it("proposes the upgrade to a Safe, then verifies state and smoke-tests the proxy", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrade-batch-"));
+    const file = path.join(dir, "batch.json");
+    try {
+      const provider = owner.provider;
+      const previous = await readImplementation(provider, await proxy.getAddress());
+      const impl = await deployer.deploy(marketArtifact, []);
+      const implementation = await impl.getAddress();
+
+      const r = await proposeUpgrade(ctx, implementation, { safeFile: file, log: quiet });
+      expect(r.status).to.equal("queued");
+      expect(await readImplementation(provider, await proxy.getAddress())).to.equal(previous);
+      const [tx] = JSON.parse(fs.readFileSync(file, "utf8")).transactions;
+      const call = ctx.market.interface.parseTransaction(tx);
+      expect(call.name).to.equal("upgradeToAndCall");
+      expect(call.args[0]).to.equal(implementation);
+
+      // The multisig (here the owner) executes the queued call
+      await (await owner.sendTransaction({ to: tx.to, data: tx.data })).wait();
+      const lines = [];
+      const v = await verifyLatestUpgrade(ctx, { samples: 2, log: (l) => lines.push(l) });
+      expect(v.implementation).to.equal(implementation);
+      expect(v.changes).to.deep.equal([]);
+      expect(v.checks.filter((c) => !c.ok)).to.deep.equal([]);
+      expect(v.ok).to.equal(true);
+      expect(lines[1]).to.contain("State unchanged across the upgrade");
+      expect(lines[1]).to.contain("2 sampled escrows");
+
+      // A wrong implementation fails the slot check
+      const checks = await smokeTest(ctx, {
+        implementation: previous,
+        snapshot: await snapshotState(ctx.market),
+      });
+      expect(checks[0].ok).to.equal(false);
+      expect(checks[0].detail).to.contain(implementation);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // Compiled storage layout plus a way to zero one of the proxy's slots
+  const proxyStorage = async () => {
+    const [source, name] = MARKET.split(":");
+    const info = await hre.artifacts.getBuildInfo(MARKET);
+    const { storage, types } = info.output.contracts[source][name].storageLayout;
+    const address = await proxy.getAddress();
+    return {
+      storage,
+      types,
+      slotOf: (label) => BigInt(storage.find((s) => s.label === label).slot),
+      clear: (slot) =>
+        hre.network.provider.send("hardhat_setStorageAt", [
+          address,
+          ethers.toQuantity(slot),
+          ethers.ZeroHash,
+        ]),
+    };
+  };
+
+  // Puts the proxy's allowlist back to how an implementation from before it left
+  // the storage: no config, nothing listed
+  const clearPaymentTokens = async (tokens) => {
+    const { storage, types, slotOf, clear } = await proxyStorage();
+    const configType = storage.find((s) => s.label === "paymentTokens").type;
+    const configSlots = BigInt(types[parseType(configType).value].numberOfBytes) / 32n;
+    for (const t of tokens) {
+      const base = mappingSlot(t, slotOf("paymentTokens"));
+      for (let i = 0n; i < configSlots; i++) await clear(base + i);
+      await clear(mappingSlot(t, slotOf("_paymentTokenListed")));
+    }
+    await clear(slotOf("_paymentTokenList"));
+  };
+
+  it("seeds the payment token allowlist for offers made before it existed", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief4");
+    await proxy.connect(bob).makeOffer(4, toEth(2), ethers.ZeroAddress);
+    const tokens = [...(await proxy.getPaymentTokens())[0]];
+    await clearPaymentTokens(tokens);
+    expect([...(await proxy.getPaymentTokens())[0]]).to.deep.equal([]);
+    // Without the allowlist the open offer cannot start its escrow
+    await expect(
+      proxy.connect(alice).acceptOffer(4, { value: toEth(2) })
+    ).to.be.revertedWith("token");
+
+    const impl = await deployer.deploy(marketArtifact, []);
+    await proxy.upgradeToAndCall(
+      await impl.getAddress(),
+      proxy.interface.encodeFunctionData("initializePaymentTokens")
+    );
+    expect([...(await proxy.getPaymentTokens())[0]]).to.deep.equal(tokens);
+    await proxy.connect(alice).acceptOffer(4, { value: toEth(2) });
+    const esc = await proxy.getEscrow(4);
+    expect(esc.status).to.equal(1); // IN_PROGRESS
+    expect(esc.amount).to.equal(toEth(2));
+    await expect(proxy.initializePaymentTokens()).to.be.reverted; // runs once
+  });
+
+  it("picks the reinitializer the recorded layout needs", () => {
+    const iface = ctx.market.interface;
+    const testnet = manifestImpls("unknown-network-11124").pop().layout;
+    expect(resolveInitializer(iface, testnet)).to.equal("initializeCategories");
+    const withTokens = { storage: [...testnet.storage, { label: "paymentTokens" }] };
+    expect(resolveInitializer(iface, withTokens)).to.equal("initializeCategories");
+    const current = { storage: [...withTokens.storage, { label: "categoryCount" }] };
+    expect(resolveInitializer(iface, current)).to.equal(null);
+    expect(resolveInitializer(iface, current, "initializePaymentTokens")).to.equal(
+      "initializePaymentTokens"
+    );
+    expect(resolveInitializer(iface, testnet, "none")).to.equal(null);
+    expect(() => resolveInitializer(iface, testnet, "setFees")).to.throw("takes arguments");
+    expect(() => resolveInitializer(iface, testnet, "initializeV9")).to.throw(
+      "initializeV9 is not a function of the new implementation"
+    );
+  });
+
+  it("seeds the legacy categories and the allowlist on proxies from before both", async () => {
+    await proxy.connect(alice).createListing(0, 1, "ipfs://brief4");
+    await proxy.connect(bob).makeOffer(4, toEth(2), ethers.ZeroAddress);
+    const tokens = [...(await proxy.getPaymentTokens())[0]];
+    await clearPaymentTokens(tokens);
+    const { slotOf, clear } = await proxyStorage();
+    await clear(slotOf("categoryCount"));
+    expect(await proxy.getCategories()).to.deep.equal([]);
+    // Legacy ids stay open until the registry is used
+    await proxy.connect(alice).createListing(0, 3, "ipfs://kol");
+    // Upgrading without the reinitializer leaves offers unusable
+    const failing = (await smokeTest(ctx, {
+      implementation: await readImplementation(owner.provider, await proxy.getAddress()),
+      snapshot: await snapshotState(ctx.market),
+    })).filter((c) => !c.ok);
+    expect(failing.map((c) => c.name)).to.deep.equal(["makeOffer simulates", "acceptOffer simulates"]);
+    expect(failing[0].detail).to.equal("no payment token is allowlisted");
+    expect(failing[1].detail).to.contain("token");
+
+    // The testnet's recorded layout predates both, so the pipeline runs initializeCategories
+    const call = resolveInitializer(
+      ctx.market.interface,
+      manifestImpls("unknown-network-11124").pop().layout
+    );
+    const impl = await deployer.deploy(marketArtifact, []);
+    const { plan } = await proposeUpgrade(ctx, await impl.getAddress(), { call, log: quiet });
+    expect(ctx.market.interface.parseTransaction(plan).args[1]).to.equal(
+      proxy.interface.encodeFunctionData("initializeCategories")
+    );
+    await (await owner.sendTransaction({ to: plan.to, data: plan.data })).wait();
+    expect((await proxy.getCategories()).map((c) => c.name)).to.deep.equal([
+      "Projects",
+      "Development",
+      "Art",
+      "KOL",
+    ]);
+    expect([...(await proxy.getPaymentTokens())[0]]).to.deep.equal(tokens);
+    const lines = [];
+    const v = await verifyLatestUpgrade(ctx, { samples: 2, log: (l) => lines.push(l) });
+    expect(lines[1]).to.equal("Reinitialized to version 4 in the same block");
+    expect(v.changes).to.deep.equal([]); // categoryCount 0 -> 4 is the seeding
+    expect(v.checks.filter((c) => !c.ok)).to.deep.equal([]);
+    expect(v.checks.find((c) => c.name === "acceptOffer simulates").detail).to.equal("offer 4");
+    // The owner's next category comes after the legacy ids, which stay open
+    await proxy.addCategory("Audits", false, 0);
+    expect(await proxy.categoryCount()).to.equal(5);
+    expect(await proxy.isCategoryOpen(3)).to.equal(true);
+    await expect(proxy.initializeCategories()).to.be.reverted; // runs once
+    await expect(proxy.initializePaymentTokens()).to.be.reverted; // version 3 is past
+  });
+
+  it("verifies an upgrade from an implementation with shorter escrows, offers and listings", async () => {
+    const impl = await deployer.deploy(marketArtifact, []);
+    const legacyArtifact = await deployer.loadArtifact("MarketplaceLegacyMock");
+    const legacy = await hre.zkUpgrades.deployProxy(
+      deployer.zkWallet,
+      legacyArtifact,
+      [await proxy.dopToken(), await proxy.usdcToken(), owner.address],
+      { kind: "uups", initializer: "initialize" }
+    );
+    await legacy.waitForDeployment();
+    await legacy.connect(alice).seedEscrow(alice.address, bob.address, toEth(1), 1); // IN_PROGRESS
+    await legacy.connect(bob).seedEscrow(alice.address, bob.address, toEth(2), 3); // DISPUTED
+    const client = new MarketplaceClient(await legacy.getAddress(), owner, {
+      abi: marketArtifact.abi,
+    });
+    const legacyCtx = { market: client.contract, client };
+    // The current ABI expects 14 escrow members where the old implementation returns 10
+    const raw = await owner.provider.call({
+      to: client.address,
+      data: client.contract.interface.encodeFunctionData("getEscrow", [1]),
+    });
+    expect(ethers.dataLength(raw)).to.equal(10 * 32);
+
+    await (
+      await client.contract.upgradeToAndCall(
+        await impl.getAddress(),
+        client.contract.interface.encodeFunctionData("initializeCategories")
+      )
+    ).wait();
+    const lines = [];
+    const v = await verifyLatestUpgrade(legacyCtx, { samples: 5, log: (l) => lines.push(l) });
+    expect(lines[2]).to.contain("2 sampled escrows");
+    expect(v.changes).to.deep.equal([]);
+    expect(v.checks.filter((c) => !c.ok)).to.deep.equal([]);
+    expect(v.ok).to.equal(true);
+
+    const block = await findUpgradeBlock(owner.provider, client.address, await impl.getAddress());
+    const before = await snapshotState(client.contract, { blockTag: block - 1 });
+    expect(before.escrows[2]).to.deep.equal({
+      offerId: 2n,
+      client: alice.address,
+      provider: bob.address,
+      paymentToken: ethers.ZeroAddress,
+      amount: toEth(2),
+      feeAmount: toEth("0.4"),
+      status: "DISPUTED",
+      clientValidated: false,
+      providerValidated: false,
+      disputeOutcome: "NONE",
+    });
+    expect(Object.keys(before.listings[1])).to.not.include("price");
+    const after = await snapshotState(client.contract, { blockTag: block });
+    expect(after.escrows[2].milestoneCount).to.equal(0n);
+    expect(after.listings[1].price).to.equal(0n);
+  });
+
+  it("reports state that moved between snapshots", async () => {
+    const before = await snapshotState(ctx.market, { samples: 3 });
+    expect(Object.keys(before.escrows)).to.have.members(["1", "2", "3"]);
+    expect(before.escrows[2].status).to.equal("DISPUTED");
+    await proxy.connect(owner).setFees(1500, 1000);
+    await proxy.resolveDispute(2, 1);
+    const after = await snapshotState(ctx.market, { samples: 3 });
+    expect(diffSnapshots(before, after)).to.deep.equal([
+      "feeUsdLike: 2000 -> 1500",
+      'escrows 2.status: "DISPUTED" -> "RESOLVED"',
+      'escrows 2.disputeOutcome: "NONE" -> "REFUND_CLIENT"',
+      'listings 2.activeOrders: "1" -> "0"',
+    ]);
+    // Views an older implementation lacked are not compared
+    delete before.views.skillCount;
+    after.views.feeUsdLike = 2000n;
+    expect(diffSnapshots(before, after)).to.have.length(3);
+  });
+});